@@ -23,7 +23,7 @@ let cache = null;
 
 /* ---------------------------- Validation ---------------------------- */
 
-function validateAcronymsConfig(cfg) {
+export function validateAcronymsConfig(cfg) {
     const errors = [];
 
     // strokes: object with stroke categories
@@ -60,6 +60,19 @@ function validateAcronymsConfig(cfg) {
         });
     }
 
+    // energy: optional object with energy-system categories
+    if (cfg?.energy !== undefined) {
+        if (!cfg.energy || typeof cfg.energy !== "object") {
+            errors.push("`energy` must be an object");
+        } else {
+            Object.entries(cfg.energy).forEach(([system, acronyms]) => {
+                if (!Array.isArray(acronyms) || acronyms.some((a) => typeof a !== "string")) {
+                    errors.push(`energy.${system} must be an array of strings`);
+                }
+            });
+        }
+    }
+
     if (errors.length) {
         const err = new Error("Invalid acronyms config: " + errors.join("; "));
         err.status = 400;
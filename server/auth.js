@@ -1,6 +1,7 @@
 // server/auth.js
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import { User } from "./models.js";
 
 // Environment variables (should be in .env)
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
@@ -80,35 +81,78 @@ export function authMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * The caller's current admin flag and permissions. Read from the database
+ * (once per request) rather than the token, so grants and revocations apply
+ * without signing in again.
+ * @param {object} req - Authenticated request
+ * @returns {Promise<{isAdmin: boolean, permissions: string[]}|null>} - null if the account is gone or deactivated
+ */
+export async function currentAccess(req) {
+  if (!req.access) {
+    req.access = User.findById(req.user.userId)
+      .select("isAdmin permissions isActive")
+      .lean()
+      .then((user) => (user && user.isActive !== false
+        ? { isAdmin: !!user.isAdmin, permissions: user.permissions || [] }
+        : null));
+  }
+  return req.access;
+}
+
+/**
+ * Whether an access record grants a permission ("admin" and isAdmin grant all)
+ * @param {{isAdmin: boolean, permissions: string[]}|null} access
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(access, permission) {
+  if (!access) return false;
+  return access.isAdmin || access.permissions.includes("admin") || access.permissions.includes(permission);
+}
+
 /**
  * Middleware to check if user has specific permission
  * @param {string} permission - Required permission
  */
 export function requirePermission(permission) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    if (!req.user.permissions.includes(permission) && !req.user.permissions.includes("admin")) {
-      return res.status(403).json({ error: "Insufficient permissions" });
+    try {
+      const access = await currentAccess(req);
+      if (!access) {
+        return res.status(401).json({ error: "Account is deactivated" });
+      }
+      if (!hasPermission(access, permission)) {
+        return res.status(403).json({ error: "Insufficient permissions", permission });
+      }
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      res.status(500).json({ error: "Failed to check permissions" });
     }
-
-    next();
   };
 }
 
 /**
  * Middleware to check if user is an admin
  */
-export function requireAdmin(req, res, next) {
+export async function requireAdmin(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ error: "Authentication required" });
   }
 
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ error: "Admin access required" });
+  try {
+    const access = await currentAccess(req);
+    if (!access?.isAdmin) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    next();
+  } catch (error) {
+    console.error("Admin check error:", error);
+    res.status(500).json({ error: "Failed to check permissions" });
   }
-
-  next();
 }
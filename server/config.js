@@ -1,5 +1,6 @@
 // server/config.js
 // ESM-safe config loader with validation, caching, and file watching
+// The file is only the seed default; teams edit their own copy (see teamConfig.js)
 
 import fs from "node:fs/promises";
 import fsSync from "node:fs";
@@ -29,7 +30,7 @@ function isHHMM(str) {
     return typeof str === "string" && /^\d{1,2}:\d{2}$/.test(str);
 }
 
-function validateConfig(cfg) {
+export function validateConfig(cfg) {
     const errors = [];
 
     // rosters: array of strings
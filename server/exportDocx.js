@@ -22,6 +22,7 @@ import {
   formatClock12,
   formatNumber,
 } from "./utils/timeHelpers.js";
+import { measureSections, sumSectionTotals } from "./utils/practiceTotals.js";
 
 const TWIP = {
   inch: 1440,
@@ -66,10 +67,13 @@ export async function exportPracticeToDocx(practice) {
     roster = "",
     pool = "",
     startTime = "06:00",        // "HH:MM" 24h from the UI
-    sections = [],
-    totals = { yardage: 0, timeSeconds: 0 },
+    sections: rawSections = [],
   } = practice || {};
 
+  // Re-measure from section text so the document never disagrees with what it says
+  const sections = measureSections(rawSections);
+  const totals = sumSectionTotals(sections);
+
   // Page settings (US Letter, 1" margins)
   const pageWidth = 8.5 * TWIP.inch;
   const margin = 1 * TWIP.inch;
@@ -3,7 +3,7 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { connectMongo } from "./db.js";
 // ⬇️ Alias the export so the name matches what you use below
-import { Practice as PracticeModel, User, Feedback, Swimmer, RosterGroup, Location, BestTime, TimeStandardsSet } from "./models.js";
+import { Practice as PracticeModel, PracticeFolder, LibrarySet, User, Feedback, Swimmer, RosterGroup, TrainingPlan, Location, BestTime, Meet, MeetResult, TimeStandardsSet, StandardsSubscription, Team, Attendance, PracticeRevision, TEAM_ROLES, PERMISSIONS, ATTENDANCE_STATUSES } from "./models.js";
 
 // ── Swimmer helper ────────────────────────────────────────────────────────────
 /** After any mutation to swimmer.bestTimes, re-flag isBest per event+course. */
@@ -20,14 +20,59 @@ function flagBestTimes(swimmer) {
     t.isBest = groups[key]?.idx === i;
   });
 }
-import { hashPassword, comparePassword, generateToken, authMiddleware, requireAdmin } from "./auth.js";
+
+/**
+ * Mirror a meet result into swimmer.bestTimes (isManual: false). Legal swims
+ * add or update the linked entry; DQs and no-time swims remove it. Caller saves
+ * both documents.
+ */
+function syncResultBestTime(swimmer, result, meet) {
+  const existing = result.bestTimeId ? swimmer.bestTimes.id(result.bestTimeId) : null;
+
+  if (result.dq || !(result.time > 0)) {
+    if (existing) existing.deleteOne();
+    result.bestTimeId = undefined;
+  } else {
+    const fields = {
+      event: result.event,
+      course: result.course,
+      time: result.time,
+      meetName: meet.name,
+      date: result.date || meet.startDate,
+      isManual: false,
+    };
+    if (existing) {
+      existing.set(fields);
+    } else {
+      swimmer.bestTimes.push(fields);
+      result.bestTimeId = swimmer.bestTimes[swimmer.bestTimes.length - 1]._id;
+    }
+  }
+  flagBestTimes(swimmer);
+}
+import { hashPassword, comparePassword, generateToken, authMiddleware, requireAdmin, requirePermission, currentAccess, hasPermission } from "./auth.js";
+import { resolveTeam, requireTeamWrite, requireTeamRole, inTeam, memberOf, ensurePersonalTeam } from "./tenancy.js";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { exportPracticeToDocx } from "./exportDocx.js";
-import { loadConfig, getConfig, saveConfig, watchConfig } from "./config.js";
+import { recomputePractice, findTotalsMismatches, measureLibrarySet } from "./utils/practiceTotals.js";
+import { aggregateWeeklyVolume, weekStartKey, weekEndKey } from "./utils/trainingVolume.js";
+import { planProgress } from "./utils/trainingPlan.js";
+import { matchAthlete, hasSameTime } from "./utils/swimmerMatch.js";
+import { swimmerAchievements, summarizeAchievements, qualifyingSwims } from "./utils/timeStandards.js";
+import { summarizeAttendance } from "./utils/attendance.js";
+import { REVISION_FIELDS, snapshotPractice, changedFields } from "./utils/practiceRevisions.js";
+import { practiceFilterConditions, practiceSort } from "./utils/practiceFilters.js";
+import { searchSnippets } from "./utils/practiceSearch.js";
+import { normalizeTags, listPracticeTags, renamePracticeTag, mergePracticeTags, deletePracticeTag } from "./practiceTags.js";
+import { createPracticeFolder, updatePracticeFolder, deletePracticeFolder, resolvePracticeFolder } from "./practiceFolders.js";
+import { PRACTICE_STATUS_FILTERS, TRASH_RETENTION_DAYS, purgeDate, purgePractices, scheduleTrashPurge } from "./practiceTrash.js";
+import { loadConfig, watchConfig } from "./config.js";
 import { convertTime as _convertTime, parseTime as _parseTime } from "./utils/swimTimeConversion.js";
-import { loadSeasonsConfig, getSeasonsConfig, saveSeasonsConfig, watchSeasonsConfig } from "./seasonsConfig.js";
-import { loadAcronymsConfig, getAcronymsConfig, saveAcronymsConfig, watchAcronymsConfig } from "./acronymsConfig.js";
+import { loadSeasonsConfig, watchSeasonsConfig } from "./seasonsConfig.js";
+import { loadAcronymsConfig, watchAcronymsConfig } from "./acronymsConfig.js";
+import { getTeamConfig, saveTeamConfig, defaultTeamConfig } from "./teamConfig.js";
+import { resolvePracticeRoster, renameRosterGroup, findRosterGroupByName, getRosterConfig, saveRosterConfig } from "./rosterGroups.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,21 +89,19 @@ app.use(cors({
   origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-key', 'x-user-id'],
-  exposedHeaders: ['Content-Disposition']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-key', 'x-user-id', 'x-team-id'],
+  exposedHeaders: ['Content-Disposition', 'X-Totals-Corrected']
 }));
 
-app.use(express.json());
+app.use(express.json({ limit: "2mb" })); // meet result imports post a few thousand rows
 
-// simple guard (dev)
+// Global guard: every route needs a signed-in user unless listed here.
+// Routes then check the permission they need with requirePermission().
 app.use((req, res, next) => {
-  // Skip auth for health check, auth endpoints, and public config data
-  const publicPaths = ["/health", "/api/auth/register", "/api/auth/login", "/api/config", "/api/seasons", "/api/acronyms"];
+  // Skip auth for health check and auth endpoints
+  const publicPaths = ["/health", "/api/auth/register", "/api/auth/login"];
   if (publicPaths.includes(req.path)) return next();
 
-  // Allow PUT /api/users/* for user profile updates
-  if (req.method === "PUT" && req.path.startsWith("/api/users/")) return next();
-
   // Check for JWT token (preferred for authenticated users)
   const authHeader = req.header("Authorization");
   if (authHeader && authHeader.startsWith("Bearer ")) {
@@ -71,7 +114,10 @@ app.use((req, res, next) => {
     }
   }
 
-  // Fall back to admin key for dev/admin operations
+  // Fall back to admin key for dev/admin operations — never in production
+  if (process.env.NODE_ENV === "production") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
   const key = req.header("x-admin-key");
   if (!key || key !== process.env.ADMIN_KEY) {
     return res.status(401).json({ error: "Unauthorized" });
@@ -81,6 +127,11 @@ app.use((req, res, next) => {
 
 app.get("/health", (_req, res) => res.json({ ok: true }));
 
+// Team-scoped routes: signed in and working in one of the caller's teams
+// (x-team-id header, or their first team). Writes are closed to read-only members.
+const teamAuth = [authMiddleware, resolveTeam];
+const teamWrite = [authMiddleware, resolveTeam, requireTeamWrite];
+
 await connectMongo();
 await loadConfig();
 watchConfig();
@@ -88,6 +139,7 @@ await loadSeasonsConfig();
 watchSeasonsConfig();
 await loadAcronymsConfig();
 watchAcronymsConfig();
+scheduleTrashPurge();
 
 // ========== AUTH ENDPOINTS ==========
 
@@ -127,6 +179,7 @@ app.post("/api/auth/register", async (req, res) => {
       password: hashedPassword,
       swimTeam: swimTeam || {},
       exportDirectory: exportDirectory || "",
+      permissionsGrantedAt: new Date(),
       subscription: {
         type: "free",
         status: "trial",
@@ -233,46 +286,362 @@ app.get("/api/auth/me", authMiddleware, async (req, res) => {
   }
 });
 
+// ========== TEAM ENDPOINTS ==========
+
+/** A team as the caller sees it in the switcher */
+const teamSummary = (team, userId) => ({
+  _id: team._id,
+  name: team.name,
+  abbreviation: team.abbreviation,
+  role: memberOf(team, userId)?.role,
+  memberCount: team.members.length,
+});
+
+const headCoachCount = (team) => team.members.filter(m => m.role === "head_coach").length;
+
+// GET every team the caller belongs to (a first team is created if they have none).
+// Ignores x-team-id so a stale selection can be corrected from this list.
+app.get("/api/teams", authMiddleware, async (req, res) => {
+  try {
+    const userId = String(req.user.userId);
+    let teams = await Team.find({ "members.userId": userId }).sort({ createdAt: 1 }).lean();
+    if (teams.length === 0) teams = [(await ensurePersonalTeam(userId)).toObject()];
+    res.json(teams.map(t => teamSummary(t, userId)));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch teams" });
+  }
+});
+
+// CREATE a team — the caller becomes its head coach
+app.post("/api/teams", authMiddleware, async (req, res) => {
+  try {
+    const userId = String(req.user.userId);
+    const { name, abbreviation } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: "Team name is required" });
+    }
+
+    const team = await Team.create({
+      name,
+      abbreviation: abbreviation || undefined,
+      createdBy: userId,
+      members: [{ userId, role: "head_coach" }],
+    });
+    res.status(201).json(teamSummary(team, userId));
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to create team" });
+  }
+});
+
+// GET the current team (x-team-id) with its members' names
+app.get("/api/teams/current", teamAuth, async (req, res) => {
+  try {
+    const team = await Team.findById(req.team.id).lean();
+    const users = await User.find({ _id: { $in: team.members.map(m => m.userId) } })
+      .select("firstName lastName email username")
+      .lean();
+    const byId = new Map(users.map(u => [String(u._id), u]));
+
+    res.json({
+      ...teamSummary(team, req.user.userId),
+      members: team.members.map(m => {
+        const user = byId.get(m.userId);
+        return {
+          ...m,
+          firstName: user?.firstName || "",
+          lastName: user?.lastName || "",
+          email: user?.email || "",
+          username: user?.username || "",
+        };
+      }),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch team" });
+  }
+});
+
+// UPDATE the current team's name (head coach)
+app.put("/api/teams/current", teamAuth, requireTeamRole("head_coach"), async (req, res) => {
+  try {
+    const team = await Team.findById(req.team.id);
+    const { name, abbreviation } = req.body;
+    if (name !== undefined) team.name = name;
+    if (abbreviation !== undefined) team.abbreviation = abbreviation || undefined;
+
+    await team.save();
+    res.json(teamSummary(team, req.user.userId));
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to update team" });
+  }
+});
+
+// ADD a coach to the current team by email (head coach)
+app.post("/api/teams/current/members", teamAuth, requireTeamRole("head_coach"), async (req, res) => {
+  try {
+    const { email, role = "assistant" } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${TEAM_ROLES.join(", ")}` });
+    }
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() }).select("_id");
+    if (!user) {
+      return res.status(404).json({ error: "No account uses that email" });
+    }
+
+    const team = await Team.findById(req.team.id);
+    if (memberOf(team, user._id)) {
+      return res.status(409).json({ error: "Already a member of this team" });
+    }
+
+    team.members.push({ userId: String(user._id), role });
+    await team.save();
+    res.status(201).json({ userId: String(user._id), role });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to add team member" });
+  }
+});
+
+// CHANGE a member's role (head coach). A team always keeps one head coach.
+app.put("/api/teams/current/members/:userId", teamAuth, requireTeamRole("head_coach"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${TEAM_ROLES.join(", ")}` });
+    }
+
+    const team = await Team.findById(req.team.id);
+    const member = memberOf(team, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+    if (member.role === "head_coach" && role !== "head_coach" && headCoachCount(team) === 1) {
+      return res.status(400).json({ error: "A team needs at least one head coach" });
+    }
+
+    member.role = role;
+    await team.save();
+    res.json({ userId: member.userId, role });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to update team member" });
+  }
+});
+
+// REMOVE a member (head coach), or leave the team yourself
+app.delete("/api/teams/current/members/:userId", teamAuth, async (req, res) => {
+  try {
+    const leaving = req.params.userId === String(req.user.userId);
+    if (!leaving && req.team.role !== "head_coach") {
+      return res.status(403).json({ error: "Insufficient team role" });
+    }
+
+    const team = await Team.findById(req.team.id);
+    const member = memberOf(team, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+    if (member.role === "head_coach" && headCoachCount(team) === 1) {
+      return res.status(400).json({ error: "A team needs at least one head coach" });
+    }
+
+    team.members = team.members.filter(m => m.userId !== member.userId);
+    await team.save();
+    res.json({ message: leaving ? "Left team" : "Team member removed" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to remove team member" });
+  }
+});
+
 // ========== PRACTICES ENDPOINTS ==========
 
-// LIST practices by roster/date with paging & optional text search
-app.get("/api/practices", async (req, res) => {
+// LIST practices by roster/date with paging & optional full-text search.
+// q searches titles, all section text (group splits included) and notes;
+// results are ranked by relevance and carry `snippets` of the matching lines.
+// status: active (default), archived or trash
+// filters: favorite, pool, from, to, minYardage, maxYardage, minTimeSeconds,
+// maxTimeSeconds, stroke, style, tag, folder (see server/utils/practiceFilters.js)
+// sort: relevance (default when searching), date, yardage, time or title; order: asc or desc
+app.get("/api/practices", teamAuth, requirePermission("read:practices"), async (req, res) => {
   try {
-    const { roster = "", season = "", q = "", page = 1, limit = 20 } = req.query;
-    const where = {};
-    if (roster) where.roster = roster;
-    if (season) where.season = season;
-    if (q) {
-      where.$or = [
-        { title: { $regex: q, $options: "i" } },
-        { "sections.text": { $regex: q, $options: "i" } },
-      ];
+    const { roster = "", rosterGroup = "", season = "", q = "", page = 1, limit = 20, status = "active", sort = "", order = "" } = req.query;
+    if (!PRACTICE_STATUS_FILTERS[status]) {
+      return res.status(400).json({ error: `status must be one of: ${Object.keys(PRACTICE_STATUS_FILTERS).join(", ")}` });
     }
+    const search = String(q).trim();
+    const filters = practiceFilterConditions(req.query);
+    // The trash lists the most recently deleted first unless asked otherwise
+    const sortBy = status === "trash" && !sort && !search
+      ? { deletedAt: -1 }
+      : practiceSort(sort, order, { search: Boolean(search) });
+    const where = { teamId: req.team.id, ...PRACTICE_STATUS_FILTERS[status], ...filters };
+    if (/^[0-9a-f]{24}$/i.test(rosterGroup)) where.rosterGroup = rosterGroup;
+    else if (roster) where.roster = roster;
+    if (season) where.season = season;
+    if (search) where.$text = { $search: search };
 
     const p = Math.max(1, parseInt(page, 10) || 1);
     const lim = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
 
     const [items, total] = await Promise.all([
-      PracticeModel.find(where)
-        .sort({ date: -1 }) // newest first
+      PracticeModel.find(where, search ? { score: { $meta: "textScore" } } : undefined)
+        .sort(sortBy)
         .skip((p - 1) * lim)
         .limit(lim)
         .lean(),
       PracticeModel.countDocuments(where),
     ]);
 
-    res.json({ items, total, page: p, limit: lim });
+    if (status === "trash") {
+      items.forEach((item) => { item.purgeAt = purgeDate(item.deletedAt); });
+    }
+    if (search) {
+      items.forEach((item) => { item.snippets = searchSnippets(item, search); });
+    }
+    res.json({ items, total, page: p, limit: lim, ...(status === "trash" ? { retentionDays: TRASH_RETENTION_DAYS } : {}) });
   } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ error: e.message });
+    }
     console.error(e);
     res.status(500).json({ error: "Failed to list practices" });
   }
 });
 
+// CALENDAR — every roster's practices between two dates (summary fields, no paging)
+app.get("/api/practices/calendar", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const { from = "", to = "" } = req.query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)" });
+    }
+
+    const items = await PracticeModel.find({ teamId: req.team.id, deletedAt: null, date: { $gte: from, $lte: to } })
+      .select("title date roster pool startTime season totals.yardage totals.timeSeconds isFavorite")
+      .sort({ date: 1, startTime: 1 })
+      .lean();
+
+    res.json({ items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load practice calendar" });
+  }
+});
+
+/**
+ * Filter for one season's practices: those saved with the season title, plus
+ * practices saved before `season` was recorded that fall in its date range
+ */
+async function seasonPracticeFilter(teamId, season) {
+  const { seasons = [] } = await getTeamConfig(teamId, "seasons");
+  const range = seasons.find((s) => s.title === season);
+  const $or = [{ season }];
+  if (range?.startDate && range?.endDate) {
+    $or.push({ season: { $in: [null, ""] }, date: { $gte: range.startDate, $lte: range.endDate } });
+  }
+  return { $or };
+}
+
+// VOLUME — weekly yardage, time in water and stroke/style mix per roster for a season
+app.get("/api/practices/volume", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const { season = "", rosters = "" } = req.query;
+    const filter = { teamId: req.team.id, deletedAt: null };
+
+    if (season) Object.assign(filter, await seasonPracticeFilter(req.team.id, season));
+
+    const rosterList = String(rosters).split(",").map((r) => r.trim()).filter(Boolean);
+    if (rosterList.length) filter.roster = { $in: rosterList };
+
+    const practices = await PracticeModel.find(filter)
+      .select("date roster totals.yardage totals.timeSeconds stats.strokes stats.styles stats.energy")
+      .lean();
+
+    res.json({ season, ...aggregateWeeklyVolume(practices) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load training volume" });
+  }
+});
+
+// ---- Practice tags ----
+
+// Every tag in use, with how many practices carry it
+app.get("/api/practices/tags", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    res.json(await listPracticeTags(req.team.id));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch tags" });
+  }
+});
+
+// MERGE tags { tags: [...], into } — every practice tagged with one of `tags` gets `into` instead
+app.post("/api/practices/tags/merge", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const { tags = [], into = "" } = req.body || {};
+    const updated = await mergePracticeTags(req.team.id, tags, into);
+    res.json({ tag: normalizeTags([into])[0], updated });
+  } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ error: e.message });
+    }
+    console.error(e);
+    res.status(500).json({ error: "Failed to merge tags" });
+  }
+});
+
+// RENAME a tag { name } — renaming onto a tag in use merges them
+app.put("/api/practices/tags/:tag", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const name = req.body?.name || "";
+    const updated = await renamePracticeTag(req.team.id, req.params.tag, name);
+    res.json({ tag: normalizeTags([name])[0], updated });
+  } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ error: e.message });
+    }
+    console.error(e);
+    res.status(500).json({ error: "Failed to rename tag" });
+  }
+});
+
+// DELETE a tag from every practice
+app.delete("/api/practices/tags/:tag", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const updated = await deletePracticeTag(req.team.id, req.params.tag);
+    res.json({ updated });
+  } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ error: e.message });
+    }
+    console.error(e);
+    res.status(500).json({ error: "Failed to delete tag" });
+  }
+});
+
 // READ one
-app.get("/api/practices/:id", async (req, res) => {
+app.get("/api/practices/:id", teamAuth, requirePermission("read:practices"), async (req, res) => {
   try {
     const doc = await PracticeModel.findById(req.params.id);
     if (!doc) return res.status(404).json({ error: "Not found" });
+    if (!inTeam(req, doc)) return res.status(403).json({ error: "Not authorized" });
     res.json(doc);
   } catch (e) {
     console.error(e);
@@ -280,13 +649,74 @@ app.get("/api/practices/:id", async (req, res) => {
   }
 });
 
+/**
+ * Store the practice as saved, with who saved it and which fields changed.
+ * The first save after history started also records the practice as it was.
+ * Saves that change nothing are not recorded.
+ * @param {Object|null} before - the practice before this save (null on create)
+ * @param {Object} after - the saved practice
+ * @param {string} userId - who saved it
+ * @param {{ restoredFrom?: number }} [options]
+ */
+async function recordPracticeRevision(before, after, userId, { restoredFrom } = {}) {
+  const snapshot = snapshotPractice(after);
+  const previous = before ? snapshotPractice(before) : null;
+  const changes = changedFields(previous, snapshot);
+  if (previous && changes.length === 0 && !restoredFrom) return null;
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const last = await PracticeRevision.findOne({ practice: after._id }).sort({ revision: -1 }).select("revision").lean();
+      let revision = (last?.revision || 0) + 1;
+      if (!last && previous) {
+        await PracticeRevision.create({
+          userId: before.userId,
+          teamId: before.teamId,
+          practice: before._id,
+          revision: revision++,
+          snapshot: previous,
+          createdAt: before.createdAt,
+        });
+      }
+      return await PracticeRevision.create({
+        userId, teamId: after.teamId, practice: after._id, revision, changes, restoredFrom, snapshot,
+      });
+    } catch (e) {
+      // Two saves numbered the same revision at once — number it again
+      if (e.code !== 11000 || attempt > 0) throw e;
+    }
+  }
+  return null;
+}
+
 // CREATE
-app.post("/api/practices", async (req, res) => {
+app.post("/api/practices", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
-    const userId = req.header("x-user-id") || process.env.DEV_USER_ID || "default-user";
-    const created = await PracticeModel.create({ ...req.body, userId });
+    const userId = req.user.userId;
+
+    // Totals and stats always come from the section text, never from the client
+    const acronyms = await getTeamConfig(req.team.id, "acronyms");
+    const computed = recomputePractice(req.body, { acronyms });
+    const mismatches = findTotalsMismatches(req.body, computed);
+    if (mismatches.length > 0 && req.query.strict === "true") {
+      return res.status(422).json({ error: "Totals do not match section text", mismatches });
+    }
+
+    const linked = await resolvePracticeRoster(req.team.id, req.body, userId);
+    const organized = {
+      tags: normalizeTags(req.body.tags || []),
+      folder: await resolvePracticeFolder(req.team.id, req.body.folder, linked?.rosterGroup),
+    };
+    // Trash and archive state only change through their own routes
+    const { deletedAt: _deletedAt, deletedBy: _deletedBy, archivedAt: _archivedAt, ...body } = req.body;
+    const created = await PracticeModel.create({ ...body, ...linked, ...organized, ...computed, userId, teamId: req.team.id });
+    await recordPracticeRevision(null, created, userId);
+    if (mismatches.length > 0) res.set("X-Totals-Corrected", String(mismatches.length));
     res.status(201).json(created);
   } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ error: e.message });
+    }
     console.error(e);
     // Handle Mongoose validation errors
     if (e.name === "ValidationError") {
@@ -298,19 +728,77 @@ app.post("/api/practices", async (req, res) => {
 });
 
 // UPDATE practice (including notes)
-app.put("/api/practices/:id", async (req, res) => {
+app.put("/api/practices/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
     const { id } = req.params;
+    // Authorship and team never change through an edit
+    const { userId: _userId, teamId: _teamId, ...body } = req.body;
+    // The body is the update itself: an operator key ("$set", ...) would get past the stripping below
+    if (Object.keys(body).some(key => key.startsWith("$"))) {
+      return res.status(400).json({ error: "Update operators are not allowed" });
+    }
+    let mismatches = [];
+
+    const existing = await PracticeModel.findById(id).lean();
+    if (!existing) {
+      return res.status(404).json({ error: "Practice not found" });
+    }
+    if (!inTeam(req, existing)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+    if (existing.deletedAt) {
+      return res.status(409).json({ error: "Restore this practice from the trash before editing it" });
+    }
+    // Trash and archive state only change through their own routes
+    delete body.deletedAt;
+    delete body.deletedBy;
+    delete body.archivedAt;
+
+    // A changed roster (name or group id) is re-linked to its roster group
+    if (body.roster !== undefined || body.rosterGroup !== undefined) {
+      Object.assign(body, await resolvePracticeRoster(req.team.id, body, req.user.userId));
+    }
+    if (body.tags !== undefined) body.tags = normalizeTags(body.tags);
+    // Folders belong to one roster: moving a practice to another roster takes it out of its folder
+    const rosterGroup = body.rosterGroup !== undefined ? body.rosterGroup : existing.rosterGroup;
+    if (body.folder !== undefined) {
+      body.folder = await resolvePracticeFolder(req.team.id, body.folder, rosterGroup);
+    } else if (existing.folder && String(rosterGroup) !== String(existing.rosterGroup)) {
+      body.folder = null;
+    }
+    let update = body;
+
+    // Section or start-time changes invalidate the stored totals — recompute them
+    if (req.body.sections !== undefined || req.body.startTime !== undefined) {
+      const computed = recomputePractice(
+        {
+          sections: req.body.sections ?? existing.sections,
+          startTime: req.body.startTime ?? existing.startTime,
+        },
+        { acronyms: await getTeamConfig(req.team.id, "acronyms") }
+      );
+      mismatches = findTotalsMismatches(req.body, computed);
+      if (mismatches.length > 0 && req.query.strict === "true") {
+        return res.status(422).json({ error: "Totals do not match section text", mismatches });
+      }
+      update = { ...body, ...computed };
+    }
+
     const updated = await PracticeModel.findByIdAndUpdate(
       id,
-      req.body,
+      { $set: update },
       { new: true, runValidators: true }
     );
     if (!updated) {
       return res.status(404).json({ error: "Practice not found" });
     }
+    await recordPracticeRevision(existing, updated, req.user.userId);
+    if (mismatches.length > 0) res.set("X-Totals-Corrected", String(mismatches.length));
     res.json(updated);
   } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ error: e.message });
+    }
     console.error(e);
     // Handle Mongoose validation errors
     if (e.name === "ValidationError") {
@@ -321,8 +809,36 @@ app.put("/api/practices/:id", async (req, res) => {
   }
 });
 
+// RECOMPUTE stored totals/stats for every practice (admin) — fixes practices
+// saved before the server measured section text itself
+app.post("/api/practices/recompute", authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const acronymsByTeam = new Map();
+    let scanned = 0;
+    let corrected = 0;
+
+    for await (const doc of PracticeModel.find().lean().cursor()) {
+      scanned++;
+      // Each practice is measured with its own team's acronyms
+      const teamKey = String(doc.teamId || "");
+      if (!acronymsByTeam.has(teamKey)) {
+        acronymsByTeam.set(teamKey, doc.teamId ? await getTeamConfig(doc.teamId, "acronyms") : defaultTeamConfig("acronyms"));
+      }
+      const computed = recomputePractice(doc, { acronyms: acronymsByTeam.get(teamKey) });
+      if (findTotalsMismatches(doc, computed).length > 0) corrected++;
+      // Always rewrite so stats.byGroup and clock times are filled in too
+      await PracticeModel.updateOne({ _id: doc._id }, computed, { runValidators: true });
+    }
+
+    res.json({ scanned, corrected });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to recompute practices" });
+  }
+});
+
 // TOGGLE favorite for a practice
-app.put("/api/practices/:id/favorite", async (req, res) => {
+app.put("/api/practices/:id/favorite", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
     const { id } = req.params;
     const practice = await PracticeModel.findById(id);
@@ -330,6 +846,9 @@ app.put("/api/practices/:id/favorite", async (req, res) => {
     if (!practice) {
       return res.status(404).json({ error: "Practice not found" });
     }
+    if (!inTeam(req, practice)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
 
     // Toggle favorite status
     practice.isFavorite = !practice.isFavorite;
@@ -342,121 +861,462 @@ app.put("/api/practices/:id/favorite", async (req, res) => {
   }
 });
 
-// EXPORT DOCX
-app.post("/api/export/docx", async (req, res) => {
+// ========== TRASH & ARCHIVE ==========
+
+// ARCHIVE (or unarchive) every practice of a season. Body: { season, archived = true }
+app.post("/api/practices/archive", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
-    const { buffer, filename } = await exportPracticeToDocx(req.body);
-    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.send(buffer);
+    const { season, archived = true } = req.body;
+    if (!season) {
+      return res.status(400).json({ error: "Season is required" });
+    }
+
+    const filter = { teamId: req.team.id, deletedAt: null, ...(await seasonPracticeFilter(req.team.id, season)) };
+    filter.archivedAt = archived ? null : { $ne: null };
+    const { modifiedCount } = await PracticeModel.updateMany(
+      filter,
+      archived ? { $set: { archivedAt: new Date() } } : { $unset: { archivedAt: "" } }
+    );
+    res.json({ season, archived: Boolean(archived), updated: modifiedCount });
   } catch (e) {
-    console.error("Export failed:", e);
-    res.status(500).json({ error: "Export failed", detail: String(e?.message || e) });
+    console.error(e);
+    res.status(500).json({ error: "Failed to archive practices" });
   }
 });
 
-// UPDATE USER PROFILE
-app.put("/api/users/:userId", async (req, res) => {
+// ARCHIVE (or unarchive) one practice. Body: { archived }
+app.post("/api/practices/:id/archive", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { exportDirectory } = req.body;
-
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { exportDirectory },
-      { new: true }
-    );
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    const practice = await PracticeModel.findById(req.params.id);
+    if (!practice) return res.status(404).json({ error: "Practice not found" });
+    if (!inTeam(req, practice)) return res.status(403).json({ error: "Not authorized" });
+    if (practice.deletedAt) {
+      return res.status(409).json({ error: "Restore this practice from the trash before archiving it" });
     }
 
-    // Return updated user data
-    const userResponse = {
-      _id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      username: user.username,
-      swimTeam: user.swimTeam,
-      exportDirectory: user.exportDirectory,
-      subscription: user.subscription,
-      isAdmin: user.isAdmin,
-      permissions: user.permissions,
-    };
-
-    res.json(userResponse);
-  } catch (error) {
-    console.error("Error updating user:", error);
-    res.status(500).json({ error: "Failed to update user", detail: String(error?.message || error) });
+    practice.archivedAt = req.body.archived === false ? undefined : new Date();
+    await practice.save();
+    res.json(practice);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to archive practice" });
   }
 });
 
-// CONFIG
-app.get("/api/config", (req, res) => res.json(getConfig() || {}));
-app.put("/api/config", async (req, res) => {
+// EMPTY the team's trash now
+app.delete("/api/practices/trash", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
-    const updated = await saveConfig(req.body || {});
-    res.json(updated);
+    const purged = await purgePractices({ teamId: req.team.id, deletedAt: { $ne: null } });
+    res.json({ purged });
   } catch (e) {
     console.error(e);
-    res.status(400).json({ error: "Failed to save config", detail: String(e?.message || e) });
+    res.status(500).json({ error: "Failed to empty trash" });
   }
 });
 
-// SEASONS CONFIG
-app.get("/api/seasons", (req, res) => res.json(getSeasonsConfig() || { seasons: [] }));
-app.put("/api/seasons", async (req, res) => {
+// DELETE — moves the practice to the trash; ?permanent=true purges one
+// that is already there
+app.delete("/api/practices/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
-    const updated = await saveSeasonsConfig(req.body || { seasons: [] });
-    res.json(updated);
+    const practice = await PracticeModel.findById(req.params.id);
+    if (!practice) return res.status(404).json({ error: "Practice not found" });
+    if (!inTeam(req, practice)) return res.status(403).json({ error: "Not authorized" });
+
+    if (req.query.permanent === "true") {
+      if (!practice.deletedAt) {
+        return res.status(409).json({ error: "Move the practice to the trash before deleting it permanently" });
+      }
+      await purgePractices({ _id: practice._id });
+      return res.json({ message: "Practice permanently deleted" });
+    }
+
+    if (!practice.deletedAt) {
+      practice.deletedAt = new Date();
+      practice.deletedBy = req.user.userId;
+      await practice.save();
+    }
+    res.json({ message: "Practice moved to trash", purgeAt: purgeDate(practice.deletedAt) });
   } catch (e) {
     console.error(e);
-    res.status(400).json({ error: "Failed to save seasons config", detail: String(e?.message || e) });
+    res.status(500).json({ error: "Failed to delete practice" });
   }
 });
 
-// ACRONYMS CONFIG
-app.get("/api/acronyms", (req, res) => res.json(getAcronymsConfig() || { strokes: {}, styles: {} }));
-app.put("/api/acronyms", async (req, res) => {
+// RESTORE a practice from the trash
+app.post("/api/practices/:id/restore", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
-    const updated = await saveAcronymsConfig(req.body || { strokes: {}, styles: {} });
-    res.json(updated);
+    const practice = await PracticeModel.findById(req.params.id);
+    if (!practice) return res.status(404).json({ error: "Practice not found" });
+    if (!inTeam(req, practice)) return res.status(403).json({ error: "Not authorized" });
+
+    practice.deletedAt = undefined;
+    practice.deletedBy = undefined;
+    await practice.save();
+    res.json(practice);
   } catch (e) {
     console.error(e);
-    res.status(400).json({ error: "Failed to save acronyms config", detail: String(e?.message || e) });
+    res.status(500).json({ error: "Failed to restore practice" });
   }
 });
 
-// FEEDBACK
-app.post("/api/feedback", async (req, res) => {
-  try {
-    const userId = req.header("x-user-id") || process.env.DEV_USER_ID || "anonymous";
-    const { message, page } = req.body;
+// ========== REVISIONS ==========
 
-    if (!message) {
-      return res.status(400).json({ error: "Feedback message is required" });
-    }
+const revisionAuthor = (user) => (user ? [user.firstName, user.lastName].filter(Boolean).join(" ") || user.username : "Unknown coach");
 
-    const feedback = await Feedback.create({
-      userId,
-      message,
-      page: page || "unknown",
-    });
+// GET /api/practices/:id/revisions — save history, newest first (snapshots included for diffing)
+app.get("/api/practices/:id/revisions", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const practice = await PracticeModel.findById(req.params.id).select("teamId").lean();
+    if (!practice) return res.status(404).json({ error: "Practice not found" });
+    if (!inTeam(req, practice)) return res.status(403).json({ error: "Not authorized" });
 
-    res.status(201).json(feedback);
+    const revisions = await PracticeRevision.find({ practice: practice._id }).sort({ revision: -1 }).lean();
+    const authorIds = [...new Set(revisions.map((r) => r.userId))].filter((uid) => /^[0-9a-f]{24}$/i.test(uid));
+    const authors = await User.find({ _id: { $in: authorIds } }).select("firstName lastName username").lean();
+    const byId = new Map(authors.map((u) => [String(u._id), u]));
+
+    res.json(revisions.map((r) => ({ ...r, author: revisionAuthor(byId.get(r.userId)) })));
   } catch (e) {
     console.error(e);
-    if (e.name === "ValidationError") {
-      const errors = Object.values(e.errors).map(err => err.message);
-      return res.status(400).json({ error: "Validation failed", details: errors });
-    }
-    res.status(500).json({ error: "Failed to save feedback" });
+    res.status(500).json({ error: "Failed to fetch revisions" });
   }
 });
 
-// GET all feedback with optional filtering (admin only)
-app.get("/api/feedback", authMiddleware, requireAdmin, async (req, res) => {
+// POST /api/practices/:id/revisions/:revision/restore — put the practice back
+// the way it was at that revision (recorded as a new revision)
+app.post("/api/practices/:id/revisions/:revision/restore", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const existing = await PracticeModel.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: "Practice not found" });
+    if (!inTeam(req, existing)) return res.status(403).json({ error: "Not authorized" });
+
+    if (existing.deletedAt) {
+      return res.status(409).json({ error: "Restore this practice from the trash before editing it" });
+    }
+
+    const revision = Number(req.params.revision);
+    const target = Number.isInteger(revision)
+      ? await PracticeRevision.findOne({ practice: existing._id, revision }).lean()
+      : null;
+    if (!target) return res.status(404).json({ error: "Revision not found" });
+
+    const { rosterGroup, roster, ...fields } = target.snapshot;
+    const linked = await resolvePracticeRoster(req.team.id, { rosterGroup, roster }, req.user.userId);
+    const computed = recomputePractice(
+      { sections: fields.sections, startTime: fields.startTime },
+      { acronyms: await getTeamConfig(req.team.id, "acronyms") }
+    );
+    const $set = { ...fields, ...linked, ...computed };
+    const $unset = Object.fromEntries(REVISION_FIELDS.filter((f) => !(f in $set)).map((f) => [f, ""]));
+
+    const updated = await PracticeModel.findByIdAndUpdate(
+      existing._id,
+      { $set, ...(Object.keys($unset).length ? { $unset } : {}) },
+      { new: true, runValidators: true }
+    );
+    await recordPracticeRevision(existing, updated, req.user.userId, { restoredFrom: target.revision });
+    res.json(updated);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to restore revision" });
+  }
+});
+
+// ========== ATTENDANCE ==========
+
+/**
+ * A practice's attendance sheet: active swimmers of the practice's roster
+ * group, plus anyone already marked (e.g. since moved groups or guests from
+ * another group).
+ */
+async function attendanceSheet(practice, teamId) {
+  const found = practice.rosterGroup
+    ? await RosterGroup.findOne({ _id: practice.rosterGroup, teamId })
+    : await findRosterGroupByName(teamId, practice.roster);
+  const group = found && { _id: found._id, name: found.name, color: found.color };
+  const records = await Attendance.find({ practice: practice._id }).lean();
+  const statusBySwimmer = new Map(records.map((r) => [String(r.swimmer), r.status]));
+
+  const swimmers = await Swimmer.find({
+    teamId,
+    $or: [
+      ...(group ? [{ group: group._id, active: true }] : []),
+      { _id: { $in: records.map((r) => r.swimmer) } },
+    ],
+  })
+    .select("firstName lastName group active")
+    .sort({ lastName: 1, firstName: 1 })
+    .lean();
+
+  return {
+    practice: { _id: practice._id, title: practice.title, date: practice.date, roster: practice.roster },
+    group,
+    swimmers: swimmers.map((s) => ({ ...s, status: statusBySwimmer.get(String(s._id)) || null })),
+  };
+}
+
+// GET /api/practices/:id/attendance — swimmers in the practice's roster group with their status
+app.get("/api/practices/:id/attendance", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
+  try {
+    const practice = await PracticeModel.findById(req.params.id).select("teamId title date roster rosterGroup").lean();
+    if (!practice) return res.status(404).json({ error: "Practice not found" });
+    if (!inTeam(req, practice)) return res.status(403).json({ error: "Not authorized" });
+
+    res.json(await attendanceSheet(practice, req.team.id));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch attendance" });
+  }
+});
+
+// PUT /api/practices/:id/attendance — mark swimmers.
+// Body: { records: [{ swimmer, status }] }; a null status clears the mark.
+app.put("/api/practices/:id/attendance", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const practice = await PracticeModel.findById(req.params.id).select("teamId title date roster rosterGroup").lean();
+    if (!practice) return res.status(404).json({ error: "Practice not found" });
+    if (!inTeam(req, practice)) return res.status(403).json({ error: "Not authorized" });
+
+    const { records } = req.body;
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ error: "records must be a non-empty array" });
+    }
+    const invalid = records.filter((r) => !r?.swimmer || (r.status != null && !ATTENDANCE_STATUSES.includes(r.status)));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Each record needs a swimmer and a status of: ${ATTENDANCE_STATUSES.join(", ")}` });
+    }
+
+    const swimmerIds = [...new Set(records.map((r) => String(r.swimmer)))];
+    const owned = await Swimmer.countDocuments({ _id: { $in: swimmerIds }, teamId: req.team.id });
+    if (owned !== swimmerIds.length) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    await Attendance.bulkWrite(records.map(({ swimmer, status }) => (
+      status == null
+        ? { deleteOne: { filter: { practice: practice._id, swimmer } } }
+        : {
+            updateOne: {
+              filter: { practice: practice._id, swimmer },
+              update: { $set: { status, userId: req.user.userId, teamId: req.team.id } },
+              upsert: true,
+            },
+          }
+    )));
+
+    res.json(await attendanceSheet(practice, req.team.id));
+  } catch (e) {
+    console.error(e);
+    if (e.name === "CastError") {
+      return res.status(400).json({ error: "Invalid swimmer id" });
+    }
+    res.status(500).json({ error: "Failed to save attendance" });
+  }
+});
+
+// EXPORT DOCX
+app.post("/api/export/docx", authMiddleware, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const { buffer, filename } = await exportPracticeToDocx(req.body);
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (e) {
+    console.error("Export failed:", e);
+    res.status(500).json({ error: "Export failed", detail: String(e?.message || e) });
+  }
+});
+
+// UPDATE USER PROFILE (your own, or anyone's with manage:users)
+app.put("/api/users/:userId", authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { exportDirectory } = req.body;
+
+    if (userId !== String(req.user.userId)) {
+      const access = await currentAccess(req);
+      if (!hasPermission(access, "manage:users")) {
+        return res.status(403).json({ error: "Not authorized" });
+      }
+      // Only admins can change an admin's account
+      const target = await User.findById(userId).select("isAdmin permissions");
+      if (target && hasPermission(target, "admin") && !hasPermission(access, "admin")) {
+        return res.status(403).json({ error: "Not authorized" });
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { exportDirectory },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Return updated user data
+    const userResponse = {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      username: user.username,
+      swimTeam: user.swimTeam,
+      exportDirectory: user.exportDirectory,
+      subscription: user.subscription,
+      isAdmin: user.isAdmin,
+      permissions: user.permissions,
+    };
+
+    res.json(userResponse);
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({ error: "Failed to update user", detail: String(error?.message || error) });
+  }
+});
+
+// ========== USER PERMISSIONS (manage:users) ==========
+
+const USER_ADMIN_FIELDS = "firstName lastName email username isAdmin permissions isActive lastLogin createdAt";
+
+// LIST users with their permissions
+app.get("/api/users", authMiddleware, requirePermission("manage:users"), async (req, res) => {
+  try {
+    const users = await User.find().select(USER_ADMIN_FIELDS).sort({ lastName: 1, firstName: 1 }).lean();
+    res.json({ users, permissions: PERMISSIONS });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// GRANT/REVOKE permissions, the admin flag or the account itself.
+// Body: { permissions?: string[], isAdmin?: boolean, isActive?: boolean }
+// Only admins can change an admin's account or hand out admin and
+// user-management rights, and nobody can lock themselves out.
+app.put("/api/users/:userId/permissions", authMiddleware, requirePermission("manage:users"), async (req, res) => {
+  try {
+    const { permissions, isAdmin, isActive } = req.body;
+    const callerIsAdmin = hasPermission(await currentAccess(req), "admin");
+    const self = req.params.userId === String(req.user.userId);
+
+    const user = await User.findById(req.params.userId).select(USER_ADMIN_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!callerIsAdmin && hasPermission(user, "admin")) {
+      return res.status(403).json({ error: "Only admins can change an admin's access" });
+    }
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions) || permissions.some(p => !PERMISSIONS.includes(p))) {
+        return res.status(400).json({ error: `permissions must be a list of: ${PERMISSIONS.join(", ")}` });
+      }
+      const adminOnly = ["admin", "manage:users"].filter(p => permissions.includes(p) !== user.permissions.includes(p));
+      if (adminOnly.length && !callerIsAdmin) {
+        return res.status(403).json({ error: `Only admins can change the ${adminOnly.join(" and ")} permission` });
+      }
+      user.permissions = [...new Set(permissions)];
+    }
+    if (isAdmin !== undefined && Boolean(isAdmin) !== user.isAdmin) {
+      if (!callerIsAdmin) {
+        return res.status(403).json({ error: "Only admins can change admin access" });
+      }
+      user.isAdmin = Boolean(isAdmin);
+    }
+    if (isActive !== undefined) user.isActive = Boolean(isActive);
+
+    if (self && !(user.isActive && hasPermission({ isAdmin: user.isAdmin, permissions: user.permissions }, "manage:users"))) {
+      return res.status(400).json({ error: "You cannot remove your own access to user management" });
+    }
+
+    await user.save();
+    res.json(user);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to update permissions" });
+  }
+});
+
+// CONFIG — roster, seasons and acronyms are kept per team; a team that has
+// never saved one reads the defaults in server/config/*.json. The roster
+// config is stored by roster group id and sent as names (server/rosterGroups.js).
+const CONFIG_ROUTES = [
+  {
+    path: "/api/config",
+    label: "config",
+    load: (teamId) => getRosterConfig(teamId),
+    save: (teamId, data, userId) => saveRosterConfig(teamId, data, userId),
+  },
+  { path: "/api/seasons", kind: "seasons", label: "seasons config" },
+  { path: "/api/acronyms", kind: "acronyms", label: "acronyms config" },
+];
+
+CONFIG_ROUTES.forEach(({
+  path: route,
+  kind,
+  label,
+  load = (teamId) => getTeamConfig(teamId, kind),
+  save = (teamId, data, userId) => saveTeamConfig(teamId, kind, data, userId),
+}) => {
+  // Rosters, seasons and acronyms are read wherever practices are (builder, calendar, library)
+  app.get(route, teamAuth, requirePermission("read:practices"), async (req, res) => {
+    try {
+      res.json(await load(req.team.id));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: `Failed to load ${label}` });
+    }
+  });
+
+  app.put(route, teamWrite, requirePermission("write:config"), async (req, res) => {
+    try {
+      res.json(await save(req.team.id, req.body || {}, req.user.userId));
+    } catch (e) {
+      console.error(e);
+      res.status(e.status || 500).json({ error: `Failed to save ${label}`, detail: String(e?.message || e) });
+    }
+  });
+});
+
+// FEEDBACK
+app.post("/api/feedback", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { message, page } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: "Feedback message is required" });
+    }
+
+    const feedback = await Feedback.create({
+      userId,
+      message,
+      page: page || "unknown",
+    });
+
+    res.status(201).json(feedback);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to save feedback" });
+  }
+});
+
+// GET all feedback with optional filtering (manage:feedback)
+app.get("/api/feedback", authMiddleware, requirePermission("manage:feedback"), async (req, res) => {
   try {
     const { status, page = 1, limit = 20, sort = "-createdAt" } = req.query;
     const skip = (page - 1) * limit;
@@ -485,8 +1345,8 @@ app.get("/api/feedback", authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-// GET single feedback by ID (admin only)
-app.get("/api/feedback/:id", authMiddleware, requireAdmin, async (req, res) => {
+// GET single feedback by ID (manage:feedback)
+app.get("/api/feedback/:id", authMiddleware, requirePermission("manage:feedback"), async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id);
     if (!feedback) {
@@ -499,8 +1359,8 @@ app.get("/api/feedback/:id", authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-// UPDATE feedback status and notes (admin only)
-app.put("/api/feedback/:id", authMiddleware, requireAdmin, async (req, res) => {
+// UPDATE feedback status and notes (manage:feedback)
+app.put("/api/feedback/:id", authMiddleware, requirePermission("manage:feedback"), async (req, res) => {
   try {
     const { status, notes } = req.body;
     const update = { updatedAt: new Date() };
@@ -533,13 +1393,154 @@ app.put("/api/feedback/:id", authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
+// ========== SETS LIBRARY ENDPOINTS ==========
+
+const escapeRegex = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Only the fields a client may set on a library set */
+function librarySetFields(body = {}) {
+  const fields = {};
+  for (const key of ["name", "type", "text", "groups", "pool", "notes"]) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (body.tags !== undefined) fields.tags = normalizeTags(body.tags);
+  return fields;
+}
+
+// LIST sets — filters: q (name/text/tags), tag, stroke, style, type, minYardage, maxYardage
+app.get("/api/sets", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const { q = "", tag = "", stroke = "", style = "", type = "", minYardage, maxYardage } = req.query;
+    const filter = { teamId: req.team.id };
+
+    if (q.trim()) {
+      const rx = new RegExp(escapeRegex(q.trim()), "i");
+      filter.$or = [{ name: rx }, { text: rx }, { tags: rx }, { "groups.sections.text": rx }];
+    }
+    if (tag) filter.tags = String(tag).toLowerCase();
+    if (type) filter.type = type;
+    // Map keys can't contain "." or start with "$"
+    if (stroke && /^[^.$]+$/.test(stroke)) filter[`stats.strokes.${stroke}`] = { $gt: 0 };
+    if (style && /^[^.$]+$/.test(style)) filter[`stats.styles.${style}`] = { $gt: 0 };
+    if (minYardage !== undefined || maxYardage !== undefined) {
+      filter.yardage = {};
+      if (Number.isFinite(Number(minYardage)) && minYardage !== "") filter.yardage.$gte = Number(minYardage);
+      if (Number.isFinite(Number(maxYardage)) && maxYardage !== "") filter.yardage.$lte = Number(maxYardage);
+      if (!Object.keys(filter.yardage).length) delete filter.yardage;
+    }
+
+    const sets = await LibrarySet.find(filter).sort({ updatedAt: -1 }).limit(200);
+    res.json(sets);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch sets" });
+  }
+});
+
+// Every tag in use, for filter chips
+app.get("/api/sets/tags", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const tags = await LibrarySet.distinct("tags", { teamId: req.team.id });
+    res.json(tags.sort());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch tags" });
+  }
+});
+
+// READ one set
+app.get("/api/sets/:id", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const set = await LibrarySet.findById(req.params.id);
+    if (!set) return res.status(404).json({ error: "Set not found" });
+    if (!inTeam(req, set)) return res.status(403).json({ error: "Not authorized" });
+    res.json(set);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch set" });
+  }
+});
+
+// CREATE set — yardage, time and stats come from the text
+app.post("/api/sets", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const fields = librarySetFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ error: "Set name is required" });
+    }
+
+    const set = new LibrarySet({
+      ...fields,
+      ...measureLibrarySet(fields, { acronyms: await getTeamConfig(req.team.id, "acronyms") }),
+      userId: req.user.userId,
+      teamId: req.team.id,
+    });
+    await set.save();
+    res.status(201).json(set);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to create set" });
+  }
+});
+
+// UPDATE set
+app.put("/api/sets/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const set = await LibrarySet.findById(req.params.id);
+    if (!set) {
+      return res.status(404).json({ error: "Set not found" });
+    }
+
+    if (!inTeam(req, set)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    set.set(librarySetFields(req.body));
+    const current = set.toObject();
+    set.set(measureLibrarySet(current, { acronyms: await getTeamConfig(req.team.id, "acronyms") }));
+
+    await set.save();
+    res.json(set);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to update set" });
+  }
+});
+
+// DELETE set
+app.delete("/api/sets/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const set = await LibrarySet.findById(req.params.id);
+    if (!set) {
+      return res.status(404).json({ error: "Set not found" });
+    }
+
+    if (!inTeam(req, set)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    await LibrarySet.deleteOne({ _id: req.params.id });
+    res.json({ message: "Set deleted successfully" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to delete set" });
+  }
+});
+
 // ========== ROSTER GROUP ENDPOINTS ==========
 
 // GET all roster groups
-app.get("/api/roster-groups", authMiddleware, async (req, res) => {
+app.get("/api/roster-groups", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const groups = await RosterGroup.find({ userId }).sort({ displayOrder: 1, name: 1 });
+    const groups = await RosterGroup.find({ teamId: req.team.id }).sort({ displayOrder: 1, name: 1 });
     res.json(groups);
   } catch (e) {
     console.error(e);
@@ -548,21 +1549,27 @@ app.get("/api/roster-groups", authMiddleware, async (req, res) => {
 });
 
 // CREATE roster group
-app.post("/api/roster-groups", authMiddleware, async (req, res) => {
+app.post("/api/roster-groups", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
-    const { name, description, displayOrder, color } = req.body;
+    const { name, description, displayOrder, color, basePace } = req.body;
     const userId = req.user.userId;
 
     if (!name) {
       return res.status(400).json({ error: "Roster group name is required" });
     }
+    const clash = await findRosterGroupByName(req.team.id, name);
+    if (clash) {
+      return res.status(409).json({ error: `A roster group named "${clash.name}" already exists` });
+    }
 
     const group = new RosterGroup({
       userId,
+      teamId: req.team.id,
       name,
       description: description || undefined,
       displayOrder: displayOrder || 0,
       color: color || undefined,
+      basePace: basePace || undefined,
     });
 
     await group.save();
@@ -578,30 +1585,37 @@ app.post("/api/roster-groups", authMiddleware, async (req, res) => {
 });
 
 // UPDATE roster group
-app.put("/api/roster-groups/:id", authMiddleware, async (req, res) => {
+app.put("/api/roster-groups/:id", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
-    const { name, description, displayOrder, color, isActive } = req.body;
-    const userId = req.user.userId;
+    const { name, description, displayOrder, color, isActive, basePace } = req.body;
 
     const group = await RosterGroup.findById(req.params.id);
     if (!group) {
       return res.status(404).json({ error: "Roster group not found" });
     }
 
-    if (group.userId !== userId) {
+    if (!inTeam(req, group)) {
       return res.status(403).json({ error: "Not authorized" });
     }
 
-    if (name) group.name = name;
     if (description !== undefined) group.description = description;
     if (displayOrder !== undefined) group.displayOrder = displayOrder;
     if (color !== undefined) group.color = color;
     if (isActive !== undefined) group.isActive = isActive;
+    if (basePace !== undefined) group.basePace = basePace;
 
-    await group.save();
+    // Renaming carries the new name to the group's practices and training plans
+    if (name && name.trim() !== group.name) {
+      await renameRosterGroup(group, name, req.user.userId);
+    } else {
+      await group.save();
+    }
     res.json(group);
   } catch (e) {
     console.error(e);
+    if (e.status === 409) {
+      return res.status(409).json({ error: e.message });
+    }
     if (e.name === "ValidationError") {
       const errors = Object.values(e.errors).map(err => err.message);
       return res.status(400).json({ error: "Validation failed", details: errors });
@@ -611,20 +1625,27 @@ app.put("/api/roster-groups/:id", authMiddleware, async (req, res) => {
 });
 
 // DELETE roster group
-app.delete("/api/roster-groups/:id", authMiddleware, async (req, res) => {
+app.delete("/api/roster-groups/:id", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
-    const userId = req.user.userId;
-
     const group = await RosterGroup.findById(req.params.id);
     if (!group) {
       return res.status(404).json({ error: "Roster group not found" });
     }
 
-    if (group.userId !== userId) {
+    if (!inTeam(req, group)) {
       return res.status(403).json({ error: "Not authorized" });
     }
 
+    // Practices keep pointing at their group; deactivate groups that have any
+    const practices = await PracticeModel.countDocuments({ rosterGroup: group._id });
+    if (practices > 0) {
+      return res.status(409).json({
+        error: `"${group.name}" has ${practices} saved practice(s). Deactivate the group instead of deleting it.`,
+      });
+    }
+
     await RosterGroup.deleteOne({ _id: req.params.id });
+    await PracticeFolder.deleteMany({ rosterGroup: group._id });   // empty, since the group has no practices
     res.json({ message: "Roster group deleted successfully" });
   } catch (e) {
     console.error(e);
@@ -632,13 +1653,244 @@ app.delete("/api/roster-groups/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// ========== PRACTICE FOLDER ENDPOINTS ==========
+
+// LIST a roster group's folders (flat; `parent` links them into a tree)
+app.get("/api/practice-folders", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const { rosterGroup = "" } = req.query;
+    const filter = { teamId: req.team.id };
+    if (/^[0-9a-f]{24}$/i.test(rosterGroup)) filter.rosterGroup = rosterGroup;
+    const folders = await PracticeFolder.find(filter).sort({ name: 1 }).lean();
+
+    // Practice counts (outside the trash) per folder
+    const counts = await PracticeModel.aggregate([
+      { $match: { teamId: req.team.id, deletedAt: null, folder: { $in: folders.map((f) => f._id) } } },
+      { $group: { _id: "$folder", count: { $sum: 1 } } },
+    ]);
+    const byFolder = new Map(counts.map((c) => [String(c._id), c.count]));
+    res.json(folders.map((f) => ({ ...f, practiceCount: byFolder.get(String(f._id)) || 0 })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch folders" });
+  }
+});
+
+// CREATE folder { name, rosterGroup, parent? }
+app.post("/api/practice-folders", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const folder = await createPracticeFolder(req.team.id, req.body, req.user.userId);
+    res.status(201).json(folder);
+  } catch (e) {
+    if (e.status === 400 || e.status === 409) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to create folder" });
+  }
+});
+
+// RENAME or MOVE folder { name?, parent? } — parent null moves it to the top level
+app.put("/api/practice-folders/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const folder = await PracticeFolder.findById(req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" });
+    }
+    if (!inTeam(req, folder)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+    res.json(await updatePracticeFolder(folder, req.body || {}));
+  } catch (e) {
+    if (e.status === 400 || e.status === 409) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    res.status(500).json({ error: "Failed to update folder" });
+  }
+});
+
+// DELETE folder — its practices and subfolders move up to its parent
+app.delete("/api/practice-folders/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const folder = await PracticeFolder.findById(req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" });
+    }
+    if (!inTeam(req, folder)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+    const moved = await deletePracticeFolder(folder);
+    res.json({ message: "Folder deleted", moved });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to delete folder" });
+  }
+});
+
+// ========== TRAINING PLAN ENDPOINTS ==========
+
+const PLAN_PRACTICE_FIELDS = "date roster totals.yardage totals.timeSeconds stats.strokes stats.styles stats.energy";
+
+// GET training plans (optionally for one season / roster)
+app.get("/api/training-plans", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const filter = { teamId: req.team.id };
+    if (req.query.season) filter.season = req.query.season;
+    if (req.query.roster) filter.roster = req.query.roster;
+    const plans = await TrainingPlan.find(filter).sort({ season: 1, roster: 1 });
+    res.json(plans);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch training plans" });
+  }
+});
+
+// GET the planned week a date falls in, with what's already been written for it
+// (`exclude` leaves out the practice currently being edited)
+app.get("/api/training-plans/week", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const { roster = "", date = "", exclude = "" } = req.query;
+    if (!roster || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "roster and date (YYYY-MM-DD) are required" });
+    }
+
+    const plan = await TrainingPlan.findOne({
+      teamId: req.team.id,
+      roster,
+      phases: { $elemMatch: { startDate: { $lte: date }, endDate: { $gte: date } } },
+    }).lean();
+    if (!plan) return res.json({ plan: null });
+
+    const week = weekStartKey(date);
+    const practiceFilter = { teamId: req.team.id, roster, deletedAt: null, date: { $gte: week, $lte: weekEndKey(week) } };
+    if (/^[a-f0-9]{24}$/i.test(exclude)) practiceFilter._id = { $ne: exclude };
+    const practices = await PracticeModel.find(practiceFilter).select(PLAN_PRACTICE_FIELDS).lean();
+
+    const progress = planProgress(plan, practices);
+    const current = progress.weeks.find((w) => w.week === week) || null;
+    res.json({ plan: { _id: plan._id, season: plan.season, roster: plan.roster }, ...current });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load planned week" });
+  }
+});
+
+// GET planned vs. actual, week by week
+app.get("/api/training-plans/:id/progress", teamAuth, requirePermission("read:practices"), async (req, res) => {
+  try {
+    const plan = await TrainingPlan.findById(req.params.id).lean();
+    if (!plan) return res.status(404).json({ error: "Training plan not found" });
+    if (!inTeam(req, plan)) return res.status(403).json({ error: "Not authorized" });
+
+    const dates = plan.phases.flatMap((p) => [p.startDate, p.endDate]).sort();
+    const practices = dates.length
+      ? await PracticeModel.find({
+          teamId: plan.teamId,
+          roster: plan.roster,
+          deletedAt: null,
+          date: { $gte: weekStartKey(dates[0]), $lte: dates[dates.length - 1] },
+        }).select(PLAN_PRACTICE_FIELDS).lean()
+      : [];
+
+    res.json(planProgress(plan, practices));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load training plan progress" });
+  }
+});
+
+// CREATE training plan
+app.post("/api/training-plans", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const { season, roster, phases } = req.body;
+    if (!season || !roster) {
+      return res.status(400).json({ error: "Season and roster are required" });
+    }
+
+    const plan = new TrainingPlan({ userId: req.user.userId, teamId: req.team.id, season, roster, phases: phases || [] });
+    await plan.save();
+    res.status(201).json(plan);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    if (e.code === 11000) {
+      return res.status(409).json({ error: "A plan for this roster and season already exists" });
+    }
+    res.status(500).json({ error: "Failed to create training plan" });
+  }
+});
+
+// UPDATE training plan
+app.put("/api/training-plans/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const { season, roster, phases } = req.body;
+
+    const plan = await TrainingPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: "Training plan not found" });
+    }
+
+    if (!inTeam(req, plan)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    if (season) plan.season = season;
+    if (roster) plan.roster = roster;
+    if (phases !== undefined) plan.phases = phases;
+
+    await plan.save();
+    res.json(plan);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const errors = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+    if (e.code === 11000) {
+      return res.status(409).json({ error: "A plan for this roster and season already exists" });
+    }
+    res.status(500).json({ error: "Failed to update training plan" });
+  }
+});
+
+// DELETE training plan
+app.delete("/api/training-plans/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
+    const plan = await TrainingPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: "Training plan not found" });
+    }
+
+    if (!inTeam(req, plan)) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    await TrainingPlan.deleteOne({ _id: req.params.id });
+    res.json({ message: "Training plan deleted successfully" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to delete training plan" });
+  }
+});
+
 // ========== LOCATION ENDPOINTS ==========
 
 // GET all locations
-app.get("/api/locations", authMiddleware, async (req, res) => {
+app.get("/api/locations", teamAuth, requirePermission("read:practices"), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const locations = await Location.find({ userId }).sort({ name: 1 });
+    const locations = await Location.find({ teamId: req.team.id }).sort({ name: 1 });
     res.json(locations);
   } catch (e) {
     console.error(e);
@@ -647,7 +1899,7 @@ app.get("/api/locations", authMiddleware, async (req, res) => {
 });
 
 // CREATE location
-app.post("/api/locations", authMiddleware, async (req, res) => {
+app.post("/api/locations", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
     const { name, address, poolType, description } = req.body;
     const userId = req.user.userId;
@@ -658,6 +1910,7 @@ app.post("/api/locations", authMiddleware, async (req, res) => {
 
     const location = new Location({
       userId,
+      teamId: req.team.id,
       name,
       address: address || undefined,
       poolType: poolType || undefined,
@@ -677,17 +1930,16 @@ app.post("/api/locations", authMiddleware, async (req, res) => {
 });
 
 // UPDATE location
-app.put("/api/locations/:id", authMiddleware, async (req, res) => {
+app.put("/api/locations/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
   try {
     const { name, address, poolType, description, isActive } = req.body;
-    const userId = req.user.userId;
 
     const location = await Location.findById(req.params.id);
     if (!location) {
       return res.status(404).json({ error: "Location not found" });
     }
 
-    if (location.userId !== userId) {
+    if (!inTeam(req, location)) {
       return res.status(403).json({ error: "Not authorized" });
     }
 
@@ -710,16 +1962,14 @@ app.put("/api/locations/:id", authMiddleware, async (req, res) => {
 });
 
 // DELETE location
-app.delete("/api/locations/:id", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-
+app.delete("/api/locations/:id", teamWrite, requirePermission("write:practices"), async (req, res) => {
+  try {
     const location = await Location.findById(req.params.id);
     if (!location) {
       return res.status(404).json({ error: "Location not found" });
     }
 
-    if (location.userId !== userId) {
+    if (!inTeam(req, location)) {
       return res.status(403).json({ error: "Not authorized" });
     }
 
@@ -734,12 +1984,11 @@ app.delete("/api/locations/:id", authMiddleware, async (req, res) => {
 // ========== SWIMMER ENDPOINTS ==========
 
 // GET all swimmers
-app.get("/api/swimmers", authMiddleware, async (req, res) => {
+app.get("/api/swimmers", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
   try {
-    const userId = req.user.userId;
     const { group, active, search } = req.query;
 
-    const query = { userId };
+    const query = { teamId: req.team.id };
     if (group) query.group = group;
     if (active !== undefined) query.active = active === "true";
 
@@ -759,13 +2008,61 @@ app.get("/api/swimmers", authMiddleware, async (req, res) => {
   }
 });
 
+// Sets a team works with: its own plus every season of the catalog
+// standards it subscribes to.
+async function standardsSetsFilter(teamId) {
+  const subs = await StandardsSubscription.find({ teamId }).select("catalogKey").lean();
+  const keys = subs.map(s => s.catalogKey);
+  return keys.length ? { $or: [{ teamId }, { catalog: true, catalogKey: { $in: keys } }] } : { teamId };
+}
+
+// Catalog sets are readable by everyone; anything else only by its team
+const canReadStandards = (req, set) => set.catalog || inTeam(req, set);
+
+// Picks the requested standards set (or the first by name) and lists the
+// team's sets so the UI can offer a switcher.
+async function loadStandardsSet(teamId, setId) {
+  const sets = await TimeStandardsSet.find(await standardsSetsFilter(teamId)).sort({ name: 1, season: -1 }).lean();
+  const set = (setId && sets.find(s => String(s._id) === String(setId))) || sets[0] || null;
+  return {
+    set,
+    sets: sets.map(s => ({
+      _id: s._id,
+      name: s.season ? `${s.name} (${s.season})` : s.name,
+      organization: s.organization,
+    })),
+  };
+}
+
+const standardsSetInfo = (set) => set && { _id: set._id, name: set.name, standardLevels: set.standardLevels };
+
+// GET /api/swimmers/standards?set= — top standard per swimmer across the roster
+app.get("/api/swimmers/standards", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
+  try {
+    const { set, sets } = await loadStandardsSet(req.team.id, req.query.set);
+    if (!set) return res.json({ set: null, sets, swimmers: {} });
+
+    const swimmers = await Swimmer.find({ teamId: req.team.id }).select("dob gender bestTimes").lean();
+    const summary = {};
+    swimmers.forEach(swimmer => {
+      const { events } = swimmerAchievements(swimmer, set);
+      summary[swimmer._id] = summarizeAchievements(events, set.standardLevels);
+    });
+
+    res.json({ set: standardsSetInfo(set), sets, swimmers: summary });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to compute time standards" });
+  }
+});
+
 // GET single swimmer (full doc with embedded bestTimes)
-app.get("/api/swimmers/:id", authMiddleware, async (req, res) => {
+app.get("/api/swimmers/:id", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
   try {
     const swimmer = await Swimmer.findById(req.params.id).populate("group", "name color");
 
     if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
-    if (swimmer.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
 
     res.json(swimmer);
   } catch (e) {
@@ -775,7 +2072,7 @@ app.get("/api/swimmers/:id", authMiddleware, async (req, res) => {
 });
 
 // CREATE swimmer
-app.post("/api/swimmers", authMiddleware, async (req, res) => {
+app.post("/api/swimmers", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
     const { firstName, lastName, dob, gender, graduationYear, group, usaSwimmingId, contact, notes } = req.body;
 
@@ -785,6 +2082,7 @@ app.post("/api/swimmers", authMiddleware, async (req, res) => {
 
     const swimmer = new Swimmer({
       userId: req.user.userId,
+      teamId: req.team.id,
       firstName, lastName, dob, gender,
       graduationYear: graduationYear || undefined,
       group: group || undefined,
@@ -806,11 +2104,11 @@ app.post("/api/swimmers", authMiddleware, async (req, res) => {
 });
 
 // UPDATE swimmer info / contact / notes (NOT bestTimes)
-app.put("/api/swimmers/:id", authMiddleware, async (req, res) => {
+app.put("/api/swimmers/:id", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
     const swimmer = await Swimmer.findById(req.params.id);
     if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
-    if (swimmer.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
 
     const allowed = ["firstName", "lastName", "dob", "gender", "graduationYear", "group", "active", "usaSwimmingId", "contact", "notes"];
     allowed.forEach(key => {
@@ -830,11 +2128,11 @@ app.put("/api/swimmers/:id", authMiddleware, async (req, res) => {
 });
 
 // DELETE swimmer (soft delete)
-app.delete("/api/swimmers/:id", authMiddleware, async (req, res) => {
+app.delete("/api/swimmers/:id", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
     const swimmer = await Swimmer.findById(req.params.id);
     if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
-    if (swimmer.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
 
     swimmer.active = false;
     await swimmer.save();
@@ -848,11 +2146,11 @@ app.delete("/api/swimmers/:id", authMiddleware, async (req, res) => {
 // ========== EMBEDDED BEST TIME ENDPOINTS ==========
 
 // POST /api/swimmers/:id/times — add a time entry
-app.post("/api/swimmers/:id/times", authMiddleware, async (req, res) => {
+app.post("/api/swimmers/:id/times", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
     const swimmer = await Swimmer.findById(req.params.id);
     if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
-    if (swimmer.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
 
     const { event, course, time, meetName, date } = req.body;
     if (!event || !course || time == null) {
@@ -874,11 +2172,11 @@ app.post("/api/swimmers/:id/times", authMiddleware, async (req, res) => {
 });
 
 // PUT /api/swimmers/:id/times/:timeId — edit a time entry
-app.put("/api/swimmers/:id/times/:timeId", authMiddleware, async (req, res) => {
+app.put("/api/swimmers/:id/times/:timeId", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
     const swimmer = await Swimmer.findById(req.params.id);
     if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
-    if (swimmer.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
 
     const entry = swimmer.bestTimes.id(req.params.timeId);
     if (!entry) return res.status(404).json({ error: "Time entry not found" });
@@ -904,11 +2202,11 @@ app.put("/api/swimmers/:id/times/:timeId", authMiddleware, async (req, res) => {
 });
 
 // DELETE /api/swimmers/:id/times/:timeId — delete a time entry
-app.delete("/api/swimmers/:id/times/:timeId", authMiddleware, async (req, res) => {
+app.delete("/api/swimmers/:id/times/:timeId", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
   try {
     const swimmer = await Swimmer.findById(req.params.id);
     if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
-    if (swimmer.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
 
     const entry = swimmer.bestTimes.id(req.params.timeId);
     if (!entry) return res.status(404).json({ error: "Time entry not found" });
@@ -924,9 +2222,435 @@ app.delete("/api/swimmers/:id/times/:timeId", authMiddleware, async (req, res) =
   }
 });
 
+// GET /api/swimmers/:id/results — meet results for one swimmer, newest first
+app.get("/api/swimmers/:id/results", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
+  try {
+    const swimmer = await Swimmer.findById(req.params.id).select("teamId");
+    if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
+
+    const results = await MeetResult.find({ swimmer: swimmer._id })
+      .populate("meet", "name startDate endDate course location")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.json(results);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch meet results" });
+  }
+});
+
+// GET /api/swimmers/:id/attendance — attendance percentage and yards swum per season
+app.get("/api/swimmers/:id/attendance", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
+  try {
+    const swimmer = await Swimmer.findById(req.params.id).select("teamId");
+    if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
+
+    const records = await Attendance.find({ swimmer: swimmer._id })
+      .populate({ path: "practice", select: "title date roster season totals.yardage", match: { deletedAt: null } })
+      .lean();
+    const { seasons = [] } = await getTeamConfig(req.team.id, "seasons");
+
+    const recent = records
+      .filter((r) => r.practice)
+      .sort((a, b) => b.practice.date.localeCompare(a.practice.date))
+      .slice(0, 20)
+      .map((r) => ({ status: r.status, practice: r.practice }));
+
+    res.json({ seasons: summarizeAttendance(records, seasons), recent });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch attendance" });
+  }
+});
+
+// GET /api/swimmers/:id/standards?set= — achieved level, next cut and gap per event/course
+app.get("/api/swimmers/:id/standards", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
+  try {
+    const swimmer = await Swimmer.findById(req.params.id).select("teamId dob gender bestTimes").lean();
+    if (!swimmer) return res.status(404).json({ error: "Swimmer not found" });
+    if (!inTeam(req, swimmer)) return res.status(403).json({ error: "Not authorized" });
+
+    const { set, sets } = await loadStandardsSet(req.team.id, req.query.set);
+    if (!set) return res.json({ set: null, sets, gender: null, age: null, events: [] });
+
+    const { gender, age, events } = swimmerAchievements(swimmer, set);
+    res.json({
+      set: standardsSetInfo(set),
+      sets,
+      gender,
+      age,
+      events,
+      summary: summarizeAchievements(events, set.standardLevels),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to compute time standards" });
+  }
+});
+
+// ========== MEET ENDPOINTS ==========
+
+const MEET_FIELDS = ["name", "startDate", "endDate", "course", "location", "host", "sessions", "events", "notes"];
+const RESULT_FIELDS = ["event", "course", "round", "session", "heat", "lane", "time", "seedTime", "place", "splits", "dq", "dqReason", "date"];
+
+function pickFields(body, fields) {
+  const out = {};
+  fields.forEach(key => {
+    if (key in body) out[key] = body[key] === "" ? undefined : body[key];
+  });
+  return out;
+}
+
+/** Default a result's course and date from its meet (session date wins over start date) */
+function applyMeetDefaults(result, meet) {
+  if (!result.course) result.course = meet.course;
+  if (!result.date) {
+    const session = result.session ? meet.sessions.find(s => s.number === result.session) : null;
+    result.date = session?.date || meet.startDate;
+  }
+}
+
+/** Re-mirror every result of a meet into its swimmers' best times */
+async function resyncMeetResults(meet, results) {
+  const swimmerIds = [...new Set(results.map(r => String(r.swimmer)))];
+  const swimmers = await Swimmer.find({ _id: { $in: swimmerIds } });
+  const byId = new Map(swimmers.map(s => [String(s._id), s]));
+
+  results.forEach(result => {
+    const swimmer = byId.get(String(result.swimmer));
+    if (swimmer) syncResultBestTime(swimmer, result, meet);
+  });
+
+  await Promise.all(swimmers.map(s => s.save()));
+  await Promise.all(results.map(r => r.save()));
+}
+
+/**
+ * Check result payloads for a meet and build unsaved MeetResult documents.
+ * Returns { status, error, details? } instead when the payload is rejected.
+ */
+async function buildMeetResults(meet, payload, { userId, teamId }) {
+  const swimmerIds = [...new Set(payload.map(r => String(r.swimmer || "")))];
+  if (swimmerIds.some(id => !/^[a-f0-9]{24}$/i.test(id))) {
+    return { status: 400, error: "Every result needs a valid swimmer id" };
+  }
+  const owned = await Swimmer.countDocuments({ _id: { $in: swimmerIds }, teamId });
+  if (owned !== swimmerIds.length) {
+    return { status: 404, error: "Swimmer not found" };
+  }
+
+  const results = payload.map(body => {
+    const result = new MeetResult({
+      ...pickFields(body, RESULT_FIELDS),
+      userId,
+      teamId,
+      meet: meet._id,
+      swimmer: body.swimmer,
+    });
+    applyMeetDefaults(result, meet);
+    return result;
+  });
+
+  const invalid = results.map(r => r.validateSync()).filter(Boolean);
+  if (invalid.length > 0) {
+    return {
+      status: 400,
+      error: "Validation failed",
+      details: invalid.flatMap(err => Object.values(err.errors).map(e => e.message)),
+    };
+  }
+  return { results };
+}
+
+async function findOwnedMeet(req, res) {
+  const meet = await Meet.findById(req.params.id);
+  if (!meet) {
+    res.status(404).json({ error: "Meet not found" });
+    return null;
+  }
+  if (!inTeam(req, meet)) {
+    res.status(403).json({ error: "Not authorized" });
+    return null;
+  }
+  return meet;
+}
+
+// GET all meets for the current team, newest first
+app.get("/api/meets", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
+  try {
+    const meets = await Meet.find({ teamId: req.team.id }).sort({ startDate: -1 });
+    const counts = await MeetResult.aggregate([
+      { $match: { meet: { $in: meets.map(m => m._id) } } },
+      { $group: { _id: "$meet", count: { $sum: 1 } } },
+    ]);
+    const countById = Object.fromEntries(counts.map(c => [String(c._id), c.count]));
+
+    res.json(meets.map(m => ({ ...m.toObject(), resultCount: countById[String(m._id)] || 0 })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch meets" });
+  }
+});
+
+// POST /api/meets/import/preview — match imported athletes to the roster
+// Body: { meet: { name, startDate }, athletes: [{ key, firstName, lastName, usaSwimmingId?, memberId?, dob? }],
+//         results: [{ key, event, course, time }] }
+app.post("/api/meets/import/preview", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const { meet = {}, athletes = [], results = [] } = req.body;
+    if (!Array.isArray(athletes) || athletes.length === 0) {
+      return res.status(400).json({ error: "No athletes to match" });
+    }
+
+    const swimmers = await Swimmer.find({ teamId: req.team.id })
+      .select("firstName lastName dob usaSwimmingId active bestTimes.event bestTimes.course bestTimes.time")
+      .lean();
+    const byId = new Map(swimmers.map(s => [String(s._id), s]));
+
+    const matches = athletes.map(a => ({ key: a.key, ...matchAthlete(a, swimmers) }));
+    const matchByKey = new Map(matches.map(m => [m.key, m]));
+
+    // Swims already typed in by hand (same event, course and time)
+    const duplicates = [];
+    results.forEach((r, i) => {
+      const swimmer = byId.get(matchByKey.get(r.key)?.swimmerId);
+      if (swimmer && hasSameTime(swimmer, { ...r, course: r.course || meet.course })) duplicates.push(i);
+    });
+
+    let existingMeet = null;
+    if (meet.name && meet.startDate) {
+      const day = new Date(`${String(meet.startDate).slice(0, 10)}T00:00:00Z`);
+      if (!Number.isNaN(day.getTime())) {
+        existingMeet = await Meet.findOne({
+          teamId: req.team.id,
+          name: new RegExp(`^${escapeRegex(meet.name.trim())}$`, "i"),
+          startDate: { $gte: day, $lt: new Date(day.getTime() + 86400000) },
+        }).select("name startDate course");
+      }
+    }
+
+    res.json({ athletes: matches, duplicates, existingMeet });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to preview import" });
+  }
+});
+
+// POST /api/meets/import — write confirmed results into a new or existing meet
+// Body: { meetId?, meet?, results: [{ swimmer, event, course?, time, dq, round, ... }] }
+// Results already recorded for the same swimmer, event and round are skipped.
+app.post("/api/meets/import", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const { meetId, results: payload = [] } = req.body;
+    if (!Array.isArray(payload) || payload.length === 0) {
+      return res.status(400).json({ error: "No results to import" });
+    }
+
+    let meet;
+    if (meetId) {
+      meet = await Meet.findById(meetId);
+      if (!meet) return res.status(404).json({ error: "Meet not found" });
+      if (!inTeam(req, meet)) return res.status(403).json({ error: "Not authorized" });
+    } else {
+      meet = new Meet({ ...pickFields(req.body.meet || {}, MEET_FIELDS), userId: req.user.userId, teamId: req.team.id });
+      await meet.validate();
+    }
+
+    const { results, status, error, details } = await buildMeetResults(meet, payload, { userId: req.user.userId, teamId: req.team.id });
+    if (error) return res.status(status).json({ error, details });
+
+    const existing = meetId
+      ? await MeetResult.find({ meet: meet._id }).select("swimmer event round").lean()
+      : [];
+    const seen = new Set(existing.map(r => `${r.swimmer}|${r.event}|${r.round}`));
+    const fresh = results.filter(r => {
+      const key = `${r.swimmer}|${r.event}|${r.round}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (meet.isNew) await meet.save();
+    await resyncMeetResults(meet, fresh);
+
+    res.status(201).json({
+      meet,
+      created: fresh.length,
+      skipped: results.length - fresh.length,
+      bestTimes: fresh.filter(r => r.bestTimeId).length,
+    });
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      return res.status(400).json({ error: "Validation failed", details: Object.values(e.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: "Failed to import results" });
+  }
+});
+
+// GET a meet with its results
+app.get("/api/meets/:id", teamAuth, requirePermission("read:swimmers"), async (req, res) => {
+  try {
+    const meet = await findOwnedMeet(req, res);
+    if (!meet) return;
+
+    const results = await MeetResult.find({ meet: meet._id })
+      .populate("swimmer", "firstName lastName gender dob group")
+      .sort({ session: 1, event: 1, place: 1, time: 1 });
+
+    res.json({ ...meet.toObject(), results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch meet" });
+  }
+});
+
+// CREATE a meet
+app.post("/api/meets", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const meet = new Meet({ ...pickFields(req.body, MEET_FIELDS), userId: req.user.userId, teamId: req.team.id });
+    await meet.save();
+    res.status(201).json({ ...meet.toObject(), resultCount: 0 });
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      return res.status(400).json({ error: "Validation failed", details: Object.values(e.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: "Failed to create meet" });
+  }
+});
+
+// UPDATE a meet — renaming or moving it updates the mirrored best times
+app.put("/api/meets/:id", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const meet = await findOwnedMeet(req, res);
+    if (!meet) return;
+
+    const previousCourse = meet.course;
+    meet.set(pickFields(req.body, MEET_FIELDS));
+    const resync = meet.isModified("name") || meet.isModified("startDate") || meet.isModified("course");
+    await meet.save();
+
+    if (resync) {
+      const results = await MeetResult.find({ meet: meet._id });
+      results.forEach(r => {
+        if (r.course === previousCourse) r.course = meet.course;
+      });
+      await resyncMeetResults(meet, results);
+    }
+
+    res.json(meet);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      return res.status(400).json({ error: "Validation failed", details: Object.values(e.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: "Failed to update meet" });
+  }
+});
+
+// DELETE a meet, its results and the best times they produced
+app.delete("/api/meets/:id", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const meet = await findOwnedMeet(req, res);
+    if (!meet) return;
+
+    const results = await MeetResult.find({ meet: meet._id }).select("swimmer bestTimeId");
+    const swimmers = await Swimmer.find({ _id: { $in: results.map(r => r.swimmer) } });
+    const byId = new Map(swimmers.map(s => [String(s._id), s]));
+    results.forEach(r => {
+      if (r.bestTimeId) byId.get(String(r.swimmer))?.bestTimes.id(r.bestTimeId)?.deleteOne();
+    });
+    swimmers.forEach(s => flagBestTimes(s));
+    await Promise.all(swimmers.map(s => s.save()));
+
+    await MeetResult.deleteMany({ meet: meet._id });
+    await Meet.deleteOne({ _id: meet._id });
+    res.json({ message: "Meet deleted successfully", deletedResults: results.length });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to delete meet" });
+  }
+});
+
+// POST /api/meets/:id/results — record one result, or many as { results: [...] }
+app.post("/api/meets/:id/results", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const meet = await findOwnedMeet(req, res);
+    if (!meet) return;
+
+    const payload = Array.isArray(req.body.results) ? req.body.results : [req.body];
+    if (payload.length === 0) return res.status(400).json({ error: "No results provided" });
+
+    const { results, status, error, details } = await buildMeetResults(meet, payload, { userId: req.user.userId, teamId: req.team.id });
+    if (error) return res.status(status).json({ error, details });
+
+    await resyncMeetResults(meet, results);
+    await MeetResult.populate(results, { path: "swimmer", select: "firstName lastName gender dob group" });
+    res.status(201).json(results);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      return res.status(400).json({ error: "Validation failed", details: Object.values(e.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: "Failed to record results" });
+  }
+});
+
+// PUT /api/meets/:id/results/:resultId — edit a result and its mirrored best time
+app.put("/api/meets/:id/results/:resultId", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const meet = await findOwnedMeet(req, res);
+    if (!meet) return;
+
+    const result = await MeetResult.findOne({ _id: req.params.resultId, meet: meet._id });
+    if (!result) return res.status(404).json({ error: "Result not found" });
+
+    result.set(pickFields(req.body, RESULT_FIELDS));
+    applyMeetDefaults(result, meet);
+    await result.validate();
+
+    await resyncMeetResults(meet, [result]);
+    await result.populate("swimmer", "firstName lastName gender dob group");
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      return res.status(400).json({ error: "Validation failed", details: Object.values(e.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: "Failed to update result" });
+  }
+});
+
+// DELETE /api/meets/:id/results/:resultId — remove a result and its mirrored best time
+app.delete("/api/meets/:id/results/:resultId", teamWrite, requirePermission("write:swimmers"), async (req, res) => {
+  try {
+    const meet = await findOwnedMeet(req, res);
+    if (!meet) return;
+
+    const result = await MeetResult.findOne({ _id: req.params.resultId, meet: meet._id });
+    if (!result) return res.status(404).json({ error: "Result not found" });
+
+    const swimmer = await Swimmer.findById(result.swimmer);
+    if (swimmer && result.bestTimeId) {
+      swimmer.bestTimes.id(result.bestTimeId)?.deleteOne();
+      flagBestTimes(swimmer);
+      await swimmer.save();
+    }
+
+    await MeetResult.deleteOne({ _id: result._id });
+    res.json({ message: "Result deleted successfully" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to delete result" });
+  }
+});
+
 // ── Time Conversion ──────────────────────────────────────────────────────────
 
-app.post("/api/times/convert", async (req, res) => {
+app.post("/api/times/convert", authMiddleware, requirePermission("read:standards"), async (req, res) => {
   try {
     const { time, fromCourse, toCourse, stroke, distance } = req.body;
     if (!time || !fromCourse || !toCourse || !stroke || !distance) {
@@ -946,17 +2670,147 @@ app.post("/api/times/convert", async (req, res) => {
 
 // ── Time Standards ───────────────────────────────────────────────────────────
 
-app.get("/api/time-standards", authMiddleware, async (req, res) => {
+// Own sets plus subscribed catalog versions. Each set says whether the caller
+// may edit it: catalog versions are read-only except to admins.
+app.get("/api/time-standards", teamAuth, requirePermission("read:standards"), async (req, res) => {
   try {
-    const sets = await TimeStandardsSet.find({ userId: req.user.userId }).sort({ name: 1 });
-    res.json(sets);
+    const sets = await TimeStandardsSet.find(await standardsSetsFilter(req.team.id))
+      .sort({ name: 1, season: -1 })
+      .lean();
+    const isAdmin = hasPermission(await currentAccess(req), "admin");
+    res.json(sets.map(set => ({
+      ...set,
+      readOnly: set.catalog ? !isAdmin : req.team.role === "read_only",
+    })));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: "Failed to fetch time standards" });
   }
 });
 
-app.post("/api/time-standards", authMiddleware, async (req, res) => {
+// GET /api/time-standards/catalog — every published version (without cuts),
+// newest season first within each standard, flagged with the team's subscriptions
+app.get("/api/time-standards/catalog", teamAuth, requirePermission("read:standards"), async (req, res) => {
+  try {
+    const [sets, subs] = await Promise.all([
+      TimeStandardsSet.find({ catalog: true })
+        .select("-entries")
+        .sort({ name: 1, season: -1 })
+        .lean(),
+      StandardsSubscription.find({ teamId: req.team.id }).select("catalogKey").lean(),
+    ]);
+    const subscribed = new Set(subs.map(s => s.catalogKey));
+    res.json(sets.map(set => ({ ...set, subscribed: subscribed.has(set.catalogKey) })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to fetch standards catalog" });
+  }
+});
+
+// POST/DELETE /api/time-standards/catalog/:key/subscribe — follow a catalog standard
+app.post("/api/time-standards/catalog/:key/subscribe", teamWrite, requirePermission("write:standards"), async (req, res) => {
+  try {
+    const catalogKey = req.params.key.toLowerCase();
+    const exists = await TimeStandardsSet.exists({ catalog: true, catalogKey });
+    if (!exists) return res.status(404).json({ error: "Catalog standard not found" });
+
+    await StandardsSubscription.updateOne(
+      { teamId: req.team.id, catalogKey },
+      { $setOnInsert: { userId: req.user.userId, teamId: req.team.id, catalogKey } },
+      { upsert: true }
+    );
+    res.json({ catalogKey, subscribed: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to subscribe" });
+  }
+});
+
+app.delete("/api/time-standards/catalog/:key/subscribe", teamWrite, requirePermission("write:standards"), async (req, res) => {
+  try {
+    const catalogKey = req.params.key.toLowerCase();
+    await StandardsSubscription.deleteOne({ teamId: req.team.id, catalogKey });
+    res.json({ catalogKey, subscribed: false });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to unsubscribe" });
+  }
+});
+
+const slugify = (str) => String(str || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+
+// POST /api/time-standards/:id/publish (admin) — copy a set into the catalog
+// as one season's version. Publishing the same key + season again replaces
+// that version's cuts; other seasons are left untouched.
+app.post("/api/time-standards/:id/publish", authMiddleware, resolveTeam, requireAdmin, async (req, res) => {
+  try {
+    const source = await TimeStandardsSet.findById(req.params.id).lean();
+    if (!source) return res.status(404).json({ error: "Time standards set not found" });
+    if (source.catalog) return res.status(400).json({ error: "Set is already a catalog version" });
+    if (!inTeam(req, source)) return res.status(403).json({ error: "Not authorized" });
+
+    const season = String(req.body.season || "").trim();
+    const catalogKey = slugify(req.body.catalogKey || source.name);
+    if (!season) return res.status(400).json({ error: "season is required" });
+    if (!catalogKey) return res.status(400).json({ error: "catalogKey is required" });
+
+    let version = await TimeStandardsSet.findOne({ catalog: true, catalogKey, season });
+    if (!version) {
+      version = new TimeStandardsSet({ userId: req.user.userId, catalog: true, catalogKey, season });
+    }
+    version.set({
+      name: req.body.name || source.name,
+      organization: source.organization,
+      standardLevels: source.standardLevels,
+      events: source.events,
+      entries: source.entries,
+      sourceSet: source._id,
+      publishedAt: new Date(),
+    });
+    await version.save();
+    res.status(201).json(version);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const details = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details });
+    }
+    res.status(500).json({ error: "Failed to publish time standards set" });
+  }
+});
+
+// POST /api/time-standards/:id/clone — an editable copy of a catalog version
+// (or of one of the team's sets)
+app.post("/api/time-standards/:id/clone", teamWrite, requirePermission("write:standards"), async (req, res) => {
+  try {
+    const source = await TimeStandardsSet.findById(req.params.id).lean();
+    if (!source) return res.status(404).json({ error: "Time standards set not found" });
+    if (!canReadStandards(req, source)) return res.status(403).json({ error: "Not authorized" });
+
+    const set = new TimeStandardsSet({
+      userId: req.user.userId,
+      teamId: req.team.id,
+      name: req.body.name || (source.season ? `${source.name} (${source.season})` : `${source.name} (copy)`),
+      organization: source.organization,
+      standardLevels: source.standardLevels,
+      events: source.events,
+      entries: source.entries,
+      season: source.season,
+      sourceSet: source._id,
+    });
+    await set.save();
+    res.status(201).json(set);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError") {
+      const details = Object.values(e.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation failed", details });
+    }
+    res.status(500).json({ error: "Failed to clone time standards set" });
+  }
+});
+
+app.post("/api/time-standards", teamWrite, requirePermission("write:standards"), async (req, res) => {
   try {
     const { name, organization, standardLevels, events, entries } = req.body;
     if (!name) {
@@ -964,6 +2818,7 @@ app.post("/api/time-standards", authMiddleware, async (req, res) => {
     }
     const set = new TimeStandardsSet({
       userId: req.user.userId,
+      teamId: req.team.id,
       name,
       organization: organization || "",
       standardLevels: standardLevels || ["AAAA", "AAA", "AA", "A", "BB", "B"],
@@ -982,11 +2837,76 @@ app.post("/api/time-standards", authMiddleware, async (req, res) => {
   }
 });
 
-app.put("/api/time-standards/:id", authMiddleware, async (req, res) => {
+// GET /api/time-standards/:id/qualifiers — swimmers/events that meet one level for a meet
+// ?level=A&course=SCY&from=YYYY-MM-DD&to=YYYY-MM-DD&group=<id>&ageDate=YYYY-MM-DD&convert=true
+app.get("/api/time-standards/:id/qualifiers", teamAuth, requirePermission("read:standards"), async (req, res) => {
+  try {
+    const set = await TimeStandardsSet.findById(req.params.id).lean();
+    if (!set) return res.status(404).json({ error: "Time standards set not found" });
+    if (!canReadStandards(req, set)) return res.status(403).json({ error: "Not authorized" });
+
+    const { level, course, from, to, group, ageDate, convert } = req.query;
+    if (!set.standardLevels.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${set.standardLevels.join(", ")}` });
+    }
+    if (!["SCY", "SCM", "LCM"].includes(course)) {
+      return res.status(400).json({ error: "course must be SCY, SCM or LCM" });
+    }
+    const day = (value, endOfDay) => {
+      if (!value) return undefined;
+      const d = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`);
+      return Number.isNaN(d.getTime()) ? null : d;
+    };
+    const dates = { from: day(from), to: day(to, true), ageDate: day(ageDate) };
+    if (Object.values(dates).includes(null)) {
+      return res.status(400).json({ error: "Dates must be YYYY-MM-DD" });
+    }
+
+    const query = { teamId: req.team.id, active: { $ne: false } };
+    if (group) query.group = group;
+    const swimmers = await Swimmer.find(query)
+      .populate("group", "name color")
+      .sort({ lastName: 1, firstName: 1 })
+      .lean();
+
+    const options = { level, course, ...dates, allowConversions: convert === "true" };
+    const rows = [];
+    swimmers.forEach(swimmer => {
+      qualifyingSwims(swimmer, set, options).forEach(swim => {
+        rows.push({
+          swimmerId: swimmer._id,
+          firstName: swimmer.firstName,
+          lastName: swimmer.lastName,
+          gender: swimmer.gender,
+          group: swimmer.group?.name || "",
+          ...swim,
+        });
+      });
+    });
+
+    res.json({
+      set: { _id: set._id, name: set.name, organization: set.organization, season: set.season },
+      level,
+      course,
+      from: from || null,
+      to: to || null,
+      allowConversions: options.allowConversions,
+      swimmerCount: new Set(rows.map(r => String(r.swimmerId))).size,
+      rows,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to build qualification report" });
+  }
+});
+
+app.put("/api/time-standards/:id", teamWrite, requirePermission("write:standards"), async (req, res) => {
   try {
     const set = await TimeStandardsSet.findById(req.params.id);
     if (!set) return res.status(404).json({ error: "Time standards set not found" });
-    if (set.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (set.catalog ? !hasPermission(await currentAccess(req), "admin") : !inTeam(req, set)) {
+      return res.status(403).json({ error: set.catalog ? "Catalog standards are read-only" : "Not authorized" });
+    }
 
     const { name, organization, standardLevels, events, entries } = req.body;
     if (name !== undefined) set.name = name;
@@ -1007,11 +2927,13 @@ app.put("/api/time-standards/:id", authMiddleware, async (req, res) => {
   }
 });
 
-app.delete("/api/time-standards/:id", authMiddleware, async (req, res) => {
+app.delete("/api/time-standards/:id", teamWrite, requirePermission("write:standards"), async (req, res) => {
   try {
     const set = await TimeStandardsSet.findById(req.params.id);
     if (!set) return res.status(404).json({ error: "Time standards set not found" });
-    if (set.userId !== req.user.userId) return res.status(403).json({ error: "Not authorized" });
+    if (set.catalog ? !hasPermission(await currentAccess(req), "admin") : !inTeam(req, set)) {
+      return res.status(403).json({ error: set.catalog ? "Catalog standards are read-only" : "Not authorized" });
+    }
     await TimeStandardsSet.deleteOne({ _id: req.params.id });
     res.json({ message: "Deleted successfully" });
   } catch (e) {
@@ -64,6 +64,11 @@ const GroupSchema = new mongoose.Schema(
       maxlength: [100, "Group name must be less than 100 characters"],
     },
     sections: [GroupSectionSchema],
+    // Base pace (seconds per 100) the group's "@ base+5" intervals were resolved with
+    basePacePer100: {
+      type: Number,
+      min: [0, "Base pace cannot be negative"],
+    },
     totalYardage: {
       type: Number,
       default: 0,
@@ -151,6 +156,7 @@ const PracticeSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "User ID must be less than 100 characters"],
     },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
     date: {
       type: String,
       required: true,
@@ -168,6 +174,9 @@ const PracticeSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Roster name must be less than 100 characters"],
     },
+    // The roster group this practice is for; `roster` keeps its current name
+    // and follows renames (see server/rosterGroups.js)
+    rosterGroup: { type: mongoose.Schema.Types.ObjectId, ref: "RosterGroup" },
     season: {
       type: String,
       trim: true,
@@ -237,6 +246,24 @@ const PracticeSchema = new mongoose.Schema(
         of: Number,
         default: {},
       },
+      // Yardage per energy system (only sets whose descriptors name one)
+      energy: {
+        type: Map,
+        of: Number,
+        default: {},
+      },
+      // Stroke and style with the most yardage, for library filters
+      dominantStroke: { type: String, default: "" },
+      dominantStyle: { type: String, default: "" },
+      // For practices with group splits (shared sections + that group's sets)
+      byGroup: {
+        type: Map,
+        of: new mongoose.Schema({
+          strokes: { type: Map, of: Number },
+          styles: { type: Map, of: Number },
+          energy: { type: Map, of: Number },
+        }, { _id: false }),
+      },
     },
     notes: {
       type: String,
@@ -247,6 +274,15 @@ const PracticeSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Coach-defined labels ("threshold", "meet week"), lowercased (server/practiceTags.js)
+    tags: [{ type: String, trim: true, lowercase: true, maxlength: [50, "Tags must be less than 50 characters"] }],
+    // Library folder, one of the roster group's PracticeFolders (server/practiceFolders.js)
+    folder: { type: mongoose.Schema.Types.ObjectId, ref: "PracticeFolder", default: null },
+    // Archived practices (e.g. a past season) are hidden from the library by
+    // default; deleted ones sit in the trash until purged (server/practiceTrash.js)
+    archivedAt: { type: Date },
+    deletedAt: { type: Date },
+    deletedBy: { type: String, trim: true },
 
     createdAt: { type: Date, default: Date.now },
   },
@@ -258,11 +294,177 @@ const PracticeSchema = new mongoose.Schema(
 // but don't duplicate both in different files.
 
 PracticeSchema.index({ date: 1, roster: 1 });  // for library filtering/sorting
+PracticeSchema.index({ rosterGroup: 1, date: -1 });
+PracticeSchema.index({ teamId: 1, deletedAt: 1, archivedAt: 1, date: -1 });
+PracticeSchema.index({ teamId: 1, "totals.yardage": -1 });
+PracticeSchema.index({ teamId: 1, tags: 1 });
+PracticeSchema.index({ teamId: 1, folder: 1, date: -1 });
+// Library search: whole words, no stemming or stop words, so set notation
+// like "10x100" and short stroke codes ("IM", "FR") match as typed
+PracticeSchema.index(
+  { title: "text", "sections.title": "text", "sections.text": "text", "sections.groups.sections.text": "text", notes: "text" },
+  { name: "practice_search", default_language: "none", weights: { title: 10, "sections.title": 3 } }
+);
 // userId already has inline index: true above
 
 // Export as a named export `Practice`
 export const Practice = mongoose.model("Practice", PracticeSchema);
 
+/**
+ * PracticeFolder schema - a library folder for one roster group's practices.
+ * Folders nest through `parent` (null for a top-level folder).
+ */
+const PracticeFolderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, "User ID must be less than 100 characters"],
+    },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    rosterGroup: { type: mongoose.Schema.Types.ObjectId, ref: "RosterGroup", required: [true, "Roster group is required"] },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "PracticeFolder", default: null },
+    name: {
+      type: String,
+      required: [true, "Folder name is required"],
+      trim: true,
+      maxlength: [100, "Folder name must be less than 100 characters"],
+    },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+PracticeFolderSchema.index({ teamId: 1, rosterGroup: 1, parent: 1 });
+
+export const PracticeFolder = mongoose.model("PracticeFolder", PracticeFolderSchema);
+
+/**
+ * PracticeRevision schema - the practice as it was after one save, with who
+ * saved it and which fields that save changed. Revision 1 is the practice as
+ * created (or as found when history started).
+ */
+const PracticeRevisionSchema = new mongoose.Schema(
+  {
+    userId:   { type: String, required: true, trim: true },   // who saved it
+    teamId:   { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    practice: { type: mongoose.Schema.Types.ObjectId, ref: "Practice", required: true },
+    revision: { type: Number, required: true, min: 1 },
+    changes:  [{ type: String, trim: true }],   // changed fields, e.g. ["sections", "notes"]
+    restoredFrom: { type: Number, min: 1 },     // set when the save restored an older revision
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  { timestamps: true, versionKey: false, minimize: false }
+);
+
+PracticeRevisionSchema.index({ practice: 1, revision: -1 }, { unique: true });
+
+export const PracticeRevision = mongoose.model("PracticeRevision", PracticeRevisionSchema);
+
+/**
+ * LibrarySet schema - a builder section (swim or group-split) saved for reuse.
+ * yardage/timeSeconds/stats are computed from the text on save, like practices.
+ */
+const LibrarySetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, "User ID must be less than 100 characters"],
+    },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    name: {
+      type: String,
+      required: [true, "Set name is required"],
+      trim: true,
+      maxlength: [200, "Set name must be less than 200 characters"],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ["swim", "group-split"],
+        message: "{VALUE} is not a valid set type (swim or group-split)"
+      },
+      default: "swim",
+    },
+    // swim sets
+    text: {
+      type: String,
+      default: "",
+      maxlength: [10000, "Set text must be less than 10000 characters"],
+    },
+    // group-split sets
+    groups: [GroupSchema],
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: [50, "Tags must be less than 50 characters"] }],
+      default: [],
+    },
+    pool: {
+      type: String,
+      enum: {
+        values: ["SCY", "SCM", "LCM", ""],
+        message: "{VALUE} is not a valid pool type (SCY, SCM, or LCM)"
+      },
+      default: "",
+      uppercase: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes must be less than 1000 characters"],
+    },
+    yardage: { type: Number, default: 0, min: 0 },
+    timeSeconds: { type: Number, default: 0, min: 0 },
+    stats: {
+      strokes: { type: Map, of: Number, default: {} },
+      styles: { type: Map, of: Number, default: {} },
+      energy: { type: Map, of: Number, default: {} },
+    },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+LibrarySetSchema.index({ teamId: 1, updatedAt: -1 });
+LibrarySetSchema.index({ teamId: 1, tags: 1 });
+
+LibrarySetSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export const LibrarySet = mongoose.model("LibrarySet", LibrarySetSchema);
+
+/**
+ * Permissions a user can be granted. "admin" (or User.isAdmin) implies all of them.
+ */
+export const PERMISSIONS = [
+  "read:practices",
+  "write:practices",
+  "read:swimmers",
+  "write:swimmers",
+  "read:standards",
+  "write:standards",
+  "write:config",
+  "manage:feedback",
+  "manage:users",
+  "admin",
+];
+
+/** What a newly registered coach can do */
+export const DEFAULT_PERMISSIONS = [
+  "read:practices",
+  "write:practices",
+  "read:swimmers",
+  "write:swimmers",
+  "read:standards",
+  "write:standards",
+  "write:config",
+];
+
 /**
  * User schema for authentication and account management
  */
@@ -345,9 +547,11 @@ const UserSchema = new mongoose.Schema(
     },
     permissions: {
       type: [String],
-      default: ["read:practices", "write:practices"],
-      // Example permissions: "admin", "read:practices", "write:practices", "manage:users"
+      default: () => [...DEFAULT_PERMISSIONS],
     },
+    // When the default permissions were granted (at sign-up, or by
+    // migrate:permissions for older accounts); later revocations stick
+    permissionsGrantedAt: Date,
     billingInfo: {
       creditCard: {
         lastFour: String,
@@ -412,6 +616,68 @@ UserSchema.pre("save", function (next) {
 
 export const User = mongoose.model("User", UserSchema);
 
+/**
+ * Team schema - coaches sharing one roster, practices and standards.
+ * Every team-scoped document carries a teamId; userId stays as its author.
+ */
+export const TEAM_ROLES = ["head_coach", "assistant", "read_only"];
+
+const TeamMemberSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, trim: true, maxlength: 100 },
+    role: { type: String, enum: TEAM_ROLES, default: "assistant" },
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const TeamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Team name is required"],
+      trim: true,
+      maxlength: [200, "Team name must be less than 200 characters"],
+    },
+    abbreviation: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [10, "Team abbreviation must be less than 10 characters"],
+    },
+    createdBy: { type: String, required: true, trim: true, maxlength: 100 },
+    members: { type: [TeamMemberSchema], default: [] },
+    // Set on the team created automatically for a coach with none (one per user)
+    personalFor: { type: String, trim: true, maxlength: 100 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+TeamSchema.index({ "members.userId": 1 });
+TeamSchema.index({ personalFor: 1 }, { unique: true, partialFilterExpression: { personalFor: { $type: "string" } } });
+
+export const Team = mongoose.model("Team", TeamSchema);
+
+/**
+ * A team's copy of one JSON configuration (roster, seasons or acronyms).
+ * Teams without one read the defaults in server/config/*.json.
+ */
+export const CONFIG_KINDS = ["roster", "seasons", "acronyms"];
+
+const TeamConfigSchema = new mongoose.Schema(
+  {
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", required: true },
+    kind: { type: String, enum: CONFIG_KINDS, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    updatedBy: { type: String, trim: true, maxlength: 100 },
+  },
+  { timestamps: true, versionKey: false, minimize: false }
+);
+
+TeamConfigSchema.index({ teamId: 1, kind: 1 }, { unique: true });
+
+export const TeamConfig = mongoose.model("TeamConfig", TeamConfigSchema);
+
 /**
  * Feedback schema for user testing feedback
  */
@@ -466,6 +732,7 @@ const RosterGroupSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "User ID must be less than 100 characters"],
     },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
     name: {
       type: String,
       required: [true, "Roster group name is required"],
@@ -486,6 +753,12 @@ const RosterGroupSchema = new mongoose.Schema(
       trim: true,
       maxlength: [7, "Color must be a valid hex code"],
     },
+    // Base pace per 100 (seconds) per course, used to resolve "@ base+5" / "@ T30 pace"
+    basePace: {
+      SCY: { type: Number, min: [0, "Base pace cannot be negative"], max: [600, "Base pace must be under 10:00 per 100"] },
+      SCM: { type: Number, min: [0, "Base pace cannot be negative"], max: [600, "Base pace must be under 10:00 per 100"] },
+      LCM: { type: Number, min: [0, "Base pace cannot be negative"], max: [600, "Base pace must be under 10:00 per 100"] },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -499,6 +772,96 @@ RosterGroupSchema.index({ userId: 1 });
 
 export const RosterGroup = mongoose.model("RosterGroup", RosterGroupSchema);
 
+/**
+ * TrainingPlan schema - a roster's season broken into phases (macro/meso cycles)
+ * with target weekly yardage and stroke / energy-system mix (percent of yardage)
+ */
+export const PHASE_TYPES = ["base", "build", "peak", "taper", "meet", "recovery"];
+
+const dateKeyValidator = {
+  validator: (v) => !v || /^\d{4}-\d{2}-\d{2}$/.test(v),
+  message: props => `${props.value} is not a valid date format (YYYY-MM-DD)!`
+};
+
+const PhaseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Phase name is required"],
+      trim: true,
+      maxlength: [100, "Phase name must be less than 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: PHASE_TYPES,
+        message: `{VALUE} is not a valid phase type (${PHASE_TYPES.join(", ")})`
+      },
+      default: "base",
+    },
+    startDate: { type: String, required: [true, "Phase start date is required"], validate: dateKeyValidator },
+    endDate: { type: String, required: [true, "Phase end date is required"], validate: dateKeyValidator },
+    targetWeeklyYardage: {
+      type: Number,
+      min: [0, "Target weekly yardage cannot be negative"],
+      default: 0,
+    },
+    strokeMix: { type: Map, of: { type: Number, min: 0, max: 100 }, default: {} },
+    energyMix: { type: Map, of: { type: Number, min: 0, max: 100 }, default: {} },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Phase notes must be less than 1000 characters"],
+    },
+  }
+);
+
+PhaseSchema.pre("validate", function () {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", `Phase "${this.name}" ends before it starts`);
+  }
+});
+
+const TrainingPlanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, "User ID must be less than 100 characters"],
+    },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    season: {
+      type: String,
+      required: [true, "Season is required"],
+      trim: true,
+      maxlength: [100, "Season must be less than 100 characters"],
+    },
+    roster: {
+      type: String,
+      required: [true, "Roster is required"],
+      trim: true,
+      maxlength: [100, "Roster name must be less than 100 characters"],
+    },
+    phases: {
+      type: [PhaseSchema],
+      default: [],
+    },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+TrainingPlanSchema.index({ teamId: 1, season: 1, roster: 1 }, { unique: true });
+
+TrainingPlanSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export const TrainingPlan = mongoose.model("TrainingPlan", TrainingPlanSchema);
+
 /**
  * Location schema - primary facility or pool
  */
@@ -510,6 +873,7 @@ const LocationSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "User ID must be less than 100 characters"],
     },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
     name: {
       type: String,
       required: [true, "Location name is required"],
@@ -566,6 +930,7 @@ const BestTimeSubSchema = new mongoose.Schema(
 const SwimmerSchema = new mongoose.Schema(
   {
     userId: { type: String, required: true, index: true, trim: true },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
     firstName:      { type: String, required: true, trim: true },
     lastName:       { type: String, required: true, trim: true },
     dob:            { type: Date, required: true },
@@ -586,9 +951,9 @@ const SwimmerSchema = new mongoose.Schema(
   { timestamps: true, versionKey: false }
 );
 
-SwimmerSchema.index({ userId: 1, lastName: 1, firstName: 1 });
-SwimmerSchema.index({ userId: 1, group: 1 });
-SwimmerSchema.index({ userId: 1, active: 1 });
+SwimmerSchema.index({ teamId: 1, lastName: 1, firstName: 1 });
+SwimmerSchema.index({ teamId: 1, group: 1 });
+SwimmerSchema.index({ teamId: 1, active: 1 });
 
 export const Swimmer = mongoose.model("Swimmer", SwimmerSchema);
 
@@ -612,6 +977,116 @@ const BestTimeSchema = new mongoose.Schema(
 
 export const BestTime = mongoose.model("BestTime", BestTimeSchema);
 
+/**
+ * Meet schema — a competition with its sessions and event order
+ */
+const MeetSessionSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true, min: 1 },
+    name:   { type: String, trim: true, maxlength: [100, "Session name must be less than 100 characters"] },
+    date:   { type: Date },
+  },
+  { _id: false }
+);
+
+const MeetEventSchema = new mongoose.Schema(
+  {
+    number:   { type: Number, min: 1 },
+    event:    { type: String, required: true, trim: true },   // e.g. "100 Free"
+    gender:   { type: String, enum: ["F", "M", "X"] },
+    ageGroup: { type: String, trim: true, maxlength: 50 },
+    session:  { type: Number, min: 1 },
+  },
+  { _id: true }
+);
+
+const MeetSchema = new mongoose.Schema(
+  {
+    userId:    { type: String, required: true, index: true, trim: true },
+    teamId:    { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    name:      { type: String, required: [true, "Meet name is required"], trim: true, maxlength: [200, "Meet name must be less than 200 characters"] },
+    startDate: { type: Date, required: [true, "Meet start date is required"] },
+    endDate:   { type: Date },
+    course:    { type: String, enum: ["SCY", "SCM", "LCM"], required: [true, "Meet course is required"] },
+    location:  { type: String, trim: true, maxlength: [200, "Location must be less than 200 characters"] },
+    host:      { type: String, trim: true, maxlength: [200, "Host must be less than 200 characters"] },
+    sessions:  [MeetSessionSchema],
+    events:    [MeetEventSchema],
+    notes:     { type: String, trim: true, maxlength: [2000, "Notes must be less than 2000 characters"] },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+MeetSchema.pre("validate", function (next) {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "Meet end date cannot be before its start date");
+  }
+  next();
+});
+
+MeetSchema.index({ teamId: 1, startDate: -1 });
+
+export const Meet = mongoose.model("Meet", MeetSchema);
+
+/**
+ * One swim by one swimmer at a meet. Legal swims are mirrored into
+ * Swimmer.bestTimes (isManual: false) via bestTimeId.
+ */
+const MeetResultSchema = new mongoose.Schema(
+  {
+    userId:   { type: String, required: true, index: true, trim: true },
+    teamId:   { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    meet:     { type: mongoose.Schema.Types.ObjectId, ref: "Meet", required: true },
+    swimmer:  { type: mongoose.Schema.Types.ObjectId, ref: "Swimmer", required: true },
+    event:    { type: String, required: [true, "Event is required"], trim: true },
+    course:   { type: String, enum: ["SCY", "SCM", "LCM"], required: true },
+    round:    { type: String, enum: ["timed-final", "prelim", "swim-off", "final"], default: "timed-final" },
+    session:  { type: Number, min: 1 },
+    heat:     { type: Number, min: 1 },
+    lane:     { type: Number, min: 0 },
+    time:     { type: Number, min: [0, "Time cannot be negative"] },   // raw seconds; empty for NS/DQ without a time
+    seedTime: { type: Number, min: 0 },
+    place:    { type: Number, min: 1 },
+    splits:   [{ type: Number, min: 0 }],   // cumulative seconds at each split distance
+    dq:       { type: Boolean, default: false },
+    dqReason: { type: String, trim: true, maxlength: [200, "DQ reason must be less than 200 characters"] },
+    date:     { type: Date },
+    bestTimeId: { type: mongoose.Schema.Types.ObjectId },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+MeetResultSchema.index({ meet: 1, event: 1 });
+MeetResultSchema.index({ swimmer: 1, date: -1 });
+
+export const MeetResult = mongoose.model("MeetResult", MeetResultSchema);
+
+/**
+ * Attendance schema - one swimmer's status at one saved practice.
+ * Swimmers without a record have not been marked yet.
+ */
+export const ATTENDANCE_STATUSES = ["present", "late", "excused", "absent"];
+
+const AttendanceSchema = new mongoose.Schema(
+  {
+    userId:   { type: String, required: true, trim: true },   // coach who marked it
+    teamId:   { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    practice: { type: mongoose.Schema.Types.ObjectId, ref: "Practice", required: true },
+    swimmer:  { type: mongoose.Schema.Types.ObjectId, ref: "Swimmer", required: true },
+    status:   {
+      type: String,
+      enum: { values: ATTENDANCE_STATUSES, message: "{VALUE} is not a valid attendance status" },
+      required: [true, "Attendance status is required"],
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+AttendanceSchema.index({ practice: 1, swimmer: 1 }, { unique: true });
+AttendanceSchema.index({ swimmer: 1 });
+
+export const Attendance = mongoose.model("Attendance", AttendanceSchema);
+
 /**
  * Time Standards schema – stores cut time tables (event × age group × standard level)
  */
@@ -637,6 +1112,7 @@ const TimeStandardsSetSchema = new mongoose.Schema(
       trim: true,
       maxlength: 100,
     },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
     name: {
       type: String,
       required: [true, "Name is required"],
@@ -647,13 +1123,24 @@ const TimeStandardsSetSchema = new mongoose.Schema(
     standardLevels: { type: [String], default: ["AAAA", "AAA", "AA", "A", "BB", "B"] },
     events: { type: [String], default: [] },
     entries: { type: [CutEntrySchema], default: [] },
+    // Shared catalog: admins publish one read-only copy per season. Versions of
+    // the same standard share a catalogKey so older seasons stay available.
+    catalog: { type: Boolean, default: false, index: true },
+    catalogKey: { type: String, trim: true, lowercase: true, maxlength: 100 },
+    season: { type: String, trim: true, maxlength: 20, default: "" },
+    publishedAt: { type: Date },
+    sourceSet: { type: mongoose.Schema.Types.ObjectId, ref: "TimeStandardsSet" },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
   },
   { versionKey: false }
 );
 
-TimeStandardsSetSchema.index({ userId: 1, name: 1 });
+TimeStandardsSetSchema.index({ teamId: 1, name: 1 });
+TimeStandardsSetSchema.index(
+  { catalogKey: 1, season: 1 },
+  { unique: true, partialFilterExpression: { catalog: true } }
+);
 
 TimeStandardsSetSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
@@ -661,3 +1148,20 @@ TimeStandardsSetSchema.pre("save", function (next) {
 });
 
 export const TimeStandardsSet = mongoose.model("TimeStandardsSet", TimeStandardsSetSchema);
+
+/**
+ * A team following a catalog standard: every published season of that
+ * catalogKey shows up in the team's time standards, read-only.
+ */
+const StandardsSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, index: true, trim: true, maxlength: 100 },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", index: true },
+    catalogKey: { type: String, required: true, trim: true, lowercase: true, maxlength: 100 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+StandardsSubscriptionSchema.index({ teamId: 1, catalogKey: 1 }, { unique: true });
+
+export const StandardsSubscription = mongoose.model("StandardsSubscription", StandardsSubscriptionSchema);
@@ -0,0 +1,127 @@
+// server/practiceFolders.js
+//
+// Library folders. Each folder belongs to one roster group and may sit
+// inside another folder of the same group; practices reference their
+// folder by id (`Practice.folder`). Deleting a folder never deletes
+// practices: its practices and subfolders move up to its parent.
+import { PracticeFolder, Practice } from "./models.js";
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const isObjectIdString = (v) => /^[0-9a-f]{24}$/i.test(String(v || ""));
+
+function folderError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * A team folder by id, or a 400 error when it does not exist
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function teamFolder(teamId, id) {
+  const folder = isObjectIdString(id) ? await PracticeFolder.findOne({ _id: id, teamId }) : null;
+  if (!folder) throw folderError(400, "Folder not found");
+  return folder;
+}
+
+/**
+ * Throw a 409 when a sibling folder already has this name (case-insensitive)
+ */
+async function assertNameFree({ teamId, rosterGroup, parent }, name, exceptId = null) {
+  const clash = await PracticeFolder.findOne({
+    teamId,
+    rosterGroup,
+    parent: parent || null,
+    name: new RegExp(`^${escapeRegex(String(name).trim())}$`, "i"),
+    ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+  }).select("name");
+  if (clash) throw folderError(409, `A folder named "${clash.name}" is already here`);
+}
+
+/**
+ * The parent folder for a new or moved folder, checked to be in the same
+ * roster group (null for top level)
+ */
+async function resolveParent(teamId, rosterGroup, parentId) {
+  if (!parentId) return null;
+  const parent = await teamFolder(teamId, parentId);
+  if (String(parent.rosterGroup) !== String(rosterGroup)) {
+    throw folderError(400, "A folder can only sit inside a folder of the same roster");
+  }
+  return parent;
+}
+
+/**
+ * Create a folder
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {{ name: string, rosterGroup: string, parent?: string }} body
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+export async function createPracticeFolder(teamId, { name, rosterGroup, parent } = {}, userId) {
+  if (!isObjectIdString(rosterGroup)) throw folderError(400, "rosterGroup is required");
+  const parentFolder = await resolveParent(teamId, rosterGroup, parent);
+  await assertNameFree({ teamId, rosterGroup, parent: parentFolder?._id }, name || "");
+  return PracticeFolder.create({ userId, teamId, rosterGroup, parent: parentFolder?._id || null, name });
+}
+
+/**
+ * Rename a folder and/or move it under another parent of the same roster
+ * group (null or "" for top level). A folder cannot move into itself or
+ * one of its own subfolders.
+ * @param {object} folder - PracticeFolder document
+ * @param {{ name?: string, parent?: string|null }} updates
+ * @returns {Promise<object>} - the saved folder
+ */
+export async function updatePracticeFolder(folder, { name, parent } = {}) {
+  let parentId = folder.parent;
+  if (parent !== undefined) {
+    const parentFolder = await resolveParent(folder.teamId, folder.rosterGroup, parent);
+    // Walk up from the new parent: meeting this folder means a cycle
+    for (let f = parentFolder; f; f = f.parent ? await PracticeFolder.findById(f.parent) : null) {
+      if (String(f._id) === String(folder._id)) {
+        throw folderError(400, "A folder cannot move into itself or one of its subfolders");
+      }
+    }
+    parentId = parentFolder?._id || null;
+  }
+  const newName = name !== undefined ? name : folder.name;
+  await assertNameFree({ teamId: folder.teamId, rosterGroup: folder.rosterGroup, parent: parentId }, newName, folder._id);
+
+  folder.name = newName;
+  folder.parent = parentId;
+  return folder.save();
+}
+
+/**
+ * Delete a folder; its practices and subfolders move up to its parent
+ * @param {object} folder - PracticeFolder document
+ * @returns {Promise<{ practices: number, folders: number }>} - how many moved
+ */
+export async function deletePracticeFolder(folder) {
+  const parent = folder.parent || null;
+  const practices = await Practice.updateMany({ folder: folder._id }, { $set: { folder: parent } });
+  const folders = await PracticeFolder.updateMany({ parent: folder._id }, { $set: { parent } });
+  await folder.deleteOne();
+  return { practices: practices.modifiedCount, folders: folders.modifiedCount };
+}
+
+/**
+ * The folder id to store on a practice: the requested folder, checked to
+ * belong to the practice's roster group, or null for "no folder"
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {string|null} folderId
+ * @param {import("mongoose").Types.ObjectId|string} rosterGroup - the practice's roster group
+ * @returns {Promise<import("mongoose").Types.ObjectId|null>}
+ */
+export async function resolvePracticeFolder(teamId, folderId, rosterGroup) {
+  if (!folderId) return null;
+  const folder = await teamFolder(teamId, folderId);
+  if (String(folder.rosterGroup) !== String(rosterGroup || "")) {
+    throw folderError(400, "That folder belongs to another roster");
+  }
+  return folder._id;
+}
@@ -0,0 +1,97 @@
+// server/practiceTags.js
+//
+// Practice tags are free-form labels stored lowercased on each practice
+// (`Practice.tags`). There is no tag collection: a tag exists while some
+// practice of the team carries it, so renaming, merging and deleting a tag
+// rewrite the team's practices — trashed and archived ones included, so a
+// restored practice comes back with current tags.
+import mongoose from "mongoose";
+import { Practice } from "./models.js";
+
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Trimmed, lowercased, de-duplicated tags
+ * @param {string[]|string} tags - Array, or a comma-separated string
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(",");
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase().slice(0, MAX_TAG_LENGTH)).filter(Boolean))];
+}
+
+function badTag(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Every tag in use on the team's practices (not counting the trash)
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @returns {Promise<Array>} - [{ tag, count }] sorted by tag
+ */
+export async function listPracticeTags(teamId) {
+  const rows = await Practice.aggregate([
+    // aggregate() does not cast, unlike find()
+    { $match: { teamId: new mongoose.Types.ObjectId(String(teamId)), deletedAt: null, tags: { $exists: true, $ne: [] } } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  return rows.map((r) => ({ tag: r._id, count: r.count }));
+}
+
+/**
+ * Rename a tag on every practice that has it. Renaming to a tag that is
+ * already in use merges the two.
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<number>} - practices updated
+ */
+export async function renamePracticeTag(teamId, from, to) {
+  const [oldTag] = normalizeTags([from]);
+  const [newTag] = normalizeTags([to]);
+  if (!oldTag || !newTag) throw badTag("Tag names cannot be empty");
+  if (oldTag === newTag) return 0;
+
+  // Add the new tag before pulling the old one, so no practice is left without either
+  await Practice.updateMany({ teamId, tags: oldTag }, { $addToSet: { tags: newTag } });
+  const { modifiedCount } = await Practice.updateMany({ teamId, tags: oldTag }, { $pull: { tags: oldTag } });
+  return modifiedCount;
+}
+
+/**
+ * Fold several tags into one
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {string[]} tags - Tags to merge away
+ * @param {string} into - Tag they become
+ * @returns {Promise<number>} - practices updated
+ */
+export async function mergePracticeTags(teamId, tags, into) {
+  const [target] = normalizeTags([into]);
+  if (!target) throw badTag("Choose a tag to merge into");
+  const sources = normalizeTags(tags).filter((t) => t !== target);
+  if (!sources.length) throw badTag("Choose at least one other tag to merge");
+
+  await Practice.updateMany({ teamId, tags: { $in: sources } }, { $addToSet: { tags: target } });
+  const { modifiedCount } = await Practice.updateMany(
+    { teamId, tags: { $in: sources } },
+    { $pull: { tags: { $in: sources } } }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Remove a tag from every practice
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {string} tag
+ * @returns {Promise<number>} - practices updated
+ */
+export async function deletePracticeTag(teamId, tag) {
+  const [name] = normalizeTags([tag]);
+  if (!name) throw badTag("Tag names cannot be empty");
+  const { modifiedCount } = await Practice.updateMany({ teamId, tags: name }, { $pull: { tags: name } });
+  return modifiedCount;
+}
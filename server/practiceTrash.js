@@ -0,0 +1,56 @@
+// server/practiceTrash.js
+//
+// Deleting a practice moves it to the team's trash (deletedAt). Trashed
+// practices can be restored until they are older than the retention period,
+// then they are purged for good together with their revisions and attendance.
+import { Practice, PracticeRevision, Attendance } from "./models.js";
+
+/** Days a practice stays in the trash (PRACTICE_TRASH_DAYS, default 30) */
+export const TRASH_RETENTION_DAYS = Math.max(1, parseInt(process.env.PRACTICE_TRASH_DAYS, 10) || 30);
+
+const DAY_MS = 86400000;
+
+/** Library filters for each view: active (default), archived and trash */
+export const PRACTICE_STATUS_FILTERS = {
+  active: { deletedAt: null, archivedAt: null },
+  archived: { deletedAt: null, archivedAt: { $ne: null } },
+  trash: { deletedAt: { $ne: null } },
+};
+
+/**
+ * When a trashed practice will be purged
+ * @param {Date|string} deletedAt
+ * @returns {Date}
+ */
+export const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Permanently remove practices and everything recorded against them
+ * @param {Object} filter - Practice filter
+ * @returns {Promise<number>} - practices removed
+ */
+export async function purgePractices(filter) {
+  const ids = await Practice.distinct("_id", filter);
+  if (ids.length === 0) return 0;
+  await PracticeRevision.deleteMany({ practice: { $in: ids } });
+  await Attendance.deleteMany({ practice: { $in: ids } });
+  const { deletedCount } = await Practice.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+}
+
+/** Purge every practice that has been in the trash longer than the retention period */
+export function purgeExpiredTrash() {
+  return purgePractices({ deletedAt: { $lt: new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS) } });
+}
+
+/**
+ * Purge expired trash now and once a day while the server runs
+ */
+export function scheduleTrashPurge() {
+  const run = () =>
+    purgeExpiredTrash()
+      .then((n) => { if (n > 0) console.log(`🗑️  Purged ${n} practice(s) from the trash`); })
+      .catch((e) => console.error("Trash purge failed:", e));
+  run();
+  setInterval(run, DAY_MS).unref();
+}
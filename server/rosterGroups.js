@@ -0,0 +1,181 @@
+// server/rosterGroups.js
+//
+// Rosters are RosterGroup documents. Practices reference their group by id
+// (keeping the group's current name in `roster`), and a team's roster config
+// stores group ids for `rosters`, `defaultRoster`, `warmups` and
+// `practiceSchedule`. The config API still speaks roster names, plus a
+// `rosterGroups` list mapping each name to its id, so renames done anywhere
+// follow the group. Season schedules stay keyed by roster name and are
+// rewritten on rename.
+import { RosterGroup, Practice, TrainingPlan } from "./models.js";
+import { getTeamConfig, saveTeamConfig } from "./teamConfig.js";
+import { validateConfig } from "./config.js";
+import { renameScheduleRoster } from "./utils/seasonSchedule.js";
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const isObjectIdString = (v) => /^[0-9a-f]{24}$/i.test(String(v || ""));
+
+/**
+ * A team's roster group with this name (case-insensitive), if any
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+export function findRosterGroupByName(teamId, name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return Promise.resolve(null);
+  return RosterGroup.findOne({ teamId, name: new RegExp(`^${escapeRegex(trimmed)}$`, "i") });
+}
+
+/**
+ * The team's roster group with this name, created if the team has none
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {string} name
+ * @param {string} userId - author of a newly created group
+ * @param {number} [displayOrder]
+ * @returns {Promise<object>}
+ */
+export async function findOrCreateRosterGroup(teamId, name, userId, displayOrder = 0) {
+  const existing = await findRosterGroupByName(teamId, name);
+  if (existing) return existing;
+  return RosterGroup.create({ userId, teamId, name: String(name).trim(), displayOrder });
+}
+
+/**
+ * The `{ rosterGroup, roster }` pair to store on a practice, from a group id
+ * or a roster name sent by the client. Unknown names become new groups.
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {{ rosterGroup?: string, roster?: string }} body
+ * @param {string} userId
+ * @returns {Promise<{ rosterGroup, roster }|null>} - null when neither was sent
+ */
+export async function resolvePracticeRoster(teamId, { rosterGroup, roster } = {}, userId) {
+  if (isObjectIdString(rosterGroup)) {
+    const group = await RosterGroup.findOne({ _id: rosterGroup, teamId }).select("name");
+    if (group) return { rosterGroup: group._id, roster: group.name };
+  }
+  if (!roster || !String(roster).trim()) return null;
+  const group = await findOrCreateRosterGroup(teamId, roster, userId);
+  return { rosterGroup: group._id, roster: group.name };
+}
+
+/**
+ * Rename a roster group and carry the new name to everything that stores it:
+ * practices of the group, the team's training plans and the season
+ * schedules. The roster config holds ids, so it follows on its own.
+ * @param {object} group - RosterGroup document (not yet saved with the new name)
+ * @param {string} newName
+ * @param {string} [userId] - who renamed it (recorded on the seasons config)
+ * @returns {Promise<object>} - the saved group
+ */
+export async function renameRosterGroup(group, newName, userId) {
+  const oldName = group.name;
+  const name = String(newName).trim();
+  if (!name || name === oldName) return group;
+
+  const clash = await findRosterGroupByName(group.teamId, name);
+  if (clash && String(clash._id) !== String(group._id)) {
+    const err = new Error(`A roster group named "${clash.name}" already exists`);
+    err.status = 409;
+    throw err;
+  }
+
+  group.name = name;
+  await group.save();
+  await Practice.updateMany(
+    { teamId: group.teamId, $or: [{ rosterGroup: group._id }, { rosterGroup: null, roster: oldName }] },
+    { $set: { roster: name, rosterGroup: group._id } }
+  );
+  await TrainingPlan.updateMany({ teamId: group.teamId, roster: oldName }, { $set: { roster: name } });
+
+  const seasonsConfig = await getTeamConfig(group.teamId, "seasons");
+  const seasons = renameScheduleRoster(seasonsConfig.seasons, oldName, name);
+  // Seasons without this roster come back as they were; save only on a change
+  if (Array.isArray(seasons) && seasons.some((s, i) => s !== seasonsConfig.seasons[i])) {
+    await saveTeamConfig(group.teamId, "seasons", { ...seasonsConfig, seasons }, userId);
+  }
+  return group;
+}
+
+async function teamGroups(teamId) {
+  const list = await RosterGroup.find({ teamId }).select("name color").lean();
+  return {
+    byId: new Map(list.map((g) => [String(g._id), g])),
+    byName: new Map(list.map((g) => [g.name.toLowerCase(), { id: String(g._id), ...g }])),
+  };
+}
+
+/**
+ * Re-key a roster config: every roster reference (id or name) goes through
+ * `mapKey`; references it returns nothing for are dropped.
+ */
+function rekeyRosterConfig(cfg, mapKey) {
+  const rekey = (obj) => Object.fromEntries(
+    Object.entries(obj || {}).map(([k, v]) => [mapKey(k), v]).filter(([k]) => k)
+  );
+  const rosters = [...new Set((cfg.rosters || []).map(mapKey).filter(Boolean))];
+  const defaultRoster = cfg.defaultRoster ? mapKey(cfg.defaultRoster) : "";
+  return {
+    ...cfg,
+    rosters,
+    defaultRoster: rosters.includes(defaultRoster) ? defaultRoster : "",
+    warmups: rekey(cfg.warmups),
+    practiceSchedule: rekey(cfg.practiceSchedule),
+  };
+}
+
+/**
+ * A team's roster config with roster names, as the client uses it, plus
+ * `rosterGroups: [{ _id, name, color }]` in roster order. Stored ids of
+ * deleted groups are dropped; names not yet linked to a group (defaults, or
+ * configs saved before groups were linked) are kept as they are.
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @returns {Promise<object>}
+ */
+export async function getRosterConfig(teamId) {
+  const stored = await getTeamConfig(teamId, "roster");
+  const groups = await teamGroups(teamId);
+  const toName = (ref) => {
+    if (groups.byId.has(String(ref))) return groups.byId.get(String(ref)).name;
+    return isObjectIdString(ref) ? undefined : ref;
+  };
+  const cfg = rekeyRosterConfig(stored, toName);
+  const rosterGroups = cfg.rosters
+    .map((name) => groups.byName.get(name.toLowerCase()))
+    .filter(Boolean)
+    .map(({ id, name, color }) => ({ _id: id, name, color }));
+  return { ...cfg, rosterGroups };
+}
+
+/**
+ * Save a roster config sent with roster names. A name whose `rosterGroups`
+ * entry has a different name is a rename of that group; other names link to
+ * the team's group of that name, or a new one. Stores group ids.
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {object} body - { rosters, defaultRoster, warmups, practiceSchedule, rosterGroups?, ... }
+ * @param {string} userId
+ * @returns {Promise<object>} - the saved config, as returned by getRosterConfig
+ */
+export async function saveRosterConfig(teamId, body, userId) {
+  const { rosterGroups = [], ...cfg } = body || {};
+  validateConfig(cfg);
+
+  // Renames first, so the new names resolve to the existing groups
+  const groups = await teamGroups(teamId);
+  for (const { _id, name } of rosterGroups) {
+    const current = groups.byId.get(String(_id));
+    if (current && name && cfg.rosters.includes(name) && current.name !== name) {
+      await renameRosterGroup(await RosterGroup.findById(_id), name, userId);
+    }
+  }
+
+  const ids = new Map();
+  for (const [index, name] of cfg.rosters.entries()) {
+    const group = await findOrCreateRosterGroup(teamId, name, userId, index);
+    ids.set(name, String(group._id));
+  }
+
+  const stored = rekeyRosterConfig(cfg, (name) => ids.get(name));
+  await saveTeamConfig(teamId, "roster", stored, userId);
+  return getRosterConfig(teamId);
+}
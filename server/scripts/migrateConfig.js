@@ -0,0 +1,59 @@
+// server/scripts/migrateConfig.js
+//
+// One-off migration from the shared JSON config files to per-team config.
+// Copies the current roster, seasons and acronyms files into every team that
+// has not saved its own copy yet, so later edits to the files (now only the
+// defaults for new teams) don't change existing teams. Safe to run more than once.
+// Run after migrate:teams so every coach already has a team.
+//
+// Usage: npm run migrate:config [-- --team=<teamId>] [--overwrite] [--dry-run]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { connectMongo } from "../db.js";
+import { Team, TeamConfig, CONFIG_KINDS } from "../models.js";
+import { loadConfig } from "../config.js";
+import { loadSeasonsConfig } from "../seasonsConfig.js";
+import { loadAcronymsConfig } from "../acronymsConfig.js";
+import { defaultTeamConfig } from "../teamConfig.js";
+
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".env") });
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const overwrite = args.includes("--overwrite");
+const teamArg = args.find((a) => a.startsWith("--team="))?.split("=")[1];
+
+async function main() {
+  await connectMongo();
+  await Promise.all([loadConfig(), loadSeasonsConfig(), loadAcronymsConfig()]);
+
+  const teams = await Team.find(teamArg ? { _id: teamArg } : {}).select("name").lean();
+  if (teamArg && teams.length === 0) throw new Error(`Team ${teamArg} not found`);
+
+  let written = 0;
+  for (const team of teams) {
+    for (const kind of CONFIG_KINDS) {
+      const exists = await TeamConfig.exists({ teamId: team._id, kind });
+      if (exists && !overwrite) continue;
+      written++;
+      if (!dryRun) {
+        await TeamConfig.updateOne(
+          { teamId: team._id, kind },
+          { $set: { data: defaultTeamConfig(kind), updatedBy: "migration" } },
+          { upsert: true }
+        );
+      }
+    }
+  }
+
+  console.log(`[config] ${written} config(s) ${dryRun ? "would be imported" : "imported"} into ${teams.length} team(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
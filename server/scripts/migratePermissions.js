@@ -0,0 +1,43 @@
+// server/scripts/migratePermissions.js
+//
+// One-off migration for permission-based access.
+// Accounts created before swimmers, standards and config had their own
+// permissions only hold read/write:practices; this grants them the rest of the
+// defaults (write:config included) so nobody loses access they had before.
+// Admins (isAdmin) need nothing. Safe to run more than once: each account is
+// granted the defaults once (permissionsGrantedAt, also set at sign-up), so
+// permissions revoked afterwards are not given back.
+//
+// Usage: npm run migrate:permissions [-- --dry-run]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { connectMongo } from "../db.js";
+import { User, DEFAULT_PERMISSIONS } from "../models.js";
+
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".env") });
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+async function main() {
+  await connectMongo();
+
+  const filter = { isAdmin: { $ne: true }, permissionsGrantedAt: null };
+  const count = await User.countDocuments(filter);
+  if (!dryRun && count > 0) {
+    await User.updateMany(filter, {
+      $addToSet: { permissions: { $each: DEFAULT_PERMISSIONS } },
+      $set: { permissionsGrantedAt: new Date() },
+    });
+  }
+
+  console.log(`[permissions] ${count} user(s) ${dryRun ? "would be granted" : "granted"} the default permissions`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
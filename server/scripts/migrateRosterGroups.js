@@ -0,0 +1,75 @@
+// server/scripts/migrateRosterGroups.js
+//
+// One-off migration linking roster names to RosterGroup documents. For each team:
+//   1. Every roster named in its config or on a practice gets a roster group
+//      (matched by name, case-insensitive, or created).
+//   2. Practices without a rosterGroup are linked to the group of their roster name.
+//   3. The roster config is re-saved keyed by group id (rosters, defaultRoster,
+//      warmups, practiceSchedule), so renaming a group no longer orphans it.
+// Safe to run more than once. Run after migrate:teams and migrate:config.
+//
+// Usage: npm run migrate:roster-groups [-- --team=<teamId>] [--dry-run]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { connectMongo } from "../db.js";
+import { Team, Practice } from "../models.js";
+import { loadConfig } from "../config.js";
+import { findRosterGroupByName, findOrCreateRosterGroup, getRosterConfig, saveRosterConfig } from "../rosterGroups.js";
+
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".env") });
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const teamArg = args.find((a) => a.startsWith("--team="))?.split("=")[1];
+
+async function main() {
+  await connectMongo();
+  await loadConfig();
+
+  const teams = await Team.find(teamArg ? { _id: teamArg } : {}).select("name createdBy").lean();
+  if (teamArg && teams.length === 0) throw new Error(`Team ${teamArg} not found`);
+
+  let groupsCreated = 0;
+  let practicesLinked = 0;
+
+  for (const team of teams) {
+    const config = await getRosterConfig(team._id);
+    const practiceRosters = await Practice.distinct("roster", { teamId: team._id, rosterGroup: null });
+    const names = [...new Set([...config.rosters, ...practiceRosters].map((n) => String(n).trim()).filter(Boolean))];
+
+    for (const [index, name] of names.entries()) {
+      const existing = await findRosterGroupByName(team._id, name);
+      if (!existing) groupsCreated++;
+      if (dryRun) {
+        practicesLinked += await Practice.countDocuments({ teamId: team._id, rosterGroup: null, roster: name });
+        continue;
+      }
+      const group = existing || (await findOrCreateRosterGroup(team._id, name, team.createdBy, index));
+      const { modifiedCount } = await Practice.updateMany(
+        { teamId: team._id, rosterGroup: null, roster: name },
+        { $set: { rosterGroup: group._id, roster: group.name } }
+      );
+      practicesLinked += modifiedCount;
+    }
+
+    if (!dryRun) {
+      // Reading gives names; saving stores them as group ids
+      await saveRosterConfig(team._id, config, "migration");
+    }
+    console.log(`[roster-groups] ${team.name}: ${names.length} roster(s)`);
+  }
+
+  console.log(
+    `[roster-groups] ${groupsCreated} group(s) ${dryRun ? "would be created" : "created"}, ` +
+    `${practicesLinked} practice(s) ${dryRun ? "would be linked" : "linked"} across ${teams.length} team(s)`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
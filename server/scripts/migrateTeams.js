@@ -0,0 +1,79 @@
+// server/scripts/migrateTeams.js
+//
+// One-off migration to team tenancy. Safe to run more than once.
+//   1. Every user without a team gets one (as head coach) holding their documents.
+//   2. Practices saved before sign-in was required (userId "default-user" or
+//      DEV_USER_ID) go to the team given by --legacy-team=<teamId>, or to the
+//      first admin's team.
+//   3. Indexes are rebuilt so the per-user unique keys become per-team.
+//
+// Usage: npm run migrate:teams [-- --legacy-team=<teamId>] [--dry-run]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { connectMongo } from "../db.js";
+import { User, Team, Practice, TrainingPlan, StandardsSubscription } from "../models.js";
+import { ensurePersonalTeam, assignToTeam, TEAM_SCOPED_MODELS } from "../tenancy.js";
+
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".env") });
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const legacyTeamArg = args.find((a) => a.startsWith("--legacy-team="))?.split("=")[1];
+const LEGACY_USER_IDS = ["default-user", "anonymous", process.env.DEV_USER_ID].filter(Boolean);
+
+async function main() {
+  await connectMongo();
+
+  const users = await User.find().select("_id isAdmin createdAt").sort({ createdAt: 1 }).lean();
+  let created = 0;
+  let moved = 0;
+
+  for (const user of users) {
+    const userId = String(user._id);
+    const team = await Team.findOne({ "members.userId": userId }).sort({ createdAt: 1 });
+    if (!team) {
+      created++;
+      if (!dryRun) await ensurePersonalTeam(userId);
+      continue;
+    }
+    // Already on a team, but documents written since may still lack a teamId
+    if (!dryRun) moved += await assignToTeam([userId], team._id);
+  }
+  console.log(`[teams] ${created} team(s) created for users without one, ${moved} document(s) assigned`);
+
+  const legacyCount = await Practice.countDocuments({ userId: { $in: LEGACY_USER_IDS }, teamId: { $exists: false } });
+  if (legacyCount > 0) {
+    let legacyTeam = legacyTeamArg ? await Team.findById(legacyTeamArg) : null;
+    if (!legacyTeam) {
+      const admin = users.find((u) => u.isAdmin);
+      legacyTeam = admin && (await Team.findOne({ "members.userId": String(admin._id) }).sort({ createdAt: 1 }));
+    }
+    if (!legacyTeam) {
+      console.warn(`[teams] ${legacyCount} legacy practice(s) left unassigned — pass --legacy-team=<teamId>`);
+    } else {
+      if (!dryRun) await assignToTeam(LEGACY_USER_IDS, legacyTeam._id);
+      console.log(`[teams] ${legacyCount} legacy practice(s) assigned to "${legacyTeam.name}"`);
+    }
+  }
+
+  for (const Model of TEAM_SCOPED_MODELS) {
+    const orphans = await Model.countDocuments({ teamId: { $exists: false }, catalog: { $ne: true } });
+    if (orphans > 0) console.warn(`[teams] ${Model.modelName}: ${orphans} document(s) still without a team`);
+  }
+
+  if (!dryRun) {
+    // Drops the old { userId, ... } unique indexes in favour of the team ones
+    await TrainingPlan.syncIndexes();
+    await StandardsSubscription.syncIndexes();
+  }
+  console.log(dryRun ? "[teams] dry run — nothing written" : "[teams] done");
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
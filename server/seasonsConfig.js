@@ -27,7 +27,7 @@ function isValidDate(str) {
     return typeof str === "string" && /^\d{4}-\d{2}-\d{2}$/.test(str);
 }
 
-function validateSeasonsConfig(cfg) {
+export function validateSeasonsConfig(cfg) {
     const errors = [];
 
     // seasons: array of season objects
@@ -0,0 +1,62 @@
+// server/teamConfig.js
+// Per-team roster, seasons and acronyms configuration stored in MongoDB.
+// The JSON files loaded by config.js, seasonsConfig.js and acronymsConfig.js
+// are the defaults a team reads until it saves its own copy.
+
+import { TeamConfig } from "./models.js";
+import { getConfig, validateConfig } from "./config.js";
+import { getSeasonsConfig, validateSeasonsConfig } from "./seasonsConfig.js";
+import { getAcronymsConfig, validateAcronymsConfig } from "./acronymsConfig.js";
+
+/** Defaults (from the JSON files) and validation for each kind of config */
+const KINDS = {
+    roster: { defaults: () => getConfig() || {}, validate: validateConfig },
+    seasons: { defaults: () => getSeasonsConfig() || { seasons: [] }, validate: validateSeasonsConfig },
+    acronyms: { defaults: () => getAcronymsConfig() || { strokes: {}, styles: {} }, validate: validateAcronymsConfig },
+};
+
+function kindOf(kind) {
+    const entry = KINDS[kind];
+    if (!entry) throw new Error(`Unknown config kind: ${kind}`);
+    return entry;
+}
+
+/**
+ * The default (seed) config of one kind, as a copy safe to modify
+ * @param {"roster"|"seasons"|"acronyms"} kind
+ * @returns {object}
+ */
+export function defaultTeamConfig(kind) {
+    return structuredClone(kindOf(kind).defaults());
+}
+
+/**
+ * A team's config of one kind, falling back to the defaults
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {"roster"|"seasons"|"acronyms"} kind
+ * @returns {Promise<object>}
+ */
+export async function getTeamConfig(teamId, kind) {
+    kindOf(kind);
+    const doc = await TeamConfig.findOne({ teamId, kind }).select("data").lean();
+    return doc ? doc.data : defaultTeamConfig(kind);
+}
+
+/**
+ * Validate and store a team's config of one kind. Throws with status 400
+ * (from the validator) when the config is invalid.
+ * @param {import("mongoose").Types.ObjectId|string} teamId
+ * @param {"roster"|"seasons"|"acronyms"} kind
+ * @param {object} data
+ * @param {string} [userId] - who saved it
+ * @returns {Promise<object>} - the saved config
+ */
+export async function saveTeamConfig(teamId, kind, data, userId) {
+    kindOf(kind).validate(data);
+    await TeamConfig.updateOne(
+        { teamId, kind },
+        { $set: { data, updatedBy: userId } },
+        { upsert: true, runValidators: true }
+    );
+    return data;
+}
@@ -0,0 +1,171 @@
+// server/tenancy.js
+import {
+  Team,
+  User,
+  Practice,
+  LibrarySet,
+  RosterGroup,
+  TrainingPlan,
+  Location,
+  Swimmer,
+  Meet,
+  MeetResult,
+  TimeStandardsSet,
+  StandardsSubscription,
+} from "./models.js";
+
+/** Models whose documents belong to a team (teamId) and were created by a coach (userId) */
+export const TEAM_SCOPED_MODELS = [
+  Practice,
+  LibrarySet,
+  RosterGroup,
+  TrainingPlan,
+  Location,
+  Swimmer,
+  Meet,
+  MeetResult,
+  TimeStandardsSet,
+  StandardsSubscription,
+];
+
+/**
+ * A name for a coach's first team: their swim team if they entered one,
+ * otherwise "First Last's Team".
+ * @param {object|null} user - User document
+ * @returns {string}
+ */
+export function personalTeamName(user) {
+  if (user?.swimTeam?.name) return user.swimTeam.name;
+  const name = [user?.firstName, user?.lastName].filter(Boolean).join(" ");
+  return name ? `${name}'s Team` : "My Team";
+}
+
+/**
+ * Give documents created before teams existed to a team.
+ * Catalog standards sets belong to no team and are left alone.
+ * @param {string[]} userIds - authors whose unassigned documents move
+ * @param {import("mongoose").Types.ObjectId} teamId
+ * @returns {Promise<number>} - documents updated
+ */
+export async function assignToTeam(userIds, teamId) {
+  let updated = 0;
+  for (const Model of TEAM_SCOPED_MODELS) {
+    const filter = { userId: { $in: userIds }, teamId: { $exists: false } };
+    if (Model === TimeStandardsSet) filter.catalog = { $ne: true };
+    const { modifiedCount } = await Model.updateMany(filter, { $set: { teamId } });
+    updated += modifiedCount;
+  }
+  return updated;
+}
+
+/**
+ * The user's personal team, created with the user as head coach the first
+ * time a coach without a team signs in; their existing documents move into
+ * it. The app sends several requests at once on first load, so creation is
+ * an upsert on the unique `personalFor` marker: concurrent calls all get
+ * the same team.
+ * @param {string} userId
+ * @returns {Promise<object>} - the Team document
+ */
+export async function ensurePersonalTeam(userId) {
+  userId = String(userId);
+  const user = await User.findById(userId).select("firstName lastName swimTeam").lean();
+  const upsert = () => Team.findOneAndUpdate(
+    { personalFor: userId },
+    {
+      $setOnInsert: {
+        name: personalTeamName(user),
+        ...(user?.swimTeam?.abbreviation ? { abbreviation: user.swimTeam.abbreviation } : {}),
+        createdBy: userId,
+        members: [{ userId, role: "head_coach" }],
+      },
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  let team;
+  try {
+    team = await upsert();
+  } catch (e) {
+    // Two upserts raced to insert; the loser finds the winner's team on retry
+    if (e.code !== 11000) throw e;
+    team = await upsert();
+  }
+
+  // A coach who left their personal team and has no other gets it back
+  if (!memberOf(team, userId)) {
+    team.members.push({ userId, role: "head_coach" });
+    await team.save();
+  }
+  await assignToTeam([userId], team._id);
+  return team;
+}
+
+/** The caller's membership in a team, if any */
+export const memberOf = (team, userId) => team?.members.find((m) => m.userId === String(userId));
+
+/**
+ * Middleware (after authMiddleware) that picks the team a request works in:
+ * the `x-team-id` header if the caller belongs to it, otherwise their first
+ * team — created on the spot for coaches who have none yet.
+ * Sets req.team = { id, name, role }.
+ */
+export async function resolveTeam(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    const userId = String(req.user.userId);
+    const requested = req.header("x-team-id");
+    let team;
+
+    if (requested) {
+      team = await Team.findById(requested).lean().catch(() => null);
+      if (!team || !memberOf(team, userId)) {
+        return res.status(403).json({ error: "Not a member of this team" });
+      }
+    } else {
+      team = await Team.findOne({ "members.userId": userId }).sort({ createdAt: 1 }).lean();
+      if (!team) team = (await ensurePersonalTeam(userId)).toObject();
+    }
+
+    req.team = { id: team._id, name: team.name, role: memberOf(team, userId).role };
+    next();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to resolve team" });
+  }
+}
+
+/**
+ * Middleware (after resolveTeam) that blocks read-only members from changing
+ * team data
+ */
+export function requireTeamWrite(req, res, next) {
+  if (req.team?.role === "read_only") {
+    return res.status(403).json({ error: "Read-only team members cannot make changes" });
+  }
+  next();
+}
+
+/**
+ * Middleware (after resolveTeam) that requires one of the given team roles
+ * @param {...string} roles - e.g. "head_coach"
+ */
+export function requireTeamRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.team?.role)) {
+      return res.status(403).json({ error: "Insufficient team role" });
+    }
+    next();
+  };
+}
+
+/**
+ * Whether a document belongs to the request's team
+ * @param {object} req - request after resolveTeam
+ * @param {object} doc - any team-scoped document
+ * @returns {boolean}
+ */
+export const inTeam = (req, doc) => Boolean(doc?.teamId) && String(doc.teamId) === String(req.team.id);
@@ -0,0 +1,72 @@
+// server/utils/attendance.js
+/**
+ * Per-season attendance summaries for a swimmer: how many practices were
+ * marked, the attendance percentage and the yardage of the practices they
+ * swam. Late counts as attended; excused practices are left out of the
+ * percentage.
+ */
+
+const ATTENDED = new Set(["present", "late"]);
+
+/**
+ * Season title a practice belongs to: its own `season`, otherwise the team
+ * season whose date range holds the practice date
+ * @param {Object} practice - { date, season }
+ * @param {Array} seasons - Team seasons config ({ title, startDate, endDate })
+ * @returns {string} - "" when no season matches
+ */
+export function seasonForPractice(practice, seasons = []) {
+  if (practice?.season) return practice.season;
+  const date = practice?.date || "";
+  const match = seasons.find((s) => s.startDate && s.endDate && date >= s.startDate && date <= s.endDate);
+  return match?.title || "";
+}
+
+const emptySeason = (season) => ({
+  season,
+  practices: 0,
+  present: 0,
+  late: 0,
+  excused: 0,
+  absent: 0,
+  attended: 0,
+  percentage: null,
+  yardage: 0,
+  firstDate: "",
+  lastDate: "",
+});
+
+/**
+ * Attendance totals per season, newest season first
+ * @param {Array} records - Attendance docs with `practice` populated ({ date, season, totals })
+ * @param {Array} seasons - Team seasons config
+ * @returns {Array} - [{ season, practices, present, late, excused, absent, attended,
+ *   percentage (0–100, null when nothing counts), yardage, firstDate, lastDate }]
+ */
+export function summarizeAttendance(records = [], seasons = []) {
+  const bySeason = new Map();
+
+  for (const record of records) {
+    const practice = record.practice;
+    if (!practice) continue;   // practice no longer exists
+    const season = seasonForPractice(practice, seasons);
+    if (!bySeason.has(season)) bySeason.set(season, emptySeason(season));
+    const row = bySeason.get(season);
+
+    row.practices++;
+    row[record.status] = (row[record.status] || 0) + 1;
+    if (ATTENDED.has(record.status)) {
+      row.attended++;
+      row.yardage += practice.totals?.yardage || 0;
+    }
+    if (!row.firstDate || practice.date < row.firstDate) row.firstDate = practice.date;
+    if (practice.date > row.lastDate) row.lastDate = practice.date;
+  }
+
+  return [...bySeason.values()]
+    .map((row) => {
+      const counted = row.practices - row.excused;
+      return { ...row, percentage: counted > 0 ? Math.round((row.attended / counted) * 1000) / 10 : null };
+    })
+    .sort((a, b) => b.lastDate.localeCompare(a.lastDate));
+}
@@ -0,0 +1,120 @@
+// server/utils/practiceFilters.js
+/**
+ * Query-string filters and sort orders for the practice library list
+ * (GET /api/practices). Invalid values are reported, not ignored, so a
+ * typo in a filter never silently widens the list.
+ */
+
+export const PRACTICE_POOLS = ["SCY", "SCM", "LCM"];
+
+// Sort field -> [document path, default direction]
+export const PRACTICE_SORTS = {
+  date: ["date", -1],
+  yardage: ["totals.yardage", -1],
+  time: ["totals.timeSeconds", -1],
+  title: ["title", 1],
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const present = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function numberParam(query, key) {
+  if (!present(query[key])) return undefined;
+  const n = Number(query[key]);
+  if (!Number.isFinite(n) || n < 0) throw badRequest(`${key} must be a number of 0 or more`);
+  return n;
+}
+
+function range(query, minKey, maxKey) {
+  const min = numberParam(query, minKey);
+  const max = numberParam(query, maxKey);
+  if (min !== undefined && max !== undefined && min > max) {
+    throw badRequest(`${minKey} cannot be more than ${maxKey}`);
+  }
+  const cond = {};
+  if (min !== undefined) cond.$gte = min;
+  if (max !== undefined) cond.$lte = max;
+  return Object.keys(cond).length ? cond : null;
+}
+
+/**
+ * Mongo conditions for the list filters
+ * @param {Object} query - Request query: favorite, pool, from, to, minYardage,
+ *   maxYardage, minTimeSeconds, maxTimeSeconds, stroke, style, tag (comma-separated,
+ *   all must match) and folder (a folder id, or "none" for practices in no folder)
+ * @returns {Object} - Conditions to merge into the list filter
+ * @throws {Error} - With `status` 400 when a value is invalid
+ */
+export function practiceFilterConditions(query = {}) {
+  const where = {};
+
+  if (present(query.favorite)) {
+    if (!["true", "false"].includes(String(query.favorite))) throw badRequest("favorite must be true or false");
+    where.isFavorite = String(query.favorite) === "true" ? true : { $ne: true };
+  }
+
+  if (present(query.pool)) {
+    const pool = String(query.pool).toUpperCase();
+    if (!PRACTICE_POOLS.includes(pool)) throw badRequest(`pool must be one of: ${PRACTICE_POOLS.join(", ")}`);
+    where.pool = pool;
+  }
+
+  for (const key of ["from", "to"]) {
+    if (present(query[key]) && !DATE_RE.test(String(query[key]))) throw badRequest(`${key} must be a YYYY-MM-DD date`);
+  }
+  if (present(query.from) && present(query.to) && query.from > query.to) throw badRequest("from cannot be after to");
+  if (present(query.from) || present(query.to)) {
+    where.date = {};
+    if (present(query.from)) where.date.$gte = String(query.from);
+    if (present(query.to)) where.date.$lte = String(query.to);
+  }
+
+  const yardage = range(query, "minYardage", "maxYardage");
+  if (yardage) where["totals.yardage"] = yardage;
+  const time = range(query, "minTimeSeconds", "maxTimeSeconds");
+  if (time) where["totals.timeSeconds"] = time;
+
+  // Stroke and style match the one the practice swims the most of
+  if (present(query.stroke)) where["stats.dominantStroke"] = String(query.stroke);
+  if (present(query.style)) where["stats.dominantStyle"] = String(query.style);
+
+  if (present(query.tag)) {
+    const tags = [...new Set(String(query.tag).split(",").map((t) => t.trim().toLowerCase()).filter(Boolean))];
+    if (tags.length) where.tags = { $all: tags };
+  }
+
+  if (present(query.folder)) {
+    if (query.folder === "none") where.folder = null;
+    else if (/^[0-9a-f]{24}$/i.test(String(query.folder))) where.folder = String(query.folder);
+    else throw badRequest("folder must be a folder id or none");
+  }
+
+  return where;
+}
+
+/**
+ * Mongo sort for the list. A text search sorts by relevance unless another
+ * field is asked for; "relevance" without a search is the default order.
+ * @param {string} [sort] - "relevance" or a PRACTICE_SORTS key (default "date")
+ * @param {string} [order] - "asc" or "desc" (default depends on the field)
+ * @param {Object} [options] - { search: true when the query has a text search }
+ * @returns {Object}
+ * @throws {Error} - With `status` 400 when a value is invalid
+ */
+export function practiceSort(sort = "date", order = "", { search = false } = {}) {
+  if (search && (!sort || sort === "relevance")) return { score: { $meta: "textScore" }, date: -1, _id: -1 };
+  if (sort === "relevance") sort = "date";
+  const entry = PRACTICE_SORTS[sort || "date"];
+  if (!entry) throw badRequest(`sort must be one of: relevance, ${Object.keys(PRACTICE_SORTS).join(", ")}`);
+  if (order && !["asc", "desc"].includes(order)) throw badRequest("order must be asc or desc");
+  const [path, direction] = entry;
+  const dir = order ? (order === "asc" ? 1 : -1) : direction;
+  // Ties fall back to the newest practice first, so paging is stable
+  return path === "date" ? { date: dir, _id: dir } : { [path]: dir, date: -1, _id: -1 };
+}
@@ -0,0 +1,41 @@
+// server/utils/practiceRevisions.js
+/**
+ * Snapshots of the practice fields a coach edits, for revision history.
+ * Favorites and authorship are left out: they are not part of the plan.
+ */
+
+export const REVISION_FIELDS = [
+  "title",
+  "date",
+  "roster",
+  "rosterGroup",
+  "season",
+  "pool",
+  "startTime",
+  "sections",
+  "totals",
+  "notes",
+];
+
+/**
+ * Plain copy of a practice's revisioned fields
+ * @param {Object} practice - Practice document or lean object
+ * @returns {Object}
+ */
+export function snapshotPractice(practice) {
+  const plain = typeof practice?.toObject === "function" ? practice.toObject({ flattenMaps: true }) : practice || {};
+  // JSON round-trip turns ObjectIds and Maps into plain values; unset or empty fields are left out
+  const set = REVISION_FIELDS.filter((field) => plain[field] != null && plain[field] !== "");
+  return JSON.parse(JSON.stringify(Object.fromEntries(set.map((field) => [field, plain[field]]))));
+}
+
+/**
+ * Revisioned fields that differ between two snapshots
+ * @param {Object|null} before
+ * @param {Object} after
+ * @returns {string[]}
+ */
+export function changedFields(before, after) {
+  if (!before) return [];
+  return REVISION_FIELDS.filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+}
@@ -0,0 +1,96 @@
+// server/utils/practiceSearch.js
+/**
+ * Full-text practice search helpers. The search itself runs on the
+ * Practice text index (title, section text, group-split text and notes);
+ * these pick out the lines that matched so the library can show them with
+ * the search terms highlighted.
+ *
+ * Matching follows the text index: whole words, case-insensitive, quoted
+ * phrases kept together and "-word" terms excluded.
+ */
+
+export const MAX_SEARCH_SNIPPETS = 3;
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Words and phrases of a search, as the text index reads them
+ * @param {string} q
+ * @returns {string[]} - Lowercased; negated terms left out
+ */
+export function searchTerms(q = "") {
+  const terms = [];
+  const text = String(q).replace(/(^|\s)-"[^"]*"/g, " ");
+  const withoutPhrases = text.replace(/"([^"]+)"/g, (_, phrase) => {
+    if (phrase.trim()) terms.push(phrase.trim().toLowerCase());
+    return " ";
+  });
+  for (const word of withoutPhrases.split(/\s+/)) {
+    if (word && !word.startsWith("-")) terms.push(word.toLowerCase());
+  }
+  return [...new Set(terms)];
+}
+
+function termPattern(terms) {
+  if (!terms.length) return null;
+  // Longest first so a phrase wins over the words inside it
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegex);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+}
+
+/**
+ * [start, end) character ranges of the search terms in a line
+ * @param {string} line
+ * @param {RegExp} pattern - From termPattern
+ * @returns {Array<[number, number]>}
+ */
+function highlightRanges(line, pattern) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+  for (const match of line.matchAll(pattern)) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+/** Every searchable line of a practice, labelled with where it lives */
+function searchableLines(practice) {
+  const lines = [];
+  const add = (where, text) => {
+    for (const line of String(text || "").split("\n")) {
+      if (line.trim()) lines.push({ where, line: line.trim() });
+    }
+  };
+
+  add("Title", practice?.title);
+  for (const section of practice?.sections || []) {
+    const sectionTitle = section.title || section.type || "Section";
+    add(sectionTitle, section.text);
+    for (const group of section.groups || []) {
+      for (const gs of group.sections || []) {
+        add(`${sectionTitle} · ${group.name}`, gs.text);
+      }
+    }
+  }
+  add("Notes", practice?.notes);
+  return lines;
+}
+
+/**
+ * Lines of a practice that contain the search terms, most matches first
+ * @param {Object} practice - Practice document or lean object
+ * @param {string} q - The search as typed
+ * @param {number} [limit]
+ * @returns {Array} - [{ where, line, highlights: [[start, end], ...] }]
+ */
+export function searchSnippets(practice, q, limit = MAX_SEARCH_SNIPPETS) {
+  const pattern = termPattern(searchTerms(q));
+  if (!pattern) return [];
+
+  return searchableLines(practice)
+    .map((entry, order) => ({ ...entry, order, highlights: highlightRanges(entry.line, pattern) }))
+    .filter((entry) => entry.highlights.length > 0)
+    .sort((a, b) => b.highlights.length - a.highlights.length || a.order - b.order)
+    .slice(0, limit)
+    .map(({ where, line, highlights }) => ({ where, line, highlights }));
+}
@@ -0,0 +1,323 @@
+// server/utils/practiceTotals.js
+/**
+ * Recompute a practice's yardage, time, per-group totals and stroke/style
+ * stats from its section text, using the same rules as the Practice Builder:
+ * - swim sections count only sets with a written send-off
+ * - group-split sections estimate sets without one at 1:30 per 100 and
+ *   resolve "@ base+5" against the group's stored basePacePer100
+ *   (calculateSectionTime in src/utils/intervalParser.js)
+ * - break sections last whatever time their text says ("5:00")
+ * - group clocks follow calculatePracticeClockTimes in src/utils/groupSyncCalculator.js
+ */
+
+import { analyzeSection } from "./practiceParser.js";
+import { parseTimeToSeconds, formatClockTime, secondsFromHHMM } from "./timeHelpers.js";
+
+export const GROUP_DEFAULT_PACE_PER_100 = 90;
+
+const isBreak = (section) => (section?.type || "").toLowerCase() === "break";
+
+function addInto(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    target[key] = (target[key] || 0) + value;
+  }
+  return target;
+}
+
+/**
+ * Re-measure every section from its text
+ * @param {Array} sections - Practice sections in API shape ({ type, title, text, groups })
+ * @param {Object} acronyms - Acronyms config for stroke/style classification
+ * @returns {Array} - Sections with yardage/timeSeconds (and group totals) rewritten
+ */
+export function measureSections(sections = [], acronyms) {
+  return sections.map((s) => {
+    if (s?.type === "group-split") {
+      const groups = (s.groups || []).map((group) => {
+        const groupSections = (group.sections || []).map((gs) => {
+          const { yardage, timeSeconds } = analyzeSection(gs.text || "", {
+            acronyms,
+            defaultPacePer100: GROUP_DEFAULT_PACE_PER_100,
+            basePacePer100: group.basePacePer100 || 0,
+          });
+          return { ...gs, yardage, timeSeconds };
+        });
+        return {
+          ...group,
+          sections: groupSections,
+          totalYardage: groupSections.reduce((sum, gs) => sum + gs.yardage, 0),
+          totalTimeSeconds: groupSections.reduce((sum, gs) => sum + gs.timeSeconds, 0),
+        };
+      });
+      const longestTimeSeconds = Math.max(...groups.map((g) => g.totalTimeSeconds), 0);
+      return { ...s, groups, longestTimeSeconds };
+    }
+
+    if (isBreak(s)) {
+      return { ...s, yardage: 0, timeSeconds: parseTimeToSeconds(s.text) || 0 };
+    }
+
+    const { yardage, timeSeconds } = analyzeSection(s?.text || "", { acronyms });
+    return { ...s, yardage, timeSeconds };
+  });
+}
+
+/**
+ * Practice totals as the builder shows them: group splits count their
+ * biggest group's yardage and their slowest group's time.
+ * @param {Array} sections - Measured sections (see measureSections)
+ * @returns {Object} - { yardage, timeSeconds }
+ */
+export function sumSectionTotals(sections = []) {
+  return sections.reduce(
+    (acc, s) => {
+      if (s?.type === "group-split") {
+        acc.yardage += Math.max(...(s.groups || []).map((g) => g.totalYardage || 0), 0);
+        acc.timeSeconds += s.longestTimeSeconds || 0;
+      } else {
+        acc.yardage += Number.isFinite(s?.yardage) ? s.yardage : 0;
+        acc.timeSeconds += Number.isFinite(s?.timeSeconds) ? s.timeSeconds : 0;
+      }
+      return acc;
+    },
+    { yardage: 0, timeSeconds: 0 }
+  );
+}
+
+/**
+ * Walk the practice clock: each group keeps its own clock through splits and
+ * everyone syncs to the slowest group at the next shared section.
+ * @param {Array} sections - Measured sections (see measureSections)
+ * @param {string} startTime - Practice start "HH:MM"
+ * @returns {Object} - { sections, byGroup, overallTimeSeconds }
+ */
+export function applyClockTimes(sections = [], startTime = "06:00") {
+  const startSeconds = secondsFromHHMM(startTime);
+  const byGroup = {};
+  const groupClocks = {};
+  // Shared work before a group's first split still counts toward that group
+  const preSplit = { yardage: 0, timeSeconds: 0 };
+  let currentClock = startSeconds;
+
+  const updated = sections.map((s, i) => {
+    const section = { ...s };
+
+    if (section.type === "group-split") {
+      section.groups = (section.groups || []).map((group) => {
+        const name = group.name;
+        if (!(name in groupClocks)) groupClocks[name] = currentClock;
+        if (!(name in byGroup)) {
+          byGroup[name] = {
+            yardage: preSplit.yardage,
+            timeSeconds: preSplit.timeSeconds,
+            actualSwimSeconds: preSplit.timeSeconds,
+          };
+        }
+
+        groupClocks[name] += group.totalTimeSeconds;
+        byGroup[name].yardage += group.totalYardage;
+        byGroup[name].timeSeconds += group.totalTimeSeconds;
+        byGroup[name].actualSwimSeconds += group.totalTimeSeconds;
+
+        return { ...group, clockTime: formatClockTime(groupClocks[name]) };
+      });
+
+      const times = section.groups.map((g) => g.totalTimeSeconds);
+      const pacing = section.groups.find((g) => g.totalTimeSeconds === section.longestTimeSeconds);
+      section.pacingGroup = section.longestTimeSeconds > 0 && pacing ? pacing.name : "";
+      section.divergenceSeconds = times.length ? Math.max(...times) - Math.min(...times) : 0;
+
+      currentClock = Math.max(currentClock, ...Object.values(groupClocks));
+      return section;
+    }
+
+    // Shared section — groups that finished the split early wait here
+    delete section.syncInfo;
+    if (i > 0 && sections[i - 1]?.type === "group-split") {
+      const slowestClock = Math.max(...Object.values(groupClocks));
+      const groupsWaiting = [];
+      for (const [name, clock] of Object.entries(groupClocks)) {
+        if (clock < slowestClock) {
+          groupsWaiting.push(name);
+          byGroup[name].timeSeconds += slowestClock - clock;
+        }
+        groupClocks[name] = slowestClock;
+      }
+      if (groupsWaiting.length > 0) {
+        section.syncInfo = { syncedFrom: formatClockTime(slowestClock), groupsWaiting };
+      }
+      currentClock = slowestClock;
+    }
+
+    currentClock += section.timeSeconds || 0;
+    section.clockTime = formatClockTime(currentClock);
+    preSplit.yardage += section.yardage || 0;
+    preSplit.timeSeconds += section.timeSeconds || 0;
+
+    for (const name of Object.keys(groupClocks)) {
+      groupClocks[name] = currentClock;
+      byGroup[name].timeSeconds += section.timeSeconds || 0;
+      byGroup[name].actualSwimSeconds += section.timeSeconds || 0;
+      byGroup[name].yardage += section.yardage || 0;
+    }
+
+    return section;
+  });
+
+  return { sections: updated, byGroup, overallTimeSeconds: currentClock - startSeconds };
+}
+
+/**
+ * The key with the most yardage ("" when there is none)
+ * @param {Object} totals - { name: yardage }
+ * @returns {string}
+ */
+export function dominantKey(totals = {}) {
+  let best = "";
+  for (const [key, value] of Object.entries(totals)) {
+    if (value > 0 && (!best || value > totals[best])) best = key;
+  }
+  return best;
+}
+
+/**
+ * Stroke/style/energy-system yardage for the practice. Shared swim sections count for
+ * everyone; a split counts toward each group in `byGroup` and toward the
+ * practice-level figures through its biggest group (matching totals.yardage).
+ * @param {Array} sections - Measured sections (see measureSections)
+ * @param {Object} acronyms - Acronyms config
+ * `dominantStroke`/`dominantStyle` name the one swum the most, for filtering.
+ * @returns {Object} - { strokes, styles, energy, dominantStroke, dominantStyle, byGroup? }
+ */
+export function computePracticeStats(sections = [], acronyms) {
+  const stats = { strokes: {}, styles: {}, energy: {} };
+  const byGroup = {};
+
+  for (const s of sections) {
+    if (s?.type !== "group-split") continue;
+    for (const group of s.groups || []) {
+      byGroup[group.name] = byGroup[group.name] || { strokes: {}, styles: {}, energy: {} };
+    }
+  }
+
+  for (const s of sections) {
+    if (s?.type === "group-split") {
+      let biggest = null;
+      for (const group of s.groups || []) {
+        const groupStats = { strokes: {}, styles: {}, energy: {} };
+        for (const gs of group.sections || []) {
+          const { strokes, styles, energy } = analyzeSection(gs.text || "", { acronyms });
+          addInto(groupStats.strokes, strokes);
+          addInto(groupStats.styles, styles);
+          addInto(groupStats.energy, energy);
+        }
+        addInto(byGroup[group.name].strokes, groupStats.strokes);
+        addInto(byGroup[group.name].styles, groupStats.styles);
+        addInto(byGroup[group.name].energy, groupStats.energy);
+        if (!biggest || group.totalYardage > biggest.yardage) {
+          biggest = { yardage: group.totalYardage, stats: groupStats };
+        }
+      }
+      if (biggest) {
+        addInto(stats.strokes, biggest.stats.strokes);
+        addInto(stats.styles, biggest.stats.styles);
+        addInto(stats.energy, biggest.stats.energy);
+      }
+    } else if (!isBreak(s) && s?.text) {
+      const { strokes, styles, energy } = analyzeSection(s.text, { acronyms });
+      addInto(stats.strokes, strokes);
+      addInto(stats.styles, styles);
+      addInto(stats.energy, energy);
+      for (const name of Object.keys(byGroup)) {
+        addInto(byGroup[name].strokes, strokes);
+        addInto(byGroup[name].styles, styles);
+        addInto(byGroup[name].energy, energy);
+      }
+    }
+  }
+
+  stats.dominantStroke = dominantKey(stats.strokes);
+  stats.dominantStyle = dominantKey(stats.styles);
+  if (Object.keys(byGroup).length > 0) stats.byGroup = byGroup;
+  return stats;
+}
+
+/**
+ * Everything the server derives from section text, ready to merge into a
+ * practice document.
+ * @param {Object} practice - { sections, startTime }
+ * @param {Object} options - { acronyms }
+ * @returns {Object} - { sections, totals, stats }
+ */
+export function recomputePractice(practice, { acronyms } = {}) {
+  const measured = measureSections(practice?.sections || [], acronyms);
+  const hasGroups = measured.some((s) => s?.type === "group-split");
+  const totals = sumSectionTotals(measured);
+
+  let sections = measured;
+  if (hasGroups) {
+    const clock = applyClockTimes(measured, practice?.startTime || "06:00");
+    sections = clock.sections;
+    totals.byGroup = clock.byGroup;
+    totals.overallTimeSeconds = clock.overallTimeSeconds;
+  }
+
+  return { sections, totals, stats: computePracticeStats(measured, acronyms) };
+}
+
+/**
+ * Yardage, time and stats for a Sets Library entry, measured like a single
+ * practice section
+ * @param {Object} set - { type: "swim" | "group-split", text, groups }
+ * @param {Object} options - { acronyms }
+ * @returns {Object} - { yardage, timeSeconds, stats, groups? }
+ */
+export function measureLibrarySet(set, { acronyms } = {}) {
+  const [measured] = measureSections([{ type: set?.type || "swim", text: set?.text || "", groups: set?.groups || [] }], acronyms);
+  const { yardage, timeSeconds } = sumSectionTotals([measured]);
+  const { strokes, styles, energy } = computePracticeStats([measured], acronyms);
+  return {
+    yardage,
+    timeSeconds,
+    stats: { strokes, styles, energy },
+    ...(measured.type === "group-split" ? { groups: measured.groups } : {}),
+  };
+}
+
+/**
+ * Compare the figures a client submitted with the recomputed ones. Only
+ * fields the client actually sent are checked.
+ * @param {Object} submitted - Request body ({ sections, totals })
+ * @param {Object} computed - Result of recomputePractice
+ * @returns {Array} - [{ field, submitted, computed }]
+ */
+export function findTotalsMismatches(submitted, computed) {
+  const mismatches = [];
+  const check = (field, sent, actual) => {
+    if (sent == null || !Number.isFinite(Number(sent))) return;
+    if (Math.round(Number(sent)) !== Math.round(actual || 0)) {
+      mismatches.push({ field, submitted: Number(sent), computed: actual || 0 });
+    }
+  };
+
+  check("totals.yardage", submitted?.totals?.yardage, computed.totals.yardage);
+  check("totals.timeSeconds", submitted?.totals?.timeSeconds, computed.totals.timeSeconds);
+
+  (submitted?.sections || []).forEach((s, i) => {
+    const c = computed.sections[i];
+    if (!c) return;
+    if (s?.type === "group-split") {
+      (s.groups || []).forEach((g, gi) => {
+        const cg = c.groups?.[gi];
+        if (!cg) return;
+        check(`sections[${i}].groups[${gi}].totalYardage`, g.totalYardage, cg.totalYardage);
+        check(`sections[${i}].groups[${gi}].totalTimeSeconds`, g.totalTimeSeconds, cg.totalTimeSeconds);
+      });
+      return;
+    }
+    check(`sections[${i}].yardage`, s?.yardage, c.yardage);
+    check(`sections[${i}].timeSeconds`, s?.timeSeconds, c.timeSeconds);
+  });
+
+  return mismatches;
+}
@@ -0,0 +1,25 @@
+/**
+ * seasonSchedule.js (ES module — server copy)
+ *
+ * Identical logic to renameScheduleRoster in src/utils/practiceSchedule.js.
+ * Kept separate so the server has no dependency on the React source tree.
+ */
+
+/**
+ * Seasons with one roster's schedule moved to its new name, so a renamed
+ * roster keeps its season times (roster names match case-insensitively)
+ * @param {Array} seasons - Seasons from seasons config
+ * @param {string} oldName - Roster name before the rename
+ * @param {string} newName - Roster name after it
+ * @returns {Array} - New seasons array; seasons without that roster are unchanged
+ */
+export function renameScheduleRoster(seasons, oldName, newName) {
+  if (!Array.isArray(seasons)) return seasons;
+  const old = String(oldName || "").toLowerCase();
+  return seasons.map((season) => {
+    const key = Object.keys(season.schedule || {}).find((k) => k.toLowerCase() === old);
+    if (!key || key === newName) return season;
+    const { [key]: week, ...rest } = season.schedule;
+    return { ...season, schedule: { ...rest, [newName]: week } };
+  });
+}
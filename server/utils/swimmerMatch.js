@@ -0,0 +1,93 @@
+/**
+ * swimmerMatch.js
+ *
+ * Matches athletes from imported meet results against a coach's roster.
+ * A USA Swimming id match wins; otherwise last + first (or preferred) name
+ * and date of birth must agree. Anything weaker is returned as a conflict
+ * with candidates so the coach can confirm it before times are written.
+ */
+
+const normalizeId = (id) => String(id || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+const normalizeName = (name) => String(name || "").toLowerCase().replace(/[^a-z]/g, "");
+
+function dateKey(d) {
+  if (!d) return null;
+  const date = d instanceof Date ? d : new Date(`${String(d).slice(0, 10)}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function candidate(swimmer) {
+  return {
+    _id: String(swimmer._id),
+    firstName: swimmer.firstName,
+    lastName: swimmer.lastName,
+    dob: dateKey(swimmer.dob),
+    usaSwimmingId: swimmer.usaSwimmingId || undefined,
+  };
+}
+
+/**
+ * Match one imported athlete against the roster.
+ * @param {Object} athlete - { firstName, lastName, preferredName?, usaSwimmingId?, memberId?, dob? }
+ * @param {Object[]} swimmers - roster (firstName, lastName, dob, usaSwimmingId)
+ * @returns {{status: "matched"|"conflict"|"unmatched", swimmerId: string|null, matchedBy: string|null, reason?: string, candidates: Object[]}}
+ */
+export function matchAthlete(athlete, swimmers) {
+  const ids = [athlete.usaSwimmingId, athlete.memberId].map(normalizeId).filter(Boolean);
+  if (ids.length > 0) {
+    const byId = swimmers.find((s) => {
+      const sid = normalizeId(s.usaSwimmingId);
+      return sid && ids.includes(sid);
+    });
+    if (byId) {
+      return { status: "matched", swimmerId: String(byId._id), matchedBy: "id", candidates: [candidate(byId)] };
+    }
+  }
+
+  const last = normalizeName(athlete.lastName);
+  const firsts = [athlete.firstName, athlete.preferredName].map(normalizeName).filter(Boolean);
+  const sameName = swimmers.filter(
+    (s) => normalizeName(s.lastName) === last && firsts.includes(normalizeName(s.firstName))
+  );
+  const dob = dateKey(athlete.dob);
+
+  if (dob) {
+    const exact = sameName.filter((s) => dateKey(s.dob) === dob);
+    if (exact.length === 1) {
+      return { status: "matched", swimmerId: String(exact[0]._id), matchedBy: "name+dob", candidates: [candidate(exact[0])] };
+    }
+  }
+
+  if (sameName.length > 0) {
+    const reason = sameName.length > 1
+      ? "Several roster swimmers share this name"
+      : dob ? "Name matches but date of birth differs" : "Name matches; no date of birth in the file";
+    return {
+      status: "conflict",
+      swimmerId: sameName.length === 1 ? String(sameName[0]._id) : null,
+      matchedBy: "name",
+      reason,
+      candidates: sameName.map(candidate),
+    };
+  }
+
+  // Last-name only matches are offered as candidates, never auto-selected
+  const sameLast = swimmers.filter((s) => normalizeName(s.lastName) === last);
+  return {
+    status: "unmatched",
+    swimmerId: null,
+    matchedBy: null,
+    candidates: sameLast.map(candidate),
+  };
+}
+
+/**
+ * True when a swimmer already has this exact swim in bestTimes
+ * (same event, course and time to the hundredth).
+ */
+export function hasSameTime(swimmer, { event, course, time }) {
+  if (!(time > 0)) return false;
+  return (swimmer.bestTimes || []).some(
+    (t) => t.event === event && t.course === course && Math.abs(t.time - time) < 0.005
+  );
+}
@@ -3,6 +3,27 @@
  * (mirrors src/utils/timeHelpers.js but for Node.js)
  */
 
+/**
+ * Parse time string to seconds
+ * Accepts: ":40", "1:30", "1:05:30", or plain "90"
+ * @param {string} str - Time string to parse
+ * @returns {number|null} - Seconds or null if invalid
+ */
+export function parseTimeToSeconds(str) {
+  if (!str) return null;
+  const s = String(str).trim();
+
+  if (/^\d+$/.test(s)) return parseInt(s, 10);
+
+  const m = /^(?:(\d+):)?(\d*):(\d{1,2})$/.exec(s);
+  if (!m) return null;
+
+  const h = m[1] ? parseInt(m[1], 10) : 0;
+  const min = m[2] ? parseInt(m[2], 10) : 0;
+  const sec = parseInt(m[3], 10);
+  return h * 3600 + min * 60 + sec;
+}
+
 /**
  * Format seconds as MM:SS or H:MM:SS
  * @param {number} totalSec - Total seconds
@@ -46,6 +67,22 @@ export function secondsFromHHMM(hhmm = "06:00") {
   return h * 3600 + min * 60 + s;
 }
 
+/**
+ * Format seconds from midnight as 24-hour "HH:MM:SS"
+ * (same as formatClockTime in src/utils/intervalParser.js)
+ * @param {number} secondsSinceMidnight - Seconds since midnight
+ * @returns {string} - Formatted clock time
+ */
+export function formatClockTime(secondsSinceMidnight) {
+  if (!secondsSinceMidnight || secondsSinceMidnight < 0) return "";
+
+  const h = Math.floor(secondsSinceMidnight / 3600) % 24;
+  const m = Math.floor((secondsSinceMidnight % 3600) / 60);
+  const s = Math.floor(secondsSinceMidnight % 60);
+
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+}
+
 /**
  * Format seconds from midnight as 12-hour clock (e.g., "6:30 AM")
  * @param {number} totalSecFromMidnight - Seconds from midnight
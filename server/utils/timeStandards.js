@@ -0,0 +1,280 @@
+/**
+ * timeStandards.js
+ *
+ * Connects a swimmer's best times to a TimeStandardsSet. Cuts are stored per
+ * event and age group, keyed "gender:course:level" (e.g. "F:SCY:AA"), with
+ * levels listed fastest first. A swim is judged against the age group the
+ * swimmer was in on the day of the swim; the next cut and gap are measured
+ * against the age group they are in today, which is what they race next.
+ */
+
+import { parseTime, formatTime, convertTime } from "./swimTimeConversion.js";
+
+const GENDER_CODES = { male: "M", female: "F" };
+const COURSES = ["SCY", "SCM", "LCM"];
+const STROKE_KEYS = { free: "FREE", back: "BACK", breast: "BREAST", fly: "FLY", im: "IM" };
+
+/** "Male" → "M", "Female" → "F"; anything else has no cuts to compare against */
+export function genderCode(gender) {
+  return GENDER_CODES[String(gender || "").toLowerCase()] || null;
+}
+
+/**
+ * Age on a given date (defaults to today).
+ * @returns {number|null}
+ */
+export function ageOn(dob, date = new Date()) {
+  if (!dob) return null;
+  const birth = new Date(dob);
+  const on = date ? new Date(date) : new Date();
+  if (Number.isNaN(birth.getTime()) || Number.isNaN(on.getTime())) return null;
+  let age = on.getUTCFullYear() - birth.getUTCFullYear();
+  const md = on.getUTCMonth() - birth.getUTCMonth();
+  if (md < 0 || (md === 0 && on.getUTCDate() < birth.getUTCDate())) age--;
+  return age;
+}
+
+/**
+ * Age range covered by an age-group label.
+ * "8 & Under" → [0, 8], "9-10" → [9, 10], "15 & Over" → [15, ∞], "Open" → [0, ∞]
+ * @returns {{min: number, max: number}|null}
+ */
+export function parseAgeGroup(label) {
+  const text = String(label || "").trim().toLowerCase();
+  if (!text) return null;
+  if (/^(open|senior)/.test(text)) return { min: 0, max: Infinity };
+  let m = text.match(/^(\d+)\s*(?:&|and)?\s*(?:under|u)$/);
+  if (m) return { min: 0, max: Number(m[1]) };
+  m = text.match(/^(\d+)\s*(?:&|and)?\s*(?:over|o|\+)$/);
+  if (m) return { min: Number(m[1]), max: Infinity };
+  m = text.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+  if (m) return { min: Number(m[1]), max: Number(m[2]) };
+  m = text.match(/^(\d+)$/);
+  if (m) return { min: Number(m[1]), max: Number(m[1]) };
+  return null;
+}
+
+/**
+ * Whether a standards event ("500/400 Free") covers a swimmer event ("400 Free").
+ * Relays never match individual swims.
+ */
+export function eventMatches(standardEvent, swimEvent) {
+  const [distances, ...strokeParts] = String(standardEvent || "").trim().split(/\s+/);
+  const [distance, ...swimStrokeParts] = String(swimEvent || "").trim().split(/\s+/);
+  const stroke = strokeParts.join(" ").toLowerCase();
+  if (!stroke || stroke.endsWith("relay")) return false;
+  if (stroke !== swimStrokeParts.join(" ").toLowerCase()) return false;
+  return distances.split("/").includes(distance);
+}
+
+function cutValue(cuts, key) {
+  if (!cuts) return undefined;
+  return cuts instanceof Map ? cuts.get(key) : cuts[key];
+}
+
+function cutSeconds(value) {
+  if (value === undefined || value === null || value === "") return null;
+  try {
+    const seconds = parseTime(String(value));
+    return seconds > 0 ? seconds : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The entry for an event at a given age. When several age groups cover the
+ * age (e.g. "13-14" and "Open"), the narrowest one wins.
+ */
+export function findEntry(set, event, age) {
+  let best = null;
+  let bestSpan = null;
+  for (const entry of set.entries || []) {
+    if (!eventMatches(entry.event, event)) continue;
+    const range = parseAgeGroup(entry.ageGroup);
+    if (!range) continue;
+    if (age !== null && (age < range.min || age > range.max)) continue;
+    if (age === null && range.max !== Infinity) continue;
+    const span = range.max - range.min;
+    if (bestSpan === null || span < bestSpan) {
+      best = entry;
+      bestSpan = span;
+    }
+  }
+  return best;
+}
+
+/**
+ * Cuts for one event/course/gender in level order (fastest first), skipping
+ * levels the set leaves blank.
+ * @returns {{level: string, cut: number}[]}
+ */
+export function levelCuts(set, entry, gender, course) {
+  if (!entry) return [];
+  return (set.standardLevels || [])
+    .map((level) => ({ level, cut: cutSeconds(cutValue(entry.cuts, `${gender}:${course}:${level}`)) }))
+    .filter((c) => c.cut !== null);
+}
+
+/** Fastest level whose cut the time meets, or null */
+export function achievedLevel(cuts, time) {
+  return cuts.find((c) => time <= c.cut) || null;
+}
+
+/** Slowest level whose cut the time does not meet yet, or null when all are met */
+export function nextLevel(cuts, time) {
+  for (let i = cuts.length - 1; i >= 0; i--) {
+    if (time > cuts[i].cut) return cuts[i];
+  }
+  return null;
+}
+
+/**
+ * Achievement for every best time (one per event/course) against a set.
+ * @param {Object} swimmer - { dob, gender, bestTimes }
+ * @param {Object} set - TimeStandardsSet (document or lean)
+ * @param {Date} [asOf] - "today", for the current age group
+ * @returns {{gender: string|null, age: number|null, events: Object[]}}
+ */
+export function swimmerAchievements(swimmer, set, asOf = new Date()) {
+  const gender = genderCode(swimmer.gender);
+  const age = ageOn(swimmer.dob, asOf);
+  const levelRank = new Map((set.standardLevels || []).map((level, i) => [level, i]));
+
+  const events = (swimmer.bestTimes || [])
+    .filter((t) => t.isBest && t.time > 0)
+    .map((t) => {
+      const swimAge = t.date ? ageOn(swimmer.dob, t.date) : age;
+      const swimEntry = gender ? findEntry(set, t.event, swimAge) : null;
+      const currentEntry = gender ? findEntry(set, t.event, age) : null;
+      const achieved = achievedLevel(levelCuts(set, swimEntry, gender, t.course), t.time);
+      const next = nextLevel(levelCuts(set, currentEntry, gender, t.course), t.time);
+      return {
+        timeId: t._id ? String(t._id) : undefined,
+        event: t.event,
+        course: t.course,
+        time: t.time,
+        date: t.date || null,
+        meetName: t.meetName || "",
+        swimAge,
+        swimAgeGroup: swimEntry?.ageGroup || null,
+        achieved: achieved?.level || null,
+        achievedCut: achieved?.cut ?? null,
+        ageGroup: currentEntry?.ageGroup || null,
+        next: next?.level || null,
+        nextCut: next?.cut ?? null,
+        gap: next ? Math.round((t.time - next.cut) * 100) / 100 : null,
+        rank: achieved ? levelRank.get(achieved.level) : null,
+      };
+    })
+    .filter((e) => e.swimAgeGroup || e.ageGroup);
+
+  return { gender, age, events };
+}
+
+/**
+ * Roster-level roll-up: the fastest level achieved in any event and how many
+ * swims reach each level.
+ * @returns {{top: string|null, counts: Object<string, number>, closest: Object|null}}
+ */
+export function summarizeAchievements(events, levels) {
+  const counts = {};
+  let topRank = Infinity;
+  let closest = null;
+  for (const e of events) {
+    if (e.achieved) {
+      counts[e.achieved] = (counts[e.achieved] || 0) + 1;
+      if (e.rank < topRank) topRank = e.rank;
+    }
+    if (e.gap !== null && (!closest || e.gap / e.nextCut < closest.gap / closest.nextCut)) {
+      closest = { event: e.event, course: e.course, next: e.next, nextCut: e.nextCut, gap: e.gap };
+    }
+  }
+  return { top: Number.isFinite(topRank) ? levels[topRank] : null, counts, closest };
+}
+
+/** "100 Free" → { stroke: "FREE", distance: 100 }; null for events convertTime can't handle */
+function eventStroke(event) {
+  const [distance, stroke] = String(event || "").trim().split(/\s+/);
+  const key = STROKE_KEYS[String(stroke || "").toLowerCase()];
+  return key && Number(distance) > 0 ? { stroke: key, distance: Number(distance) } : null;
+}
+
+function inWindow(date, from, to) {
+  if (!from && !to) return true;
+  if (!date) return false;
+  const d = new Date(date);
+  return (!from || d >= from) && (!to || d <= to);
+}
+
+/**
+ * Every event in which a swimmer meets one level of a set for a meet.
+ *
+ * Only swims dated inside the qualification window count. Age is taken on
+ * `ageDate` (usually the first day of the meet). When `allowConversions` is
+ * set and the swimmer has no time at all in the meet's course for an event,
+ * their fastest converted time from another course is used instead.
+ *
+ * @param {Object} swimmer - { dob, gender, bestTimes }
+ * @param {Object} set - TimeStandardsSet
+ * @param {{ level: string, course: string, from?: Date, to?: Date, ageDate?: Date, allowConversions?: boolean }} options
+ * @returns {Object[]} - [{ event, ageGroup, cut, time, course, sourceCourse, sourceTime, converted, date, meetName }]
+ */
+export function qualifyingSwims(swimmer, set, { level, course, from, to, ageDate, allowConversions = false }) {
+  const gender = genderCode(swimmer.gender);
+  if (!gender) return [];
+  const age = ageOn(swimmer.dob, ageDate || to || new Date());
+
+  // Fastest swim in the window per event/course
+  const fastest = {};
+  (swimmer.bestTimes || []).forEach((t) => {
+    if (!(t.time > 0) || !inWindow(t.date, from, to)) return;
+    const key = `${t.event}|${t.course}`;
+    if (!fastest[key] || t.time < fastest[key].time) fastest[key] = t;
+  });
+
+  const rows = [];
+  const events = [...new Set(Object.values(fastest).map((t) => t.event))];
+  events.forEach((event) => {
+    const entry = findEntry(set, event, age);
+    const cut = cutSeconds(cutValue(entry?.cuts, `${gender}:${course}:${level}`));
+    if (cut === null) return;
+
+    let swim = fastest[`${event}|${course}`];
+    let time = swim?.time;
+    let converted = false;
+    if (!swim && allowConversions) {
+      const info = eventStroke(event);
+      COURSES.filter((c) => c !== course).forEach((c) => {
+        const other = fastest[`${event}|${c}`];
+        if (!other || !info) return;
+        try {
+          const { convertedTime } = convertTime(formatTime(other.time), c, course, info.stroke, info.distance);
+          const seconds = parseTime(convertedTime);
+          if (time === undefined || seconds < time) {
+            swim = other;
+            time = seconds;
+            converted = true;
+          }
+        } catch {
+          // no conversion for this event/course pair
+        }
+      });
+    }
+    if (!swim || time > cut) return;
+
+    rows.push({
+      event,
+      ageGroup: entry.ageGroup,
+      cut,
+      time,
+      course,
+      sourceCourse: swim.course,
+      sourceTime: swim.time,
+      converted,
+      date: swim.date || null,
+      meetName: swim.meetName || "",
+    });
+  });
+  return rows;
+}
@@ -0,0 +1,84 @@
+// server/utils/trainingPlan.js
+/**
+ * Planned vs. actual for a roster's training plan. A plan is a list of phases
+ * (base, build, taper, meet weeks…) with a target weekly yardage and target
+ * stroke / energy-system mix in percent of yardage; actuals come from saved
+ * practices bucketed into the same Mon–Sun training weeks as the volume
+ * dashboard.
+ */
+
+import { aggregateWeeklyVolume, weekStartKey, weekEndKey, weekRange } from "./trainingVolume.js";
+
+/**
+ * Phase a training week belongs to: the phase covering its Monday, else the
+ * first phase that overlaps the week at all
+ * @param {Array} phases - Plan phases ({ startDate, endDate, … })
+ * @param {string} week - Week start "YYYY-MM-DD"
+ * @returns {Object|null} - Phase or null
+ */
+export function phaseForWeek(phases = [], week) {
+  const weekEnd = weekEndKey(week);
+  return (
+    phases.find((p) => p.startDate <= week && p.endDate >= week) ||
+    phases.find((p) => p.startDate <= weekEnd && p.endDate >= week) ||
+    null
+  );
+}
+
+/**
+ * Mix as whole percentages of its total
+ * @param {Object} mix - { name: yardage }
+ * @returns {Object} - { name: percent }
+ */
+export function mixPercent(mix = {}) {
+  const total = Object.values(mix).reduce((sum, v) => sum + (v || 0), 0);
+  if (!total) return {};
+  return Object.fromEntries(Object.entries(mix).map(([k, v]) => [k, Math.round(((v || 0) / total) * 100)]));
+}
+
+function plainMix(mix) {
+  return mix instanceof Map ? Object.fromEntries(mix) : { ...(mix || {}) };
+}
+
+/**
+ * Week-by-week planned vs. actual across the plan's phases
+ * @param {Object} plan - TrainingPlan ({ roster, phases })
+ * @param {Array} practices - Lean practice docs for the roster ({ date, roster, totals, stats })
+ * @returns {Object} - { weeks: [{ week, phase, target: { yardage, strokeMix, energyMix },
+ *   actual: { yardage, timeSeconds, practices, strokes, energy, strokeMix, energyMix } }] }
+ *   (strokes/energy in yards, the *Mix fields in percent)
+ */
+export function planProgress(plan, practices = []) {
+  const phases = [...(plan?.phases || [])].sort((a, b) => a.startDate.localeCompare(b.startDate));
+  if (!phases.length) return { weeks: [] };
+
+  const first = weekStartKey(phases[0].startDate);
+  const last = weekStartKey(phases.reduce((max, p) => (p.endDate > max ? p.endDate : max), phases[0].endDate));
+  const volume = aggregateWeeklyVolume(practices.filter((p) => p.roster === plan.roster));
+  const byWeek = Object.fromEntries((volume.rosters[plan.roster]?.weeks || []).map((w) => [w.week, w]));
+
+  return {
+    weeks: weekRange(first, last).map((week) => {
+      const phase = phaseForWeek(phases, week);
+      const actual = byWeek[week];
+      return {
+        week,
+        phase: phase ? { _id: phase._id, name: phase.name, type: phase.type } : null,
+        target: {
+          yardage: phase?.targetWeeklyYardage || 0,
+          strokeMix: plainMix(phase?.strokeMix),
+          energyMix: plainMix(phase?.energyMix),
+        },
+        actual: {
+          yardage: actual?.yardage || 0,
+          timeSeconds: actual?.timeSeconds || 0,
+          practices: actual?.practices || 0,
+          strokes: actual?.strokes || {},
+          energy: actual?.energy || {},
+          strokeMix: mixPercent(actual?.strokes),
+          energyMix: mixPercent(actual?.energy),
+        },
+      };
+    }),
+  };
+}
@@ -0,0 +1,101 @@
+// server/utils/trainingVolume.js
+/**
+ * Weekly training volume from saved practices: yardage, time in water and
+ * stroke/style/energy-system yardage per roster, bucketed into training
+ * weeks (Mon–Sun).
+ */
+
+const DAY_MS = 86400000;
+
+const emptyWeek = () => ({ yardage: 0, timeSeconds: 0, practices: 0, strokes: {}, energy: {} });
+
+/**
+ * Monday of the training week containing a date
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {string} - "YYYY-MM-DD" of that week's Monday
+ */
+export function weekStartKey(dateKey) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  const offset = (d.getUTCDay() + 6) % 7; // Mon = 0 … Sun = 6
+  return new Date(d.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Sunday that ends a training week
+ * @param {string} week - Week start "YYYY-MM-DD" (a Monday)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export function weekEndKey(week) {
+  return new Date(Date.parse(`${week}T00:00:00Z`) + 6 * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Every week start from `first` to `last` inclusive, so quiet weeks show as zero */
+export function weekRange(first, last) {
+  const weeks = [];
+  for (let t = Date.parse(`${first}T00:00:00Z`); t <= Date.parse(`${last}T00:00:00Z`); t += 7 * DAY_MS) {
+    weeks.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return weeks;
+}
+
+function addInto(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (Number.isFinite(value)) target[key] = (target[key] || 0) + value;
+  }
+}
+
+/**
+ * Aggregate practices per roster and training week
+ * @param {Array} practices - Lean practice docs ({ date, roster, totals, stats })
+ * @returns {Object} - { weeks: string[], rosters: { [roster]: { weeks: [{ week, yardage, timeSeconds, practices, strokes, energy }],
+ *   totals: { yardage, timeSeconds, practices }, strokes: {}, styles: {}, energy: {} } } }
+ */
+export function aggregateWeeklyVolume(practices = []) {
+  const rosters = {};
+  let first = null;
+  let last = null;
+
+  for (const p of practices) {
+    if (!p?.date || !p.roster) continue;
+    const week = weekStartKey(p.date);
+    if (!first || week < first) first = week;
+    if (!last || week > last) last = week;
+
+    const r = (rosters[p.roster] ||= {
+      byWeek: {},
+      totals: { yardage: 0, timeSeconds: 0, practices: 0 },
+      strokes: {},
+      styles: {},
+      energy: {},
+    });
+    const w = (r.byWeek[week] ||= emptyWeek());
+    const yardage = p.totals?.yardage || 0;
+    const timeSeconds = p.totals?.timeSeconds || 0;
+
+    w.yardage += yardage;
+    w.timeSeconds += timeSeconds;
+    w.practices += 1;
+    r.totals.yardage += yardage;
+    r.totals.timeSeconds += timeSeconds;
+    r.totals.practices += 1;
+    addInto(w.strokes, p.stats?.strokes);
+    addInto(w.energy, p.stats?.energy);
+    addInto(r.strokes, p.stats?.strokes);
+    addInto(r.styles, p.stats?.styles);
+    addInto(r.energy, p.stats?.energy);
+  }
+
+  const weeks = first ? weekRange(first, last) : [];
+  const out = {};
+  for (const [name, r] of Object.entries(rosters)) {
+    out[name] = {
+      weeks: weeks.map((week) => ({ week, ...(r.byWeek[week] || emptyWeek()) })),
+      totals: r.totals,
+      strokes: r.strokes,
+      styles: r.styles,
+      energy: r.energy,
+    };
+  }
+
+  return { weeks, rosters: out };
+}
@@ -6,6 +6,8 @@ import Layout from './components/Layout';
 import Home from './pages/Home';
 import PracticeBuilder from './pages/PracticeBuilder';
 import PracticeLibrary from './pages/PracticeLibrary';
+import PracticeCalendar from './pages/PracticeCalendar';
+import SetsLibrary from './pages/SetsLibrary';
 import ConfigHub from './pages/ConfigHub';
 import ConfigMaintenance from './pages/ConfigMaintenance';
 import SeasonsMaintenance from './pages/SeasonsMaintenance';
@@ -14,6 +16,13 @@ import SwimmersPage from './pages/SwimmersPage';
 import UserSettings from './pages/UserSettings';
 import CoachesTools from './pages/CoachesTools';
 import TimeStandards from './pages/TimeStandards';
+import TrainingVolume from './pages/TrainingVolume';
+import SeasonPlanner from './pages/SeasonPlanner';
+import Meets from './pages/Meets';
+import MeetImport from './pages/MeetImport';
+import QualificationReport from './pages/QualificationReport';
+import Team from './pages/Team';
+import UserManagement from './pages/UserManagement';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import './App.css';
@@ -67,14 +76,23 @@ function App() {
               <Route index element={<Home />} />
               <Route path="builder" element={<PracticeBuilder />} />
               <Route path="practices" element={<PracticeLibrary />} />
+              <Route path="calendar" element={<PracticeCalendar />} />
+              <Route path="sets" element={<SetsLibrary />} />
               <Route path="swimmers" element={<SwimmersPage />} />
               <Route path="feedback" element={<FeedbackManagement />} />
+              <Route path="users" element={<UserManagement />} />
               <Route path="config" element={<ConfigHub />} />
               <Route path="config/rosters" element={<ConfigMaintenance />} />
               <Route path="config/seasons" element={<SeasonsMaintenance />} />
               <Route path="settings" element={<UserSettings />} />
+              <Route path="team" element={<Team />} />
               <Route path="coaches" element={<CoachesTools />} />
               <Route path="coaches/time-standards" element={<TimeStandards />} />
+              <Route path="coaches/volume" element={<TrainingVolume />} />
+              <Route path="coaches/planner" element={<SeasonPlanner />} />
+              <Route path="coaches/meets" element={<Meets />} />
+              <Route path="coaches/meets/import" element={<MeetImport />} />
+              <Route path="coaches/qualifiers" element={<QualificationReport />} />
             </Route>
 
             {/* Catch-all for protected routes (redirect to login) */}
@@ -56,6 +56,8 @@ export async function handleSavePractice({
   totalTimeSec = 0,
   stats = null,           // Stats object { strokes: {}, styles: {} }
   startTime = "06:00",    // Start time for clock calculations
+  tags = [],              // Library tags (lowercased by the server)
+  folder = null,          // Library folder id of the roster, or null
 }) {
   const title = practiceTitle?.trim() || `Practice ${practiceDate || ""}`.trim();
 
@@ -79,6 +81,8 @@ export async function handleSavePractice({
       totals,
       stats: stats || undefined, // Include stats if provided
       startTime, // Include start time
+      tags,
+      folder,
     },
     // optional per-request headers if your client doesn't inject them globally:
     // { "x-user-id": userId }
@@ -36,6 +36,12 @@ export function authHeaders(extra = {}) {
     headers["Authorization"] = `Bearer ${token}`;
   }
 
+  // Scope requests to the team picked in the header switcher
+  const teamId = localStorage.getItem("teamId");
+  if (teamId) {
+    headers["x-team-id"] = teamId;
+  }
+
   return headers;
 }
 
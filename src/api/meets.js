@@ -0,0 +1,64 @@
+// src/api/meets.js
+import { get, post, put, del } from "./client";
+
+/** All meets for the current coach, newest first, with a resultCount each */
+export async function listMeets() {
+  return get("/api/meets");
+}
+
+/** A meet with its results (swimmer populated) */
+export async function getMeet(id) {
+  return get(`/api/meets/${id}`);
+}
+
+export async function createMeet(data) {
+  return post("/api/meets", data);
+}
+
+export async function updateMeet(id, updates) {
+  return put(`/api/meets/${id}`, updates);
+}
+
+/** Deletes the meet, its results and the best times they produced */
+export async function deleteMeet(id) {
+  return del(`/api/meets/${id}`);
+}
+
+// ========== RESULTS ==========
+
+/**
+ * Record results. Legal swims are added to each swimmer's best times.
+ * @param {string} meetId
+ * @param {Object[]} results - [{ swimmer, event, time, place?, splits?, dq?, ... }]
+ * @returns {Promise<Object[]>} - the created results
+ */
+export async function addMeetResults(meetId, results) {
+  return post(`/api/meets/${meetId}/results`, { results });
+}
+
+export async function updateMeetResult(meetId, resultId, updates) {
+  return put(`/api/meets/${meetId}/results/${resultId}`, updates);
+}
+
+export async function deleteMeetResult(meetId, resultId) {
+  return del(`/api/meets/${meetId}/results/${resultId}`);
+}
+
+// ========== IMPORT ==========
+
+/**
+ * Match athletes from a parsed results file against the roster.
+ * @param {{ meet: Object, athletes: Object[], results: Object[] }} data
+ * @returns {Promise<{ athletes: Object[], duplicates: number[], existingMeet: Object|null }>}
+ */
+export async function previewMeetImport(data) {
+  return post("/api/meets/import/preview", data);
+}
+
+/**
+ * Write confirmed results into a new meet (`meet`) or an existing one (`meetId`).
+ * @returns {Promise<{ meet: Object, created: number, skipped: number, bestTimes: number }>}
+ */
+export async function importMeetResults(data) {
+  return post("/api/meets/import", data);
+}
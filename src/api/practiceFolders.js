@@ -0,0 +1,22 @@
+// src/api/practiceFolders.js
+import { get, post, put, del } from "./client";
+
+/** A roster group's library folders, flat ({ _id, name, parent, practiceCount }) */
+export function listPracticeFolders(rosterGroup) {
+  const qs = new URLSearchParams(rosterGroup ? { rosterGroup } : {}).toString();
+  return get(`/api/practice-folders${qs ? `?${qs}` : ""}`);
+}
+
+export function createPracticeFolder({ name, rosterGroup, parent = null }) {
+  return post("/api/practice-folders", { name, rosterGroup, parent });
+}
+
+/** Rename and/or move a folder ({ name?, parent? }; parent null = top level) */
+export function updatePracticeFolder(id, updates) {
+  return put(`/api/practice-folders/${id}`, updates);
+}
+
+/** Delete a folder; its practices and subfolders move up to its parent */
+export function deletePracticeFolder(id) {
+  return del(`/api/practice-folders/${id}`);
+}
@@ -26,6 +26,11 @@ export function listPractices(params = {}) {
   const qs = new URLSearchParams(params).toString();
   return get(`/api/practices${qs ? `?${qs}` : ""}`);
 }
+/** Practices of every roster dated between `from` and `to` ("YYYY-MM-DD", inclusive) */
+export function listCalendarPractices(from, to) {
+  const qs = new URLSearchParams({ from, to }).toString();
+  return get(`/api/practices/calendar?${qs}`);
+}
 export function getPractice(id) {
   return get(`/api/practices/${id}`);
 }
@@ -38,11 +43,76 @@ export function updatePractice(id, patch) {
   return put(`/api/practices/${id}`, patch);
 }
 
-export function deletePractice(id) {
-  return del(`/api/practices/${id}`);
+/** Move a practice to the trash; `permanent` purges one that is already there */
+export function deletePractice(id, { permanent = false } = {}) {
+  return del(`/api/practices/${id}${permanent ? "?permanent=true" : ""}`);
+}
+
+export function restorePractice(id) {
+  return post(`/api/practices/${id}/restore`, {});
+}
+
+/** Permanently delete everything in the team's trash */
+export function emptyPracticeTrash() {
+  return del("/api/practices/trash");
+}
+
+export function archivePractice(id, archived = true) {
+  return post(`/api/practices/${id}/archive`, { archived });
+}
+
+/** Archive (or unarchive) every practice of a season */
+export function archiveSeasonPractices(season, archived = true) {
+  return post("/api/practices/archive", { season, archived });
 }
 
 export function toggleFavorite(id) {
   return put(`/api/practices/${id}/favorite`, {});
 }
 
+/** Every practice tag in use, [{ tag, count }] */
+export function listPracticeTags() {
+  return get("/api/practices/tags");
+}
+
+/** Rename a tag on every practice; renaming onto an existing tag merges them */
+export function renamePracticeTag(tag, name) {
+  return put(`/api/practices/tags/${encodeURIComponent(tag)}`, { name });
+}
+
+/** Replace each of `tags` with `into` on every practice */
+export function mergePracticeTags(tags, into) {
+  return post("/api/practices/tags/merge", { tags, into });
+}
+
+/** Remove a tag from every practice */
+export function deletePracticeTag(tag) {
+  return del(`/api/practices/tags/${encodeURIComponent(tag)}`);
+}
+
+
+/** Weekly yardage, time and stroke/style mix per roster (`season` title, or all seasons when empty) */
+export function getTrainingVolume(season = "") {
+  const qs = new URLSearchParams(season ? { season } : {}).toString();
+  return get(`/api/practices/volume${qs ? `?${qs}` : ""}`);
+}
+
+/** Swimmers in the practice's roster group with their attendance status (null = not marked) */
+export function getPracticeAttendance(id) {
+  return get(`/api/practices/${id}/attendance`);
+}
+
+/** Mark attendance — `records` is [{ swimmer, status }], status null clears a mark */
+export function saveAttendance(id, records) {
+  return put(`/api/practices/${id}/attendance`, { records });
+}
+
+/** Save history of a practice, newest first ({ revision, author, createdAt, changes, restoredFrom, snapshot }) */
+export function listPracticeRevisions(id) {
+  return get(`/api/practices/${id}/revisions`);
+}
+
+/** Put a practice back the way it was at `revision`; returns the updated practice */
+export function restorePracticeRevision(id, revision) {
+  return post(`/api/practices/${id}/revisions/${revision}/restore`, {});
+}
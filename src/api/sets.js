@@ -0,0 +1,31 @@
+// src/api/sets.js
+import { get, post, put, del } from "./client";
+
+/**
+ * Sets Library entries. Optional filters: q, tag, stroke, style, type,
+ * minYardage, maxYardage.
+ */
+export async function listSets(filters = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== "") params.append(key, value);
+  }
+  const qs = params.toString();
+  return get(`/api/sets${qs ? `?${qs}` : ""}`);
+}
+
+export async function listSetTags() {
+  return get("/api/sets/tags");
+}
+
+export async function createSet(data) {
+  return post("/api/sets", data);
+}
+
+export async function updateSet(id, updates) {
+  return put(`/api/sets/${id}`, updates);
+}
+
+export async function deleteSet(id) {
+  return del(`/api/sets/${id}`);
+}
@@ -77,6 +77,40 @@ export async function deleteTime(swimmerId, timeId) {
   return del(`/api/swimmers/${swimmerId}/times/${timeId}`);
 }
 
+/**
+ * Meet results for a swimmer, newest first (meet populated).
+ */
+export async function listSwimmerResults(swimmerId) {
+  return get(`/api/swimmers/${swimmerId}/results`);
+}
+
+/**
+ * Attendance per season (percentage, yards swum) and the latest marked practices.
+ * @returns {Promise<{ seasons: Object[], recent: Object[] }>}
+ */
+export async function getSwimmerAttendance(swimmerId) {
+  return get(`/api/swimmers/${swimmerId}/attendance`);
+}
+
+// ========== TIME STANDARDS ==========
+
+/**
+ * Top standard per swimmer against a standards set (defaults to the first set).
+ * @returns {Promise<{ set, sets, swimmers: Object<string, { top, counts, closest }> }>}
+ */
+export async function listRosterStandards(setId) {
+  return get(setId ? `/api/swimmers/standards?set=${setId}` : "/api/swimmers/standards");
+}
+
+/**
+ * Achieved level, next cut and gap for each of a swimmer's best times.
+ * @returns {Promise<{ set, sets, gender, age, events: Object[], summary }>}
+ */
+export async function getSwimmerStandards(swimmerId, setId) {
+  const qs = setId ? `?set=${setId}` : "";
+  return get(`/api/swimmers/${swimmerId}/standards${qs}`);
+}
+
 // ========== UTILITY FUNCTIONS ==========
 
 /**
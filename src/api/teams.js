@@ -0,0 +1,17 @@
+import { get, post, put, del } from "./client";
+
+/** Teams the signed-in coach belongs to, with their role in each */
+export const listTeams = ()                    => get("/api/teams");
+export const createTeam = (body)               => post("/api/teams", body);
+/** The team requests are scoped to (x-team-id), with its members */
+export const getCurrentTeam = ()               => get("/api/teams/current");
+export const updateCurrentTeam = (body)        => put("/api/teams/current", body);
+export const addTeamMember = (email, role)     => post("/api/teams/current/members", { email, role });
+export const updateTeamMember = (userId, role) => put(`/api/teams/current/members/${userId}`, { role });
+export const removeTeamMember = (userId)       => del(`/api/teams/current/members/${userId}`);
+
+export const TEAM_ROLE_LABELS = {
+  head_coach: "Head coach",
+  assistant: "Assistant",
+  read_only: "Read-only",
+};
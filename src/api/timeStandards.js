@@ -4,3 +4,25 @@ export const listTimeStandards = ()        => get("/api/time-standards");
 export const createTimeStandards = (body)  => post("/api/time-standards", body);
 export const updateTimeStandards = (id, b) => put(`/api/time-standards/${id}`, b);
 export const deleteTimeStandards = (id)    => del(`/api/time-standards/${id}`);
+
+/**
+ * Swimmers/events meeting one level of a set for a meet.
+ * @param {string} id - standards set
+ * @param {{ level, course, from?, to?, ageDate?, group?, convert? }} params - dates as YYYY-MM-DD
+ */
+export const getQualifiers = (id, params) => {
+  const qs = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => { if (v !== "" && v != null && v !== false) qs.append(k, String(v)); });
+  return get(`/api/time-standards/${id}/qualifiers?${qs}`);
+};
+
+// ── Shared catalog ───────────────────────────────────────────────────────────
+
+/** Every published catalog version (without cuts), with `subscribed` per standard */
+export const listStandardsCatalog = ()          => get("/api/time-standards/catalog");
+export const subscribeStandards = (catalogKey)   => post(`/api/time-standards/catalog/${encodeURIComponent(catalogKey)}/subscribe`, {});
+export const unsubscribeStandards = (catalogKey) => del(`/api/time-standards/catalog/${encodeURIComponent(catalogKey)}/subscribe`);
+/** Admin only: publish a set as one season of a catalog standard ({ season, catalogKey?, name? }) */
+export const publishTimeStandards = (id, body)  => post(`/api/time-standards/${id}/publish`, body);
+/** Editable copy of a catalog version or one of your own sets */
+export const cloneTimeStandards = (id, body = {}) => post(`/api/time-standards/${id}/clone`, body);
@@ -0,0 +1,35 @@
+// src/api/trainingPlans.js
+import { get, post, put, del } from "./client";
+
+/** Training plans, optionally filtered by { season, roster } */
+export async function listTrainingPlans(filters = {}) {
+  const qs = new URLSearchParams(filters).toString();
+  return get(`/api/training-plans${qs ? `?${qs}` : ""}`);
+}
+
+export async function createTrainingPlan(data) {
+  return post("/api/training-plans", data);
+}
+
+export async function updateTrainingPlan(id, updates) {
+  return put(`/api/training-plans/${id}`, updates);
+}
+
+export async function deleteTrainingPlan(id) {
+  return del(`/api/training-plans/${id}`);
+}
+
+/** Week-by-week planned vs. actual for a plan */
+export async function getTrainingPlanProgress(id) {
+  return get(`/api/training-plans/${id}/progress`);
+}
+
+/**
+ * The planned week a practice date falls in, with yardage already written
+ * for it (`excludeId` leaves out the practice being edited)
+ */
+export async function getPlannedWeek(roster, date, excludeId) {
+  const params = new URLSearchParams({ roster, date });
+  if (excludeId) params.append("exclude", excludeId);
+  return get(`/api/training-plans/week?${params.toString()}`);
+}
@@ -0,0 +1,37 @@
+import { get, put } from "./client";
+
+/** Every user with their permissions, plus the grantable list: { users, permissions } */
+export const listUsers = ()                      => get("/api/users");
+/** Admin: { permissions?, isAdmin?, isActive? } */
+export const updateUserAccess = (userId, body)   => put(`/api/users/${userId}/permissions`, body);
+/** The signed-in user, with permissions as they are now (not as of login) */
+export const getMe = ()                          => get("/api/auth/me");
+
+export const PERMISSION_LABELS = {
+  "read:practices": "View practices",
+  "write:practices": "Edit practices",
+  "read:swimmers": "View swimmers & meets",
+  "write:swimmers": "Edit swimmers & meets",
+  "read:standards": "View time standards",
+  "write:standards": "Edit time standards",
+  "write:config": "Edit rosters, seasons & acronyms",
+  "manage:feedback": "Manage feedback",
+  "manage:users": "Manage users",
+  admin: "Everything",
+};
+
+/** The user saved at sign-in (refreshed from getMe by the layout) */
+export function storedUser() {
+  try {
+    return JSON.parse(localStorage.getItem("user") || "null");
+  } catch {
+    return null;
+  }
+}
+
+/** Whether a user may do something; admins (flag or permission) may do everything */
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  const permissions = user.permissions || [];
+  return !!user.isAdmin || permissions.includes("admin") || permissions.includes(permission);
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { getPracticeAttendance, saveAttendance } from "../api/practices";
+import { ATTENDANCE_STATUSES, nextStatus, statusLabel, tallyAttendance } from "../utils/attendance";
+import "./AttendancePanel.css";
+
+/**
+ * Tap-to-mark attendance for one saved practice. Each tap moves a swimmer to
+ * the next status and saves straight away.
+ */
+export default function AttendancePanel({ practice, canEdit = true }) {
+  const [sheet, setSheet] = useState(null);   // null while loading
+  const [savingIds, setSavingIds] = useState([]);
+
+  useEffect(() => {
+    if (!practice?._id) return;
+    let cancelled = false;
+    setSheet(null);
+    getPracticeAttendance(practice._id)
+      .then((data) => { if (!cancelled) setSheet(data); })
+      .catch((e) => {
+        if (cancelled) return;
+        setSheet({ swimmers: [], group: null });
+        toast.error(e.message || "Failed to load attendance");
+      });
+    return () => { cancelled = true; };
+  }, [practice?._id]);
+
+  async function mark(records) {
+    const ids = records.map((r) => r.swimmer);
+    const previous = sheet;
+    const byId = new Map(records.map((r) => [r.swimmer, r.status]));
+    // Show the new status immediately; roll back if the save fails
+    setSheet((s) => ({
+      ...s,
+      swimmers: s.swimmers.map((sw) => (byId.has(sw._id) ? { ...sw, status: byId.get(sw._id) } : sw)),
+    }));
+    setSavingIds((prev) => [...prev, ...ids]);
+    try {
+      setSheet(await saveAttendance(practice._id, records));
+    } catch (e) {
+      setSheet(previous);
+      toast.error(e.message || "Failed to save attendance");
+    } finally {
+      setSavingIds((prev) => prev.filter((id) => !ids.includes(id)));
+    }
+  }
+
+  function markUnmarkedPresent() {
+    const records = sheet.swimmers.filter((s) => !s.status).map((s) => ({ swimmer: s._id, status: "present" }));
+    if (records.length) mark(records);
+  }
+
+  if (!sheet) return <div className="attendance-panel"><p className="attendance-muted">Loading attendance…</p></div>;
+
+  const tally = tallyAttendance(sheet.swimmers);
+
+  return (
+    <div className="attendance-panel">
+      <div className="attendance-header">
+        <div>
+          <h3 className="attendance-title">Attendance</h3>
+          <p className="attendance-muted">
+            {sheet.group ? sheet.group.name : `No roster group named "${practice.roster}"`}
+            {" · "}
+            {ATTENDANCE_STATUSES.map((s) => `${tally[s.value]} ${s.label.toLowerCase()}`).join(", ")}
+            {tally.unmarked > 0 && `, ${tally.unmarked} not marked`}
+          </p>
+        </div>
+        {canEdit && tally.unmarked > 0 && (
+          <button className="attendance-all-btn" onClick={markUnmarkedPresent}>
+            Mark rest present
+          </button>
+        )}
+      </div>
+
+      {sheet.swimmers.length === 0 ? (
+        <p className="attendance-muted">
+          No active swimmers in this group. Add swimmers to the "{practice.roster}" roster group on the Swimmers page.
+        </p>
+      ) : (
+        <ul className="attendance-list">
+          {sheet.swimmers.map((s) => (
+            <li key={s._id}>
+              <button
+                className={`attendance-chip ${s.status || "unmarked"}`}
+                disabled={!canEdit || savingIds.includes(s._id)}
+                onClick={() => mark([{ swimmer: s._id, status: nextStatus(s.status) }])}
+                title={canEdit ? `${statusLabel(s.status)} — tap to change` : statusLabel(s.status)}
+              >
+                <span className="attendance-status">
+                  {ATTENDANCE_STATUSES.find((st) => st.value === s.status)?.short || "–"}
+                </span>
+                <span className="attendance-name">{s.firstName} {s.lastName}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {canEdit && (
+        <p className="attendance-help">Tap a swimmer to cycle present → late → excused → absent → not marked.</p>
+      )}
+    </div>
+  );
+}
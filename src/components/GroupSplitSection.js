@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { formatTimeSeconds } from '../utils/intervalParser';
+import { formatTimeSeconds, DEFAULT_PACE_PER_100 } from '../utils/intervalParser';
+import { formatSeconds } from '../utils/timeHelpers';
+import { describeLines } from '../utils/practiceParser';
+import PracticeLineHints from './PracticeLineHints';
 import './GroupSplitSection.css';
 
 export default function GroupSplitSection({
@@ -11,7 +14,9 @@ export default function GroupSplitSection({
   onDelete,
   onAddGroupSection,
   onDeleteGroupSection,
-  onUpdateGroupSection
+  onUpdateGroupSection,
+  onSaveToLibrary,
+  paceForGroup = () => 0
 }) {
   const [isExpanded, setIsExpanded] = useState(true);
   const [editingGroupName, setEditingGroupName] = useState(null);
@@ -127,6 +132,16 @@ export default function GroupSplitSection({
           </span>
         )}
 
+        {onSaveToLibrary && (
+          <button
+            className="delete-btn"
+            onClick={() => onSaveToLibrary(section)}
+            title="Save to Sets Library"
+          >
+            📚
+          </button>
+        )}
+
         <button
           className="delete-btn"
           onClick={() => onDelete(section.id)}
@@ -162,6 +177,11 @@ export default function GroupSplitSection({
                       >
                         {group.name}
                       </h4>
+                      {paceForGroup(group.name) > 0 && (
+                        <span className="base-pace-badge" title="Base pace per 100 for @ base / T30 pace intervals">
+                          base {formatSeconds(paceForGroup(group.name))}
+                        </span>
+                      )}
                       {section.pacingGroup === group.name && (
                         <span className="pacing-badge" title="Longest duration">
                           🏃
@@ -179,7 +199,13 @@ export default function GroupSplitSection({
                 </div>
 
                 <div className="group-sections">
-                  {(group.sections || []).map((groupSection, idx) => (
+                  {(group.sections || []).map((groupSection, idx) => {
+                    const lineInfo = describeLines(groupSection.text, {
+                      defaultPacePer100: DEFAULT_PACE_PER_100,
+                      basePacePer100: paceForGroup(group.name),
+                    });
+                    const hasErrors = lineInfo.some(line => line.diagnostics.some(d => d.severity === 'error'));
+                    return (
                     <div key={groupSection.id || idx} className="group-section-item">
                       <textarea
                         value={groupSection.text}
@@ -201,7 +227,7 @@ export default function GroupSplitSection({
                           }
                         }}
                         placeholder="Enter practice text (e.g., 4x25 @ :50)"
-                        className="group-section-textarea"
+                        className={`group-section-textarea${hasErrors ? ' has-errors' : ''}`}
                         rows={3}
                       />
                       <button
@@ -210,8 +236,10 @@ export default function GroupSplitSection({
                       >
                         ✕
                       </button>
+                      <PracticeLineHints lines={lineInfo} />
                     </div>
-                  ))}
+                    );
+                  })}
 
                   <button
                     className="add-section-btn"
@@ -3,30 +3,53 @@ import { NavLink, Outlet, useNavigate } from 'react-router-dom';
 import { useTheme } from '../context/ThemeContext';
 import ThemeSettings from './ThemeSettings';
 import FeedbackButton from './FeedbackButton';
+import { listTeams } from '../api/teams';
+import { getMe, storedUser, hasPermission } from '../api/users';
 import './Layout.css';
 
 export default function Layout() {
   const { setIsSettingsOpen } = useTheme();
   const navigate = useNavigate();
-  const [isAdmin, setIsAdmin] = useState(false);
+  const [user, setUser] = useState(storedUser);
+  const [teams, setTeams] = useState([]);
+  const [teamId, setTeamId] = useState(() => localStorage.getItem("teamId") || "");
 
   useEffect(() => {
-    // Check if user is admin
-    const userStr = localStorage.getItem("user");
-    if (userStr) {
-      try {
-        const user = JSON.parse(userStr);
-        setIsAdmin(user.isAdmin || false);
-      } catch (e) {
-        console.error("Failed to parse user data:", e);
-        setIsAdmin(false);
-      }
-    }
+    // Permissions may have changed since sign-in
+    getMe()
+      .then((me) => {
+        const updated = { ...storedUser(), ...me };
+        localStorage.setItem("user", JSON.stringify(updated));
+        setUser(updated);
+      })
+      .catch((e) => console.error("Failed to refresh user:", e));
   }, []);
 
+  useEffect(() => {
+    listTeams()
+      .then((list) => {
+        setTeams(list);
+        // Forget a team the coach no longer belongs to
+        const stored = localStorage.getItem("teamId");
+        if (stored && !list.some((t) => t._id === stored)) {
+          localStorage.removeItem("teamId");
+          setTeamId("");
+        }
+      })
+      .catch((e) => console.error("Failed to load teams:", e));
+  }, []);
+
+  // Every page reads from the selected team, so reload rather than refetch piecemeal
+  const handleTeamChange = (e) => {
+    localStorage.setItem("teamId", e.target.value);
+    setTeamId(e.target.value);
+    window.location.reload();
+  };
+
   const handleLogout = () => {
     localStorage.removeItem("token");
     localStorage.removeItem("user");
+    localStorage.removeItem("teamId");
     navigate("/login");
   };
 
@@ -54,7 +77,19 @@ export default function Layout() {
           >
             Practice Library
           </NavLink>
-          {isAdmin && (
+          <NavLink
+            to="/home/calendar"
+            className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
+          >
+            Calendar
+          </NavLink>
+          <NavLink
+            to="/home/sets"
+            className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
+          >
+            Sets
+          </NavLink>
+          {hasPermission(user, "read:swimmers") && (
             <NavLink
               to="/home/swimmers"
               className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
@@ -62,7 +97,7 @@ export default function Layout() {
               Swimmers
             </NavLink>
           )}
-          {isAdmin && (
+          {hasPermission(user, "manage:feedback") && (
             <NavLink
               to="/home/feedback"
               className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
@@ -70,6 +105,14 @@ export default function Layout() {
               Feedback
             </NavLink>
           )}
+          {hasPermission(user, "manage:users") && (
+            <NavLink
+              to="/home/users"
+              className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
+            >
+              Users
+            </NavLink>
+          )}
           <NavLink
             to="/home/coaches"
             className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
@@ -89,6 +132,25 @@ export default function Layout() {
           >
             ⚙️ Settings
           </NavLink>
+          {teams.length > 1 ? (
+            <select
+              className="team-switcher"
+              value={teamId || teams[0]._id}
+              onChange={handleTeamChange}
+              title="Switch team"
+            >
+              {teams.map((t) => (
+                <option key={t._id} value={t._id}>{t.name}</option>
+              ))}
+            </select>
+          ) : null}
+          <NavLink
+            to="/home/team"
+            className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
+            title="Team members and roles"
+          >
+            Team
+          </NavLink>
           <button
             className="settings-btn"
             onClick={() => setIsSettingsOpen(true)}
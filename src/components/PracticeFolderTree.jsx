@@ -0,0 +1,90 @@
+import React from "react";
+import toast from "react-hot-toast";
+import { createPracticeFolder, updatePracticeFolder, deletePracticeFolder } from "../api/practiceFolders";
+import "./PracticeFolderTree.css";
+
+/**
+ * Folder navigation for one roster in the Practice Library sidebar.
+ * `selected` is "" (all practices), "none" (not in a folder) or a folder id;
+ * `folders` come in tree order (see flattenFolderTree).
+ */
+export default function PracticeFolderTree({ rosterGroup, folders = [], selected = "", onSelect, canEdit = false, onChanged }) {
+  const current = folders.find((f) => f._id === selected);
+
+  async function run(action, success) {
+    try {
+      const result = await action();
+      toast.success(success);
+      onChanged?.(result);
+      return true;
+    } catch (e) {
+      toast.error(e.message || "Failed to update folders");
+      return false;
+    }
+  }
+
+  function handleCreate() {
+    const where = current ? ` inside "${current.name}"` : "";
+    const name = window.prompt(`New folder${where}:`);
+    if (!name || !name.trim()) return;
+    run(() => createPracticeFolder({ name: name.trim(), rosterGroup, parent: current?._id || null }), "Folder created");
+  }
+
+  function handleRename() {
+    const name = window.prompt("Rename folder:", current.name);
+    if (!name || !name.trim() || name.trim() === current.name) return;
+    run(() => updatePracticeFolder(current._id, { name: name.trim() }), "Folder renamed");
+  }
+
+  async function handleDelete() {
+    const into = folders.find((f) => f._id === current.parent)?.name;
+    if (!window.confirm(`Delete "${current.name}"? Its practices and subfolders move to ${into ? `"${into}"` : "the top level"}.`)) return;
+    if (await run(() => deletePracticeFolder(current._id), "Folder deleted")) onSelect(current.parent || "");
+  }
+
+  return (
+    <div className="pf-tree">
+      <div className="pf-header">
+        <span>Folders</span>
+        {canEdit && (
+          <button className="pf-icon-btn" onClick={handleCreate} title={current ? `New folder in ${current.name}` : "New folder"}>
+            +
+          </button>
+        )}
+      </div>
+      <ul className="pf-list">
+        <li>
+          <button className={`pf-item ${selected === "" ? "active" : ""}`} onClick={() => onSelect("")}>
+            All practices
+          </button>
+        </li>
+        {folders.map((f) => (
+          <li key={f._id}>
+            <button
+              className={`pf-item ${selected === f._id ? "active" : ""}`}
+              style={{ paddingLeft: `calc(var(--space-md) + ${f.depth * 14}px)` }}
+              onClick={() => onSelect(f._id)}
+              title={f.path}
+            >
+              📁 {f.name}
+              {f.practiceCount > 0 && <span className="pf-count">{f.practiceCount}</span>}
+            </button>
+          </li>
+        ))}
+        {folders.length > 0 && (
+          <li>
+            <button className={`pf-item muted ${selected === "none" ? "active" : ""}`} onClick={() => onSelect("none")}>
+              Not in a folder
+            </button>
+          </li>
+        )}
+      </ul>
+      {canEdit && current && (
+        <div className="pf-actions">
+          <button onClick={handleRename}>Rename</button>
+          <button onClick={handleDelete}>Delete</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { listPracticeRevisions, restorePracticeRevision } from "../api/practices";
+import { diffPractices, REVISION_FIELD_LABELS } from "../utils/practiceDiff";
+import { formatSeconds, formatYardage } from "../utils/timeHelpers";
+import "./PracticeHistory.css";
+
+const formatWhen = (date) =>
+  new Date(date).toLocaleString("en-US", { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit" });
+
+// "Roster" covers both the name and the linked group
+const changeLabels = (changes = []) => [...new Set(changes.map((c) => REVISION_FIELD_LABELS[c] || c))];
+
+function Change({ before, after, format = (v) => v }) {
+  if (before === after || before == null || after == null) {
+    return <span>{format(after ?? before)}</span>;
+  }
+  return (
+    <span>
+      <span className="ph-old">{format(before)}</span> → <span className="ph-new">{format(after)}</span>
+    </span>
+  );
+}
+
+/**
+ * Save history of a practice: who saved it when and what changed, a
+ * section-by-section diff, and restoring an older version.
+ */
+export default function PracticeHistory({ practice, canRestore = false, onRestore }) {
+  const [revisions, setRevisions] = useState(null);   // null while loading
+  const [selectedRevision, setSelectedRevision] = useState(null);
+  const [compareTo, setCompareTo] = useState("previous");
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  // Reloads after every save, so the newest revision shows up
+  useEffect(() => {
+    if (!practice?._id) return;
+    let cancelled = false;
+    listPracticeRevisions(practice._id)
+      .then((list) => {
+        if (cancelled) return;
+        setRevisions(list);
+        setSelectedRevision((current) =>
+          list.some((r) => r.revision === current) ? current : list[0]?.revision ?? null
+        );
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setRevisions([]);
+        toast.error(e.message || "Failed to load history");
+      });
+    return () => { cancelled = true; };
+  }, [practice]);
+
+  const selected = revisions?.find((r) => r.revision === selectedRevision);
+  const latest = revisions?.[0];
+
+  const diff = useMemo(() => {
+    if (!selected) return null;
+    if (compareTo === "current") return diffPractices(selected.snapshot, practice);
+    const previous = revisions.find((r) => r.revision === selected.revision - 1);
+    return diffPractices(previous?.snapshot || null, selected.snapshot);
+  }, [selected, compareTo, practice, revisions]);
+
+  async function handleRestore() {
+    if (!selected) return;
+    if (!window.confirm(`Restore revision #${selected.revision} from ${formatWhen(selected.createdAt)}? The current version stays in the history.`)) return;
+    setRestoring(true);
+    try {
+      const updated = await restorePracticeRevision(practice._id, selected.revision);
+      toast.success(`Restored revision #${selected.revision}`);
+      onRestore?.(updated);
+    } catch (e) {
+      toast.error(e.message || "Failed to restore revision");
+    } finally {
+      setRestoring(false);
+    }
+  }
+
+  if (revisions === null) return <div className="practice-history"><p className="ph-muted">Loading history…</p></div>;
+
+  if (revisions.length === 0) {
+    return (
+      <div className="practice-history">
+        <h3 className="ph-title">History</h3>
+        <p className="ph-muted">No saved revisions yet. Every save from now on is kept here.</p>
+      </div>
+    );
+  }
+
+  const visibleSections = diff.sections.filter((s) => showUnchanged || s.status !== "same");
+  const unchangedCount = diff.sections.length - diff.sections.filter((s) => s.status !== "same").length;
+
+  return (
+    <div className="practice-history">
+      <div className="ph-header">
+        <h3 className="ph-title">History</h3>
+        <p className="ph-muted">{revisions.length} saved version{revisions.length === 1 ? "" : "s"}</p>
+      </div>
+
+      <div className="ph-body">
+        <ul className="ph-list">
+          {revisions.map((r) => (
+            <li key={r.revision}>
+              <button
+                className={`ph-item${r.revision === selectedRevision ? " active" : ""}`}
+                onClick={() => setSelectedRevision(r.revision)}
+              >
+                <span className="ph-item-head">
+                  <span className="ph-rev">#{r.revision}</span>
+                  {r.revision === latest.revision && <span className="ph-tag">current</span>}
+                </span>
+                <span className="ph-item-meta">{r.author} · {formatWhen(r.createdAt)}</span>
+                <span className="ph-item-changes">
+                  {r.restoredFrom
+                    ? `Restored #${r.restoredFrom}`
+                    : r.changes.length
+                      ? changeLabels(r.changes).join(", ")
+                      : "Created"}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="ph-diff">
+          <div className="ph-diff-toolbar">
+            <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)}>
+              <option value="previous">Changes in this save</option>
+              <option value="current">Changes since, up to now</option>
+            </select>
+            {unchangedCount > 0 && (
+              <label className="ph-toggle">
+                <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                Show {unchangedCount} unchanged section{unchangedCount === 1 ? "" : "s"}
+              </label>
+            )}
+            {canRestore && selected && selected.revision !== latest.revision && (
+              <button className="ph-restore" onClick={handleRestore} disabled={restoring}>
+                {restoring ? "Restoring…" : `↩ Restore #${selected.revision}`}
+              </button>
+            )}
+          </div>
+
+          {diff.fields.length > 0 && (
+            <table className="ph-fields">
+              <tbody>
+                {diff.fields.map((f) => (
+                  <tr key={f.field}>
+                    <th>{f.label}</th>
+                    <td><Change before={f.before || "—"} after={f.after || "—"} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="ph-totals">
+            Total <Change before={diff.totals.yardage.before} after={diff.totals.yardage.after} format={formatYardage} />
+            {" · "}
+            <Change before={diff.totals.timeSeconds.before} after={diff.totals.timeSeconds.after} format={formatSeconds} />
+          </div>
+
+          {visibleSections.length === 0 && diff.fields.length === 0 && (
+            <p className="ph-muted">No differences.</p>
+          )}
+
+          {visibleSections.map((s) => (
+            <div key={s.index} className={`ph-section ${s.status}`}>
+              <div className="ph-section-head">
+                <span className="ph-section-title">
+                  {s.previousTitle && <span className="ph-old">{s.previousTitle}</span>} {s.title || `Section ${s.index + 1}`}
+                </span>
+                <span className={`ph-status ${s.status}`}>{s.status}</span>
+                <span className="ph-section-stats">
+                  <Change before={s.yardage.before} after={s.yardage.after} format={formatYardage} />
+                  {" · "}
+                  <Change before={s.timeSeconds.before} after={s.timeSeconds.after} format={formatSeconds} />
+                </span>
+              </div>
+              <pre className="ph-lines">
+                {s.lines.map((l, i) => (
+                  <div key={i} className={`ph-line ${l.type}`}>
+                    <span className="ph-line-mark">{l.type === "added" ? "+" : l.type === "removed" ? "−" : " "}</span>
+                    {l.line || " "}
+                  </div>
+                ))}
+              </pre>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
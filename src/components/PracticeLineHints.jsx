@@ -0,0 +1,85 @@
+import React from "react";
+import { formatSeconds, formatYardage } from "../utils/timeHelpers";
+import "./PracticeLineHints.css";
+
+function describeInterval(interval) {
+  if (!interval) return "";
+  switch (interval.kind) {
+    case "descending":
+      return ` desc ${formatSeconds(interval.from)}→${formatSeconds(interval.to)}`;
+    case "relative":
+      return ` @ ${formatSeconds(interval.seconds)} (${interval.raw.replace(/^(@|on)\s*/i, "")})`;
+    case "rest":
+      return ` + ${formatSeconds(interval.rest)} rest`;
+    case "pace":
+      return ` @ ${formatSeconds(interval.seconds)} (${interval.raw.replace(/^(@|on)\s*/i, "")}${interval.estimated ? ", no base pace — estimated" : ""})`;
+    default:
+      return ` @ ${formatSeconds(interval.seconds)}`;
+  }
+}
+
+// "4 × 100 @ 1:30 = 400m in 6:00 (×2)"
+function describeSet(set) {
+  const reps = set.reps > 1 ? `${set.reps} × ${set.distance}` : `${set.distance}`;
+  const interval = describeInterval(set.interval);
+  const time = set.seconds > 0 ? ` in ${formatSeconds(set.seconds)}` : " (no interval)";
+  const repeat = set.multiplier > 1 ? ` (×${set.multiplier})` : "";
+  return `${reps}${interval} = ${formatYardage(set.yardage)}m${time}${repeat}`;
+}
+
+function summarizeLine(line) {
+  if (line.diagnostics.length > 0) return line.diagnostics[0].message;
+  if (line.repeat) return `repeat ×${line.repeat.count}`;
+  if (line.rest) return `rest ${formatSeconds(line.rest.seconds)}`;
+  if (line.sets.length === 0) return "not counted";
+
+  const yardage = line.sets.reduce((sum, s) => sum + s.yardage * s.multiplier, 0);
+  const seconds = line.sets.reduce((sum, s) => sum + s.seconds * s.multiplier, 0);
+  return `${formatYardage(yardage)}m${seconds > 0 ? ` · ${formatSeconds(seconds)}` : ""}`;
+}
+
+function lineTooltip(line) {
+  const parts = line.diagnostics.map((d) => d.message);
+  if (line.repeat) parts.push(`Repeats the lines below it ${line.repeat.count} times`);
+  if (line.rest) parts.push(`${formatSeconds(line.rest.seconds)} rest${line.rest.multiplier > 1 ? ` (×${line.rest.multiplier})` : ""}`);
+  parts.push(...line.sets.map(describeSet));
+  if (parts.length === 0) parts.push("No distance on this line — it adds no yardage or time");
+  return parts.join("\n");
+}
+
+/**
+ * Per-line gutter for a practice textarea: flags lines the parser could not
+ * understand and shows how each line was counted (hover for the breakdown).
+ * `lines` comes from describeLines() in utils/practiceParser.
+ */
+export default function PracticeLineHints({ lines }) {
+  const rows = (lines || [])
+    .map((line, idx) => ({ ...line, number: idx + 1 }))
+    .filter((line) => line.text.trim() !== "");
+
+  if (rows.length === 0) return null;
+
+  return (
+    <div className="line-hints">
+      {rows.map((line) => {
+        const severity = line.diagnostics.some((d) => d.severity === "error")
+          ? "error"
+          : line.diagnostics.length > 0
+            ? "warning"
+            : line.sets.length === 0 && !line.repeat && !line.rest
+              ? "muted"
+              : "ok";
+
+        return (
+          <div key={line.number} className={`line-hint ${severity}`} title={lineTooltip(line)}>
+            <span className="line-hint-number">{line.number}</span>
+            <span className="line-hint-marker">
+              {severity === "error" || severity === "warning" ? "⚠" : ""}
+            </span>
+            <span className="line-hint-summary">{summarizeLine(line)}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { updatePractice } from "../api/practices";
+import { parseTags } from "../utils/librarySets";
+import "./PracticeOrganizer.css";
+
+/**
+ * Tags and folder of one saved practice. `folders` are the practice's
+ * roster folders in tree order (see flattenFolderTree).
+ */
+export default function PracticeOrganizer({ practice, folders = [], knownTags = [], onSaved }) {
+  const [tags, setTags] = useState("");
+  const [folder, setFolder] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setTags((practice?.tags || []).join(", "));
+    setFolder(practice?.folder || "");
+  }, [practice]);
+
+  const current = parseTags(tags);
+  const suggestions = knownTags.filter((t) => !current.includes(t)).slice(0, 12);
+
+  async function save() {
+    setSaving(true);
+    try {
+      const updated = await updatePractice(practice._id, { tags: current, folder: folder || null });
+      toast.success("Practice organized");
+      onSaved?.(updated);
+    } catch (e) {
+      toast.error(e.message || "Failed to save tags and folder");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="practice-organizer">
+      <h3 className="po-title">Tags &amp; folder</h3>
+      <div className="po-row">
+        <label className="po-field">
+          <span>Tags</span>
+          <input value={tags} onChange={(e) => setTags(e.target.value)} placeholder="threshold, meet week, taper" />
+        </label>
+        <label className="po-field">
+          <span>Folder</span>
+          <select value={folder} onChange={(e) => setFolder(e.target.value)}>
+            <option value="">No folder</option>
+            {folders.map((f) => (
+              <option key={f._id} value={f._id}>{f.path}</option>
+            ))}
+          </select>
+        </label>
+        <button className="po-save" onClick={save} disabled={saving}>
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+      {suggestions.length > 0 && (
+        <div className="po-suggestions">
+          {suggestions.map((t) => (
+            <button key={t} className="po-suggestion" onClick={() => setTags([...current, t].join(", "))}>
+              +{t}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
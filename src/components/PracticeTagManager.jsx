@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { renamePracticeTag, mergePracticeTags, deletePracticeTag } from "../api/practices";
+import "./PracticeTagManager.css";
+
+const plural = (n) => `${n} practice${n === 1 ? "" : "s"}`;
+
+/**
+ * Rename, merge and delete practice tags. Every change rewrites the tagged
+ * practices, then `onChanged` reloads the tag list.
+ */
+export default function PracticeTagManager({ tags = [], onChanged, onClose }) {
+  const [checked, setChecked] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const toggle = (tag) =>
+    setChecked((prev) => (prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]));
+
+  async function run(action, message) {
+    setBusy(true);
+    try {
+      const { updated } = await action();
+      toast.success(`${message} (${plural(updated)} updated)`);
+      setChecked([]);
+      onChanged?.();
+    } catch (e) {
+      toast.error(e.message || "Failed to update tags");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleRename(tag) {
+    const name = window.prompt(`Rename "${tag}" to (an existing tag merges them):`, tag);
+    if (!name || name.trim().toLowerCase() === tag) return;
+    run(() => renamePracticeTag(tag, name), `Renamed "${tag}"`);
+  }
+
+  function handleDelete({ tag, count }) {
+    if (!window.confirm(`Remove "${tag}" from ${plural(count)}?`)) return;
+    run(() => deletePracticeTag(tag), `Deleted "${tag}"`);
+  }
+
+  function handleMerge() {
+    const into = window.prompt(`Merge ${checked.map((t) => `"${t}"`).join(", ")} into:`, checked[0]);
+    if (!into || !into.trim()) return;
+    run(() => mergePracticeTags(checked, into), `Merged into "${into.trim().toLowerCase()}"`);
+  }
+
+  return (
+    <div className="ptm-panel">
+      <div className="ptm-header">
+        <h3 className="ptm-title">Practice tags</h3>
+        <button className="ptm-close" onClick={onClose} title="Close">×</button>
+      </div>
+      {tags.length === 0 ? (
+        <p className="ptm-muted">No tags yet. Add tags to a practice from the library or the Practice Builder.</p>
+      ) : (
+        <ul className="ptm-list">
+          {tags.map((t) => (
+            <li key={t.tag}>
+              <label>
+                <input type="checkbox" checked={checked.includes(t.tag)} onChange={() => toggle(t.tag)} disabled={busy} />
+                <span className="ptm-tag">#{t.tag}</span>
+                <span className="ptm-muted">{t.count}</span>
+              </label>
+              <button className="ptm-action" onClick={() => handleRename(t.tag)} disabled={busy}>Rename</button>
+              <button className="ptm-action danger" onClick={() => handleDelete(t)} disabled={busy}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {checked.length > 1 && (
+        <button className="ptm-merge" onClick={handleMerge} disabled={busy}>
+          Merge {checked.length} tags…
+        </button>
+      )}
+    </div>
+  );
+}
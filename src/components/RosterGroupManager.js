@@ -10,8 +10,31 @@ import {
   updateLocation,
   deleteLocation,
 } from "../api/swimmers";
+import { parseTimeToSeconds } from "../utils/intervalParser";
+import { formatSeconds } from "../utils/timeHelpers";
 import "./RosterGroupManager.css";
 
+const COURSES = ["SCY", "SCM", "LCM"];
+const EMPTY_BASE_PACE = { SCY: "", SCM: "", LCM: "" };
+
+// "1:20" per course -> seconds per 100 (null clears a course)
+function basePaceToSeconds(basePace) {
+  const out = {};
+  for (const course of COURSES) {
+    const value = (basePace[course] || "").trim();
+    out[course] = value ? parseTimeToSeconds(value) || null : null;
+  }
+  return out;
+}
+
+function basePaceToForm(basePace) {
+  const out = { ...EMPTY_BASE_PACE };
+  for (const course of COURSES) {
+    if (basePace?.[course]) out[course] = formatSeconds(basePace[course]);
+  }
+  return out;
+}
+
 function RosterGroupManager({ onClose, onSuccess }) {
   const [groups, setGroups] = useState([]);
   const [locations, setLocations] = useState([]);
@@ -26,6 +49,7 @@ function RosterGroupManager({ onClose, onSuccess }) {
     description: "",
     displayOrder: 0,
     color: "#3b82f6",
+    basePace: EMPTY_BASE_PACE,
   });
 
   const [locationForm, setLocationForm] = useState({
@@ -66,6 +90,13 @@ function RosterGroupManager({ onClose, onSuccess }) {
     }));
   };
 
+  const handleBasePaceChange = (course, value) => {
+    setGroupForm((prev) => ({
+      ...prev,
+      basePace: { ...prev.basePace, [course]: value },
+    }));
+  };
+
   const handleGroupSubmit = async (e) => {
     e.preventDefault();
 
@@ -77,11 +108,13 @@ function RosterGroupManager({ onClose, onSuccess }) {
     try {
       setSaving(true);
 
+      const payload = { ...groupForm, basePace: basePaceToSeconds(groupForm.basePace) };
+
       if (editingGroup) {
-        await updateRosterGroup(editingGroup._id, groupForm);
+        await updateRosterGroup(editingGroup._id, payload);
         toast.success("Group updated!");
       } else {
-        await createRosterGroup(groupForm);
+        await createRosterGroup(payload);
         toast.success("Group created!");
       }
 
@@ -90,6 +123,7 @@ function RosterGroupManager({ onClose, onSuccess }) {
         description: "",
         displayOrder: 0,
         color: "#3b82f6",
+        basePace: EMPTY_BASE_PACE,
       });
       setEditingGroup(null);
       loadData();
@@ -108,6 +142,7 @@ function RosterGroupManager({ onClose, onSuccess }) {
       description: group.description || "",
       displayOrder: group.displayOrder || 0,
       color: group.color || "#3b82f6",
+      basePace: basePaceToForm(group.basePace),
     });
   };
 
@@ -266,6 +301,21 @@ function RosterGroupManager({ onClose, onSuccess }) {
                     </div>
                   </div>
 
+                  <div className="form-row">
+                    {COURSES.map((course) => (
+                      <div className="form-group" key={course}>
+                        <label htmlFor={`group_pace_${course}`}>Base Pace /100 {course}</label>
+                        <input
+                          type="text"
+                          id={`group_pace_${course}`}
+                          value={groupForm.basePace[course]}
+                          onChange={(e) => handleBasePaceChange(course, e.target.value)}
+                          placeholder="e.g. 1:20"
+                        />
+                      </div>
+                    ))}
+                  </div>
+
                   <div className="form-group">
                     <label htmlFor="group_desc">Description</label>
                     <textarea
@@ -290,6 +340,7 @@ function RosterGroupManager({ onClose, onSuccess }) {
                             description: "",
                             displayOrder: 0,
                             color: "#3b82f6",
+                            basePace: EMPTY_BASE_PACE,
                           });
                         }}
                       >
@@ -322,6 +373,14 @@ function RosterGroupManager({ onClose, onSuccess }) {
                           {group.description && (
                             <div className="item-desc">{group.description}</div>
                           )}
+                          {COURSES.some((c) => group.basePace?.[c]) && (
+                            <div className="item-desc">
+                              Base /100:{" "}
+                              {COURSES.filter((c) => group.basePace?.[c])
+                                .map((c) => `${c} ${formatSeconds(group.basePace[c])}`)
+                                .join(" · ")}
+                            </div>
+                          )}
                         </div>
                         <div className="item-actions">
                           <button
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react";
+import { useDraggable } from "@dnd-kit/core";
+import { listSets, listSetTags } from "../api/sets";
+import { formatSeconds, formatYardage } from "../utils/timeHelpers";
+import "./SetsSidebar.css";
+
+/** Card for one library set; drag it into the practice or click + to append */
+export function LibrarySetCard({ set, onInsert, dragging = false }) {
+  return (
+    <div className={`sets-sidebar-card ${dragging ? "dragging" : ""}`}>
+      <div className="sets-sidebar-card-header">
+        <span className="sets-sidebar-card-name">{set.name}</span>
+        {onInsert && (
+          <button className="sets-sidebar-add" onClick={() => onInsert(set)} title="Add to the end of the practice">
+            +
+          </button>
+        )}
+      </div>
+      <div className="sets-sidebar-card-meta">
+        {set.type === "group-split" && <span className="sets-sidebar-badge">split</span>}
+        {set.yardage > 0 && <span>{formatYardage(set.yardage)}m</span>}
+        {set.timeSeconds > 0 && <span>{formatSeconds(set.timeSeconds)}</span>}
+        {(set.tags || []).map((t) => (
+          <span key={t} className="sets-sidebar-tag">#{t}</span>
+        ))}
+      </div>
+      {set.type !== "group-split" && set.text && <pre className="sets-sidebar-text">{set.text}</pre>}
+    </div>
+  );
+}
+
+function DraggableSet({ set, onInsert }) {
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({
+    id: `library-${set._id}`,
+    data: { librarySet: set },
+  });
+
+  return (
+    <div ref={setNodeRef} className="sets-sidebar-item" style={{ opacity: isDragging ? 0.4 : 1 }} {...attributes} {...listeners}>
+      <LibrarySetCard set={set} onInsert={onInsert} />
+    </div>
+  );
+}
+
+/**
+ * Sets Library panel for the Practice Builder. Must render inside the
+ * builder's DndContext so its sets can be dropped into the section list.
+ * @param {Object} props
+ * @param {Function} props.onInsert - Append a set to the practice
+ * @param {number} props.refreshKey - Bump to reload after saving a new set
+ */
+export default function SetsSidebar({ onInsert, refreshKey = 0 }) {
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [tags, setTags] = useState([]);
+  const [sets, setSets] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    listSetTags()
+      .then((list) => setTags(list || []))
+      .catch((e) => console.error("Failed to load set tags", e));
+  }, [refreshKey]);
+
+  // Debounced search
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const list = await listSets({ q: query, tag });
+        if (!cancelled) setSets(list || []);
+      } catch (e) {
+        console.error("Failed to load sets", e);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, tag, refreshKey]);
+
+  return (
+    <div className="sets-sidebar">
+      <h2 className="stats-title">Sets Library</h2>
+      <div className="sets-sidebar-filters">
+        <input
+          type="search"
+          placeholder="Search sets…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.stopPropagation()}
+        />
+        <select value={tag} onChange={(e) => setTag(e.target.value)}>
+          <option value="">All tags</option>
+          {tags.map((t) => (
+            <option key={t} value={t}>#{t}</option>
+          ))}
+        </select>
+      </div>
+      <p className="sets-sidebar-hint">Drag a set into the practice, or click + to add it at the end.</p>
+      <div className="sets-sidebar-list">
+        {sets.map((set) => (
+          <DraggableSet key={set._id} set={set} onInsert={onInsert} />
+        ))}
+        {!loading && sets.length === 0 && (
+          <p className="stats-empty">
+            {query || tag ? "No sets match." : "No saved sets yet — use 📚 on a section to save one."}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
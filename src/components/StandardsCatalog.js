@@ -0,0 +1,136 @@
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import {
+  listStandardsCatalog,
+  subscribeStandards,
+  unsubscribeStandards,
+  cloneTimeStandards,
+} from "../api/timeStandards";
+import "./StandardsCatalog.css";
+
+/**
+ * Browse the shared standards catalog. Subscribing adds every season of a
+ * standard to your sets (read-only); cloning makes an editable copy of one
+ * season.
+ * @param {Object} props
+ * @param {() => void} props.onSubscriptionChange - reload the caller's sets
+ * @param {(set: Object) => void} props.onCloned
+ * @param {() => void} props.onClose
+ */
+export default function StandardsCatalog({ onSubscriptionChange, onCloned, onClose }) {
+  const [versions, setVersions] = useState(null);   // null while loading
+  const [busy, setBusy] = useState("");
+
+  useEffect(() => {
+    listStandardsCatalog()
+      .then(setVersions)
+      .catch(() => {
+        setVersions([]);
+        toast.error("Failed to load the standards catalog");
+      });
+  }, []);
+
+  // One card per standard, versions newest season first (server order)
+  const standards = useMemo(() => {
+    const byKey = [];
+    (versions || []).forEach(v => {
+      let std = byKey.find(s => s.catalogKey === v.catalogKey);
+      if (!std) {
+        std = { catalogKey: v.catalogKey, name: v.name, organization: v.organization, subscribed: v.subscribed, versions: [] };
+        byKey.push(std);
+      }
+      std.versions.push(v);
+    });
+    return byKey;
+  }, [versions]);
+
+  async function toggleSubscription(std) {
+    setBusy(std.catalogKey);
+    try {
+      const { subscribed } = std.subscribed
+        ? await unsubscribeStandards(std.catalogKey)
+        : await subscribeStandards(std.catalogKey);
+      setVersions(prev => prev.map(v => v.catalogKey === std.catalogKey ? { ...v, subscribed } : v));
+      toast.success(subscribed ? `Subscribed to ${std.name}` : `Unsubscribed from ${std.name}`);
+      onSubscriptionChange();
+    } catch (e) {
+      toast.error(e.message || "Failed to update subscription");
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function handleClone(version) {
+    setBusy(version._id);
+    try {
+      const created = await cloneTimeStandards(version._id);
+      toast.success(`Cloned as "${created.name}"`);
+      onCloned(created);
+    } catch (e) {
+      toast.error(e.message || "Failed to clone");
+    } finally {
+      setBusy("");
+    }
+  }
+
+  return (
+    <div className="ts-panel sc-panel">
+      <div className="sc-header">
+        <div>
+          <h3>Standards Catalog</h3>
+          <p className="sc-help">
+            Published once by an admin and shared with every coach. Subscribe to follow a standard
+            (all seasons, read-only), or clone a season to edit your own copy.
+          </p>
+        </div>
+        <button className="ts-btn-ghost ts-btn-sm" onClick={onClose}>Close</button>
+      </div>
+
+      {versions === null ? (
+        <p className="sc-empty">Loading…</p>
+      ) : standards.length === 0 ? (
+        <p className="sc-empty">Nothing has been published to the catalog yet.</p>
+      ) : (
+        <ul className="sc-list">
+          {standards.map(std => (
+            <li key={std.catalogKey} className="sc-standard">
+              <div className="sc-standard-head">
+                <div>
+                  <span className="sc-standard-name">{std.name}</span>
+                  {std.organization && <span className="sc-standard-org">{std.organization}</span>}
+                </div>
+                <button
+                  className={std.subscribed ? "ts-btn-ghost ts-btn-sm" : "ts-btn-primary ts-btn-sm"}
+                  onClick={() => toggleSubscription(std)}
+                  disabled={busy === std.catalogKey}
+                >
+                  {std.subscribed ? "Unsubscribe" : "Subscribe"}
+                </button>
+              </div>
+              <ul className="sc-versions">
+                {std.versions.map((v, i) => (
+                  <li key={v._id} className="sc-version">
+                    <span className="sc-season">{v.season}</span>
+                    {i === 0 && <span className="sc-latest">Latest</span>}
+                    {v.publishedAt && (
+                      <span className="sc-published">
+                        published {new Date(v.publishedAt).toLocaleDateString()}
+                      </span>
+                    )}
+                    <button
+                      className="ts-btn-ghost ts-btn-sm sc-clone"
+                      onClick={() => handleClone(v)}
+                      disabled={busy === v._id}
+                    >
+                      Clone
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { updateTimeStandards } from "../api/timeStandards";
+import { parseStandardsTable, diffStandards, applyStandards } from "../utils/standardsImport";
+import "./StandardsImport.css";
+
+const STATUS_LABELS = { added: "New", changed: "Changed", same: "Unchanged" };
+
+/**
+ * Paste or upload a standards table for one age group, preview what changes
+ * against the set, then save the merged entries.
+ * @param {Object} props
+ * @param {Object} props.set - the selected TimeStandardsSet
+ * @param {string[]} props.events - the set's events (or the defaults)
+ * @param {string[]} props.ageGroups
+ * @param {string} props.ageGroup - initial age group
+ * @param {string} props.level - initial level (one-level tables)
+ * @param {string} props.course - initial course (one-course tables)
+ * @param {(set: Object) => void} props.onSaved
+ * @param {() => void} props.onClose
+ */
+export default function StandardsImport({ set, events, ageGroups, ageGroup, level, course, onSaved, onClose }) {
+  const levels = set.standardLevels || [];
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [options, setOptions] = useState({
+    ageGroup,
+    columns: "courses",
+    level: level || levels[0] || "",
+    course: course || "SCY",
+  });
+  const [preview, setPreview] = useState(null);   // { cuts, events, skipped, diff }
+  const [showSame, setShowSame] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  function update(key, value) {
+    setOptions(o => ({ ...o, [key]: value }));
+    setPreview(null);
+  }
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(String(reader.result || ""));
+      setFileName(file.name);
+      setPreview(null);
+    };
+    reader.onerror = () => toast.error("Could not read the file");
+    reader.readAsText(file);
+  }
+
+  function handlePreview() {
+    if (!text.trim()) { toast.error("Paste a table or choose a CSV file"); return; }
+    const parsed = parseStandardsTable(text, { levels, events, ...options });
+    if (parsed.cuts.length === 0) {
+      toast.error(parsed.skipped.length ? "No rows could be read — check the column layout" : "No cut times found");
+    }
+    setPreview({ ...parsed, diff: diffStandards(set.entries, options.ageGroup, parsed.cuts) });
+  }
+
+  const counts = useMemo(() => {
+    const c = { added: 0, changed: 0, same: 0 };
+    (preview?.diff || []).forEach(d => { c[d.status]++; });
+    return c;
+  }, [preview]);
+  const newEvents = (preview?.events || []).filter(ev => !events.includes(ev));
+  const rows = (preview?.diff || []).filter(d => showSame || d.status !== "same");
+
+  async function handleSave() {
+    if (!preview || counts.added + counts.changed === 0) return;
+    setSaving(true);
+    try {
+      const result = await updateTimeStandards(set._id, {
+        entries: applyStandards(set.entries, options.ageGroup, preview.cuts),
+        ...(newEvents.length ? { events: [...events, ...newEvents] } : {}),
+      });
+      toast.success(`Imported ${counts.added + counts.changed} cuts for ${options.ageGroup}`);
+      onSaved(result);
+    } catch (e) {
+      toast.error(e.message || "Failed to save");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="ts-panel si-panel">
+      <div className="si-header">
+        <h3>Import cuts</h3>
+        <button className="ts-btn-ghost ts-btn-sm" onClick={onClose}>Close</button>
+      </div>
+      <p className="si-help">
+        Paste a table copied from a standards PDF, or choose a CSV. Women's times go left of the
+        event and men's times right, mirrored — the same layout as Export PDF. A header row naming
+        the courses or levels (e.g. <code>SCY,LCM,Event,LCM,SCY</code>) overrides the order below.
+      </p>
+
+      <div className="ts-form">
+        <div className="ts-field-row">
+          <label>Age group
+            <select value={options.ageGroup} onChange={e => update("ageGroup", e.target.value)}>
+              {ageGroups.map(ag => <option key={ag}>{ag}</option>)}
+            </select>
+          </label>
+          <label>Columns are
+            <select value={options.columns} onChange={e => update("columns", e.target.value)}>
+              <option value="courses">Courses (one standard)</option>
+              <option value="levels">Standards (one course)</option>
+            </select>
+          </label>
+          {options.columns === "courses" ? (
+            <label>Standard
+              <select value={options.level} onChange={e => update("level", e.target.value)}>
+                {levels.map(l => <option key={l}>{l}</option>)}
+              </select>
+            </label>
+          ) : (
+            <label>Course
+              <select value={options.course} onChange={e => update("course", e.target.value)}>
+                {["SCY", "SCM", "LCM"].map(c => <option key={c}>{c}</option>)}
+              </select>
+            </label>
+          )}
+        </div>
+
+        <textarea
+          className="si-text"
+          rows={8}
+          value={text}
+          onChange={e => { setText(e.target.value); setFileName(""); setPreview(null); }}
+          placeholder={"34.69 30.89 35.29 50 FR 33.19 29.29 33.79\n1:15.69 1:07.49 1:17.09 100 FR 1:12.29 1:04.19 1:13.69"}
+        />
+
+        <div className="si-actions">
+          <label className="ts-btn-ghost ts-btn-sm si-file">
+            Choose CSV…
+            <input type="file" accept=".csv,.txt,.tsv" onChange={handleFile} hidden />
+          </label>
+          {fileName && <span className="si-file-name">{fileName}</span>}
+          <button className="ts-btn-primary ts-btn-sm" onClick={handlePreview}>Preview</button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="si-preview">
+          <div className="si-summary">
+            <span className="si-count added">{counts.added} new</span>
+            <span className="si-count changed">{counts.changed} changed</span>
+            <span className="si-count same">{counts.same} unchanged</span>
+            {newEvents.length > 0 && (
+              <span className="si-new-events">Adds events: {newEvents.join(", ")}</span>
+            )}
+            <label className="si-show-same">
+              <input type="checkbox" checked={showSame} onChange={e => setShowSame(e.target.checked)} />
+              Show unchanged
+            </label>
+          </div>
+
+          {preview.skipped.length > 0 && (
+            <details className="si-skipped">
+              <summary>{preview.skipped.length} line{preview.skipped.length !== 1 ? "s" : ""} skipped</summary>
+              <ul>
+                {preview.skipped.map(s => <li key={s.line}>Line {s.line}: {s.reason}</li>)}
+              </ul>
+            </details>
+          )}
+
+          {rows.length > 0 && (
+            <div className="si-table-wrap">
+              <table className="si-table">
+                <thead>
+                  <tr>
+                    <th>Event</th>
+                    <th>Cut</th>
+                    <th>Current</th>
+                    <th>Imported</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(d => {
+                    const [gender, c, l] = d.key.split(":");
+                    return (
+                      <tr key={`${d.event}|${d.key}`} className={`si-row ${d.status}`}>
+                        <td>{d.event}</td>
+                        <td>{gender === "F" ? "Women" : "Men"} {c} {l}</td>
+                        <td className="si-time">{d.before || "—"}</td>
+                        <td className="si-time">{d.after}</td>
+                        <td><span className={`si-status ${d.status}`}>{STATUS_LABELS[d.status]}</span></td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="si-actions">
+            <button
+              className="ts-btn-primary"
+              onClick={handleSave}
+              disabled={saving || counts.added + counts.changed === 0}
+            >
+              {saving ? "Saving…" : `Save ${counts.added + counts.changed} cuts to ${options.ageGroup}`}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 import React, { useState, useRef, useCallback, useEffect } from "react";
 import toast from "react-hot-toast";
 import { formatTime, parseSwimTime } from "../utils/formatTime";
-import { addTime, updateTime, deleteTime, updateSwimmer, calculateAge } from "../api/swimmers";
+import { statusLabel } from "../utils/attendance";
+import { addTime, updateTime, deleteTime, updateSwimmer, listSwimmerResults, getSwimmerAttendance, getSwimmerStandards, calculateAge } from "../api/swimmers";
 
 // ── Event definitions ──────────────────────────────────────────────────────
 const STROKES = [
@@ -58,6 +59,7 @@ function SwimmerModal({
   setActiveCourse,
   onClose,
   onUpdate,
+  standardsSetId,
 }) {
   const backdropRef = useRef(null);
 
@@ -94,11 +96,13 @@ function SwimmerModal({
     }
   });
 
-  const TABS = ["info", "times", "results", "notes"];
+  const TABS = ["info", "times", "standards", "results", "attendance", "notes"];
   const TAB_LABELS = {
-    info:    "Personal Info",
-    times:   "Best Times",
-    results: "Meet Results",
+    info:      "Personal Info",
+    times:     "Best Times",
+    standards: "Standards",
+    results:   "Meet Results",
+    attendance: "Attendance",
     notes:   "Notes",
   };
 
@@ -173,7 +177,16 @@ function SwimmerModal({
               onUpdate={onUpdate}
             />
           )}
-          {activeTab === "results" && <TabResults />}
+          {activeTab === "standards" && (
+            <TabStandards
+              swimmer={swimmer}
+              initialSetId={standardsSetId}
+              activeCourse={activeCourse}
+              setActiveCourse={setActiveCourse}
+            />
+          )}
+          {activeTab === "results" && <TabResults swimmer={swimmer} />}
+          {activeTab === "attendance" && <TabAttendance swimmer={swimmer} />}
           {activeTab === "notes"   && <TabNotes swimmer={swimmer} onUpdate={onUpdate} />}
         </div>
       </div>
@@ -526,18 +539,290 @@ function AddTimeFreeform({ swimmer, activeCourse, onUpdate }) {
   );
 }
 
-// ── Tab 3: Meet Results ─────────────────────────────────────────────────────
-function TabResults() {
+// ── Tab 3: Standards ────────────────────────────────────────────────────────
+// Achievement is computed server-side: the level is judged at the swimmer's
+// age on the day of the swim, the next cut at their age today.
+function TabStandards({ swimmer, initialSetId, activeCourse, setActiveCourse }) {
+  const [setId, setSetId] = useState(initialSetId || "");
+  const [data, setData]   = useState(null);   // null while loading
+
+  useEffect(() => {
+    let cancelled = false;
+    getSwimmerStandards(swimmer._id, setId || undefined)
+      .then(res => { if (!cancelled) setData(res); })
+      .catch(() => {
+        if (!cancelled) setData({ set: null, sets: [], events: [] });
+        toast.error("Failed to load time standards");
+      });
+    return () => { cancelled = true; };
+  }, [swimmer._id, swimmer.bestTimes, setId]);
+
+  if (data === null) {
+    return <div className="tab-results"><p className="tr-placeholder">Loading…</p></div>;
+  }
+  if (!data.set) {
+    return (
+      <div className="tab-results">
+        <p className="tr-placeholder">
+          No time standards yet. Add a standards set under Coaches Tools → Time Standards.
+        </p>
+      </div>
+    );
+  }
+  if (!data.gender) {
+    return (
+      <div className="tab-results">
+        <p className="tr-placeholder">
+          Standards are published for male and female swimmers. Set a gender on Personal Info to compare.
+        </p>
+      </div>
+    );
+  }
+
+  const rows = data.events
+    .filter(e => e.course === activeCourse)
+    .sort((a, b) => ALL_EVENTS.indexOf(a.event) - ALL_EVENTS.indexOf(b.event));
+
   return (
-    <div className="tab-results">
-      <p className="tr-placeholder">
-        Meet results will appear here once results are imported.
-      </p>
+    <div className="tab-times">
+      <div className="tt-course-row">
+        <div className="tt-course-toggle">
+          {["SCY", "SCM", "LCM"].map(c => (
+            <button
+              key={c}
+              className={`tt-course-btn${activeCourse === c ? " tt-course-btn--active" : ""}`}
+              onClick={() => setActiveCourse(c)}
+            >
+              {c}
+            </button>
+          ))}
+        </div>
+        {data.sets.length > 1 ? (
+          <select
+            className="st-set-select"
+            value={setId || data.set._id}
+            onChange={e => setSetId(e.target.value)}
+          >
+            {data.sets.map(set => <option key={set._id} value={set._id}>{set.name}</option>)}
+          </select>
+        ) : (
+          <span className="tt-count">{data.set.name}</span>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="tr-placeholder st-empty">No {activeCourse} best times with published cuts.</p>
+      ) : (
+        <table className="tt-table">
+          <thead>
+            <tr>
+              <th className="tt-th tt-col-event">Event</th>
+              <th className="tt-th tt-col-time">Best Time</th>
+              <th className="tt-th st-col-level">Achieved</th>
+              <th className="tt-th st-col-next">Next Cut</th>
+              <th className="tt-th st-col-gap">Gap</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={`${row.event}|${row.course}`} className="tt-row">
+                <td className="tt-td tt-col-event">{row.event}</td>
+                <td className="tt-td tt-col-time">
+                  <span className="tt-time-val">{formatTime(row.time)}</span>
+                  {row.date && <div className="tt-meta">{formatDate(row.date)}</div>}
+                </td>
+                <td className="tt-td st-col-level">
+                  {row.achieved ? (
+                    <span className="st-level" title={`${row.swimAgeGroup} cut ${formatTime(row.achievedCut)}`}>
+                      {row.achieved}
+                    </span>
+                  ) : (
+                    <span className="tt-empty-dash">—</span>
+                  )}
+                  {row.swimAgeGroup && row.swimAgeGroup !== row.ageGroup && (
+                    <div className="tt-meta">as {row.swimAgeGroup}</div>
+                  )}
+                </td>
+                <td className="tt-td st-col-next">
+                  {row.next ? (
+                    <>
+                      <span className="st-next-level">{row.next}</span>{" "}
+                      <span className="tt-time-val">{formatTime(row.nextCut)}</span>
+                      <div className="tt-meta">{row.ageGroup}</div>
+                    </>
+                  ) : row.ageGroup ? (
+                    <span className="st-all-met">All cuts met</span>
+                  ) : (
+                    <span className="tt-empty-dash">—</span>
+                  )}
+                </td>
+                <td className="tt-td st-col-gap">
+                  {row.gap != null ? `+${row.gap.toFixed(2)}s` : ""}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ── Tab 4: Meet Results ─────────────────────────────────────────────────────
+function TabResults({ swimmer }) {
+  const [results, setResults] = useState(null);   // null while loading
+
+  useEffect(() => {
+    let cancelled = false;
+    setResults(null);
+    listSwimmerResults(swimmer._id)
+      .then(list => { if (!cancelled) setResults(list); })
+      .catch(() => {
+        if (!cancelled) setResults([]);
+        toast.error("Failed to load meet results");
+      });
+    return () => { cancelled = true; };
+  }, [swimmer._id]);
+
+  if (results === null) {
+    return <div className="tab-results"><p className="tr-placeholder">Loading…</p></div>;
+  }
+  if (results.length === 0) {
+    return (
+      <div className="tab-results">
+        <p className="tr-placeholder">
+          No meet results yet. Record results under Coaches Tools → Meets.
+        </p>
+      </div>
+    );
+  }
+
+  // Results whose mirrored best-time entry is the current best
+  const bestIds = new Set((swimmer.bestTimes || []).filter(t => t.isBest).map(t => t._id));
+
+  // Group by meet, keeping newest-first order from the server
+  const byMeet = [];
+  results.forEach(r => {
+    const id = r.meet?._id || "unknown";
+    let group = byMeet.find(g => g.id === id);
+    if (!group) { group = { id, meet: r.meet, results: [] }; byMeet.push(group); }
+    group.results.push(r);
+  });
+
+  return (
+    <div className="tab-results tab-results--list">
+      {byMeet.map(({ id, meet, results: swims }) => (
+        <div key={id} className="tr-meet">
+          <div className="tr-meet-header">
+            <span className="tr-meet-name">{meet?.name || "Unknown meet"}</span>
+            <span className="tr-meet-meta">
+              {meet?.startDate && formatDate(meet.startDate)}{meet?.course && ` · ${meet.course}`}
+            </span>
+          </div>
+          <table className="tt-table">
+            <tbody>
+              {swims.map(r => (
+                <tr key={r._id} className="tt-row">
+                  <td className="tt-td tt-col-event">{r.event}</td>
+                  <td className="tt-td tt-col-time">
+                    {r.dq ? (
+                      <span className="tr-dq">DQ</span>
+                    ) : (
+                      <span className="tt-time">
+                        <span className="tt-time-val">{formatTime(r.time)}</span>
+                        {bestIds.has(r.bestTimeId) && <span className="tt-pr">PR</span>}
+                      </span>
+                    )}
+                  </td>
+                  <td className="tt-td tt-col-meet">
+                    {r.place ? `#${r.place}` : ""}{r.round && r.round !== "timed-final" ? ` ${r.round}` : ""}
+                  </td>
+                  <td className="tt-td tt-col-date">{r.dq ? r.dqReason : ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ── Tab 5: Attendance ───────────────────────────────────────────────────────
+function TabAttendance({ swimmer }) {
+  const [attendance, setAttendance] = useState(null);   // null while loading
+
+  useEffect(() => {
+    let cancelled = false;
+    setAttendance(null);
+    getSwimmerAttendance(swimmer._id)
+      .then(data => { if (!cancelled) setAttendance(data); })
+      .catch(() => {
+        if (!cancelled) setAttendance({ seasons: [], recent: [] });
+        toast.error("Failed to load attendance");
+      });
+    return () => { cancelled = true; };
+  }, [swimmer._id]);
+
+  if (attendance === null) {
+    return <div className="tab-results"><p className="tr-placeholder">Loading…</p></div>;
+  }
+  if (attendance.seasons.length === 0) {
+    return (
+      <div className="tab-results">
+        <p className="tr-placeholder">
+          No attendance marked yet. Take attendance from a practice in the Practice Library.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="tab-results tab-results--list">
+      <table className="tt-table">
+        <thead>
+          <tr>
+            <th className="tt-th">Season</th>
+            <th className="tt-th">Attendance</th>
+            <th className="tt-th">Marked</th>
+            <th className="tt-th">Yards swum</th>
+          </tr>
+        </thead>
+        <tbody>
+          {attendance.seasons.map(s => (
+            <tr key={s.season || "none"} className="tt-row">
+              <td className="tt-td">{s.season || "No season"}</td>
+              <td className="tt-td ta-pct">{s.percentage == null ? "—" : `${s.percentage}%`}</td>
+              <td className="tt-td ta-counts">
+                {s.present} present · {s.late} late · {s.excused} excused · {s.absent} absent
+              </td>
+              <td className="tt-td ta-yards">{s.yardage.toLocaleString()}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="tr-meet-header ta-recent-header">
+        <span className="tr-meet-name">Recent practices</span>
+      </div>
+      <table className="tt-table">
+        <tbody>
+          {attendance.recent.map(r => (
+            <tr key={r.practice._id} className="tt-row">
+              <td className="tt-td tt-col-date">{formatDate(`${r.practice.date}T00:00:00`)}</td>
+              <td className="tt-td">{r.practice.title || r.practice.roster}</td>
+              <td className="tt-td">
+                <span className={`ta-status ta-status--${r.status}`}>{statusLabel(r.status)}</span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
 
-// ── Tab 4: Notes ────────────────────────────────────────────────────────────
+// ── Tab 6: Notes ────────────────────────────────────────────────────────────
 function TabNotes({ swimmer, onUpdate }) {
   const [notes, setNotes] = useState(swimmer.notes || "");
   const [saved, setSaved] = useState(false);
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from "react";
+import { getPlannedWeek } from "../api/trainingPlans";
+import { formatYardage } from "../utils/timeHelpers";
+import { mixPercent, addMixes, compareMix, phaseType } from "../utils/trainingPlan";
+import "./WeekPlanFit.css";
+
+// How far a mix category can drift from its target before it's flagged
+const MIX_TOLERANCE = 10;
+
+function weekLabel(week) {
+  return new Date(`${week}T00:00:00`).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+function MixRows({ title, target, actual }) {
+  const rows = compareMix(target, actual);
+  if (!rows.length) return null;
+  return (
+    <div className="plan-fit-mix">
+      <div className="plan-fit-mix-title">{title}</div>
+      {rows.map((r) => (
+        <div key={r.name} className={`plan-fit-mix-row ${Math.abs(r.diff) > MIX_TOLERANCE ? "off" : ""}`}>
+          <span className="plan-fit-mix-name">{r.name}</span>
+          <span className="plan-fit-mix-bar">
+            <span className="plan-fit-mix-actual" style={{ width: `${Math.min(100, r.actual)}%` }} />
+            {r.target > 0 && <span className="plan-fit-mix-target" style={{ left: `${Math.min(100, r.target)}%` }} />}
+          </span>
+          <span className="plan-fit-mix-pct">
+            {r.actual}% <span className="plan-fit-muted">/ {r.target}%</span>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * How the practice being built fits its roster's planned week: target
+ * yardage vs. what's already written that week plus this practice, and the
+ * week's stroke / energy-system mix against the phase targets.
+ * @param {Object} props
+ * @param {string} props.roster - Practice roster
+ * @param {string} props.date - Practice date "YYYY-MM-DD"
+ * @param {string} props.excludeId - Id of the practice being edited (its saved copy isn't double counted)
+ * @param {Object} props.practice - { yardage, strokes, energy } of the practice being built
+ */
+export default function WeekPlanFit({ roster, date, excludeId, practice }) {
+  const [week, setWeek] = useState(null);
+
+  useEffect(() => {
+    if (!roster || !date) {
+      setWeek(null);
+      return;
+    }
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await getPlannedWeek(roster, date, excludeId);
+        if (!cancelled) setWeek(res?.plan ? res : null);
+      } catch (e) {
+        // Plans are optional — the builder works the same without one
+        console.error("Failed to load planned week", e);
+        if (!cancelled) setWeek(null);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [roster, date, excludeId]);
+
+  if (!week?.phase) return null;
+
+  const type = phaseType(week.phase.type);
+  const written = week.actual.yardage;
+  const withThis = written + practice.yardage;
+  const target = week.target.yardage;
+  const pct = target > 0 ? Math.round((withThis / target) * 100) : 0;
+  const writtenWidth = target > 0 ? Math.min(100, (written / target) * 100) : 0;
+  const withThisWidth = Math.min(100, pct);
+
+  // The week's mix once this practice is added to what's already written
+  const strokes = mixPercent(addMixes(week.actual.strokes, practice.strokes));
+  const energy = mixPercent(addMixes(week.actual.energy, practice.energy));
+
+  return (
+    <div className="plan-fit" style={{ "--phase-color": type.color }}>
+      <div className="plan-fit-header">
+        <span className="plan-fit-phase">{type.label}</span>
+        <span className="plan-fit-title">{week.phase.name}</span>
+        <span className="plan-fit-muted">week of {weekLabel(week.week)}</span>
+      </div>
+
+      {target > 0 && (
+        <>
+          <div className="plan-fit-bar" title={`${pct}% of the weekly target`}>
+            <span className="plan-fit-written" style={{ width: `${writtenWidth}%` }} />
+            <span
+              className={`plan-fit-this ${withThis > target ? "over" : ""}`}
+              style={{ width: `${Math.max(0, withThisWidth - writtenWidth)}%` }}
+            />
+          </div>
+          <div className="plan-fit-numbers">
+            <span>
+              {formatYardage(withThis)} / {formatYardage(target)} ({pct}%)
+            </span>
+            <span className="plan-fit-muted">
+              {formatYardage(written)} already written · this practice {formatYardage(practice.yardage)}
+            </span>
+          </div>
+        </>
+      )}
+
+      <MixRows title="Strokes" target={week.target.strokeMix} actual={strokes} />
+      <MixRows title="Energy systems" target={week.target.energyMix} actual={energy} />
+    </div>
+  );
+}
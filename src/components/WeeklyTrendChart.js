@@ -0,0 +1,86 @@
+import React from "react";
+import "./WeeklyTrendChart.css";
+
+const WIDTH = 720;
+const HEIGHT = 240;
+const PAD = { top: 16, right: 16, bottom: 28, left: 56 };
+
+function weekLabel(week) {
+  return new Date(`${week}T00:00:00`).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+/** Round a maximum up to a readable axis ceiling (1, 2, 2.5, 5 × 10^n) */
+function niceCeiling(max) {
+  if (max <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(max));
+  const step = [1, 2, 2.5, 5, 10].find((s) => s * magnitude >= max);
+  return step * magnitude;
+}
+
+/**
+ * Line chart of one value per training week, one line per series.
+ * @param {Object} props
+ * @param {string[]} props.weeks - Week start dates ("YYYY-MM-DD"), the x axis
+ * @param {Array} props.series - [{ name, color, values: number[], dashed? }] aligned with `weeks`
+ * @param {Function} props.formatValue - Formats y-axis ticks and point tooltips
+ */
+export default function WeeklyTrendChart({ weeks, series, formatValue = String }) {
+  if (!weeks.length || !series.length) {
+    return <div className="trend-chart-empty">No practices to chart yet.</div>;
+  }
+
+  const max = niceCeiling(Math.max(0, ...series.flatMap((s) => s.values)));
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const x = (i) => PAD.left + (weeks.length === 1 ? plotW / 2 : (i / (weeks.length - 1)) * plotW);
+  const y = (v) => PAD.top + plotH - (v / max) * plotH;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * max);
+  const labelEvery = Math.ceil(weeks.length / 10);
+
+  return (
+    <div className="trend-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" preserveAspectRatio="xMidYMid meet">
+        {ticks.map((t) => (
+          <g key={t}>
+            <line className="trend-chart-grid" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(t)} y2={y(t)} />
+            <text className="trend-chart-axis" x={PAD.left - 8} y={y(t) + 4} textAnchor="end">
+              {formatValue(t)}
+            </text>
+          </g>
+        ))}
+
+        {weeks.map((week, i) =>
+          i % labelEvery === 0 ? (
+            <text key={week} className="trend-chart-axis" x={x(i)} y={HEIGHT - 8} textAnchor="middle">
+              {weekLabel(week)}
+            </text>
+          ) : null
+        )}
+
+        {series.map((s) => (
+          <g key={s.name} style={{ "--series-color": s.color }}>
+            <polyline
+              className={`trend-chart-line ${s.dashed ? "dashed" : ""}`}
+              points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(" ")}
+            />
+            {!s.dashed &&
+              s.values.map((v, i) => (
+                <circle key={weeks[i]} className="trend-chart-point" cx={x(i)} cy={y(v)} r={3}>
+                  <title>{`${s.name} — week of ${weekLabel(weeks[i])}: ${formatValue(v)}`}</title>
+                </circle>
+              ))}
+          </g>
+        ))}
+      </svg>
+
+      <div className="trend-chart-legend">
+        {series.map((s) => (
+          <span key={s.name} className="trend-chart-legend-item" style={{ "--series-color": s.color }}>
+            <span className={`trend-chart-swatch ${s.dashed ? "dashed" : ""}`} />
+            {s.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -11,6 +11,38 @@ const tools = [
     path: "/home/coaches/time-standards",
     color: "#0ea5e9",
   },
+  {
+    id: "training-volume",
+    title: "Training Volume",
+    description: "Weekly yardage, time in water and stroke mix by roster across a season",
+    icon: "📈",
+    path: "/home/coaches/volume",
+    color: "#10b981",
+  },
+  {
+    id: "season-planner",
+    title: "Season Planner",
+    description: "Plan base, build and taper phases with weekly yardage and mix targets, then track planned vs. actual",
+    icon: "🗓️",
+    path: "/home/coaches/planner",
+    color: "#8b5cf6",
+  },
+  {
+    id: "meets",
+    title: "Meets",
+    description: "Record meet sessions, events and results — legal swims update swimmers' best times",
+    icon: "🏊",
+    path: "/home/coaches/meets",
+    color: "#f59e0b",
+  },
+  {
+    id: "qualifiers",
+    title: "Qualification Report",
+    description: "Who has made which cut for a meet, with converted times, exported to PDF or CSV",
+    icon: "🎯",
+    path: "/home/coaches/qualifiers",
+    color: "#ef4444",
+  },
 ];
 
 export default function CoachesTools() {
@@ -30,7 +30,7 @@ function ConfigHub() {
       <div className="config-hub-header">
         <h1>Configuration</h1>
         <p className="config-hub-subtitle">
-          Choose a configuration area to manage
+          Choose a configuration area to manage. Settings apply to your current team only.
         </p>
       </div>
 
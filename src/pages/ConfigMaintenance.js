@@ -38,7 +38,9 @@ function ConfigMaintenance() {
     if (!config) return;
     try {
       setSaving(true);
-      await updateConfig(config);
+      // The saved config comes back with ids for newly created roster groups
+      setConfig(await updateConfig(config));
+      setDraftNames({});
       toast.success("Configuration saved successfully!");
     } catch (e) {
       console.error("Failed to save config", e);
@@ -93,6 +95,8 @@ function ConfigMaintenance() {
       warmups: newWarmups,
       practiceSchedule: newSchedule,
       defaultRoster: config.defaultRoster === oldName ? trimmed : config.defaultRoster,
+      // Keeps the group id, so saving renames the group instead of adding one
+      rosterGroups: (config.rosterGroups || []).map(g => (g.name === oldName ? { ...g, name: trimmed } : g)),
     });
     setDraftNames(prev => { const n = { ...prev }; delete n[oldName]; return n; });
     toast.success(`Renamed to "${trimmed}". Don't forget to save!`);
@@ -113,7 +117,7 @@ function ConfigMaintenance() {
   }
 
   function deleteRoster(rosterName) {
-    if (!window.confirm(`Delete roster "${rosterName}"?`)) return;
+    if (!window.confirm(`Remove roster "${rosterName}" from the configuration? Its roster group, swimmers and saved practices are kept.`)) return;
 
     const newRosters = config.rosters.filter(r => r !== rosterName);
     const newWarmups = { ...config.warmups };
@@ -237,7 +241,13 @@ function ConfigMaintenance() {
         {/* Rosters Management */}
         <section className="config-section">
           <div className="section-header">
-            <h2>Rosters</h2>
+            <div>
+              <h2>Rosters</h2>
+              <p className="roster-help">
+                Each roster is a roster group on the Swimmers page. Renaming one here renames the group,
+                its saved practices and training plans.
+              </p>
+            </div>
             <div className="add-roster-row">
               <input
                 type="text"
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from "react";
 import toast from "react-hot-toast";
 import { listFeedback, updateFeedback } from "../api/feedback";
+import { storedUser, hasPermission } from "../api/users";
 import "./FeedbackManagement.css";
 
 const STATUS_OPTIONS = [
@@ -19,28 +20,14 @@ export default function FeedbackManagement() {
   const [editNotes, setEditNotes] = useState("");
   const [page, setPage] = useState(1);
   const [total, setTotal] = useState(0);
-  const [isAdmin, setIsAdmin] = useState(false);
+  const [canManage] = useState(() => hasPermission(storedUser(), "manage:feedback"));
 
   useEffect(() => {
-    // Check if user is admin
-    const userStr = localStorage.getItem("user");
-    if (userStr) {
-      try {
-        const user = JSON.parse(userStr);
-        setIsAdmin(user.isAdmin || false);
-      } catch (e) {
-        console.error("Failed to parse user data:", e);
-        setIsAdmin(false);
-      }
-    }
-  }, []);
-
-  useEffect(() => {
-    if (isAdmin) {
+    if (canManage) {
       loadFeedback();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filterStatus, page, isAdmin]);
+  }, [filterStatus, page, canManage]);
 
   async function loadFeedback() {
     setLoading(true);
@@ -117,7 +104,7 @@ export default function FeedbackManagement() {
     });
   };
 
-  if (!isAdmin) {
+  if (!canManage) {
     return (
       <div className="feedback-management-page">
         <div className="feedback-header">
@@ -125,7 +112,7 @@ export default function FeedbackManagement() {
         </div>
         <div className="feedback-access-denied">
           <p>You do not have permission to access Feedback Management.</p>
-          <p>Only administrators can view and manage feedback.</p>
+          <p>Ask an administrator for the "Manage feedback" permission.</p>
         </div>
       </div>
     );
@@ -29,6 +29,7 @@ export default function Login() {
       // Store token and user info
       localStorage.setItem("token", data.token);
       localStorage.setItem("user", JSON.stringify(data.user));
+      localStorage.removeItem("teamId");
 
       toast.success(`Welcome back, ${data.user.firstName}!`);
       navigate("/home");
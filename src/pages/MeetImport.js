@@ -0,0 +1,340 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import { previewMeetImport, importMeetResults } from "../api/meets";
+import { listSwimmers } from "../api/swimmers";
+import { formatTime } from "../utils/formatTime";
+import { COURSES } from "../utils/meetResults";
+import { parseMeetFile, athleteKey } from "../utils/meetImport";
+import "./Meets.css";
+import "./MeetImport.css";
+
+const STATUS_LABELS = { matched: "Matched", conflict: "Check", unmatched: "Not on roster" };
+
+const swimmerLabel = (s) => `${s.lastName}, ${s.firstName}${s.dob ? ` (${String(s.dob).slice(0, 10)})` : ""}`;
+
+/** Group parsed results into one entry per athlete */
+function collectAthletes(results) {
+  const byKey = new Map();
+  results.forEach((r, index) => {
+    const key = athleteKey(r.athlete);
+    if (!byKey.has(key)) byKey.set(key, { key, ...r.athlete, resultIndexes: [] });
+    byKey.get(key).resultIndexes.push(index);
+  });
+  return [...byKey.values()].sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`));
+}
+
+export default function MeetImport() {
+  const navigate = useNavigate();
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [meetForm, setMeetForm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [assignments, setAssignments] = useState({}); // athlete key → swimmer id ("" = skip)
+  const [roster, setRoster] = useState([]);
+  const [team, setTeam] = useState("");
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [useExistingMeet, setUseExistingMeet] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    listSwimmers()
+      .then((list) => setRoster(list || []))
+      .catch((e) => console.error("Failed to load roster", e));
+  }, []);
+
+  const athletes = useMemo(() => (parsed ? collectAthletes(parsed.results) : []), [parsed]);
+  const teams = useMemo(() => [...new Set(athletes.map((a) => a.team).filter(Boolean))].sort(), [athletes]);
+  const matchByKey = useMemo(() => new Map((preview?.athletes || []).map((m) => [m.key, m])), [preview]);
+  const duplicateSet = useMemo(() => new Set(preview?.duplicates || []), [preview]);
+
+  const visibleAthletes = team ? athletes.filter((a) => a.team === team) : athletes;
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setBusy(true);
+    setPreview(null);
+    try {
+      const text = await file.text();
+      const result = parseMeetFile(text, file.name);
+      setFileName(file.name);
+      setParsed(result);
+      setTeam("");
+      if (result.results.length === 0) {
+        toast.error(result.skipped[0]?.reason || "No individual results found in this file");
+        return;
+      }
+
+      const meet = {
+        name: result.meet.name || file.name.replace(/\.[^.]+$/, ""),
+        startDate: result.meet.startDate || "",
+        endDate: result.meet.endDate || "",
+        course: result.meet.course || "SCY",
+        location: result.meet.location || "",
+      };
+      setMeetForm(meet);
+
+      const list = collectAthletes(result.results);
+      const matched = await previewMeetImport({
+        meet,
+        athletes: list.map(({ resultIndexes, ...athlete }) => athlete),
+        results: result.results.map((r) => ({ key: athleteKey(r.athlete), event: r.event, course: r.course, time: r.time })),
+      });
+      setPreview(matched);
+      setAssignments(Object.fromEntries(matched.athletes.map((m) => [m.key, m.status === "matched" ? m.swimmerId : ""])));
+      setUseExistingMeet(!!matched.existingMeet);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message || "Failed to read results file");
+    } finally {
+      setBusy(false);
+      e.target.value = "";
+    }
+  }
+
+  function acceptSuggestions() {
+    setAssignments((prev) => {
+      const next = { ...prev };
+      preview.athletes.forEach((m) => {
+        if (m.status === "conflict" && m.swimmerId && !next[m.key]) next[m.key] = m.swimmerId;
+      });
+      return next;
+    });
+  }
+
+  // Rows that will be written with the current assignments
+  const rowsToImport = useMemo(() => {
+    if (!parsed) return [];
+    return parsed.results
+      .map((r, index) => ({ r, index, swimmer: assignments[athleteKey(r.athlete)] }))
+      .filter(({ r, index, swimmer }) =>
+        swimmer && (!team || r.athlete.team === team) && !(skipDuplicates && duplicateSet.has(index))
+      );
+  }, [parsed, assignments, team, skipDuplicates, duplicateSet]);
+
+  const counts = useMemo(() => {
+    const c = { matched: 0, conflict: 0, unmatched: 0 };
+    visibleAthletes.forEach((a) => {
+      const status = matchByKey.get(a.key)?.status;
+      if (status) c[status]++;
+    });
+    return c;
+  }, [visibleAthletes, matchByKey]);
+
+  async function handleImport() {
+    const existing = useExistingMeet ? preview.existingMeet : null;
+    if (!existing && (!meetForm.name.trim() || !meetForm.startDate)) {
+      toast.error("Meet name and start date are required");
+      return;
+    }
+    if (rowsToImport.length === 0) {
+      toast.error("No results selected to import");
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await importMeetResults({
+        meetId: existing?._id,
+        meet: existing ? undefined : { ...meetForm, name: meetForm.name.trim(), endDate: meetForm.endDate || undefined },
+        results: rowsToImport.map(({ r, swimmer }) => ({
+          swimmer,
+          event: r.event,
+          course: r.course || undefined,
+          round: r.round,
+          time: r.time,
+          dq: r.dq,
+          place: r.place,
+          heat: r.heat,
+          lane: r.lane,
+          seedTime: r.seedTime,
+          splits: r.splits,
+          date: r.date || undefined,
+        })),
+      });
+      toast.success(
+        `Imported ${response.created} results (${response.bestTimes} best-time entries)` +
+          (response.skipped ? `, ${response.skipped} already recorded` : "")
+      );
+      navigate("/home/coaches/meets", { state: { meetId: response.meet._id } });
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message || "Import failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="meets-page">
+      <div className="meets-header">
+        <div>
+          <h1>Import Meet Results</h1>
+          <p className="meets-subtitle">
+            SDIF result files (.cl2 / .sd3) or Meet Manager CSV exports. Swimmers are matched by USA Swimming ID, or by name and
+            date of birth.
+          </p>
+        </div>
+        <button className="meets-btn" onClick={() => navigate("/home/coaches/meets")}>← Meets</button>
+      </div>
+
+      <div className="meets-card import-drop">
+        <label className="meets-btn primary import-file-btn">
+          {busy ? "Reading…" : parsed ? "Choose another file" : "Choose results file"}
+          <input type="file" accept=".cl2,.sd3,.csv,.txt" onChange={handleFile} disabled={busy} hidden />
+        </label>
+        {fileName && (
+          <span className="import-file-name">
+            {fileName} · {parsed?.format?.toUpperCase()} · {parsed?.results.length || 0} swims
+            {parsed?.skipped.length > 0 && ` · ${parsed.skipped.length} lines skipped`}
+          </span>
+        )}
+      </div>
+
+      {parsed?.skipped.length > 0 && (
+        <details className="import-skipped">
+          <summary>{parsed.skipped.length} lines skipped (relays, no-swims, unreadable rows)</summary>
+          <ul>
+            {parsed.skipped.slice(0, 100).map((s) => (
+              <li key={s.line}>Line {s.line}: {s.reason}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {preview && meetForm && (
+        <>
+          <div className="meets-card">
+            <h3>Meet</h3>
+            {preview.existingMeet && (
+              <label className="import-option">
+                <input type="checkbox" checked={useExistingMeet} onChange={(e) => setUseExistingMeet(e.target.checked)} />
+                Add to the existing meet "{preview.existingMeet.name}" — results already recorded there are skipped
+              </label>
+            )}
+            {!(useExistingMeet && preview.existingMeet) && (
+              <div className="meets-form">
+                <div className="meets-form-grid">
+                  <label className="wide">
+                    <span>Meet name</span>
+                    <input value={meetForm.name} onChange={(e) => setMeetForm({ ...meetForm, name: e.target.value })} />
+                  </label>
+                  <label>
+                    <span>Start date</span>
+                    <input type="date" value={meetForm.startDate} onChange={(e) => setMeetForm({ ...meetForm, startDate: e.target.value })} />
+                  </label>
+                  <label>
+                    <span>End date</span>
+                    <input type="date" value={meetForm.endDate} onChange={(e) => setMeetForm({ ...meetForm, endDate: e.target.value })} />
+                  </label>
+                  <label>
+                    <span>Course</span>
+                    <select value={meetForm.course} onChange={(e) => setMeetForm({ ...meetForm, course: e.target.value })}>
+                      {COURSES.map((c) => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  </label>
+                  <label>
+                    <span>Location</span>
+                    <input value={meetForm.location} onChange={(e) => setMeetForm({ ...meetForm, location: e.target.value })} />
+                  </label>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="meets-card">
+            <div className="import-toolbar">
+              <h3>Athletes</h3>
+              <div className="import-counts">
+                <span className="import-status matched">{counts.matched} matched</span>
+                <span className="import-status conflict">{counts.conflict} to check</span>
+                <span className="import-status unmatched">{counts.unmatched} not on roster</span>
+              </div>
+              {teams.length > 1 && (
+                <select value={team} onChange={(e) => setTeam(e.target.value)}>
+                  <option value="">All teams</option>
+                  {teams.map((t) => <option key={t} value={t}>{t}</option>)}
+                </select>
+              )}
+              {counts.conflict > 0 && (
+                <button className="meets-btn small" onClick={acceptSuggestions}>Accept suggested matches</button>
+              )}
+            </div>
+
+            <table className="meets-table import-table">
+              <thead>
+                <tr>
+                  <th>In file</th>
+                  <th>Status</th>
+                  <th>Roster swimmer</th>
+                  <th>Swims</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleAthletes.map((a) => {
+                  const match = matchByKey.get(a.key);
+                  const candidateIds = new Set((match?.candidates || []).map((c) => c._id));
+                  return (
+                    <tr key={a.key}>
+                      <td>
+                        <div className="import-athlete">{a.lastName}, {a.firstName}</div>
+                        <div className="import-athlete-meta">
+                          {[a.usaSwimmingId || a.memberId, a.dob, a.team].filter(Boolean).join(" · ")}
+                        </div>
+                      </td>
+                      <td>
+                        <span className={`import-status ${match?.status}`}>{STATUS_LABELS[match?.status] || "—"}</span>
+                        {match?.reason && <div className="import-athlete-meta">{match.reason}</div>}
+                      </td>
+                      <td>
+                        <select
+                          value={assignments[a.key] || ""}
+                          onChange={(e) => setAssignments((prev) => ({ ...prev, [a.key]: e.target.value }))}
+                        >
+                          <option value="">Skip</option>
+                          {match?.candidates?.length > 0 && (
+                            <optgroup label="Suggested">
+                              {match.candidates.map((c) => <option key={c._id} value={c._id}>{swimmerLabel(c)}</option>)}
+                            </optgroup>
+                          )}
+                          <optgroup label="Roster">
+                            {roster
+                              .filter((s) => !candidateIds.has(s._id))
+                              .map((s) => <option key={s._id} value={s._id}>{swimmerLabel(s)}</option>)}
+                          </optgroup>
+                        </select>
+                      </td>
+                      <td className="import-swims">
+                        {a.resultIndexes.map((i) => {
+                          const r = parsed.results[i];
+                          return (
+                            <span key={i} className={`import-swim ${skipDuplicates && duplicateSet.has(i) ? "duplicate" : ""}`} title={duplicateSet.has(i) ? "Already in best times" : ""}>
+                              {r.event} {r.dq ? "DQ" : formatTime(r.time)}
+                              {r.round !== "timed-final" && <em> {r.round}</em>}
+                            </span>
+                          );
+                        })}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="meets-card import-footer">
+            {preview.duplicates.length > 0 && (
+              <label className="import-option">
+                <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+                Skip {preview.duplicates.length} swims already entered in best times
+              </label>
+            )}
+            <button className="meets-btn primary" onClick={handleImport} disabled={busy || rowsToImport.length === 0}>
+              {busy ? "Importing…" : `Import ${rowsToImport.length} results`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,537 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import {
+  listMeets,
+  getMeet,
+  createMeet,
+  updateMeet,
+  deleteMeet,
+  addMeetResults,
+  updateMeetResult,
+  deleteMeetResult,
+} from "../api/meets";
+import { listSwimmers } from "../api/swimmers";
+import { formatTime, parseSwimTime } from "../utils/formatTime";
+import { COURSES, SWIM_EVENTS, ROUNDS, parseSplits, splitDeltas, groupResultsByEvent } from "../utils/meetResults";
+import "./Meets.css";
+
+const EMPTY_MEET = { name: "", startDate: "", endDate: "", course: "SCY", location: "", host: "", notes: "", sessions: [], events: [] };
+const EMPTY_RESULT = { swimmer: "", event: "", round: "timed-final", session: "", heat: "", lane: "", place: "", time: "", splits: "", dq: false, dqReason: "" };
+
+const toDateInput = (d) => (d ? String(d).slice(0, 10) : "");
+
+function formatRange(start, end) {
+  const opts = { month: "short", day: "numeric", year: "numeric" };
+  const s = new Date(start).toLocaleDateString("en-US", { ...opts, timeZone: "UTC" });
+  if (!end || toDateInput(end) === toDateInput(start)) return s;
+  return `${s} – ${new Date(end).toLocaleDateString("en-US", { ...opts, timeZone: "UTC" })}`;
+}
+
+const swimmerName = (s) => (s ? `${s.lastName}, ${s.firstName}` : "Unknown swimmer");
+const numOrNull = (v) => (v === "" || v == null ? null : Number(v));
+
+/** Form state → API payload; returns { error } when the form is not valid */
+function resultPayload(form) {
+  if (!form.swimmer) return { error: "Pick a swimmer" };
+  if (!form.event) return { error: "Pick an event" };
+  const time = form.time ? parseSwimTime(form.time) : null;
+  if (form.time && !time) return { error: "Enter a valid time (e.g. 1:03.45 or 59.43)" };
+  if (!time && !form.dq) return { error: "Enter a time, or mark the swim as a DQ" };
+  const splits = parseSplits(form.splits);
+  if (!splits) return { error: "Splits must be increasing cumulative times" };
+  return {
+    payload: {
+      swimmer: form.swimmer,
+      event: form.event,
+      round: form.round,
+      session: numOrNull(form.session),
+      heat: numOrNull(form.heat),
+      lane: numOrNull(form.lane),
+      place: numOrNull(form.place),
+      time: time ?? null,
+      splits,
+      dq: form.dq,
+      dqReason: form.dq ? form.dqReason : "",
+    },
+  };
+}
+
+function resultToForm(r) {
+  return {
+    swimmer: r.swimmer?._id || r.swimmer || "",
+    event: r.event,
+    round: r.round || "timed-final",
+    session: r.session ?? "",
+    heat: r.heat ?? "",
+    lane: r.lane ?? "",
+    place: r.place ?? "",
+    time: r.time ? formatTime(r.time) : "",
+    splits: (r.splits || []).map(formatTime).join(", "),
+    dq: !!r.dq,
+    dqReason: r.dqReason || "",
+  };
+}
+
+// ── Meet details form ───────────────────────────────────────────────────────
+function MeetForm({ initial, onSave, onCancel, saving }) {
+  const [form, setForm] = useState(initial);
+  const set = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const updateRow = (key, index, patch) =>
+    set(key, form[key].map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  const removeRow = (key, index) => set(key, form[key].filter((_, i) => i !== index));
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!form.name.trim() || !form.startDate) {
+      toast.error("Meet name and start date are required");
+      return;
+    }
+    onSave({
+      ...form,
+      name: form.name.trim(),
+      endDate: form.endDate || undefined,
+      sessions: form.sessions.map((s) => ({ ...s, number: Number(s.number), date: s.date || undefined })),
+      events: form.events
+        .filter((ev) => ev.event)
+        .map((ev) => ({ ...ev, number: numOrNull(ev.number), session: numOrNull(ev.session), gender: ev.gender || undefined })),
+    });
+  }
+
+  return (
+    <form className="meets-form" onSubmit={handleSubmit}>
+      <div className="meets-form-grid">
+        <label className="wide">
+          <span>Meet name</span>
+          <input value={form.name} onChange={(e) => set("name", e.target.value)} placeholder="Winter Championships" />
+        </label>
+        <label>
+          <span>Start date</span>
+          <input type="date" value={form.startDate} onChange={(e) => set("startDate", e.target.value)} />
+        </label>
+        <label>
+          <span>End date</span>
+          <input type="date" value={form.endDate} onChange={(e) => set("endDate", e.target.value)} />
+        </label>
+        <label>
+          <span>Course</span>
+          <select value={form.course} onChange={(e) => set("course", e.target.value)}>
+            {COURSES.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>Location</span>
+          <input value={form.location} onChange={(e) => set("location", e.target.value)} />
+        </label>
+        <label>
+          <span>Host</span>
+          <input value={form.host} onChange={(e) => set("host", e.target.value)} />
+        </label>
+      </div>
+
+      <div className="meets-form-rows">
+        <div className="meets-form-rows-header">
+          <h4>Sessions</h4>
+          <button
+            type="button"
+            className="meets-btn small"
+            onClick={() => set("sessions", [...form.sessions, { number: form.sessions.length + 1, name: "", date: form.startDate }])}
+          >
+            + Session
+          </button>
+        </div>
+        {form.sessions.map((s, i) => (
+          <div key={i} className="meets-form-row">
+            <input type="number" min="1" className="narrow" value={s.number} onChange={(e) => updateRow("sessions", i, { number: e.target.value })} />
+            <input placeholder="Name (e.g. Saturday AM)" value={s.name || ""} onChange={(e) => updateRow("sessions", i, { name: e.target.value })} />
+            <input type="date" value={toDateInput(s.date)} onChange={(e) => updateRow("sessions", i, { date: e.target.value })} />
+            <button type="button" className="meets-icon-btn" onClick={() => removeRow("sessions", i)} title="Remove session">✕</button>
+          </div>
+        ))}
+      </div>
+
+      <div className="meets-form-rows">
+        <div className="meets-form-rows-header">
+          <h4>Events</h4>
+          <button
+            type="button"
+            className="meets-btn small"
+            onClick={() => set("events", [...form.events, { number: form.events.length + 1, event: "", gender: "", ageGroup: "", session: "" }])}
+          >
+            + Event
+          </button>
+        </div>
+        {form.events.map((ev, i) => (
+          <div key={ev._id || i} className="meets-form-row">
+            <input type="number" min="1" className="narrow" title="Event #" value={ev.number ?? ""} onChange={(e) => updateRow("events", i, { number: e.target.value })} />
+            <select value={ev.event} onChange={(e) => updateRow("events", i, { event: e.target.value })}>
+              <option value="">Event…</option>
+              {SWIM_EVENTS.map((name) => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <select value={ev.gender || ""} onChange={(e) => updateRow("events", i, { gender: e.target.value })}>
+              <option value="">Any</option>
+              <option value="F">Girls</option>
+              <option value="M">Boys</option>
+              <option value="X">Mixed</option>
+            </select>
+            <input placeholder="Age group" value={ev.ageGroup || ""} onChange={(e) => updateRow("events", i, { ageGroup: e.target.value })} />
+            <input type="number" min="1" className="narrow" title="Session" placeholder="Sess" value={ev.session ?? ""} onChange={(e) => updateRow("events", i, { session: e.target.value })} />
+            <button type="button" className="meets-icon-btn" onClick={() => removeRow("events", i)} title="Remove event">✕</button>
+          </div>
+        ))}
+      </div>
+
+      <label className="meets-form-notes">
+        <span>Notes</span>
+        <textarea rows={2} value={form.notes} onChange={(e) => set("notes", e.target.value)} />
+      </label>
+
+      <div className="meets-form-actions">
+        {onCancel && <button type="button" className="meets-btn" onClick={onCancel}>Cancel</button>}
+        <button type="submit" className="meets-btn primary" disabled={saving}>{saving ? "Saving…" : "Save meet"}</button>
+      </div>
+    </form>
+  );
+}
+
+// ── Result entry form ───────────────────────────────────────────────────────
+function ResultForm({ initial, swimmers, meet, onSubmit, onCancel, submitLabel }) {
+  const [form, setForm] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const set = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const eventOptions = meet.events.length > 0 ? [...new Set(meet.events.map((e) => e.event))] : SWIM_EVENTS;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const { payload, error } = resultPayload(form);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSubmit(payload);
+      setForm((prev) => ({ ...EMPTY_RESULT, event: prev.event, round: prev.round, session: prev.session }));
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message || "Failed to save result");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="meets-result-form" onSubmit={handleSubmit}>
+      <select value={form.swimmer} onChange={(e) => set("swimmer", e.target.value)} className="meets-result-swimmer">
+        <option value="">Swimmer…</option>
+        {swimmers.map((s) => <option key={s._id} value={s._id}>{swimmerName(s)}</option>)}
+      </select>
+      <select value={form.event} onChange={(e) => set("event", e.target.value)}>
+        <option value="">Event…</option>
+        {eventOptions.map((name) => <option key={name} value={name}>{name}</option>)}
+      </select>
+      <select value={form.round} onChange={(e) => set("round", e.target.value)}>
+        {ROUNDS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+      </select>
+      {meet.sessions.length > 0 && (
+        <select value={form.session} onChange={(e) => set("session", e.target.value)}>
+          <option value="">Session…</option>
+          {meet.sessions.map((s) => <option key={s.number} value={s.number}>{s.name || `Session ${s.number}`}</option>)}
+        </select>
+      )}
+      <input className="narrow" placeholder="Heat" value={form.heat} onChange={(e) => set("heat", e.target.value)} />
+      <input className="narrow" placeholder="Lane" value={form.lane} onChange={(e) => set("lane", e.target.value)} />
+      <input className="narrow" placeholder="Place" value={form.place} onChange={(e) => set("place", e.target.value)} />
+      <input className="meets-result-time" placeholder="Time (1:03.45)" value={form.time} onChange={(e) => set("time", e.target.value)} />
+      <input className="meets-result-splits" placeholder="Splits (28.10, 59.43)" value={form.splits} onChange={(e) => set("splits", e.target.value)} />
+      <label className="meets-dq">
+        <input type="checkbox" checked={form.dq} onChange={(e) => set("dq", e.target.checked)} /> DQ
+      </label>
+      {form.dq && (
+        <input className="meets-result-dq-reason" placeholder="DQ reason" value={form.dqReason} onChange={(e) => set("dqReason", e.target.value)} />
+      )}
+      <div className="meets-result-form-actions">
+        {onCancel && <button type="button" className="meets-btn small" onClick={onCancel}>Cancel</button>}
+        <button type="submit" className="meets-btn small primary" disabled={saving}>{saving ? "Saving…" : submitLabel}</button>
+      </div>
+    </form>
+  );
+}
+
+// ── Page ────────────────────────────────────────────────────────────────────
+export default function Meets() {
+  const navigate = useNavigate();
+  const requestedMeetId = useLocation().state?.meetId;   // set after an import
+  const [meets, setMeets] = useState([]);
+  const [swimmers, setSwimmers] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [meet, setMeet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [mode, setMode] = useState("view"); // "view" | "create" | "edit"
+  const [saving, setSaving] = useState(false);
+  const [editingResultId, setEditingResultId] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const [list, roster] = await Promise.all([listMeets(), listSwimmers({ active: true })]);
+        setMeets(list || []);
+        setSwimmers(roster || []);
+        if (list?.length) setSelectedId(list.some((m) => m._id === requestedMeetId) ? requestedMeetId : list[0]._id);
+      } catch (e) {
+        console.error(e);
+        toast.error("Failed to load meets");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [requestedMeetId]);
+
+  const loadMeet = useCallback(async (id) => {
+    try {
+      setMeet(await getMeet(id));
+    } catch (e) {
+      console.error(e);
+      toast.error("Failed to load meet");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (selectedId) loadMeet(selectedId);
+    else setMeet(null);
+  }, [selectedId, loadMeet]);
+
+  const grouped = useMemo(() => (meet ? groupResultsByEvent(meet.results, meet.events) : []), [meet]);
+
+  const bumpCount = (id, delta) =>
+    setMeets((prev) => prev.map((m) => (m._id === id ? { ...m, resultCount: (m.resultCount || 0) + delta } : m)));
+
+  async function handleSaveMeet(data) {
+    setSaving(true);
+    try {
+      if (mode === "create") {
+        const created = await createMeet(data);
+        setMeets((prev) => [created, ...prev].sort((a, b) => String(b.startDate).localeCompare(String(a.startDate))));
+        setSelectedId(created._id);
+        toast.success("Meet created");
+      } else {
+        const updated = await updateMeet(meet._id, data);
+        setMeets((prev) => prev.map((m) => (m._id === updated._id ? { ...m, ...updated } : m)));
+        await loadMeet(updated._id);
+        toast.success("Meet updated");
+      }
+      setMode("view");
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to save meet");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDeleteMeet() {
+    if (!window.confirm(`Delete "${meet.name}" and all ${meet.results.length} of its results? Best times from this meet are removed too.`)) return;
+    try {
+      await deleteMeet(meet._id);
+      const remaining = meets.filter((m) => m._id !== meet._id);
+      setMeets(remaining);
+      setSelectedId(remaining[0]?._id || null);
+      toast.success("Meet deleted");
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to delete meet");
+    }
+  }
+
+  async function handleAddResult(payload) {
+    const [created] = await addMeetResults(meet._id, [payload]);
+    setMeet((prev) => ({ ...prev, results: [...prev.results, created] }));
+    bumpCount(meet._id, 1);
+    toast.success(created.bestTimeId ? "Result saved and added to best times" : "Result saved");
+  }
+
+  async function handleUpdateResult(resultId, payload) {
+    const updated = await updateMeetResult(meet._id, resultId, payload);
+    setMeet((prev) => ({ ...prev, results: prev.results.map((r) => (r._id === resultId ? updated : r)) }));
+    setEditingResultId(null);
+    toast.success("Result updated");
+  }
+
+  async function handleDeleteResult(result) {
+    if (!window.confirm(`Delete ${swimmerName(result.swimmer)}'s ${result.event}?`)) return;
+    try {
+      await deleteMeetResult(meet._id, result._id);
+      setMeet((prev) => ({ ...prev, results: prev.results.filter((r) => r._id !== result._id) }));
+      bumpCount(meet._id, -1);
+      toast.success("Result deleted");
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to delete result");
+    }
+  }
+
+  const meetFormInitial =
+    mode === "edit" && meet
+      ? {
+          ...EMPTY_MEET,
+          ...meet,
+          startDate: toDateInput(meet.startDate),
+          endDate: toDateInput(meet.endDate),
+          location: meet.location || "",
+          host: meet.host || "",
+          notes: meet.notes || "",
+        }
+      : EMPTY_MEET;
+
+  return (
+    <div className="meets-page">
+      <div className="meets-header">
+        <div>
+          <h1>Meets</h1>
+          <p className="meets-subtitle">Record meet results — legal swims flow into each swimmer's best times automatically.</p>
+        </div>
+        <div className="meets-header-actions">
+          <button className="meets-btn" onClick={() => navigate("/home/coaches/meets/import")}>Import results</button>
+          <button className="meets-btn primary" onClick={() => setMode("create")}>+ New meet</button>
+        </div>
+      </div>
+
+      <div className="meets-layout">
+        <aside className="meets-list">
+          {loading && <p className="meets-empty">Loading…</p>}
+          {!loading && meets.length === 0 && <p className="meets-empty">No meets yet.</p>}
+          {meets.map((m) => (
+            <button
+              key={m._id}
+              className={`meets-list-item ${m._id === selectedId && mode !== "create" ? "active" : ""}`}
+              onClick={() => {
+                setSelectedId(m._id);
+                setMode("view");
+              }}
+            >
+              <span className="meets-list-name">{m.name}</span>
+              <span className="meets-list-meta">
+                {formatRange(m.startDate, m.endDate)} · {m.course} · {m.resultCount || 0} results
+              </span>
+            </button>
+          ))}
+        </aside>
+
+        <section className="meets-detail">
+          {mode === "create" && (
+            <div className="meets-card">
+              <h2>New meet</h2>
+              <MeetForm initial={EMPTY_MEET} onSave={handleSaveMeet} onCancel={() => setMode("view")} saving={saving} />
+            </div>
+          )}
+
+          {mode !== "create" && meet && (
+            <>
+              <div className="meets-card">
+                {mode === "edit" ? (
+                  <>
+                    <h2>Edit meet</h2>
+                    <MeetForm key={meet._id} initial={meetFormInitial} onSave={handleSaveMeet} onCancel={() => setMode("view")} saving={saving} />
+                  </>
+                ) : (
+                  <div className="meets-summary">
+                    <div>
+                      <h2>{meet.name}</h2>
+                      <div className="meets-summary-meta">
+                        <span>{formatRange(meet.startDate, meet.endDate)}</span>
+                        <span className="meets-badge">{meet.course}</span>
+                        {meet.location && <span>{meet.location}</span>}
+                        {meet.host && <span>Host: {meet.host}</span>}
+                        <span>{meet.sessions.length} sessions · {meet.events.length} events</span>
+                      </div>
+                      {meet.notes && <p className="meets-notes">{meet.notes}</p>}
+                    </div>
+                    <div className="meets-summary-actions">
+                      <button className="meets-btn" onClick={() => setMode("edit")}>Edit</button>
+                      <button className="meets-btn danger" onClick={handleDeleteMeet}>Delete</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div className="meets-card">
+                <h3>Add result</h3>
+                <ResultForm
+                  key={`new-${meet._id}`}
+                  initial={EMPTY_RESULT}
+                  swimmers={swimmers}
+                  meet={meet}
+                  onSubmit={handleAddResult}
+                  submitLabel="Add"
+                />
+              </div>
+
+              <div className="meets-card">
+                <h3>Results ({meet.results.length})</h3>
+                {grouped.length === 0 && <p className="meets-empty">No results recorded yet.</p>}
+                {grouped.map(({ event, results }) => (
+                  <div key={event} className="meets-event">
+                    <h4>{event}</h4>
+                    <table className="meets-table">
+                      <thead>
+                        <tr>
+                          <th>Pl</th>
+                          <th>Swimmer</th>
+                          <th>Round</th>
+                          <th>Time</th>
+                          <th>Splits</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {results.map((r) =>
+                          editingResultId === r._id ? (
+                            <tr key={r._id}>
+                              <td colSpan={6}>
+                                <ResultForm
+                                  initial={resultToForm(r)}
+                                  swimmers={swimmers}
+                                  meet={meet}
+                                  onSubmit={(payload) => handleUpdateResult(r._id, payload)}
+                                  onCancel={() => setEditingResultId(null)}
+                                  submitLabel="Save"
+                                />
+                              </td>
+                            </tr>
+                          ) : (
+                            <tr key={r._id} className={r.dq ? "dq" : ""}>
+                              <td>{r.dq ? "DQ" : r.place ?? "–"}</td>
+                              <td>{swimmerName(r.swimmer)}</td>
+                              <td>{ROUNDS.find((x) => x.value === r.round)?.label || ""}</td>
+                              <td className="mono">
+                                {r.time ? formatTime(r.time) : "–"}
+                                {r.dq && r.dqReason && <span className="meets-dq-reason"> {r.dqReason}</span>}
+                              </td>
+                              <td className="mono meets-splits">
+                                {splitDeltas(r.splits).map((leg, i) => <span key={i}>{formatTime(leg)}</span>)}
+                              </td>
+                              <td className="meets-row-actions">
+                                <button className="meets-icon-btn" onClick={() => setEditingResultId(r._id)} title="Edit">✏️</button>
+                                <button className="meets-icon-btn" onClick={() => handleDeleteResult(r)} title="Delete">🗑️</button>
+                              </td>
+                            </tr>
+                          )
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {mode !== "create" && !meet && !loading && (
+            <p className="meets-empty">Create a meet to start recording results.</p>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
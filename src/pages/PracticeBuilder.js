@@ -1,5 +1,5 @@
 // src/pages/PracticeBuilder.js
-import React, { useState, useMemo, useEffect } from "react";
+import React, { useState, useMemo, useEffect, useCallback } from "react";
 import { useLocation } from "react-router-dom";
 import toast from "react-hot-toast";
 import "./PracticeBuilder.css";
@@ -8,6 +8,10 @@ import { exportPracticeDocx, updatePractice } from "../api/practices";
 import { getConfig } from "../api/config";
 import { getSeasons } from "../api/seasons";
 import { getAcronyms } from "../api/acronyms";
+import { listRosterGroups } from "../api/swimmers";
+import { listPracticeFolders } from "../api/practiceFolders";
+import { parseTags } from "../utils/librarySets";
+import { flattenFolderTree } from "../utils/practiceFolders";
 import { handleSavePractice } from "../api/PracticeBuilder";
 import {
   computeSectionTimeSeconds,
@@ -19,14 +23,28 @@ import {
 } from "../utils/timeHelpers";
 import { aggregatePracticeStats, setAcronymsConfig } from "../utils/statsParser";
 import { calculateSectionTime, calculateSectionYardage } from "../utils/intervalParser";
-import { calculatePracticeClockTimes, hasGroupSplits as checkHasGroupSplits } from "../utils/groupSyncCalculator";
+import {
+  calculatePracticeClockTimes,
+  hasGroupSplits as checkHasGroupSplits,
+  measureGroupSplit,
+} from "../utils/groupSyncCalculator";
+import { describeLines } from "../utils/practiceParser";
+import { findSeasonByDate, scheduledStartFor, getPoolForRoster } from "../utils/practiceSchedule";
 import GroupSplitSection from "../components/GroupSplitSection";
+import PracticeLineHints from "../components/PracticeLineHints";
+import WeekPlanFit from "../components/WeekPlanFit";
+import SetsSidebar, { LibrarySetCard } from "../components/SetsSidebar";
+import { createSet } from "../api/sets";
+import { sectionToSet, setToSection } from "../utils/librarySets";
+import { practiceMix } from "../utils/trainingPlan";
 
 import {
   DndContext,
+  DragOverlay,
   closestCenter,
   KeyboardSensor,
   PointerSensor,
+  useDroppable,
   useSensor,
   useSensors,
 } from "@dnd-kit/core";
@@ -39,49 +57,6 @@ import {
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 
-const DOW = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-
-function getActiveSeason(seasons, yyyyMmDd) {
-  if (!seasons || !Array.isArray(seasons) || !yyyyMmDd) return null;
-  const date = new Date(yyyyMmDd);
-  for (const season of seasons) {
-    if (!season.startDate || !season.endDate) continue;
-    if (date >= new Date(season.startDate) && date <= new Date(season.endDate)) {
-      return season;
-    }
-  }
-  return null;
-}
-
-function findSeasonByDate(seasons, yyyyMmDd) {
-  return getActiveSeason(seasons, yyyyMmDd)?.title ?? null;
-}
-
-function nextStartFor(seasons, config, roster, yyyyMmDd) {
-  if (!roster || !yyyyMmDd) return null;
-  const d = new Date(`${yyyyMmDd}T00:00:00`);
-  const key = DOW[d.getDay()];
-
-  // Season schedule takes priority
-  const activeSeason = getActiveSeason(seasons, yyyyMmDd);
-  const seasonDay = activeSeason?.schedule?.[roster]?.[key];
-  if (seasonDay && seasonDay !== "OFF") return seasonDay;
-
-  // Fall back to roster config schedule
-  const week = config?.practiceSchedule?.[roster];
-  if (!week) return null;
-  const v = week[key];
-  if (!v || v === "OFF") return null;
-  return v;
-}
-
-function getPoolForRoster(seasons, config, roster, yyyyMmDd) {
-  const activeSeason = getActiveSeason(seasons, yyyyMmDd);
-  const seasonPool = activeSeason?.schedule?.[roster]?.pool;
-  if (seasonPool) return seasonPool;
-  return config?.defaultPool ?? "SCM";
-}
-
 // Find the index of the "Warm Up" section (case-insensitive)
 function findWarmupIndex(sections) {
   const idx = sections.findIndex(
@@ -99,6 +74,8 @@ function PracticeBuilder() {
   const editMode = incomingState.mode === "edit";
   const templateMode = incomingState.mode === "template";
   const incomingPractice = incomingState.practice;
+  // { roster, date, pool, startTime } when opened from an empty calendar slot
+  const prefill = incomingState.prefill || null;
 
   // Sections state
   const [sections, setSections] = useState([
@@ -118,6 +95,9 @@ function PracticeBuilder() {
 
   const [showPreview, setShowPreview] = useState(false);
   const [showStats, setShowStats] = useState(true);
+  const [showSets, setShowSets] = useState(false);
+  const [draggedSet, setDraggedSet] = useState(null); // library set being dragged in
+  const [setsRefreshKey, setSetsRefreshKey] = useState(0);
 
   // DnD
   const sensors = useSensors(
@@ -125,8 +105,21 @@ function PracticeBuilder() {
     useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
   );
 
+  const handleDragStart = (event) => {
+    setDraggedSet(event.active.data.current?.librarySet || null);
+  };
+
   const handleDragEnd = (event) => {
     const { active, over } = event;
+    setDraggedSet(null);
+
+    // A set dragged in from the Sets Library lands before the section it's dropped on
+    const librarySet = active.data.current?.librarySet;
+    if (librarySet) {
+      if (over) insertLibrarySet(librarySet, sections.findIndex((s) => s.id === over.id));
+      return;
+    }
+
     if (active.id !== over?.id) {
       const oldIndex = sections.findIndex((s) => s.id === active.id);
       const newIndex = sections.findIndex((s) => s.id === over?.id);
@@ -136,16 +129,21 @@ function PracticeBuilder() {
 
   // Top controls state
   const [practiceDate, setPracticeDate] = useState(
-    new Date().toISOString().slice(0, 10) // "YYYY-MM-DD"
+    prefill?.date || new Date().toISOString().slice(0, 10) // "YYYY-MM-DD"
   );
   const [config, setConfig] = useState(null);
   const [seasons, setSeasons] = useState([]);
   const [rosterOptions, setRosterOptions] = useState([]);
   const [selectedRoster, setSelectedRoster] = useState("");
-  const [startTime, setStartTime] = useState("06:00");
+  const [startTime, setStartTime] = useState(prefill?.startTime || "06:00");
   // default to SCM
-  const [pool, setPool] = useState("SCM");
+  const [pool, setPool] = useState(prefill?.pool || "SCM");
   const [saving, setSaving] = useState(false);
+  const [rosterGroups, setRosterGroups] = useState([]);
+  // Library organization: comma-separated tags and a folder of the selected roster
+  const [practiceTags, setPracticeTags] = useState("");
+  const [folderId, setFolderId] = useState("");
+  const [folders, setFolders] = useState([]);
 
 
   // Load config and seasons once
@@ -167,9 +165,11 @@ function PracticeBuilder() {
         setAcronymsConfig(acronyms || { strokes: {}, styles: {} });
 
         // Choose default: config.defaultRoster -> first roster
-        const initial = (cfg?.defaultRoster && rosters.includes(cfg.defaultRoster))
-          ? cfg.defaultRoster
-          : rosters[0];
+        const initial = prefill?.roster && rosters.includes(prefill.roster)
+          ? prefill.roster
+          : (cfg?.defaultRoster && rosters.includes(cfg.defaultRoster))
+            ? cfg.defaultRoster
+            : rosters[0];
 
         setSelectedRoster(initial);
       } catch (e) {
@@ -180,6 +180,14 @@ function PracticeBuilder() {
         if (!selectedRoster) setSelectedRoster(fallback[0]);
       }
 
+      // Roster groups carry the base pace used by "@ base+5" intervals
+      try {
+        setRosterGroups(await listRosterGroups());
+      } catch (e) {
+        console.error("Failed to load roster groups", e);
+        setRosterGroups([]);
+      }
+
       // Load seasons config
       try {
         const seasonsData = await getSeasons();
@@ -212,6 +220,10 @@ function PracticeBuilder() {
       setPool(incomingPractice.pool);
     }
 
+    // Tags carry over to templates; the folder only when editing the same practice
+    setPracticeTags((incomingPractice.tags || []).join(", "));
+    if (editMode && incomingPractice.folder) setFolderId(incomingPractice.folder);
+
     // Map practice sections to builder format
     if (incomingPractice.sections && Array.isArray(incomingPractice.sections)) {
       const mappedSections = incomingPractice.sections.map((s, idx) => {
@@ -254,10 +266,29 @@ function PracticeBuilder() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [incomingPractice]);
 
+  // Folders of the selected roster; a folder of another roster is cleared
+  const rosterGroupId = rosterGroups.find((g) => g.name === selectedRoster)?._id;
+  useEffect(() => {
+    if (!rosterGroupId) {
+      setFolders([]);
+      return;
+    }
+    let cancelled = false;
+    listPracticeFolders(rosterGroupId)
+      .then((list) => {
+        if (cancelled) return;
+        const tree = flattenFolderTree(list || []);
+        setFolders(tree);
+        setFolderId((current) => (tree.some((f) => f._id === current) ? current : ""));
+      })
+      .catch((e) => console.error("Failed to load folders", e));
+    return () => { cancelled = true; };
+  }, [rosterGroupId]);
+
   // When date, roster, config, or seasons change, update start time and pool from the active season
   // (falls back to roster config when no season is active)
   useEffect(() => {
-    const st = nextStartFor(seasons, config, selectedRoster, practiceDate);
+    const st = scheduledStartFor(seasons, config, selectedRoster, practiceDate);
     if (st) setStartTime(st);
     if (!editMode) {
       setPool(getPoolForRoster(seasons, config, selectedRoster, practiceDate));
@@ -314,6 +345,9 @@ function PracticeBuilder() {
     return aggregatePracticeStats(sections, sectionYardages);
   }, [sections, sectionYardages]);
 
+  // Yardage and stroke / energy-system mix for the planned-week panel
+  const planMix = useMemo(() => practiceMix(sections), [sections]);
+
   // Calculate totals per group (for practices with group splits)
   const groupTotals = useMemo(() => {
     if (!hasGroupSplits) return null;
@@ -377,6 +411,23 @@ function PracticeBuilder() {
     return totals;
   }, [sections, sectionYardages, sectionTimes, hasGroupSplits]);
 
+  // Base pace per 100 for a group split column, matched to a roster group by name
+  const paceForGroup = useCallback((groupName) => {
+    const key = String(groupName || "").trim().toLowerCase();
+    const match = rosterGroups.find((g) => g.name.trim().toLowerCase() === key);
+    return match?.basePace?.[pool] || 0;
+  }, [rosterGroups, pool]);
+
+  // Re-resolve pace intervals when the pool, the paces or the group names change
+  const groupNamesKey = sections
+    .filter((s) => s.type === "group-split")
+    .map((s) => (s.groups || []).map((g) => g.name).join(","))
+    .join("|");
+  useEffect(() => {
+    if (!groupNamesKey) return;
+    setSections((prev) => prev.map((s) => (s.type === "group-split" ? measureGroupSplit(s, paceForGroup) : s)));
+  }, [paceForGroup, groupNamesKey]);
+
   // Recalculate group clock times and totals when needed
   // We'll do this on-demand in the save/export functions instead of in an effect
   // to avoid infinite loops
@@ -445,6 +496,8 @@ function PracticeBuilder() {
             timeSeconds: totalTimeSec,
           },
           stats: swimTypeStats || undefined,
+          tags: parseTags(practiceTags),
+          folder: folderId || null,
         });
 
         toast.success("Practice updated successfully!");
@@ -463,6 +516,8 @@ function PracticeBuilder() {
           totalTimeSec,
           stats: swimTypeStats, // include computed stats
           startTime, // include start time for group clock calculations
+          tags: parseTags(practiceTags),
+          folder: folderId || null,
         });
 
         toast.success("Practice saved successfully!");
@@ -586,6 +641,8 @@ function PracticeBuilder() {
         totalTimeSec,
         stats: swimTypeStats,
         startTime,
+        tags: parseTags(practiceTags),
+        folder: folderId || null,
       });
 
       // 2) EXPORT — same blob-download pattern as handleExportDocx
@@ -702,6 +759,31 @@ function PracticeBuilder() {
     setSections([...sections, newSection]);
   };
 
+  // Insert a Sets Library set at `index` (-1 appends)
+  const insertLibrarySet = (set, index = -1) => {
+    const section = setToSection(set, Date.now().toString());
+    const measured = section.type === "group-split" ? measureGroupSplit(section, paceForGroup) : section;
+    setSections((prev) => {
+      const at = index < 0 ? prev.length : index;
+      return [...prev.slice(0, at), measured, ...prev.slice(at)];
+    });
+  };
+
+  const saveSectionToLibrary = async (section) => {
+    const name = prompt("Name for this set:", (section.type === "group-split" ? section.title : section.name) || "");
+    if (!name) return;
+    const tags = prompt("Tags (comma separated, optional):", "") || "";
+
+    try {
+      await createSet(sectionToSet(section, { name: name.trim(), tags, pool }));
+      setSetsRefreshKey((k) => k + 1);
+      toast.success(`Saved "${name.trim()}" to the Sets Library`);
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to save set");
+    }
+  };
+
   const deleteSection = (id) => {
     setSections(sections.filter((section) => section.id !== id));
   };
@@ -811,7 +893,7 @@ function PracticeBuilder() {
                 // Recalculate yardage and time when text changes
                 if (field === 'text') {
                   updated.yardage = calculateSectionYardage(value);
-                  updated.timeSeconds = calculateSectionTime(value);
+                  updated.timeSeconds = calculateSectionTime(value, paceForGroup(group.name));
                 }
                 return updated;
               }
@@ -901,29 +983,52 @@ function PracticeBuilder() {
                 <option value="LCM">LCM</option>
               </select>
             </label>
+
+            <label className="pair">
+              <span>Tags:</span>
+              <input
+                value={practiceTags}
+                onChange={(e) => setPracticeTags(e.target.value)}
+                placeholder="threshold, taper"
+              />
+            </label>
+
+            {folders.length > 0 && (
+              <label className="pair">
+                <span>Folder:</span>
+                <select value={folderId} onChange={(e) => setFolderId(e.target.value)}>
+                  <option value="">No folder</option>
+                  {folders.map((f) => (
+                    <option key={f._id} value={f._id}>{f.path}</option>
+                  ))}
+                </select>
+              </label>
+            )}
           </div>
         </div>
 
-        {/* Two-column layout */}
-        <div className="builder-columns">
-          {/* Left column: Sections */}
-          <div className="builder-left">
-            {/* Sections (DnD) */}
-            <DndContext
-              sensors={sensors}
-              collisionDetection={closestCenter}
-              onDragEnd={handleDragEnd}
-              accessibility={{
-                screenReaderInstructions: { draggable: "" },
-                announcements: {
-                  onDragStart: () => "",
-                  onDragMove: () => "",
-                  onDragOver: () => "",
-                  onDragEnd: () => "",
-                  onDragCancel: () => "",
-                },
-              }}
-            >
+        {/* Two-column layout — one DnD context so library sets can be dragged across */}
+        <DndContext
+          sensors={sensors}
+          collisionDetection={closestCenter}
+          onDragStart={handleDragStart}
+          onDragEnd={handleDragEnd}
+          onDragCancel={() => setDraggedSet(null)}
+          accessibility={{
+            screenReaderInstructions: { draggable: "" },
+            announcements: {
+              onDragStart: () => "",
+              onDragMove: () => "",
+              onDragOver: () => "",
+              onDragEnd: () => "",
+              onDragCancel: () => "",
+            },
+          }}
+        >
+          <div className="builder-columns">
+            {/* Left column: Sections */}
+            <div className="builder-left">
+              {/* Sections (DnD) */}
               <SortableContext items={sections.map((s) => s.id)} strategy={verticalListSortingStrategy}>
                 {sections.map((section, idx) => (
                   section.type === 'group-split' ? (
@@ -936,6 +1041,8 @@ function PracticeBuilder() {
                       onAddGroupSection={addGroupSection}
                       onDeleteGroupSection={deleteGroupSection}
                       onUpdateGroupSection={updateGroupSection}
+                      onSaveToLibrary={saveSectionToLibrary}
+                      paceForGroup={paceForGroup}
                     />
                   ) : (
                     <SortableSection
@@ -943,310 +1050,351 @@ function PracticeBuilder() {
                       section={section}
                       onChange={updateSection}
                       onDelete={deleteSection}
+                      onSaveToLibrary={saveSectionToLibrary}
                       yardage={sectionYardages[idx]}
                       timeSec={sectionTimes[idx]}
                     />
                   )
                 ))}
               </SortableContext>
-            </DndContext>
-
-            {/* Add buttons */}
-            <div className="topbar">
-              <div className="add-buttons">
-                <button className="add-btn" onClick={addSwimSection}>+ Add Section</button>
-                <button className="add-btn light" onClick={addBreakSection}>+ Add Break</button>
-                <button className="add-btn" onClick={addGroupSplitSection}>+ Add Group Split</button>
+              {draggedSet && <SectionsDropEnd />}
+
+              {/* Add buttons */}
+              <div className="topbar">
+                <div className="add-buttons">
+                  <button className="add-btn" onClick={addSwimSection}>+ Add Section</button>
+                  <button className="add-btn light" onClick={addBreakSection}>+ Add Break</button>
+                  <button className="add-btn" onClick={addGroupSplitSection}>+ Add Group Split</button>
+                </div>
+                <div className="actions">
+                  <button className="preview-btn" onClick={onSave}>💾 Save Practice</button>
+                  <button className="preview-btn" onClick={handleExportDocx}>⬇️ Export Word</button>
+                  <button className="preview-btn" onClick={onSaveAndExport} disabled={saving}>
+                    💾⬇️ Save & Export
+                  </button>
+                  <button className="preview-btn secondary" onClick={handleReset}>🔄 New Practice</button>
+                </div>
               </div>
-              <div className="actions">
-                <button className="preview-btn" onClick={onSave}>💾 Save Practice</button>
-                <button className="preview-btn" onClick={handleExportDocx}>⬇️ Export Word</button>
-                <button className="preview-btn" onClick={onSaveAndExport} disabled={saving}>
-                  💾⬇️ Save & Export
+            </div>
+
+            {/* Right column: Preview and Stats */}
+            <div className="builder-right">
+              {/* Preview/Stats Toggle Buttons */}
+              <div className="right-panel-controls">
+                <button
+                  className={`toggle-btn ${showStats ? 'active' : ''}`}
+                  onClick={() => setShowStats(!showStats)}
+                >
+                  {showStats ? '✓ ' : ''}Stats
+                </button>
+                <button
+                  className={`toggle-btn ${showPreview ? 'active' : ''}`}
+                  onClick={() => setShowPreview(!showPreview)}
+                >
+                  {showPreview ? '✓ ' : ''}Preview
+                </button>
+                <button
+                  className={`toggle-btn ${showSets ? 'active' : ''}`}
+                  onClick={() => setShowSets(!showSets)}
+                >
+                  {showSets ? '✓ ' : ''}Sets
                 </button>
-                <button className="preview-btn secondary" onClick={handleReset}>🔄 New Practice</button>
               </div>
-            </div>
-          </div>
 
-          {/* Right column: Preview and Stats */}
-          <div className="builder-right">
-            {/* Preview/Stats Toggle Buttons */}
-            <div className="right-panel-controls">
-              <button
-                className={`toggle-btn ${showStats ? 'active' : ''}`}
-                onClick={() => setShowStats(!showStats)}
-              >
-                {showStats ? '✓ ' : ''}Stats
-              </button>
-              <button
-                className={`toggle-btn ${showPreview ? 'active' : ''}`}
-                onClick={() => setShowPreview(!showPreview)}
-              >
-                {showPreview ? '✓ ' : ''}Preview
-              </button>
-            </div>
+              {/* Sets Library */}
+              {showSets && (
+                <SetsSidebar onInsert={(set) => insertLibrarySet(set)} refreshKey={setsRefreshKey} />
+              )}
 
-            {/* Stats */}
-            {showStats && (
-              <div className="stats-panel">
-                <h2 className="stats-title">Practice Statistics</h2>
-
-                {!groupTotals ? (
-                  // No groups - show single stats
-                  <>
-                    <div className="stats-summary">
-                      <div className="stat-item">
-                        <span className="stat-label">Total Yardage:</span>
-                        <span className="stat-value">{formatYardage(totalYardage)}m</span>
+              {/* Stats */}
+              {showStats && (
+                <div className="stats-panel">
+                  <h2 className="stats-title">Practice Statistics</h2>
+
+                  <WeekPlanFit
+                    roster={selectedRoster}
+                    date={practiceDate}
+                    excludeId={editMode ? incomingPractice?._id : undefined}
+                    practice={planMix}
+                  />
+
+                  {!groupTotals ? (
+                    // No groups - show single stats
+                    <>
+                      <div className="stats-summary">
+                        <div className="stat-item">
+                          <span className="stat-label">Total Yardage:</span>
+                          <span className="stat-value">{formatYardage(totalYardage)}m</span>
+                        </div>
+                        <div className="stat-item">
+                          <span className="stat-label">Total Time:</span>
+                          <span className="stat-value">{formatSeconds(totalTimeSec)}</span>
+                        </div>
                       </div>
-                      <div className="stat-item">
-                        <span className="stat-label">Total Time:</span>
-                        <span className="stat-value">{formatSeconds(totalTimeSec)}</span>
+
+                      <h3 className="stats-subtitle">Breakdown by Strokes</h3>
+                      <div className="stats-breakdown">
+                        {Object.keys(swimTypeStats.strokes || {}).length === 0 ? (
+                          <p className="stats-empty">No stroke data to analyze</p>
+                        ) : (
+                          <table className="stats-table">
+                            <thead>
+                              <tr>
+                                <th>Stroke</th>
+                                <th>Yardage</th>
+                                <th>% of Total</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {Object.entries(swimTypeStats.strokes || {})
+                                .sort((a, b) => b[1] - a[1])
+                                .map(([stroke, yardage]) => {
+                                  const percentage = totalYardage > 0
+                                    ? ((yardage / totalYardage) * 100).toFixed(1)
+                                    : 0;
+                                  return (
+                                    <tr key={stroke}>
+                                      <td className="stat-type">{stroke}</td>
+                                      <td className="stat-yardage">{formatYardage(yardage)}m</td>
+                                      <td className="stat-percentage">{percentage}%</td>
+                                    </tr>
+                                  );
+                                })}
+                            </tbody>
+                          </table>
+                        )}
                       </div>
-                    </div>
 
-                    <h3 className="stats-subtitle">Breakdown by Strokes</h3>
-                    <div className="stats-breakdown">
-                      {Object.keys(swimTypeStats.strokes || {}).length === 0 ? (
-                        <p className="stats-empty">No stroke data to analyze</p>
-                      ) : (
-                        <table className="stats-table">
-                          <thead>
-                            <tr>
-                              <th>Stroke</th>
-                              <th>Yardage</th>
-                              <th>% of Total</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {Object.entries(swimTypeStats.strokes || {})
-                              .sort((a, b) => b[1] - a[1])
-                              .map(([stroke, yardage]) => {
-                                const percentage = totalYardage > 0
-                                  ? ((yardage / totalYardage) * 100).toFixed(1)
-                                  : 0;
-                                return (
-                                  <tr key={stroke}>
-                                    <td className="stat-type">{stroke}</td>
-                                    <td className="stat-yardage">{formatYardage(yardage)}m</td>
-                                    <td className="stat-percentage">{percentage}%</td>
-                                  </tr>
-                                );
-                              })}
-                          </tbody>
-                        </table>
-                      )}
-                    </div>
+                      <h3 className="stats-subtitle" style={{ marginTop: 'var(--space-md)' }}>Breakdown by Styles</h3>
+                      <div className="stats-breakdown">
+                        {Object.keys(swimTypeStats.styles || {}).length === 0 ? (
+                          <p className="stats-empty">No style data to analyze</p>
+                        ) : (
+                          <table className="stats-table">
+                            <thead>
+                              <tr>
+                                <th>Style</th>
+                                <th>Yardage</th>
+                                <th>% of Total</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {Object.entries(swimTypeStats.styles || {})
+                                .sort((a, b) => b[1] - a[1])
+                                .map(([style, yardage]) => {
+                                  const percentage = totalYardage > 0
+                                    ? ((yardage / totalYardage) * 100).toFixed(1)
+                                    : 0;
+                                  return (
+                                    <tr key={style}>
+                                      <td className="stat-type">{style}</td>
+                                      <td className="stat-yardage">{formatYardage(yardage)}m</td>
+                                      <td className="stat-percentage">{percentage}%</td>
+                                    </tr>
+                                  );
+                                })}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    </>
+                  ) : (
+                    // Has groups - show per-group stats
+                    Object.entries(groupTotals).map(([groupName, totals]) => {
+                      const groupStats = swimTypeStats[groupName] || { strokes: {}, styles: {} };
+                      const groupYardage = totals.yardage;
+                      const groupTime = totals.timeSeconds;
+
+                      return (
+                        <div key={groupName} style={{ marginBottom: 'var(--space-xl)' }}>
+                          <h3 className="stats-subtitle" style={{ color: 'var(--primary)', fontSize: '1.25rem' }}>
+                            {groupName}
+                          </h3>
+
+                          <div className="stats-summary">
+                            <div className="stat-item">
+                              <span className="stat-label">Total Yardage:</span>
+                              <span className="stat-value">{formatYardage(groupYardage)}m</span>
+                            </div>
+                            <div className="stat-item">
+                              <span className="stat-label">Total Time:</span>
+                              <span className="stat-value">{formatSeconds(groupTime)}</span>
+                            </div>
+                          </div>
 
-                    <h3 className="stats-subtitle" style={{ marginTop: 'var(--space-md)' }}>Breakdown by Styles</h3>
-                    <div className="stats-breakdown">
-                      {Object.keys(swimTypeStats.styles || {}).length === 0 ? (
-                        <p className="stats-empty">No style data to analyze</p>
-                      ) : (
-                        <table className="stats-table">
-                          <thead>
-                            <tr>
-                              <th>Style</th>
-                              <th>Yardage</th>
-                              <th>% of Total</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {Object.entries(swimTypeStats.styles || {})
-                              .sort((a, b) => b[1] - a[1])
-                              .map(([style, yardage]) => {
-                                const percentage = totalYardage > 0
-                                  ? ((yardage / totalYardage) * 100).toFixed(1)
-                                  : 0;
-                                return (
-                                  <tr key={style}>
-                                    <td className="stat-type">{style}</td>
-                                    <td className="stat-yardage">{formatYardage(yardage)}m</td>
-                                    <td className="stat-percentage">{percentage}%</td>
+                          <h4 className="stats-subtitle" style={{ fontSize: '1rem', marginTop: 'var(--space-sm)' }}>Breakdown by Strokes</h4>
+                          <div className="stats-breakdown">
+                            {Object.keys(groupStats.strokes || {}).length === 0 ? (
+                              <p className="stats-empty">No stroke data</p>
+                            ) : (
+                              <table className="stats-table">
+                                <thead>
+                                  <tr>
+                                    <th>Stroke</th>
+                                    <th>Yardage</th>
+                                    <th>% of Total</th>
                                   </tr>
-                                );
-                              })}
-                          </tbody>
-                        </table>
-                      )}
-                    </div>
-                  </>
-                ) : (
-                  // Has groups - show per-group stats
-                  Object.entries(groupTotals).map(([groupName, totals]) => {
-                    const groupStats = swimTypeStats[groupName] || { strokes: {}, styles: {} };
-                    const groupYardage = totals.yardage;
-                    const groupTime = totals.timeSeconds;
-
-                    return (
-                      <div key={groupName} style={{ marginBottom: 'var(--space-xl)' }}>
-                        <h3 className="stats-subtitle" style={{ color: 'var(--primary)', fontSize: '1.25rem' }}>
-                          {groupName}
-                        </h3>
-
-                        <div className="stats-summary">
-                          <div className="stat-item">
-                            <span className="stat-label">Total Yardage:</span>
-                            <span className="stat-value">{formatYardage(groupYardage)}m</span>
-                          </div>
-                          <div className="stat-item">
-                            <span className="stat-label">Total Time:</span>
-                            <span className="stat-value">{formatSeconds(groupTime)}</span>
+                                </thead>
+                                <tbody>
+                                  {Object.entries(groupStats.strokes || {})
+                                    .sort((a, b) => b[1] - a[1])
+                                    .map(([stroke, yardage]) => {
+                                      const percentage = groupYardage > 0
+                                        ? ((yardage / groupYardage) * 100).toFixed(1)
+                                        : 0;
+                                      return (
+                                        <tr key={stroke}>
+                                          <td className="stat-type">{stroke}</td>
+                                          <td className="stat-yardage">{formatYardage(yardage)}m</td>
+                                          <td className="stat-percentage">{percentage}%</td>
+                                        </tr>
+                                      );
+                                    })}
+                                </tbody>
+                              </table>
+                            )}
                           </div>
-                        </div>
 
-                        <h4 className="stats-subtitle" style={{ fontSize: '1rem', marginTop: 'var(--space-sm)' }}>Breakdown by Strokes</h4>
-                        <div className="stats-breakdown">
-                          {Object.keys(groupStats.strokes || {}).length === 0 ? (
-                            <p className="stats-empty">No stroke data</p>
-                          ) : (
-                            <table className="stats-table">
-                              <thead>
-                                <tr>
-                                  <th>Stroke</th>
-                                  <th>Yardage</th>
-                                  <th>% of Total</th>
-                                </tr>
-                              </thead>
-                              <tbody>
-                                {Object.entries(groupStats.strokes || {})
-                                  .sort((a, b) => b[1] - a[1])
-                                  .map(([stroke, yardage]) => {
-                                    const percentage = groupYardage > 0
-                                      ? ((yardage / groupYardage) * 100).toFixed(1)
-                                      : 0;
-                                    return (
-                                      <tr key={stroke}>
-                                        <td className="stat-type">{stroke}</td>
-                                        <td className="stat-yardage">{formatYardage(yardage)}m</td>
-                                        <td className="stat-percentage">{percentage}%</td>
-                                      </tr>
-                                    );
-                                  })}
-                              </tbody>
-                            </table>
-                          )}
+                          <h4 className="stats-subtitle" style={{ fontSize: '1rem', marginTop: 'var(--space-sm)' }}>Breakdown by Styles</h4>
+                          <div className="stats-breakdown">
+                            {Object.keys(groupStats.styles || {}).length === 0 ? (
+                              <p className="stats-empty">No style data</p>
+                            ) : (
+                              <table className="stats-table">
+                                <thead>
+                                  <tr>
+                                    <th>Style</th>
+                                    <th>Yardage</th>
+                                    <th>% of Total</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {Object.entries(groupStats.styles || {})
+                                    .sort((a, b) => b[1] - a[1])
+                                    .map(([style, yardage]) => {
+                                      const percentage = groupYardage > 0
+                                        ? ((yardage / groupYardage) * 100).toFixed(1)
+                                        : 0;
+                                      return (
+                                        <tr key={style}>
+                                          <td className="stat-type">{style}</td>
+                                          <td className="stat-yardage">{formatYardage(yardage)}m</td>
+                                          <td className="stat-percentage">{percentage}%</td>
+                                        </tr>
+                                      );
+                                    })}
+                                </tbody>
+                              </table>
+                            )}
+                          </div>
                         </div>
+                      );
+                    })
+                  )}
+                </div>
+              )}
 
-                        <h4 className="stats-subtitle" style={{ fontSize: '1rem', marginTop: 'var(--space-sm)' }}>Breakdown by Styles</h4>
-                        <div className="stats-breakdown">
-                          {Object.keys(groupStats.styles || {}).length === 0 ? (
-                            <p className="stats-empty">No style data</p>
-                          ) : (
-                            <table className="stats-table">
-                              <thead>
-                                <tr>
-                                  <th>Style</th>
-                                  <th>Yardage</th>
-                                  <th>% of Total</th>
-                                </tr>
-                              </thead>
-                              <tbody>
-                                {Object.entries(groupStats.styles || {})
-                                  .sort((a, b) => b[1] - a[1])
-                                  .map(([style, yardage]) => {
-                                    const percentage = groupYardage > 0
-                                      ? ((yardage / groupYardage) * 100).toFixed(1)
-                                      : 0;
-                                    return (
-                                      <tr key={style}>
-                                        <td className="stat-type">{style}</td>
-                                        <td className="stat-yardage">{formatYardage(yardage)}m</td>
-                                        <td className="stat-percentage">{percentage}%</td>
-                                      </tr>
-                                    );
-                                  })}
-                              </tbody>
-                            </table>
-                          )}
-                        </div>
+              {/* Preview */}
+              {showPreview && (
+                <div className="preview-panel" style={{ marginTop: showStats ? 'var(--space-lg)' : '0' }}>
+                  {sections.map((section, index) =>
+                    section.type === "break" ? (
+                      <div key={section.id} className="preview-break">
+                        {section.name || "Break"}
+                        {section.content ? ` @ ${section.content}` : ""}
                       </div>
-                    );
-                  })
-                )}
-              </div>
-            )}
-
-            {/* Preview */}
-            {showPreview && (
-              <div className="preview-panel" style={{ marginTop: showStats ? 'var(--space-lg)' : '0' }}>
-                {sections.map((section, index) =>
-                  section.type === "break" ? (
-                    <div key={section.id} className="preview-break">
-                      {section.name || "Break"}
-                      {section.content ? ` @ ${section.content}` : ""}
-                    </div>
-                  ) : section.type === "group-split" ? (
-                    <div key={section.id} className="preview-section group-split-preview">
-                      <div className="preview-title-row">
-                        <div className="preview-title-left">
-                          <strong>{section.name || section.title || "Group Split"}</strong>
+                    ) : section.type === "group-split" ? (
+                      <div key={section.id} className="preview-section group-split-preview">
+                        <div className="preview-title-row">
+                          <div className="preview-title-left">
+                            <strong>{section.name || section.title || "Group Split"}</strong>
+                          </div>
                         </div>
-                      </div>
-                      <div className="group-split-preview-content">
-                        {(section.groups || []).map(group => (
-                          <div key={group.id} className="group-preview">
-                            <div className="group-preview-header">
-                              <strong>{group.name}</strong>
-                              {section.pacingGroup === group.name && <span> 🏃</span>}
-                            </div>
-                            {(group.sections || []).map((groupSection, idx) => (
-                              <div key={idx} className="preview-line">
-                                {groupSection.text || ''}
+                        <div className="group-split-preview-content">
+                          {(section.groups || []).map(group => (
+                            <div key={group.id} className="group-preview">
+                              <div className="group-preview-header">
+                                <strong>{group.name}</strong>
+                                {section.pacingGroup === group.name && <span> 🏃</span>}
+                              </div>
+                              {(group.sections || []).map((groupSection, idx) => (
+                                <div key={idx} className="preview-line">
+                                  {groupSection.text || ''}
+                                </div>
+                              ))}
+                              <div className="group-preview-totals">
+                                {group.totalYardage}m • {formatSeconds(group.totalTimeSeconds || 0)}
+                                {group.clockTime && ` → ${group.clockTime}`}
                               </div>
-                            ))}
-                            <div className="group-preview-totals">
-                              {group.totalYardage}m • {formatSeconds(group.totalTimeSeconds || 0)}
-                              {group.clockTime && ` → ${group.clockTime}`}
                             </div>
-                          </div>
-                        ))}
-                      </div>
-                    </div>
-                  ) : (
-                    <div key={section.id} className="preview-section">
-                      <div className="preview-title-row">
-                        <div className="preview-title-left">
-                          {section.name}
-                          {sectionYardages[index] > 0 ? ` – ${formatYardage(sectionYardages[index])}m` : ""}
+                          ))}
                         </div>
-                        <div className="preview-title-right">
-                          {sectionTimes[index] > 0
-                            ? `${formatSeconds(sectionTimes[index])} \u2192 ${formatClock12(sectionEndClocks[index], false)}`
-                            : ""}
+                      </div>
+                    ) : (
+                      <div key={section.id} className="preview-section">
+                        <div className="preview-title-row">
+                          <div className="preview-title-left">
+                            {section.name}
+                            {sectionYardages[index] > 0 ? ` – ${formatYardage(sectionYardages[index])}m` : ""}
+                          </div>
+                          <div className="preview-title-right">
+                            {sectionTimes[index] > 0
+                              ? `${formatSeconds(sectionTimes[index])} \u2192 ${formatClock12(sectionEndClocks[index], false)}`
+                              : ""}
+                          </div>
                         </div>
+
+                        {section.content.split("\n").map((line, i) => (
+                          <div key={i} className="preview-line">
+                            {line.trim() === "" ? <br /> : line}
+                          </div>
+                        ))}
                       </div>
+                    )
+                  )}
 
-                      {section.content.split("\n").map((line, i) => (
-                        <div key={i} className="preview-line">
-                          {line.trim() === "" ? <br /> : line}
-                        </div>
-                      ))}
+                  <div className="preview-total-row">
+                    <div className="preview-total-left">
+                      <strong>Total: {formatYardage(totalYardage)}m</strong>
+                    </div>
+                    <div className="preview-total-right">
+                      <strong>{totalTimeSec > 0 ? formatSeconds(totalTimeSec) : ""}</strong>
                     </div>
-                  )
-                )}
-
-                <div className="preview-total-row">
-                  <div className="preview-total-left">
-                    <strong>Total: {formatYardage(totalYardage)}m</strong>
-                  </div>
-                  <div className="preview-total-right">
-                    <strong>{totalTimeSec > 0 ? formatSeconds(totalTimeSec) : ""}</strong>
                   </div>
                 </div>
-              </div>
-            )}
+              )}
+            </div>
           </div>
-        </div>
+
+          <DragOverlay>
+            {draggedSet ? <LibrarySetCard set={draggedSet} dragging /> : null}
+          </DragOverlay>
+        </DndContext>
       </div>
     </div>
   );
 }
 
-function SortableSection({ section, onChange, onDelete, yardage, timeSec }) {
+/** Drop target after the last section, shown while a library set is dragged */
+function SectionsDropEnd() {
+  const { setNodeRef, isOver } = useDroppable({ id: "sections-end" });
+  return (
+    <div ref={setNodeRef} className={`sections-drop-end ${isOver ? "over" : ""}`}>
+      Drop here to add at the end
+    </div>
+  );
+}
+
+function SortableSection({ section, onChange, onDelete, onSaveToLibrary, yardage, timeSec }) {
   const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id: section.id });
 
+  // Per-line parse results for the editor hints (swim sections only)
+  const lineInfo = useMemo(
+    () => (section.type === "break" ? [] : describeLines(section.content)),
+    [section.type, section.content]
+  );
+  const hasErrors = lineInfo.some((line) => line.diagnostics.some((d) => d.severity === "error"));
+
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
@@ -1301,13 +1449,16 @@ function SortableSection({ section, onChange, onDelete, yardage, timeSec }) {
 
             {yardage > 0 && <span className="yardage-display"> {formatYardage(yardage)}m</span>}
             {timeSec > 0 && <span className="yardage-display"> @ {formatSeconds(timeSec)}</span>}
+            <button className="delete-btn" onClick={() => onSaveToLibrary(section)} title="Save to Sets Library">
+              📚
+            </button>
             <button className="delete-btn" onClick={() => onDelete(section.id)}>
               ❌
             </button>
           </div>
 
           <textarea
-            className="practice-input"
+            className={`practice-input${hasErrors ? " has-errors" : ""}`}
             placeholder="e.g. 3x100 Free @ 1:30"
             value={section.content}
             onChange={(e) => onChange(section.id, "content", e.target.value)}
@@ -1328,6 +1479,7 @@ function SortableSection({ section, onChange, onDelete, yardage, timeSec }) {
               }
             }}
           />
+          <PracticeLineHints lines={lineInfo} />
         </>
       )}
     </div>
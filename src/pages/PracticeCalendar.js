@@ -0,0 +1,243 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import { listCalendarPractices, getPractice } from "../api/practices";
+import { getConfig } from "../api/config";
+import { getSeasons } from "../api/seasons";
+import { formatYardage } from "../utils/timeHelpers";
+import {
+  DOW,
+  calendarDays,
+  toDateKey,
+  findSeasonByDate,
+  scheduledStartFor,
+  getPoolForRoster,
+} from "../utils/practiceSchedule";
+import "./PracticeCalendar.css";
+
+const FALLBACK_ROSTERS = ["Yellow", "Blue", "White", "Bronze", "Silver", "Gold/Platinum"];
+const ROSTER_COLORS = ["#3b82f6", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6", "#ec4899", "#14b8a6", "#f97316"];
+
+function formatRangeLabel(days, view) {
+  const first = days[0];
+  const last = days[days.length - 1];
+  if (view === "month") {
+    const mid = days[Math.floor(days.length / 2)];
+    return mid.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+  }
+  const opts = { month: "short", day: "numeric" };
+  return `${first.toLocaleDateString(undefined, opts)} – ${last.toLocaleDateString(undefined, { ...opts, year: "numeric" })}`;
+}
+
+export default function PracticeCalendar() {
+  const navigate = useNavigate();
+
+  const [config, setConfig] = useState(null);
+  const [seasons, setSeasons] = useState([]);
+  const [rosters, setRosters] = useState(FALLBACK_ROSTERS);
+  const [hiddenRosters, setHiddenRosters] = useState([]);
+
+  const [view, setView] = useState("month");
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [practices, setPractices] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Load config and seasons once
+  useEffect(() => {
+    (async () => {
+      try {
+        const cfg = await getConfig();
+        setConfig(cfg || {});
+        if (Array.isArray(cfg?.rosters) && cfg.rosters.length) setRosters(cfg.rosters);
+      } catch (e) {
+        console.error("Failed to load config", e);
+      }
+
+      try {
+        const seasonsData = await getSeasons();
+        setSeasons(seasonsData?.seasons || []);
+      } catch (e) {
+        console.error("Failed to load seasons", e);
+        setSeasons([]);
+      }
+    })();
+  }, []);
+
+  const days = useMemo(() => calendarDays(anchor, view), [anchor, view]);
+  const from = toDateKey(days[0]);
+  const to = toDateKey(days[days.length - 1]);
+
+  // Load every roster's practices for the visible range
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const res = await listCalendarPractices(from, to);
+        if (!cancelled) setPractices(res.items || []);
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) toast.error("Failed to load practices");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [from, to]);
+
+  const rosterColor = (roster) => {
+    const idx = rosters.indexOf(roster);
+    return idx === -1 ? "var(--gray-400)" : ROSTER_COLORS[idx % ROSTER_COLORS.length];
+  };
+
+  const visibleRosters = rosters.filter((r) => !hiddenRosters.includes(r));
+
+  // Written practices and scheduled-but-unwritten slots for one day
+  function entriesFor(dateKey) {
+    const written = practices.filter((p) => p.date === dateKey && !hiddenRosters.includes(p.roster));
+    const empty = visibleRosters
+      .filter((roster) => !written.some((p) => p.roster === roster))
+      .map((roster) => ({ roster, startTime: scheduledStartFor(seasons, config, roster, dateKey) }))
+      .filter((slot) => slot.startTime);
+    return { written, empty };
+  }
+
+  function shift(direction) {
+    const next = new Date(anchor);
+    if (view === "week") next.setDate(anchor.getDate() + 7 * direction);
+    else next.setMonth(anchor.getMonth() + direction, 1);
+    setAnchor(next);
+  }
+
+  function toggleRoster(roster) {
+    setHiddenRosters((prev) =>
+      prev.includes(roster) ? prev.filter((r) => r !== roster) : [...prev, roster]
+    );
+  }
+
+  async function openPractice(id) {
+    try {
+      const practice = await getPractice(id);
+      navigate("/home/builder", { state: { mode: "edit", practice } });
+    } catch (e) {
+      console.error(e);
+      toast.error("Failed to open practice");
+    }
+  }
+
+  function openEmptySlot(roster, dateKey, startTime) {
+    navigate("/home/builder", {
+      state: {
+        prefill: {
+          roster,
+          date: dateKey,
+          pool: getPoolForRoster(seasons, config, roster, dateKey),
+          startTime,
+        },
+      },
+    });
+  }
+
+  const todayKey = toDateKey(new Date());
+  const anchorMonth = anchor.getMonth();
+  const season = findSeasonByDate(seasons, toDateKey(anchor));
+
+  return (
+    <div className="calendar-page">
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button className="calendar-nav-btn" onClick={() => shift(-1)} title="Previous">←</button>
+          <button className="calendar-nav-btn" onClick={() => setAnchor(new Date())}>Today</button>
+          <button className="calendar-nav-btn" onClick={() => shift(1)} title="Next">→</button>
+          <h2 className="calendar-title">{formatRangeLabel(days, view)}</h2>
+          {season && <span className="calendar-season-badge">{season}</span>}
+          {loading && <span className="calendar-loading">Loading…</span>}
+        </div>
+        <div className="calendar-view-toggle">
+          {["month", "week"].map((v) => (
+            <button
+              key={v}
+              className={`calendar-view-btn ${view === v ? "active" : ""}`}
+              onClick={() => setView(v)}
+            >
+              {v === "month" ? "Month" : "Week"}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="calendar-rosters">
+        {rosters.map((r) => (
+          <button
+            key={r}
+            className={`calendar-roster-chip ${hiddenRosters.includes(r) ? "off" : ""}`}
+            style={{ "--roster-color": rosterColor(r) }}
+            onClick={() => toggleRoster(r)}
+            title={hiddenRosters.includes(r) ? `Show ${r}` : `Hide ${r}`}
+          >
+            {r}
+          </button>
+        ))}
+        <span className="calendar-legend">
+          <span className="calendar-entry written sample">written</span>
+          <span className="calendar-entry empty sample">scheduled, not written</span>
+        </span>
+      </div>
+
+      <div className={`calendar-grid ${view}`}>
+        {DOW.map((d) => (
+          <div key={d} className="calendar-weekday">{d}</div>
+        ))}
+
+        {days.map((day) => {
+          const dateKey = toDateKey(day);
+          const { written, empty } = entriesFor(dateKey);
+          const outside = view === "month" && day.getMonth() !== anchorMonth;
+          const past = dateKey < todayKey;
+
+          return (
+            <div
+              key={dateKey}
+              className={[
+                "calendar-day",
+                outside ? "outside" : "",
+                dateKey === todayKey ? "today" : "",
+                empty.length > 0 ? "has-empty" : "",
+              ].filter(Boolean).join(" ")}
+            >
+              <div className="calendar-day-number">{day.getDate()}</div>
+              <div className="calendar-day-entries">
+                {written.map((p) => (
+                  <button
+                    key={p._id}
+                    className="calendar-entry written"
+                    style={{ "--roster-color": rosterColor(p.roster) }}
+                    onClick={() => openPractice(p._id)}
+                    title={`${p.title || "Practice"}${p.isFavorite ? " ★" : ""}`}
+                  >
+                    <span className="calendar-entry-roster">{p.roster}</span>
+                    {p.totals?.yardage > 0 && (
+                      <span className="calendar-entry-meta">{formatYardage(p.totals.yardage)}m</span>
+                    )}
+                  </button>
+                ))}
+                {empty.map((slot) => (
+                  <button
+                    key={slot.roster}
+                    className={`calendar-entry empty ${past ? "past" : ""}`}
+                    style={{ "--roster-color": rosterColor(slot.roster) }}
+                    onClick={() => openEmptySlot(slot.roster, dateKey, slot.startTime)}
+                    title={`No practice written for ${slot.roster} — click to build one`}
+                  >
+                    <span className="calendar-entry-roster">+ {slot.roster}</span>
+                    <span className="calendar-entry-meta">{slot.startTime}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,41 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
-import { listPractices, toggleFavorite, exportPracticeDocx } from "../api/practices";
+import {
+  listPractices,
+  toggleFavorite,
+  exportPracticeDocx,
+  deletePractice,
+  restorePractice,
+  emptyPracticeTrash,
+  archivePractice,
+  archiveSeasonPractices,
+  listPracticeTags,
+} from "../api/practices";
+import { listPracticeFolders } from "../api/practiceFolders";
 import { parseYardage } from "../utils/yardageParser";
 import { computeSectionTimeSeconds } from "../utils/timeHelpers";
 import { getConfig } from "../api/config";
 import { getSeasons } from "../api/seasons";
+import { getAcronyms } from "../api/acronyms";
 import PracticePreview from "../components/PracticePreview";
 import NotesEditor from "../components/NotesEditor";
+import AttendancePanel from "../components/AttendancePanel";
+import PracticeHistory from "../components/PracticeHistory";
+import PracticeOrganizer from "../components/PracticeOrganizer";
+import PracticeFolderTree from "../components/PracticeFolderTree";
+import PracticeTagManager from "../components/PracticeTagManager";
+import { storedUser, hasPermission } from "../api/users";
+import {
+  EMPTY_PRACTICE_FILTERS,
+  PRACTICE_SORT_OPTIONS,
+  practiceFilterParams,
+  activeFilterChips,
+  clearFilterChip,
+  toggleTagFilter,
+} from "../utils/practiceFilters";
+import { flattenFolderTree } from "../utils/practiceFolders";
+import { highlightParts } from "../utils/searchSnippets";
 import "./PracticeLibrary.css";
 
 const FALLBACK_ROSTERS = ["Gold/Platinum", "Gold", "Platinum", "Silver", "Bronze", "White", "Blue", "Yellow"];
@@ -18,6 +46,7 @@ export default function PracticeLibrary() {
   // Config-driven rosters
   const [rosters, setRosters] = useState(FALLBACK_ROSTERS);
   const [practiceSchedule, setPracticeSchedule] = useState(null);
+  const [rosterGroupIds, setRosterGroupIds] = useState({}); // roster name -> RosterGroup id
 
   // Seasons
   const [seasons, setSeasons] = useState([]);
@@ -32,7 +61,25 @@ export default function PracticeLibrary() {
   const [selected, setSelected] = useState(null);
   const [loading, setLoading] = useState(false);
   const [startTime, setStartTime] = useState("06:00");
-  const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_PRACTICE_FILTERS);
+  const [sortOption, setSortOption] = useState(PRACTICE_SORT_OPTIONS[0].value);
+  const [showMoreFilters, setShowMoreFilters] = useState(false);
+  const [strokes, setStrokes] = useState([]);
+  const [styles, setStyles] = useState([]);
+  const [showAttendance, setShowAttendance] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [view, setView] = useState("active"); // active | archived | trash
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [folders, setFolders] = useState([]);   // current roster's folders, tree order
+  const [folder, setFolder] = useState("");      // "" all, "none" not in a folder, or a folder id
+  const [practiceTags, setPracticeTags] = useState([]);
+  const [showTagManager, setShowTagManager] = useState(false);
+  const [showOrganizer, setShowOrganizer] = useState(false);
+  const user = useMemo(storedUser, []);
+  // "Best match" only means something while searching
+  const searching = q.trim() !== "";
+  const shownSort = !searching && sortOption === "relevance" ? "date:desc" : sortOption;
+  const canWrite = hasPermission(user, "write:practices");
 
   // Load config and seasons once
   useEffect(() => {
@@ -46,6 +93,7 @@ export default function PracticeLibrary() {
 
         setRosters(cfgRosters);
         setPracticeSchedule(cfg?.practiceSchedule || null);
+        setRosterGroupIds(Object.fromEntries((cfg?.rosterGroups || []).map((g) => [g.name, g._id])));
 
         // initialize selected roster from config
         setRoster(cfgDefault);
@@ -63,9 +111,40 @@ export default function PracticeLibrary() {
         console.error("Failed to load seasons", e);
         setSeasons([]);
       }
+
+      // Stroke/style names for the filters
+      try {
+        const acronyms = await getAcronyms();
+        setStrokes(Object.keys(acronyms?.strokes || {}));
+        setStyles(Object.keys(acronyms?.styles || {}));
+      } catch (e) {
+        console.error("Failed to load acronyms", e);
+      }
     })();
   }, []);
 
+  // Tags in use, for the filter chips and the organizer
+  function loadTags() {
+    listPracticeTags()
+      .then((list) => setPracticeTags(list || []))
+      .catch((e) => console.error("Failed to load practice tags", e));
+  }
+  useEffect(loadTags, []);
+
+  // Folders of the selected roster
+  const rosterGroupId = rosterGroupIds[roster];
+  function loadFolders() {
+    if (!rosterGroupId) {
+      setFolders([]);
+      return;
+    }
+    listPracticeFolders(rosterGroupId)
+      .then((list) => setFolders(flattenFolderTree(list || [])))
+      .catch((e) => console.error("Failed to load folders", e));
+  }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { setFolder(""); loadFolders(); }, [rosterGroupId]);
+
   // When roster changes, optionally auto-fill start time from schedule (for today's weekday)
   useEffect(() => {
     if (!practiceSchedule || !roster) return;
@@ -77,26 +156,26 @@ export default function PracticeLibrary() {
   async function refresh(p = 1) {
     setLoading(true);
     try {
-      const params = { roster, q, page: p, limit: 10 }; // Show 10 practices per page
+      const params = { roster, q, page: p, limit: 10, status: view, ...practiceFilterParams(filters, shownSort) }; // Show 10 practices per page
+      if (rosterGroupIds[roster]) params.rosterGroup = rosterGroupIds[roster];
+      if (folder) params.folder = folder;
       if (selectedSeason && selectedSeason !== "all") {
         params.season = selectedSeason;
       }
       const res = await listPractices(params);
+      const items = res.items || [];
 
-      // Filter by favorites on client side if checkbox is checked
-      let filteredItems = res.items || [];
-      if (showFavoritesOnly) {
-        filteredItems = filteredItems.filter(item => item.isFavorite);
-      }
-
-      setRows(filteredItems);
-      setTotal(showFavoritesOnly ? filteredItems.length : res.total || 0);
+      setRows(items);
+      setTotal(res.total || 0);
+      setRetentionDays(res.retentionDays ?? null);
       setPage(res.page || 1);
 
-      if (!selected && filteredItems?.length) setSelected(filteredItems[0]);
-      if (selected && !filteredItems?.some(i => i._id === selected._id)) {
-        setSelected(filteredItems[0] || null);
+      if (!selected && items.length) setSelected(items[0]);
+      if (selected && !items.some(i => i._id === selected._id)) {
+        setSelected(items[0] || null);
       }
+    } catch (e) {
+      toast.error(e.message || "Failed to load practices");
     } finally {
       setLoading(false);
     }
@@ -104,14 +183,17 @@ export default function PracticeLibrary() {
 
   // Reload on roster or season change
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  useEffect(() => { if (roster) refresh(1); }, [roster, selectedSeason, showFavoritesOnly]);
+  useEffect(() => { if (roster) refresh(1); }, [roster, selectedSeason, view, folder]);
 
-  // Debounced search
+  // Debounced search, filters and sort
   useEffect(() => {
     const t = setTimeout(() => refresh(1), 250);
     return () => clearTimeout(t);
     // eslint-disable-next-line
-  }, [q]);
+  }, [q, filters, sortOption]);
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+  const filterChips = activeFilterChips(filters);
 
   // Navigate to Practice Builder with practice data
   function handleEdit() {
@@ -195,8 +277,8 @@ export default function PracticeLibrary() {
     }
   }
 
-  function handleNotesUpdate(updatedPractice) {
-    // Update the selected practice when notes are saved
+  function handlePracticeUpdate(updatedPractice) {
+    // Update the selected practice when notes are saved or a revision is restored
     setSelected(updatedPractice);
 
     // Update in the practice list
@@ -205,6 +287,69 @@ export default function PracticeLibrary() {
     );
   }
 
+  function handleOrganized(updatedPractice) {
+    // Moved out of the folder being shown
+    if (folder && String(updatedPractice.folder || "none") !== folder) {
+      removeFromView(updatedPractice._id);
+    } else {
+      handlePracticeUpdate(updatedPractice);
+    }
+    loadTags();
+    loadFolders();
+  }
+
+  // Drop a practice that left the current view (deleted, restored, archived…)
+  function removeFromView(practiceId) {
+    const remaining = rows.filter(p => p._id !== practiceId);
+    setRows(remaining);
+    setTotal(t => Math.max(0, t - 1));
+    if (selected?._id === practiceId) setSelected(remaining[0] || null);
+  }
+
+  async function runPracticeAction(action, success) {
+    if (!selected) return;
+    try {
+      await action(selected._id);
+      toast.success(success);
+      removeFromView(selected._id);
+    } catch (e) {
+      toast.error(e.message || "Something went wrong");
+    }
+  }
+
+  function handleDelete() {
+    if (!window.confirm(`Move "${selected.title}" to the trash? You can restore it from the Trash view.`)) return;
+    runPracticeAction((id) => deletePractice(id), "Moved to trash");
+  }
+
+  function handleDeleteForever() {
+    if (!window.confirm(`Permanently delete "${selected.title}"? Its history and attendance are deleted too. This cannot be undone.`)) return;
+    runPracticeAction((id) => deletePractice(id, { permanent: true }), "Practice deleted");
+  }
+
+  async function handleEmptyTrash() {
+    if (!window.confirm("Permanently delete every practice in the trash? This cannot be undone.")) return;
+    try {
+      const { purged } = await emptyPracticeTrash();
+      toast.success(`Deleted ${purged} practice${purged === 1 ? "" : "s"}`);
+      refresh(1);
+    } catch (e) {
+      toast.error(e.message || "Failed to empty trash");
+    }
+  }
+
+  async function handleArchiveSeason(archived) {
+    const verb = archived ? "Archive" : "Unarchive";
+    if (!window.confirm(`${verb} every ${selectedSeason} practice, for all rosters?`)) return;
+    try {
+      const { updated } = await archiveSeasonPractices(selectedSeason, archived);
+      toast.success(`${verb}d ${updated} practice${updated === 1 ? "" : "s"}`);
+      refresh(1);
+    } catch (e) {
+      toast.error(e.message || `Failed to ${verb.toLowerCase()} season`);
+    }
+  }
+
   async function handleToggleFavorite(e, practiceId) {
     e.stopPropagation();
     try {
@@ -246,6 +391,16 @@ export default function PracticeLibrary() {
             </li>
           ))}
         </ul>
+        {rosterGroupId && (
+          <PracticeFolderTree
+            rosterGroup={rosterGroupId}
+            folders={folders}
+            selected={folder}
+            onSelect={(id) => { setFolder(id); setSelected(null); }}
+            canEdit={canWrite}
+            onChanged={() => { loadFolders(); refresh(page); }}
+          />
+        )}
       </aside>
 
       {/* Practice List Sidebar (shows when roster selected) */}
@@ -253,6 +408,14 @@ export default function PracticeLibrary() {
         <div className="practice-list-sidebar">
           <div className="practice-list-header">
             <div className="practice-list-filters-title">Filters</div>
+            <div className="practice-list-filter">
+              <label>Show:</label>
+              <select value={view} onChange={(e) => { setView(e.target.value); setSelected(null); }}>
+                <option value="active">Library</option>
+                <option value="archived">Archived</option>
+                <option value="trash">Trash</option>
+              </select>
+            </div>
             <div className="practice-list-filter">
               <label>Season:</label>
               <select
@@ -272,22 +435,130 @@ export default function PracticeLibrary() {
               <input
                 value={q}
                 onChange={(e) => setQ(e.target.value)}
-                placeholder="keyword..."
+                placeholder="title, set, notes…"
               />
             </div>
             <div className="practice-list-filter">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={showFavoritesOnly}
-                  onChange={(e) => {
-                    setShowFavoritesOnly(e.target.checked);
-                    setPage(1);
-                  }}
-                />
-                <span>Favorites Only</span>
-              </label>
+              <label>Sort:</label>
+              <select value={shownSort} onChange={(e) => setSortOption(e.target.value)}>
+                {PRACTICE_SORT_OPTIONS.filter((o) => searching || o.value !== "relevance").map((o) => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="practice-filter-chips">
+              <button
+                className={`practice-filter-chip ${filters.favorite ? "active" : ""}`}
+                onClick={() => setFilter("favorite", !filters.favorite)}
+              >
+                ★ Favorites
+              </button>
+              {["SCY", "SCM", "LCM"].map((pool) => (
+                <button
+                  key={pool}
+                  className={`practice-filter-chip ${filters.pool === pool ? "active" : ""}`}
+                  onClick={() => setFilter("pool", filters.pool === pool ? "" : pool)}
+                >
+                  {pool}
+                </button>
+              ))}
+              <button
+                className={`practice-filter-chip more ${showMoreFilters ? "active" : ""}`}
+                onClick={() => setShowMoreFilters((v) => !v)}
+              >
+                {showMoreFilters ? "− Fewer" : "+ More"}
+              </button>
             </div>
+            {showMoreFilters && (
+              <div className="practice-more-filters">
+                <label>Dates</label>
+                <div className="practice-filter-range">
+                  <input type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} />
+                  <input type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} />
+                </div>
+                <label>Yardage</label>
+                <div className="practice-filter-range">
+                  <input type="number" min="0" step="100" placeholder="Min" value={filters.minYardage} onChange={(e) => setFilter("minYardage", e.target.value)} />
+                  <input type="number" min="0" step="100" placeholder="Max" value={filters.maxYardage} onChange={(e) => setFilter("maxYardage", e.target.value)} />
+                </div>
+                <label>Time (minutes)</label>
+                <div className="practice-filter-range">
+                  <input type="number" min="0" step="5" placeholder="Min" value={filters.minMinutes} onChange={(e) => setFilter("minMinutes", e.target.value)} />
+                  <input type="number" min="0" step="5" placeholder="Max" value={filters.maxMinutes} onChange={(e) => setFilter("maxMinutes", e.target.value)} />
+                </div>
+                <label>Mostly</label>
+                <div className="practice-filter-range">
+                  <select value={filters.stroke} onChange={(e) => setFilter("stroke", e.target.value)}>
+                    <option value="">Any stroke</option>
+                    {strokes.map((s) => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                  <select value={filters.style} onChange={(e) => setFilter("style", e.target.value)}>
+                    <option value="">Any style</option>
+                    {styles.map((s) => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                </div>
+              </div>
+            )}
+            {practiceTags.length > 0 && (
+              <div className="practice-filter-chips">
+                {practiceTags.map(({ tag, count }) => (
+                  <button
+                    key={tag}
+                    className={`practice-filter-chip tag ${filters.tags.includes(tag) ? "active" : ""}`}
+                    onClick={() => setFilters((prev) => toggleTagFilter(prev, tag))}
+                    title={`${count} practice${count === 1 ? "" : "s"}`}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+                {canWrite && (
+                  <button className="practice-filter-clear" onClick={() => setShowTagManager((v) => !v)}>
+                    Manage tags
+                  </button>
+                )}
+              </div>
+            )}
+            {showTagManager && (
+              <PracticeTagManager
+                tags={practiceTags}
+                onChanged={() => { loadTags(); setFilters((prev) => ({ ...prev, tags: [] })); }}
+                onClose={() => setShowTagManager(false)}
+              />
+            )}
+            {filterChips.length > 0 && (
+              <div className="practice-filter-chips">
+                {filterChips.map((chip) => (
+                  <button
+                    key={chip.id}
+                    className="practice-filter-chip applied"
+                    onClick={() => setFilters((prev) => clearFilterChip(prev, chip))}
+                    title="Remove filter"
+                  >
+                    {chip.label} ×
+                  </button>
+                ))}
+                {filterChips.length > 1 && (
+                  <button className="practice-filter-clear" onClick={() => setFilters(EMPTY_PRACTICE_FILTERS)}>
+                    Clear all
+                  </button>
+                )}
+              </div>
+            )}
+            {canWrite && view !== "trash" && selectedSeason !== "all" && (
+              <button className="practice-list-bulk-btn" onClick={() => handleArchiveSeason(view === "active")}>
+                {view === "active" ? `📦 Archive ${selectedSeason}` : `📤 Unarchive ${selectedSeason}`}
+              </button>
+            )}
+            {view === "trash" && retentionDays && (
+              <div className="practice-list-trash-note">
+                Practices in the trash are deleted for good after {retentionDays} days.
+              </div>
+            )}
+            {canWrite && view === "trash" && (
+              <button className="practice-list-bulk-btn danger" onClick={handleEmptyTrash} disabled={total === 0}>
+                🗑️ Empty trash
+              </button>
+            )}
           </div>
 
           <div className="practice-list-content">
@@ -319,7 +590,30 @@ export default function PracticeLibrary() {
                       <span className="practice-card-season">{p.season}</span>
                     </>
                   )}
+                  {p.purgeAt && (
+                    <>
+                      <span>•</span>
+                      <span className="practice-card-purge">Deleted for good {new Date(p.purgeAt).toLocaleDateString()}</span>
+                    </>
+                  )}
                 </div>
+                {p.tags?.length > 0 && (
+                  <div className="practice-card-tags">
+                    {p.tags.map((t) => <span key={t}>#{t}</span>)}
+                  </div>
+                )}
+                {p.snippets?.length > 0 && (
+                  <ul className="practice-card-snippets">
+                    {p.snippets.map((snippet, i) => (
+                      <li key={i}>
+                        <span className="practice-card-snippet-where">{snippet.where}</span>
+                        {highlightParts(snippet.line, snippet.highlights).map((part, j) =>
+                          part.match ? <mark key={j}>{part.text}</mark> : <span key={j}>{part.text}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             ))}
           </div>
@@ -354,7 +648,21 @@ export default function PracticeLibrary() {
       <div className="practice-main-content">
         {/* Practice Preview (Main Focus) */}
         <div className="practice-preview-area">
-          {selected && (
+          {selected && view === "trash" && (
+            <div className="practice-actions">
+              {canWrite && (
+                <>
+                  <button className="btn-edit" onClick={() => runPracticeAction(restorePractice, "Practice restored")}>
+                    ↩ Restore
+                  </button>
+                  <button className="btn-delete" onClick={handleDeleteForever}>
+                    Delete forever
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          {selected && view !== "trash" && (
             <div className="practice-actions">
               <button className="btn-edit" onClick={handleEdit}>
                 ✏️ Edit
@@ -365,13 +673,67 @@ export default function PracticeLibrary() {
               <button className="btn-export" onClick={handleExportDocx}>
                 ⬇️ Export Word
               </button>
+              {hasPermission(user, "read:swimmers") && (
+                <button
+                  className={`btn-attendance${showAttendance ? " active" : ""}`}
+                  onClick={() => setShowAttendance((v) => !v)}
+                >
+                  🙋 Attendance
+                </button>
+              )}
+              <button
+                className={`btn-history${showHistory ? " active" : ""}`}
+                onClick={() => setShowHistory((v) => !v)}
+              >
+                🕘 History
+              </button>
+              {canWrite && (
+                <>
+                  <button
+                    className={`btn-organize${showOrganizer ? " active" : ""}`}
+                    onClick={() => setShowOrganizer((v) => !v)}
+                  >
+                    🏷️ Tags &amp; folder
+                  </button>
+                  <button
+                    className="btn-archive"
+                    onClick={() => runPracticeAction(
+                      (id) => archivePractice(id, view !== "archived"),
+                      view === "archived" ? "Practice unarchived" : "Practice archived"
+                    )}
+                  >
+                    {view === "archived" ? "📤 Unarchive" : "📦 Archive"}
+                  </button>
+                  <button className="btn-delete" onClick={handleDelete}>
+                    🗑️ Delete
+                  </button>
+                </>
+              )}
             </div>
           )}
           <div className="practice-preview-card">
             {selected ? (
               <>
+                {view !== "trash" && showAttendance && hasPermission(user, "read:swimmers") && (
+                  <AttendancePanel practice={selected} canEdit={hasPermission(user, "write:swimmers")} />
+                )}
+                {view !== "trash" && canWrite && showOrganizer && (
+                  <PracticeOrganizer
+                    practice={selected}
+                    folders={folders}
+                    knownTags={practiceTags.map((t) => t.tag)}
+                    onSaved={handleOrganized}
+                  />
+                )}
+                {view !== "trash" && showHistory && (
+                  <PracticeHistory
+                    practice={selected}
+                    canRestore={hasPermission(user, "write:practices")}
+                    onRestore={handlePracticeUpdate}
+                  />
+                )}
                 <PracticePreview practice={selected} startTime={startTime} />
-                <NotesEditor practice={selected} onUpdate={handleNotesUpdate} />
+                <NotesEditor practice={selected} onUpdate={handlePracticeUpdate} />
               </>
             ) : rows.length === 0 && !loading && roster ? (
               <div className="practice-empty-state">
@@ -0,0 +1,250 @@
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+import { listTimeStandards, getQualifiers } from "../api/timeStandards";
+import { listRosterGroups } from "../api/swimmers";
+import { formatTime } from "../utils/formatTime";
+import {
+  QUALIFIER_COLUMNS,
+  qualifierTableRows,
+  toCsv,
+  groupQualifiersBySwimmer,
+} from "../utils/qualificationReport";
+import "./QualificationReport.css";
+
+const COURSES = ["SCY", "SCM", "LCM"];
+
+function fileSafe(str) {
+  return String(str || "").replace(/[^a-z0-9]/gi, "_");
+}
+
+export default function QualificationReport() {
+  const [sets, setSets] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [form, setForm] = useState({
+    setId: "", level: "", course: "SCY", from: "", to: "", ageDate: "", group: "", convert: false,
+  });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    Promise.all([listTimeStandards(), listRosterGroups()])
+      .then(([s, g]) => {
+        setSets(s);
+        setGroups(g);
+        if (s[0]) setForm(f => ({ ...f, setId: s[0]._id, level: s[0].standardLevels[0] || "" }));
+      })
+      .catch(() => toast.error("Failed to load time standards"));
+  }, []);
+
+  const selectedSet = sets.find(s => s._id === form.setId);
+  const bySwimmer = useMemo(() => groupQualifiersBySwimmer(report?.rows || []), [report]);
+
+  function update(key, value) {
+    setForm(f => {
+      const next = { ...f, [key]: value };
+      // Keep the level valid when switching sets
+      if (key === "setId") {
+        const set = sets.find(s => s._id === value);
+        if (set && !set.standardLevels.includes(f.level)) next.level = set.standardLevels[0] || "";
+      }
+      return next;
+    });
+  }
+
+  async function handleRun(e) {
+    e.preventDefault();
+    if (!form.setId || !form.level) { toast.error("Pick a standards set and level"); return; }
+    if (form.from && form.to && form.from > form.to) { toast.error("The window starts after it ends"); return; }
+    setLoading(true);
+    try {
+      const { setId, ...params } = form;
+      setReport(await getQualifiers(setId, params));
+    } catch (err) {
+      toast.error(err.message || "Failed to build report");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function reportTitle() {
+    const name = report.set.season ? `${report.set.name} ${report.set.season}` : report.set.name;
+    return `${name} — ${report.level} (${report.course})`;
+  }
+
+  function reportSubtitle() {
+    const range = report.from || report.to
+      ? `Window: ${report.from || "…"} to ${report.to || "…"}`
+      : "Window: all dates";
+    const group = groups.find(g => g._id === form.group);
+    return [
+      range,
+      group ? `Group: ${group.name}` : "All groups",
+      report.allowConversions ? "Converted times allowed" : "No conversions",
+      `${report.swimmerCount} swimmer${report.swimmerCount !== 1 ? "s" : ""}, ${report.rows.length} swim${report.rows.length !== 1 ? "s" : ""}`,
+    ].join("  |  ");
+  }
+
+  function handleExportPdf() {
+    if (!report) return;
+    const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: "letter" });
+    doc.setFontSize(14);
+    doc.setFont("helvetica", "bold");
+    doc.text(reportTitle(), doc.internal.pageSize.width / 2, 36, { align: "center" });
+    doc.setFontSize(9);
+    doc.setFont("helvetica", "normal");
+    doc.text(reportSubtitle(), doc.internal.pageSize.width / 2, 50, { align: "center" });
+
+    autoTable(doc, {
+      startY: 62,
+      head: [QUALIFIER_COLUMNS],
+      body: qualifierTableRows(report.rows),
+      headStyles: { fillColor: [248, 250, 252], textColor: [71, 85, 105], fontStyle: "bold", fontSize: 8 },
+      bodyStyles: { fontSize: 8, textColor: [30, 41, 59] },
+      alternateRowStyles: { fillColor: [248, 250, 252] },
+      margin: { left: 40, right: 40 },
+    });
+
+    doc.save(`${fileSafe(report.set.name)}_${fileSafe(report.level)}_${report.course}_qualifiers.pdf`);
+  }
+
+  function handleExportCsv() {
+    if (!report) return;
+    const csv = toCsv(QUALIFIER_COLUMNS, qualifierTableRows(report.rows));
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${fileSafe(report.set.name)}_${fileSafe(report.level)}_${report.course}_qualifiers.csv`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <div className="qual-page">
+      <div className="qual-header">
+        <div>
+          <h1>Qualification Report</h1>
+          <p className="qual-subtitle">
+            Who has made a cut for a meet, from best times swum inside the qualification window.
+          </p>
+        </div>
+        {report && (
+          <div className="qual-header-actions">
+            <button className="qual-btn" onClick={handleExportCsv} disabled={report.rows.length === 0}>
+              Export CSV
+            </button>
+            <button className="qual-btn" onClick={handleExportPdf} disabled={report.rows.length === 0}>
+              Export PDF
+            </button>
+          </div>
+        )}
+      </div>
+
+      {sets.length === 0 ? (
+        <p className="qual-empty">No time standards yet. Add a standards set under Coaches Tools → Time Standards.</p>
+      ) : (
+        <form className="qual-card qual-form" onSubmit={handleRun}>
+          <label>
+            Standards
+            <select value={form.setId} onChange={e => update("setId", e.target.value)}>
+              {sets.map(s => <option key={s._id} value={s._id}>{s.season ? `${s.name} (${s.season})` : s.name}</option>)}
+            </select>
+          </label>
+          <label>
+            Level
+            <select value={form.level} onChange={e => update("level", e.target.value)}>
+              {(selectedSet?.standardLevels || []).map(l => <option key={l}>{l}</option>)}
+            </select>
+          </label>
+          <label>
+            Meet course
+            <select value={form.course} onChange={e => update("course", e.target.value)}>
+              {COURSES.map(c => <option key={c}>{c}</option>)}
+            </select>
+          </label>
+          <label>
+            Window from
+            <input type="date" value={form.from} onChange={e => update("from", e.target.value)} />
+          </label>
+          <label>
+            Window to
+            <input type="date" value={form.to} onChange={e => update("to", e.target.value)} />
+          </label>
+          <label title="Swimmers are placed in the age group for their age on this date (defaults to the end of the window)">
+            Age as of
+            <input type="date" value={form.ageDate} onChange={e => update("ageDate", e.target.value)} />
+          </label>
+          <label>
+            Group
+            <select value={form.group} onChange={e => update("group", e.target.value)}>
+              <option value="">All groups</option>
+              {groups.map(g => <option key={g._id} value={g._id}>{g.name}</option>)}
+            </select>
+          </label>
+          <label className="qual-check">
+            <input type="checkbox" checked={form.convert} onChange={e => update("convert", e.target.checked)} />
+            Meet accepts converted times
+          </label>
+          <div className="qual-form-actions">
+            <button className="qual-btn primary" type="submit" disabled={loading}>
+              {loading ? "Running…" : "Run report"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {report && (
+        <div className="qual-card">
+          <h2>{reportTitle()}</h2>
+          <p className="qual-meta">{reportSubtitle()}</p>
+          {bySwimmer.length === 0 ? (
+            <p className="qual-empty">No swimmers have made this cut in the window.</p>
+          ) : (
+            <table className="qual-table">
+              <thead>
+                <tr>
+                  <th>Swimmer</th>
+                  <th>Event</th>
+                  <th>Age Group</th>
+                  <th>Time</th>
+                  <th>Cut</th>
+                  <th>Swum</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bySwimmer.map(({ swimmerId, name, group, swims }) => swims.map((r, i) => (
+                  <tr key={`${swimmerId}|${r.event}`} className={i === 0 ? "qual-first" : ""}>
+                    {i === 0 && (
+                      <td rowSpan={swims.length} className="qual-swimmer">
+                        {name}
+                        {group && <div className="qual-group">{group}</div>}
+                      </td>
+                    )}
+                    <td>{r.event}</td>
+                    <td>{r.ageGroup}</td>
+                    <td className="mono">
+                      {formatTime(r.time)}
+                      {r.converted && (
+                        <span className="qual-converted" title={`Converted from ${formatTime(r.sourceTime)} ${r.sourceCourse}`}>
+                          conv. {r.sourceCourse}
+                        </span>
+                      )}
+                    </td>
+                    <td className="mono">{formatTime(r.cut)}</td>
+                    <td className="qual-swum">
+                      {r.date ? String(r.date).slice(0, 10) : ""}{r.meetName && ` · ${r.meetName}`}
+                    </td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -81,6 +81,7 @@ export default function Register() {
       // Store token and user info
       localStorage.setItem("token", data.token);
       localStorage.setItem("user", JSON.stringify(data.user));
+      localStorage.removeItem("teamId");
 
       toast.success(`Welcome, ${data.user.firstName}!`);
       navigate("/home");
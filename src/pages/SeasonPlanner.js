@@ -0,0 +1,437 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { getConfig } from "../api/config";
+import { getSeasons } from "../api/seasons";
+import { getAcronyms } from "../api/acronyms";
+import {
+  listTrainingPlans,
+  createTrainingPlan,
+  updateTrainingPlan,
+  deleteTrainingPlan,
+  getTrainingPlanProgress,
+} from "../api/trainingPlans";
+import { formatYardage } from "../utils/timeHelpers";
+import { findSeasonByDate, toDateKey } from "../utils/practiceSchedule";
+import { PHASE_TYPES, phaseType, compareMix } from "../utils/trainingPlan";
+import WeeklyTrendChart from "../components/WeeklyTrendChart";
+import "./SeasonPlanner.css";
+
+const FALLBACK_ROSTERS = ["Yellow", "Blue", "White", "Bronze", "Silver", "Gold/Platinum"];
+const DAY_MS = 86400000;
+
+function addDays(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+function shortDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00`).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+const mixTotal = (mix) => Object.values(mix || {}).reduce((sum, v) => sum + (Number(v) || 0), 0);
+
+/** Problems to fix before a plan can be saved */
+function planProblems(phases) {
+  const problems = [];
+  const sorted = [...phases].sort((a, b) => a.startDate.localeCompare(b.startDate));
+  sorted.forEach((p, i) => {
+    if (!p.name.trim()) problems.push("Every phase needs a name");
+    if (!p.startDate || !p.endDate) problems.push(`"${p.name}" needs start and end dates`);
+    else if (p.endDate < p.startDate) problems.push(`"${p.name}" ends before it starts`);
+    if (i > 0 && sorted[i - 1].endDate >= p.startDate) {
+      problems.push(`"${sorted[i - 1].name}" overlaps "${p.name}"`);
+    }
+    for (const [label, mix] of [["Stroke", p.strokeMix], ["Energy", p.energyMix]]) {
+      const total = mixTotal(mix);
+      if (total > 0 && total !== 100) problems.push(`${label} mix for "${p.name}" adds up to ${total}%, not 100%`);
+    }
+  });
+  return [...new Set(problems)];
+}
+
+function MixInputs({ label, categories, mix, onChange }) {
+  const total = mixTotal(mix);
+  return (
+    <div className="planner-mix">
+      <div className="planner-mix-header">
+        <span>{label}</span>
+        <span className={`planner-mix-total ${total > 0 && total !== 100 ? "bad" : ""}`}>{total}%</span>
+      </div>
+      <div className="planner-mix-grid">
+        {categories.map((name) => (
+          <label key={name} className="planner-mix-field">
+            <span>{name}</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={mix?.[name] ?? ""}
+              placeholder="—"
+              onChange={(e) => {
+                const next = { ...(mix || {}) };
+                if (e.target.value === "") delete next[name];
+                else next[name] = Math.max(0, Math.min(100, Number(e.target.value)));
+                onChange(next);
+              }}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function SeasonPlanner() {
+  const [seasons, setSeasons] = useState([]);
+  const [rosters, setRosters] = useState(FALLBACK_ROSTERS);
+  const [strokeNames, setStrokeNames] = useState([]);
+  const [energyNames, setEnergyNames] = useState([]);
+  const [season, setSeason] = useState("");
+  const [roster, setRoster] = useState("");
+
+  const [plan, setPlan] = useState(null); // saved plan, null when none
+  const [phases, setPhases] = useState([]); // working copy
+  const [progress, setProgress] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Load config, seasons and acronyms once
+  useEffect(() => {
+    (async () => {
+      try {
+        const cfg = await getConfig();
+        const list = Array.isArray(cfg?.rosters) && cfg.rosters.length ? cfg.rosters : FALLBACK_ROSTERS;
+        setRosters(list);
+        setRoster((r) => r || list[0]);
+      } catch (e) {
+        console.error("Failed to load config", e);
+        setRoster((r) => r || FALLBACK_ROSTERS[0]);
+      }
+
+      try {
+        const seasonsData = await getSeasons();
+        const list = seasonsData?.seasons || [];
+        setSeasons(list);
+        setSeason(findSeasonByDate(list, toDateKey(new Date())) || list[list.length - 1]?.title || "");
+      } catch (e) {
+        console.error("Failed to load seasons", e);
+      }
+
+      try {
+        const acronyms = await getAcronyms();
+        setStrokeNames(Object.keys(acronyms?.strokes || {}));
+        setEnergyNames(Object.keys(acronyms?.energy || {}));
+      } catch (e) {
+        console.error("Failed to load acronyms", e);
+      }
+    })();
+  }, []);
+
+  const seasonInfo = seasons.find((s) => s.title === season) || null;
+
+  const loadProgress = useCallback(async (id) => {
+    try {
+      const res = await getTrainingPlanProgress(id);
+      setProgress(res.weeks || []);
+    } catch (e) {
+      console.error(e);
+      toast.error("Failed to load planned vs. actual");
+    }
+  }, []);
+
+  // Load the plan for the selected season + roster
+  useEffect(() => {
+    if (!season || !roster) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const [found] = await listTrainingPlans({ season, roster });
+        if (cancelled) return;
+        setPlan(found || null);
+        setPhases(found?.phases || []);
+        setProgress([]);
+        if (found) loadProgress(found._id);
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) toast.error("Failed to load training plan");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [season, roster, loadProgress]);
+
+  const problems = useMemo(() => planProblems(phases), [phases]);
+  const dirty = JSON.stringify(phases) !== JSON.stringify(plan?.phases || []);
+
+  function addPhase() {
+    const last = [...phases].sort((a, b) => a.endDate.localeCompare(b.endDate)).pop();
+    const startDate = last ? addDays(last.endDate, 1) : seasonInfo?.startDate || toDateKey(new Date());
+    const endDate = seasonInfo?.endDate && addDays(startDate, 27) > seasonInfo.endDate
+      ? seasonInfo.endDate
+      : addDays(startDate, 27);
+    setPhases((prev) => [
+      ...prev,
+      {
+        name: `Phase ${prev.length + 1}`,
+        type: last ? "build" : "base",
+        startDate,
+        endDate,
+        targetWeeklyYardage: last?.targetWeeklyYardage || 0,
+        strokeMix: { ...(last?.strokeMix || {}) },
+        energyMix: { ...(last?.energyMix || {}) },
+        notes: "",
+      },
+    ]);
+  }
+
+  function updatePhase(index, patch) {
+    setPhases((prev) => prev.map((p, i) => (i === index ? { ...p, ...patch } : p)));
+  }
+
+  function removePhase(index) {
+    setPhases((prev) => prev.filter((_, i) => i !== index));
+  }
+
+  async function handleSave() {
+    if (problems.length) {
+      toast.error(problems[0]);
+      return;
+    }
+    setSaving(true);
+    try {
+      const sorted = [...phases].sort((a, b) => a.startDate.localeCompare(b.startDate));
+      const saved = plan
+        ? await updateTrainingPlan(plan._id, { phases: sorted })
+        : await createTrainingPlan({ season, roster, phases: sorted });
+      setPlan(saved);
+      setPhases(saved.phases || []);
+      loadProgress(saved._id);
+      toast.success("Plan saved");
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to save plan");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete() {
+    if (!plan || !window.confirm(`Delete the ${roster} plan for ${season}?`)) return;
+    try {
+      await deleteTrainingPlan(plan._id);
+      setPlan(null);
+      setPhases([]);
+      setProgress([]);
+      toast.success("Plan deleted");
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to delete plan");
+    }
+  }
+
+  // Timeline spans the season, or the phases when there are no season dates
+  const sortedPhases = [...phases].sort((a, b) => (a.startDate || "").localeCompare(b.startDate || ""));
+  const spanStart = seasonInfo?.startDate || sortedPhases[0]?.startDate;
+  const spanEnd = seasonInfo?.endDate || sortedPhases[sortedPhases.length - 1]?.endDate;
+  const spanDays = spanStart && spanEnd ? daysBetween(spanStart, spanEnd) : 0;
+
+  const chartWeeks = progress.map((w) => w.week);
+  const chartSeries = progress.length
+    ? [
+        { name: "Target", color: "var(--gray-500)", values: progress.map((w) => w.target.yardage), dashed: true },
+        { name: "Actual", color: "var(--primary)", values: progress.map((w) => w.actual.yardage) },
+      ]
+    : [];
+  const todayKey = toDateKey(new Date());
+
+  return (
+    <div className="planner-page">
+      <div className="planner-header">
+        <div>
+          <h1>Season Planner</h1>
+          <p className="planner-subtitle">Phases, weekly yardage targets and stroke / energy-system mix per roster</p>
+        </div>
+        <div className="planner-controls">
+          <select value={season} onChange={(e) => setSeason(e.target.value)} className="planner-select">
+            {seasons.map((s) => (
+              <option key={s.title} value={s.title}>{s.title}</option>
+            ))}
+          </select>
+          <select value={roster} onChange={(e) => setRoster(e.target.value)} className="planner-select">
+            {rosters.map((r) => (
+              <option key={r} value={r}>{r}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!season ? (
+        <div className="planner-empty">Add a season under Configuration → Seasons to start planning.</div>
+      ) : loading ? (
+        <div className="planner-empty">Loading…</div>
+      ) : (
+        <>
+          {spanDays > 0 && sortedPhases.length > 0 && (
+            <div className="planner-timeline">
+              {sortedPhases.map((p, i) => {
+                const from = p.startDate < spanStart ? spanStart : p.startDate;
+                const offset = daysBetween(spanStart, from) - 1;
+                const length = Math.max(1, daysBetween(from, p.endDate > spanEnd ? spanEnd : p.endDate));
+                return (
+                  <div
+                    key={p._id || i}
+                    className="planner-timeline-phase"
+                    style={{
+                      left: `${(offset / spanDays) * 100}%`,
+                      width: `${(length / spanDays) * 100}%`,
+                      "--phase-color": phaseType(p.type).color,
+                    }}
+                    title={`${p.name}: ${shortDate(p.startDate)} – ${shortDate(p.endDate)}`}
+                  >
+                    {p.name}
+                  </div>
+                );
+              })}
+              {todayKey >= spanStart && todayKey <= spanEnd && (
+                <div
+                  className="planner-timeline-today"
+                  style={{ left: `${((daysBetween(spanStart, todayKey) - 1) / spanDays) * 100}%` }}
+                  title="Today"
+                />
+              )}
+            </div>
+          )}
+
+          <div className="planner-phases">
+            {phases.length === 0 && (
+              <div className="planner-empty">
+                No plan for {roster} in {season} yet. Add a phase to start one.
+              </div>
+            )}
+            {phases.map((p, i) => (
+              <section key={p._id || i} className="planner-phase" style={{ "--phase-color": phaseType(p.type).color }}>
+                <div className="planner-phase-row">
+                  <input
+                    className="planner-phase-name"
+                    value={p.name}
+                    onChange={(e) => updatePhase(i, { name: e.target.value })}
+                    placeholder="Phase name"
+                  />
+                  <select value={p.type} onChange={(e) => updatePhase(i, { type: e.target.value })}>
+                    {PHASE_TYPES.map((t) => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                  <input type="date" value={p.startDate} onChange={(e) => updatePhase(i, { startDate: e.target.value })} />
+                  <span className="planner-muted">to</span>
+                  <input type="date" value={p.endDate} onChange={(e) => updatePhase(i, { endDate: e.target.value })} />
+                  <label className="planner-target">
+                    <span>Weekly yardage</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="500"
+                      value={p.targetWeeklyYardage || ""}
+                      onChange={(e) => updatePhase(i, { targetWeeklyYardage: Math.max(0, Number(e.target.value) || 0) })}
+                    />
+                  </label>
+                  <button className="planner-remove" onClick={() => removePhase(i)} title="Remove phase">✕</button>
+                </div>
+                <div className="planner-phase-mixes">
+                  <MixInputs
+                    label="Stroke mix"
+                    categories={strokeNames}
+                    mix={p.strokeMix}
+                    onChange={(strokeMix) => updatePhase(i, { strokeMix })}
+                  />
+                  {energyNames.length > 0 && (
+                    <MixInputs
+                      label="Energy-system mix"
+                      categories={energyNames}
+                      mix={p.energyMix}
+                      onChange={(energyMix) => updatePhase(i, { energyMix })}
+                    />
+                  )}
+                </div>
+                <textarea
+                  className="planner-notes"
+                  value={p.notes || ""}
+                  onChange={(e) => updatePhase(i, { notes: e.target.value })}
+                  placeholder="Notes (focus, key sets, meets)"
+                  rows={1}
+                />
+              </section>
+            ))}
+          </div>
+
+          {problems.length > 0 && (
+            <ul className="planner-problems">
+              {problems.map((msg) => <li key={msg}>{msg}</li>)}
+            </ul>
+          )}
+
+          <div className="planner-actions">
+            <button className="planner-btn" onClick={addPhase}>+ Add phase</button>
+            <button className="planner-btn primary" onClick={handleSave} disabled={saving || !dirty || phases.length === 0}>
+              {saving ? "Saving…" : "Save plan"}
+            </button>
+            {plan && <button className="planner-btn danger" onClick={handleDelete}>Delete plan</button>}
+          </div>
+
+          {plan && progress.length > 0 && (
+            <section className="planner-card">
+              <h2 className="planner-card-title">Planned vs. actual</h2>
+              <WeeklyTrendChart weeks={chartWeeks} series={chartSeries} formatValue={(v) => formatYardage(Math.round(v))} />
+
+              <table className="planner-weeks">
+                <thead>
+                  <tr>
+                    <th>Week of</th>
+                    <th>Phase</th>
+                    <th>Target</th>
+                    <th>Actual</th>
+                    <th>%</th>
+                    <th>Practices</th>
+                    <th>Stroke mix vs. target</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {progress.map((w) => {
+                    const pct = w.target.yardage ? Math.round((w.actual.yardage / w.target.yardage) * 100) : null;
+                    const off = compareMix(w.target.strokeMix, w.actual.strokeMix)
+                      .filter((r) => w.actual.yardage > 0 && Math.abs(r.diff) >= 10)
+                      .map((r) => `${r.name} ${r.diff > 0 ? "+" : ""}${r.diff}%`);
+                    return (
+                      <tr key={w.week} className={w.week > todayKey ? "future" : ""}>
+                        <td>{shortDate(w.week)}</td>
+                        <td>
+                          {w.phase && (
+                            <span className="planner-phase-tag" style={{ "--phase-color": phaseType(w.phase.type).color }}>
+                              {w.phase.name}
+                            </span>
+                          )}
+                        </td>
+                        <td>{formatYardage(w.target.yardage)}</td>
+                        <td>{formatYardage(w.actual.yardage)}</td>
+                        <td className={pct != null && w.week <= todayKey && (pct < 80 || pct > 120) ? "planner-off" : ""}>
+                          {pct != null ? `${pct}%` : "—"}
+                        </td>
+                        <td>{w.actual.practices}</td>
+                        <td className="planner-muted">{off.length ? off.join(", ") : w.actual.yardage ? "on target" : ""}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,278 @@
-import React from 'react';
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { listSets, listSetTags, updateSet, deleteSet } from "../api/sets";
+import { getAcronyms } from "../api/acronyms";
+import { formatSeconds, formatYardage } from "../utils/timeHelpers";
+import { parseTags } from "../utils/librarySets";
+import "./SetsLibrary.css";
+
+const EMPTY_FILTERS = { q: "", tag: "", stroke: "", style: "", type: "", minYardage: "", maxYardage: "" };
+
+function topEntries(mix, n = 3) {
+  return Object.entries(mix || {})
+    .filter(([, v]) => v > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n);
+}
+
+function SetEditor({ set, onCancel, onSaved }) {
+  const [name, setName] = useState(set.name);
+  const [tags, setTags] = useState((set.tags || []).join(", "));
+  const [notes, setNotes] = useState(set.notes || "");
+  const [text, setText] = useState(set.text || "");
+  const [saving, setSaving] = useState(false);
+
+  async function handleSave() {
+    if (!name.trim()) {
+      toast.error("Set name is required");
+      return;
+    }
+    setSaving(true);
+    try {
+      const updates = { name: name.trim(), tags: parseTags(tags), notes };
+      if (set.type !== "group-split") updates.text = text;
+      const saved = await updateSet(set._id, updates);
+      toast.success("Set updated");
+      onSaved(saved);
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to update set");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="sets-editor">
+      <label>
+        <span>Name</span>
+        <input value={name} onChange={(e) => setName(e.target.value)} />
+      </label>
+      <label>
+        <span>Tags</span>
+        <input value={tags} onChange={(e) => setTags(e.target.value)} placeholder="kick, aerobic, im" />
+      </label>
+      {set.type !== "group-split" && (
+        <label>
+          <span>Set</span>
+          <textarea value={text} onChange={(e) => setText(e.target.value)} rows={6} />
+        </label>
+      )}
+      <label>
+        <span>Notes</span>
+        <textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} />
+      </label>
+      <div className="sets-editor-actions">
+        <button className="sets-btn" onClick={onCancel}>Cancel</button>
+        <button className="sets-btn primary" onClick={handleSave} disabled={saving}>
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </div>
+  );
+}
 
 export default function SetsLibrary() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sets, setSets] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [strokes, setStrokes] = useState([]);
+  const [styles, setStyles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const acronyms = await getAcronyms();
+        setStrokes(Object.keys(acronyms?.strokes || {}));
+        setStyles(Object.keys(acronyms?.styles || {}));
+      } catch (e) {
+        console.error("Failed to load acronyms", e);
+      }
+    })();
+  }, []);
+
+  const loadTags = () =>
+    listSetTags()
+      .then((list) => setTags(list || []))
+      .catch((e) => console.error("Failed to load set tags", e));
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  // Debounced reload whenever a filter changes
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const list = await listSets(filters);
+        if (!cancelled) setSets(list || []);
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) toast.error("Failed to load sets");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filters]);
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+  const hasFilters = Object.entries(filters).some(([k, v]) => v !== EMPTY_FILTERS[k]);
+
+  async function handleDelete(set) {
+    if (!window.confirm(`Delete "${set.name}" from the Sets Library?`)) return;
+    try {
+      await deleteSet(set._id);
+      setSets((prev) => prev.filter((s) => s._id !== set._id));
+      loadTags();
+      toast.success("Set deleted");
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message || "Failed to delete set");
+    }
+  }
+
+  function handleSaved(saved) {
+    setSets((prev) => prev.map((s) => (s._id === saved._id ? saved : s)));
+    setEditingId(null);
+    loadTags();
+  }
+
   return (
-    <div>
-      <h1>Sets Library</h1>
-      <p>Coming soon: save, tag, and reuse favorite sets.</p>
+    <div className="sets-page">
+      <div className="sets-header">
+        <h1>Sets Library</h1>
+        <p className="sets-subtitle">
+          Save a section from the Practice Builder with 📚, then drag it back in from the builder's Sets panel.
+        </p>
+      </div>
+
+      <div className="sets-filters">
+        <input
+          type="search"
+          className="sets-search"
+          placeholder="Search name, text or tag…"
+          value={filters.q}
+          onChange={(e) => setFilter("q", e.target.value)}
+        />
+        <select value={filters.stroke} onChange={(e) => setFilter("stroke", e.target.value)}>
+          <option value="">Any stroke</option>
+          {strokes.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={filters.style} onChange={(e) => setFilter("style", e.target.value)}>
+          <option value="">Any style</option>
+          {styles.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={filters.type} onChange={(e) => setFilter("type", e.target.value)}>
+          <option value="">Any type</option>
+          <option value="swim">Swim</option>
+          <option value="group-split">Group split</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="100"
+          className="sets-yardage"
+          placeholder="Min yd"
+          value={filters.minYardage}
+          onChange={(e) => setFilter("minYardage", e.target.value)}
+        />
+        <input
+          type="number"
+          min="0"
+          step="100"
+          className="sets-yardage"
+          placeholder="Max yd"
+          value={filters.maxYardage}
+          onChange={(e) => setFilter("maxYardage", e.target.value)}
+        />
+        {hasFilters && (
+          <button className="sets-btn" onClick={() => setFilters(EMPTY_FILTERS)}>Clear</button>
+        )}
+      </div>
+
+      {tags.length > 0 && (
+        <div className="sets-tags">
+          {tags.map((t) => (
+            <button
+              key={t}
+              className={`sets-tag ${filters.tag === t ? "active" : ""}`}
+              onClick={() => setFilter("tag", filters.tag === t ? "" : t)}
+            >
+              #{t}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="sets-grid">
+        {sets.map((set) =>
+          editingId === set._id ? (
+            <div key={set._id} className="sets-card editing">
+              <SetEditor set={set} onCancel={() => setEditingId(null)} onSaved={handleSaved} />
+            </div>
+          ) : (
+            <div key={set._id} className="sets-card">
+              <div className="sets-card-header">
+                <h3>{set.name}</h3>
+                <div className="sets-card-actions">
+                  <button className="sets-icon-btn" onClick={() => setEditingId(set._id)} title="Edit">✏️</button>
+                  <button className="sets-icon-btn" onClick={() => handleDelete(set)} title="Delete">🗑️</button>
+                </div>
+              </div>
+              <div className="sets-card-meta">
+                {set.type === "group-split" && <span className="sets-badge">Group split</span>}
+                {set.pool && <span className="sets-badge">{set.pool}</span>}
+                <span>{formatYardage(set.yardage || 0)}m</span>
+                {set.timeSeconds > 0 && <span>{formatSeconds(set.timeSeconds)}</span>}
+              </div>
+
+              {set.type === "group-split" ? (
+                <div className="sets-card-groups">
+                  {(set.groups || []).map((g) => (
+                    <div key={g.name} className="sets-card-group">
+                      <strong>{g.name}</strong> · {formatYardage(g.totalYardage || 0)}m
+                      <pre>{(g.sections || []).map((gs) => gs.text).join("\n")}</pre>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <pre className="sets-card-text">{set.text}</pre>
+              )}
+
+              <div className="sets-card-stats">
+                {topEntries(set.stats?.strokes).map(([name, yd]) => (
+                  <span key={name}>{name} {formatYardage(Math.round(yd))}</span>
+                ))}
+                {topEntries(set.stats?.styles).map(([name, yd]) => (
+                  <span key={name} className="muted">{name} {formatYardage(Math.round(yd))}</span>
+                ))}
+              </div>
+              {set.notes && <p className="sets-card-notes">{set.notes}</p>}
+              {(set.tags || []).length > 0 && (
+                <div className="sets-card-tags">
+                  {set.tags.map((t) => (
+                    <button key={t} className="sets-tag small" onClick={() => setFilter("tag", t)}>#{t}</button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        )}
+      </div>
+
+      {!loading && sets.length === 0 && (
+        <div className="sets-empty">
+          {hasFilters ? "No sets match these filters." : "No saved sets yet. Use 📚 on any section in the Practice Builder to save one."}
+        </div>
+      )}
     </div>
   );
 }
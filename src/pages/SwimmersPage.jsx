@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from "react";
 import toast from "react-hot-toast";
-import { listSwimmers, listRosterGroups, calculateAge } from "../api/swimmers";
+import { listSwimmers, listRosterGroups, listRosterStandards, calculateAge } from "../api/swimmers";
 import SwimmerModal from "../components/SwimmerModal";
 import "./SwimmersPage.css";
 
@@ -23,6 +23,8 @@ function SwimmersPage() {
   const [selected, setSelected]       = useState(null);  // swimmer for open modal
   const [activeTab, setActiveTab]     = useState("info");
   const [activeCourse, setActiveCourse] = useState("SCY");
+  const [standards, setStandards]     = useState(null);  // { set, sets, swimmers }
+  const [standardsSet, setStandardsSet] = useState("");
 
   // Load roster + groups on mount
   useEffect(() => {
@@ -40,6 +42,15 @@ function SwimmersPage() {
     load();
   }, []);
 
+  // Top standard per swimmer; the roster still works if this fails
+  useEffect(() => {
+    let cancelled = false;
+    listRosterStandards(standardsSet || undefined)
+      .then(data => { if (!cancelled) setStandards(data); })
+      .catch(() => { if (!cancelled) setStandards(null); });
+    return () => { cancelled = true; };
+  }, [standardsSet, swimmers]);
+
   // Client-side filter (search + group AND logic)
   const filtered = useMemo(() => {
     let list = [...swimmers].sort((a, b) => {
@@ -92,6 +103,23 @@ function SwimmersPage() {
     return `${s.firstName.charAt(0)}${s.lastName.charAt(0)}`.toUpperCase();
   }
 
+  function standardCell(s) {
+    const summary = standards?.swimmers?.[s._id];
+    if (!summary?.top && !summary?.closest) return <span className="sp-muted">—</span>;
+    const { closest } = summary;
+    const hint = closest
+      ? `${closest.gap.toFixed(2)}s from ${closest.next} in ${closest.event} ${closest.course}`
+      : "";
+    return (
+      <span className="sp-standard" title={hint}>
+        {summary.top
+          ? <span className="sp-standard-badge">{summary.top}</span>
+          : <span className="sp-muted">None yet</span>}
+        {closest && <span className="sp-standard-next">→ {closest.next}</span>}
+      </span>
+    );
+  }
+
   function scyCount(s) {
     return (s.bestTimes || []).filter(t => t.course === "SCY" && t.isBest).length;
   }
@@ -123,6 +151,18 @@ function SwimmersPage() {
             <option key={g._id} value={g._id}>{g.name}</option>
           ))}
         </select>
+        {standards?.sets?.length > 1 && (
+          <select
+            className="sp-group-select"
+            value={standardsSet || standards.set?._id || ""}
+            onChange={e => setStandardsSet(e.target.value)}
+            title="Time standards"
+          >
+            {standards.sets.map(set => (
+              <option key={set._id} value={set._id}>{set.name}</option>
+            ))}
+          </select>
+        )}
       </div>
 
       {/* ── Table ──────────────────────────────────────────────────────── */}
@@ -138,6 +178,7 @@ function SwimmersPage() {
                 <th className="sp-th sp-col-name">Name</th>
                 <th className="sp-th sp-col-age">Age</th>
                 <th className="sp-th sp-col-group">Group</th>
+                <th className="sp-th sp-col-standard">{standards?.set ? "Standard" : ""}</th>
                 <th className="sp-th sp-col-times">SCY Times</th>
                 <th className="sp-th sp-col-status">Status</th>
               </tr>
@@ -188,6 +229,11 @@ function SwimmersPage() {
                       )}
                     </td>
 
+                    {/* Fastest standard achieved, hint at the closest next cut */}
+                    <td className="sp-td sp-col-standard">
+                      {standards?.set ? standardCell(swimmer) : null}
+                    </td>
+
                     {/* SCY best times count */}
                     <td className="sp-td sp-col-times">
                       {scyCount(swimmer) > 0 ? (
@@ -219,6 +265,7 @@ function SwimmersPage() {
           setActiveCourse={setActiveCourse}
           onClose={closeModal}
           onUpdate={handleUpdate}
+          standardsSetId={standardsSet || standards?.set?._id}
         />
       )}
     </div>
@@ -0,0 +1,222 @@
+import React, { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import {
+  getCurrentTeam,
+  updateCurrentTeam,
+  createTeam,
+  addTeamMember,
+  updateTeamMember,
+  removeTeamMember,
+  TEAM_ROLE_LABELS,
+} from "../api/teams";
+import "./Team.css";
+
+const ROLES = Object.keys(TEAM_ROLE_LABELS);
+
+function currentUserId() {
+  try {
+    return JSON.parse(localStorage.getItem("user") || "{}")._id || "";
+  } catch {
+    return "";
+  }
+}
+
+const memberName = (m) => [m.firstName, m.lastName].filter(Boolean).join(" ") || m.username || m.email || "Unknown coach";
+
+export default function Team() {
+  const [team, setTeam] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [invite, setInvite] = useState({ email: "", role: "assistant" });
+  const [newTeamName, setNewTeamName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const me = currentUserId();
+  const isHeadCoach = team?.role === "head_coach";
+
+  const load = useCallback(async () => {
+    try {
+      const data = await getCurrentTeam();
+      setTeam(data);
+      setName(data.name);
+    } catch (e) {
+      toast.error(e.message || "Failed to load team");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  async function run(action, success) {
+    setBusy(true);
+    try {
+      await action();
+      if (success) toast.success(success);
+      await load();
+    } catch (e) {
+      toast.error(e.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleRename(e) {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === team.name) return;
+    run(() => updateCurrentTeam({ name: name.trim() }), "Team renamed");
+  }
+
+  function handleInvite(e) {
+    e.preventDefault();
+    if (!invite.email.trim()) { toast.error("Enter the coach's email"); return; }
+    run(async () => {
+      await addTeamMember(invite.email.trim(), invite.role);
+      setInvite({ email: "", role: "assistant" });
+    }, "Coach added");
+  }
+
+  function handleRemove(member) {
+    const leaving = member.userId === me;
+    const prompt = leaving
+      ? `Leave ${team.name}? You will lose access to its swimmers and practices.`
+      : `Remove ${memberName(member)} from ${team.name}?`;
+    if (!window.confirm(prompt)) return;
+
+    if (leaving) {
+      setBusy(true);
+      removeTeamMember(member.userId)
+        .then(() => {
+          localStorage.removeItem("teamId");
+          window.location.reload();
+        })
+        .catch((e) => {
+          toast.error(e.message || "Failed to leave team");
+          setBusy(false);
+        });
+      return;
+    }
+    run(() => removeTeamMember(member.userId), "Coach removed");
+  }
+
+  async function handleCreateTeam(e) {
+    e.preventDefault();
+    if (!newTeamName.trim()) return;
+    setBusy(true);
+    try {
+      const created = await createTeam({ name: newTeamName.trim() });
+      localStorage.setItem("teamId", created._id);
+      window.location.reload();
+    } catch (err) {
+      toast.error(err.message || "Failed to create team");
+      setBusy(false);
+    }
+  }
+
+  if (loading) return <div className="team-page"><p className="team-empty">Loading…</p></div>;
+  if (!team) return <div className="team-page"><p className="team-empty">No team found.</p></div>;
+
+  return (
+    <div className="team-page">
+      <div className="team-header">
+        <div>
+          <h1>{team.name}</h1>
+          <p className="team-subtitle">
+            Coaches on this team share swimmers, roster groups, practices, meets and time standards.
+            You are {TEAM_ROLE_LABELS[team.role]?.toLowerCase() || team.role}.
+          </p>
+        </div>
+      </div>
+
+      {isHeadCoach && (
+        <form className="team-card team-rename" onSubmit={handleRename}>
+          <label>
+            Team name
+            <input value={name} onChange={(e) => setName(e.target.value)} maxLength={200} />
+          </label>
+          <button className="team-btn" type="submit" disabled={busy || !name.trim() || name.trim() === team.name}>
+            Save
+          </button>
+        </form>
+      )}
+
+      <section className="team-card">
+        <h2>Members ({team.members.length})</h2>
+        <table className="team-table">
+          <thead>
+            <tr>
+              <th>Coach</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Joined</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {team.members.map((m) => (
+              <tr key={m.userId}>
+                <td>
+                  {memberName(m)}
+                  {m.userId === me && <span className="team-you">you</span>}
+                </td>
+                <td className="team-muted">{m.email}</td>
+                <td>
+                  {isHeadCoach ? (
+                    <select
+                      value={m.role}
+                      disabled={busy}
+                      onChange={(e) => run(() => updateTeamMember(m.userId, e.target.value), "Role updated")}
+                    >
+                      {ROLES.map((r) => <option key={r} value={r}>{TEAM_ROLE_LABELS[r]}</option>)}
+                    </select>
+                  ) : (
+                    TEAM_ROLE_LABELS[m.role] || m.role
+                  )}
+                </td>
+                <td className="team-muted">{m.joinedAt ? new Date(m.joinedAt).toLocaleDateString() : ""}</td>
+                <td className="team-actions">
+                  {(isHeadCoach || m.userId === me) && (
+                    <button className="team-btn small danger" disabled={busy} onClick={() => handleRemove(m)}>
+                      {m.userId === me ? "Leave" : "Remove"}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {isHeadCoach && (
+          <form className="team-invite" onSubmit={handleInvite}>
+            <input
+              type="email"
+              placeholder="coach@example.com"
+              value={invite.email}
+              onChange={(e) => setInvite((v) => ({ ...v, email: e.target.value }))}
+            />
+            <select value={invite.role} onChange={(e) => setInvite((v) => ({ ...v, role: e.target.value }))}>
+              {ROLES.map((r) => <option key={r} value={r}>{TEAM_ROLE_LABELS[r]}</option>)}
+            </select>
+            <button className="team-btn primary" type="submit" disabled={busy}>Add coach</button>
+          </form>
+        )}
+        <p className="team-help">
+          Head coaches manage members. Assistants can edit everything else; read-only members can view but not change anything.
+          Coaches must register an account before they can be added.
+        </p>
+      </section>
+
+      <form className="team-card team-rename" onSubmit={handleCreateTeam}>
+        <label>
+          Start another team
+          <input
+            value={newTeamName}
+            onChange={(e) => setNewTeamName(e.target.value)}
+            placeholder="Team name"
+            maxLength={200}
+          />
+        </label>
+        <button className="team-btn" type="submit" disabled={busy || !newTeamName.trim()}>Create team</button>
+      </form>
+    </div>
+  );
+}
@@ -6,8 +6,12 @@ import {
   createTimeStandards,
   updateTimeStandards,
   deleteTimeStandards,
+  publishTimeStandards,
+  cloneTimeStandards,
 } from "../api/timeStandards";
 import { convertTime } from "../utils/swimTimeConversion";
+import StandardsImport from "../components/StandardsImport";
+import StandardsCatalog from "../components/StandardsCatalog";
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
 import "./TimeStandards.css";
@@ -90,6 +94,13 @@ export default function TimeStandards() {
   const [newEventDist, setNewEventDist] = useState("100");
   const [newEventStroke, setNewEventStroke] = useState("Free");
 
+  // Paste / CSV import panel
+  const [showImport, setShowImport] = useState(false);
+
+  // Shared catalog browser; admins can also publish
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false);
+
   // Pending cell edits: { "event|ageGroup": { "F:SCY:AA": "1:23.45", ... } }
   const [pendingEdits, setPendingEdits] = useState({});
 
@@ -107,6 +118,14 @@ export default function TimeStandards() {
 
   useEffect(() => { load(); }, [load]);
 
+  useEffect(() => {
+    try {
+      setIsAdmin(JSON.parse(localStorage.getItem("user") || "{}").isAdmin || false);
+    } catch {
+      setIsAdmin(false);
+    }
+  }, []);
+
   function selectSet(s) {
     setSelected(s);
     setEditName(s.name);
@@ -115,6 +134,8 @@ export default function TimeStandards() {
     setFilterLevel((s.standardLevels || [])[0] || "");
     setPendingEdits({});
     setShowNewForm(false);
+    setShowImport(false);
+    setShowCatalog(false);
   }
 
   // ── Create ──────────────────────────────────────────────────────────────────
@@ -195,6 +216,37 @@ export default function TimeStandards() {
     }
   }
 
+  // ── Catalog ─────────────────────────────────────────────────────────────────
+  function handleCloned(created) {
+    setSets(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+    selectSet(created);
+  }
+
+  async function handleClone() {
+    if (!selected) return;
+    try {
+      handleCloned(await cloneTimeStandards(selected._id));
+      toast.success("Cloned — this copy is yours to edit");
+    } catch (e) {
+      toast.error(e.message || "Failed to clone");
+    }
+  }
+
+  async function handlePublish() {
+    if (!selected) return;
+    const season = window.prompt(
+      `Publish "${selected.name}" to the shared catalog.\nSeason for this version (e.g. 2025-26):`,
+      selected.season || ""
+    );
+    if (!season || !season.trim()) return;
+    try {
+      const version = await publishTimeStandards(selected._id, { season: season.trim() });
+      toast.success(`Published ${version.name} (${version.season}) to the catalog`);
+    } catch (e) {
+      toast.error(e.message || "Failed to publish");
+    }
+  }
+
   // ── Delete set ──────────────────────────────────────────────────────────────
   async function handleDeleteSet() {
     if (!selected) return;
@@ -236,7 +288,7 @@ export default function TimeStandards() {
 
   // ── Auto-convert on blur (normal mode only) ─────────────────────────────────
   function handleCellBlur(event, ageGroup, gender, enteredCourse, value) {
-    if (!autoConvert || flipped || !value.trim()) return;
+    if (!autoConvert || flipped || selected?.readOnly || !value.trim()) return;
 
     const { stroke, distance } = parseEventInfo(event);
     if (!stroke) return;
@@ -390,6 +442,7 @@ export default function TimeStandards() {
   const hasPending = Object.keys(pendingEdits).length > 0;
   const levels = selected?.standardLevels || [];
   const canFlip = levels.length > 1;
+  const readOnly = !!selected?.readOnly;
   const activeEvents = selected
     ? (selected.events != null ? selected.events : DEFAULT_EVENTS)
     : DEFAULT_EVENTS;
@@ -404,9 +457,14 @@ export default function TimeStandards() {
       <aside className="ts-sidebar">
         <div className="ts-sidebar-header">
           <h2>Time Standards</h2>
-          <button className="ts-btn-primary ts-btn-sm" onClick={() => { setShowNewForm(true); setSelected(null); }}>
-            + New
-          </button>
+          <div className="ts-sidebar-actions">
+            <button className="ts-btn-ghost ts-btn-sm" onClick={() => { setShowCatalog(true); setShowNewForm(false); setSelected(null); }}>
+              Catalog
+            </button>
+            <button className="ts-btn-primary ts-btn-sm" onClick={() => { setShowNewForm(true); setShowCatalog(false); setSelected(null); }}>
+              + New
+            </button>
+          </div>
         </div>
         {loading ? (
           <p className="ts-sidebar-empty">Loading…</p>
@@ -416,8 +474,13 @@ export default function TimeStandards() {
           <ul className="ts-set-list">
             {sets.map(s => (
               <li key={s._id} className={`ts-set-item${selected?._id === s._id ? " active" : ""}`} onClick={() => selectSet(s)}>
-                <span className="ts-set-name">{s.name}</span>
-                {s.organization && <span className="ts-set-meta">{s.organization}</span>}
+                <span className="ts-set-name">
+                  {s.name}
+                  {s.catalog && <span className="ts-catalog-tag">Catalog</span>}
+                </span>
+                {(s.organization || s.season) && (
+                  <span className="ts-set-meta">{[s.organization, s.season].filter(Boolean).join(" · ")}</span>
+                )}
               </li>
             ))}
           </ul>
@@ -454,10 +517,36 @@ export default function TimeStandards() {
           </div>
         )}
 
+        {/* Shared catalog */}
+        {showCatalog && (
+          <StandardsCatalog
+            onSubscriptionChange={load}
+            onCloned={handleCloned}
+            onClose={() => setShowCatalog(false)}
+          />
+        )}
+
         {/* Selected set */}
-        {selected && !showNewForm && (
+        {selected && !showNewForm && !showCatalog && (
           <>
-            {/* Header editor */}
+            {/* Header editor (catalog versions are read-only) */}
+            {readOnly ? (
+              <div className="ts-panel ts-header-panel">
+                <div>
+                  <h3 className="ts-readonly-title">
+                    {selected.name}
+                    {selected.season && <span className="ts-catalog-tag">{selected.season}</span>}
+                  </h3>
+                  <p className="ts-readonly-note">
+                    {selected.organization ? `${selected.organization} · ` : ""}
+                    Shared catalog standard — read-only. Clone it to make changes.
+                  </p>
+                </div>
+                <div className="ts-header-actions">
+                  <button className="ts-btn-primary" onClick={handleClone}>Clone to Edit</button>
+                </div>
+              </div>
+            ) : (
             <div className="ts-panel ts-header-panel">
               <div className="ts-form">
                 <div className="ts-field-row">
@@ -474,9 +563,15 @@ export default function TimeStandards() {
               </div>
               <div className="ts-header-actions">
                 <button className="ts-btn-primary" onClick={handleSaveHeader} disabled={saving}>Save Changes</button>
+                {isAdmin && !selected.catalog && (
+                  <button className="ts-btn-ghost" onClick={handlePublish} title="Publish a season of this set to the shared catalog">
+                    Publish to Catalog
+                  </button>
+                )}
                 <button className="ts-btn-danger" onClick={handleDeleteSet}>Delete Set</button>
               </div>
             </div>
+            )}
 
             {/* Filters */}
             <div className="ts-filters-row">
@@ -533,12 +628,39 @@ export default function TimeStandards() {
                     Save
                   </button>
                 )}
+                {!readOnly && (
+                <button
+                  className="ts-btn-ghost ts-btn-sm"
+                  onClick={() => setShowImport(v => !v)}
+                  disabled={hasPending}
+                  title={hasPending ? "Save your edits before importing" : "Import cuts from a CSV or pasted table"}
+                >
+                  Import
+                </button>
+                )}
                 <button className="ts-btn-ghost ts-btn-sm" onClick={handleExportPdf}>
                   Export PDF
                 </button>
               </div>
             </div>
 
+            {showImport && !readOnly && (
+              <StandardsImport
+                set={selected}
+                events={activeEvents}
+                ageGroups={AGE_GROUPS}
+                ageGroup={filterAgeGroup}
+                level={filterLevel}
+                course={filterCourse}
+                onSaved={result => {
+                  setSets(prev => prev.map(s => s._id === result._id ? result : s));
+                  setSelected(result);
+                  setShowImport(false);
+                }}
+                onClose={() => setShowImport(false)}
+              />
+            )}
+
             {/* The cut table */}
             <div className="ts-panel ts-table-panel">
               <div className="ts-table-wrap">
@@ -576,6 +698,7 @@ export default function TimeStandards() {
                               onChange={e => setCellEdit(ev, filterAgeGroup, "F", col, e.target.value)}
                               onBlur={e => !flipped && handleCellBlur(ev, filterAgeGroup, "F", col, e.target.value)}
                               placeholder="—"
+                              readOnly={readOnly}
                             />
                           </td>
                         ))}
@@ -588,15 +711,19 @@ export default function TimeStandards() {
                               onChange={e => setCellEdit(ev, filterAgeGroup, "M", col, e.target.value)}
                               onBlur={e => !flipped && handleCellBlur(ev, filterAgeGroup, "M", col, e.target.value)}
                               placeholder="—"
+                              readOnly={readOnly}
                             />
                           </td>
                         ))}
                         <td className="ts-remove-col">
-                          <button className="ts-remove-event-btn" onClick={() => handleRemoveEvent(ev)} title="Remove event">×</button>
+                          {!readOnly && (
+                            <button className="ts-remove-event-btn" onClick={() => handleRemoveEvent(ev)} title="Remove event">×</button>
+                          )}
                         </td>
                       </tr>
                     ))}
                     {/* Add event row */}
+                    {!readOnly && (
                     <tr className="ts-add-event-row">
                       <td colSpan={(flipped ? WOMEN_LEVELS.length : 3) + 1 + (flipped ? MEN_LEVELS.length : 3)} className="ts-add-event-cell">
                         <div className="ts-add-event-form">
@@ -611,6 +738,7 @@ export default function TimeStandards() {
                       </td>
                       <td className="ts-remove-col"></td>
                     </tr>
+                    )}
                   </tbody>
                 </table>
               </div>
@@ -625,7 +753,7 @@ export default function TimeStandards() {
           </>
         )}
 
-        {!selected && !showNewForm && (
+        {!selected && !showNewForm && !showCatalog && (
           <div className="ts-empty-state">
             <p>Select a time standards set from the sidebar, or create a new one.</p>
           </div>
@@ -0,0 +1,214 @@
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { getTrainingVolume } from "../api/practices";
+import { getConfig } from "../api/config";
+import { getSeasons } from "../api/seasons";
+import { formatYardage } from "../utils/timeHelpers";
+import { findSeasonByDate, toDateKey } from "../utils/practiceSchedule";
+import WeeklyTrendChart from "../components/WeeklyTrendChart";
+import "./TrainingVolume.css";
+
+const FALLBACK_ROSTERS = ["Yellow", "Blue", "White", "Bronze", "Silver", "Gold/Platinum"];
+const ROSTER_COLORS = ["#3b82f6", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6", "#ec4899", "#14b8a6", "#f97316"];
+const MIX_COLORS = ["#0ea5e9", "#6366f1", "#f59e0b", "#10b981", "#ef4444", "#a855f7", "#64748b", "#14b8a6"];
+
+const METRICS = {
+  yardage: { label: "Yardage", format: (v) => formatYardage(Math.round(v)) },
+  time: { label: "Time in water", format: formatHours },
+};
+
+function formatHours(seconds) {
+  const minutes = Math.round(seconds / 60);
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+/** Stacked bar of how a roster's yardage splits across strokes, styles or energy systems */
+function MixBar({ title, mix }) {
+  const entries = Object.entries(mix || {}).filter(([, v]) => v > 0).sort((a, b) => b[1] - a[1]);
+  const total = entries.reduce((sum, [, v]) => sum + v, 0);
+
+  return (
+    <div className="volume-mix">
+      <div className="volume-mix-title">{title}</div>
+      {total === 0 ? (
+        <div className="volume-mix-empty">No stats recorded</div>
+      ) : (
+        <>
+          <div className="volume-mix-bar">
+            {entries.map(([name, v], i) => (
+              <span
+                key={name}
+                style={{ width: `${(v / total) * 100}%`, background: MIX_COLORS[i % MIX_COLORS.length] }}
+                title={`${name}: ${formatYardage(v)} (${Math.round((v / total) * 100)}%)`}
+              />
+            ))}
+          </div>
+          <ul className="volume-mix-legend">
+            {entries.map(([name, v], i) => (
+              <li key={name}>
+                <span className="volume-mix-swatch" style={{ background: MIX_COLORS[i % MIX_COLORS.length] }} />
+                {name} <span className="volume-mix-pct">{Math.round((v / total) * 100)}%</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function TrainingVolume() {
+  const [seasons, setSeasons] = useState([]);
+  const [season, setSeason] = useState("");
+  const [rosters, setRosters] = useState(FALLBACK_ROSTERS);
+  const [hiddenRosters, setHiddenRosters] = useState([]);
+  const [metric, setMetric] = useState("yardage");
+  const [volume, setVolume] = useState({ weeks: [], rosters: {} });
+  const [loading, setLoading] = useState(false);
+  const [seasonsReady, setSeasonsReady] = useState(false);
+
+  // Load config and seasons once; start on the season we're in today
+  useEffect(() => {
+    (async () => {
+      try {
+        const cfg = await getConfig();
+        if (Array.isArray(cfg?.rosters) && cfg.rosters.length) setRosters(cfg.rosters);
+      } catch (e) {
+        console.error("Failed to load config", e);
+      }
+
+      try {
+        const seasonsData = await getSeasons();
+        const list = seasonsData?.seasons || [];
+        setSeasons(list);
+        setSeason(findSeasonByDate(list, toDateKey(new Date())) || list[list.length - 1]?.title || "");
+      } catch (e) {
+        console.error("Failed to load seasons", e);
+        setSeasons([]);
+      } finally {
+        setSeasonsReady(true);
+      }
+    })();
+  }, []);
+
+  useEffect(() => {
+    if (!seasonsReady) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const res = await getTrainingVolume(season);
+        if (!cancelled) setVolume({ weeks: res.weeks || [], rosters: res.rosters || {} });
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) toast.error("Failed to load training volume");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [season, seasonsReady]);
+
+  // Configured rosters first, then any roster only found on saved practices
+  const allRosters = useMemo(
+    () => [...rosters, ...Object.keys(volume.rosters).filter((r) => !rosters.includes(r))],
+    [rosters, volume.rosters]
+  );
+  const rosterColor = (roster) => ROSTER_COLORS[allRosters.indexOf(roster) % ROSTER_COLORS.length];
+  const shown = allRosters.filter((r) => volume.rosters[r] && !hiddenRosters.includes(r));
+
+  const series = shown.map((r) => ({
+    name: r,
+    color: rosterColor(r),
+    values: volume.rosters[r].weeks.map((w) => (metric === "time" ? w.timeSeconds : w.yardage)),
+  }));
+
+  function toggleRoster(roster) {
+    setHiddenRosters((prev) =>
+      prev.includes(roster) ? prev.filter((r) => r !== roster) : [...prev, roster]
+    );
+  }
+
+  return (
+    <div className="volume-page">
+      <div className="volume-header">
+        <div>
+          <h1>Training Volume</h1>
+          <p className="volume-subtitle">Weekly yardage, time in water and stroke mix from saved practices</p>
+        </div>
+        <div className="volume-controls">
+          <select value={season} onChange={(e) => setSeason(e.target.value)} className="volume-select">
+            <option value="">All seasons</option>
+            {seasons.map((s) => (
+              <option key={s.title} value={s.title}>{s.title}</option>
+            ))}
+          </select>
+          <div className="volume-toggle">
+            {Object.entries(METRICS).map(([key, m]) => (
+              <button
+                key={key}
+                className={`volume-toggle-btn ${metric === key ? "active" : ""}`}
+                onClick={() => setMetric(key)}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="volume-rosters">
+        {allRosters.map((r) => (
+          <button
+            key={r}
+            className={`volume-roster-chip ${hiddenRosters.includes(r) ? "off" : ""} ${volume.rosters[r] ? "" : "empty"}`}
+            style={{ "--roster-color": rosterColor(r) }}
+            onClick={() => toggleRoster(r)}
+            disabled={!volume.rosters[r]}
+            title={volume.rosters[r] ? (hiddenRosters.includes(r) ? `Show ${r}` : `Hide ${r}`) : `No practices for ${r}`}
+          >
+            {r}
+          </button>
+        ))}
+        {loading && <span className="volume-loading">Loading…</span>}
+      </div>
+
+      <section className="volume-card">
+        <h2 className="volume-card-title">{METRICS[metric].label} per week</h2>
+        <WeeklyTrendChart weeks={volume.weeks} series={series} formatValue={METRICS[metric].format} />
+      </section>
+
+      <div className="volume-compare">
+        {shown.map((r) => {
+          const data = volume.rosters[r];
+          const activeWeeks = data.weeks.filter((w) => w.practices > 0);
+          const peak = data.weeks.reduce((best, w) => (w.yardage > best.yardage ? w : best), data.weeks[0]);
+          return (
+            <section key={r} className="volume-card volume-roster-card" style={{ "--roster-color": rosterColor(r) }}>
+              <h2 className="volume-card-title">{r}</h2>
+              <dl className="volume-stats">
+                <div><dt>Practices</dt><dd>{data.totals.practices}</dd></div>
+                <div><dt>Total yardage</dt><dd>{formatYardage(data.totals.yardage)}</dd></div>
+                <div>
+                  <dt>Avg / week</dt>
+                  <dd>{formatYardage(Math.round(data.totals.yardage / Math.max(1, activeWeeks.length)))}</dd>
+                </div>
+                <div><dt>Time in water</dt><dd>{formatHours(data.totals.timeSeconds)}</dd></div>
+                <div>
+                  <dt>Peak week</dt>
+                  <dd>{peak ? formatYardage(peak.yardage) : "—"}</dd>
+                </div>
+              </dl>
+              <MixBar title="Strokes" mix={data.strokes} />
+              <MixBar title="Styles" mix={data.styles} />
+              <MixBar title="Energy systems" mix={data.energy} />
+            </section>
+          );
+        })}
+        {!loading && shown.length === 0 && (
+          <div className="volume-empty">No practices saved{season ? ` for ${season}` : ""}.</div>
+        )}
+      </div>
+    </div>
+  );
+}
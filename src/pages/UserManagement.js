@@ -0,0 +1,145 @@
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { listUsers, updateUserAccess, storedUser, hasPermission, PERMISSION_LABELS } from "../api/users";
+import "./UserManagement.css";
+
+const fullName = (u) => [u.firstName, u.lastName].filter(Boolean).join(" ") || u.username;
+
+export default function UserManagement() {
+  const me = useMemo(storedUser, []);
+  const canManage = hasPermission(me, "manage:users");
+  const [users, setUsers] = useState(null);   // null while loading
+  const [permissions, setPermissions] = useState([]);
+  const [search, setSearch] = useState("");
+  const [savingId, setSavingId] = useState("");
+
+  useEffect(() => {
+    if (!canManage) return;
+    listUsers()
+      .then((data) => {
+        setUsers(data.users);
+        setPermissions(data.permissions);
+      })
+      .catch((e) => {
+        setUsers([]);
+        toast.error(e.message || "Failed to load users");
+      });
+  }, [canManage]);
+
+  const visible = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    if (!q) return users || [];
+    return (users || []).filter((u) =>
+      [u.firstName, u.lastName, u.email, u.username].some((v) => (v || "").toLowerCase().includes(q))
+    );
+  }, [users, search]);
+
+  async function save(user, changes) {
+    setSavingId(user._id);
+    try {
+      const updated = await updateUserAccess(user._id, changes);
+      setUsers((prev) => prev.map((u) => (u._id === updated._id ? updated : u)));
+      toast.success(`Updated ${fullName(updated)}`);
+    } catch (e) {
+      toast.error(e.message || "Failed to update permissions");
+    } finally {
+      setSavingId("");
+    }
+  }
+
+  function togglePermission(user, permission) {
+    const next = user.permissions.includes(permission)
+      ? user.permissions.filter((p) => p !== permission)
+      : [...user.permissions, permission];
+    save(user, { permissions: next });
+  }
+
+  if (!canManage) {
+    return (
+      <div className="um-page">
+        <h1>Access Denied</h1>
+        <p className="um-muted">Ask an administrator for the "Manage users" permission.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="um-page">
+      <div className="um-header">
+        <div>
+          <h1>Users</h1>
+          <p className="um-muted">
+            Grant or revoke what each account can do. Changes apply on the user's next request.
+            Only admins can hand out admin rights.
+          </p>
+        </div>
+        <input
+          className="um-search"
+          placeholder="Search name or email"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </div>
+
+      {users === null ? (
+        <p className="um-muted">Loading…</p>
+      ) : visible.length === 0 ? (
+        <p className="um-muted">No users found.</p>
+      ) : (
+        <ul className="um-list">
+          {visible.map((u) => {
+            const busy = savingId === u._id;
+            return (
+              <li key={u._id} className={`um-user${u.isActive === false ? " inactive" : ""}`}>
+                <div className="um-user-head">
+                  <div>
+                    <span className="um-name">{fullName(u)}</span>
+                    {u._id === me?._id && <span className="um-tag">you</span>}
+                    {u.isAdmin && <span className="um-tag admin">admin</span>}
+                    <span className="um-email">{u.email}</span>
+                    <span className="um-muted um-login">
+                      {u.lastLogin ? `Last signed in ${new Date(u.lastLogin).toLocaleDateString()}` : "Never signed in"}
+                    </span>
+                  </div>
+                  <div className="um-flags">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={u.isActive !== false}
+                        disabled={busy}
+                        onChange={(e) => save(u, { isActive: e.target.checked })}
+                      />
+                      Active
+                    </label>
+                    <label title={me?.isAdmin ? "" : "Only admins can change this"}>
+                      <input
+                        type="checkbox"
+                        checked={!!u.isAdmin}
+                        disabled={busy || !me?.isAdmin}
+                        onChange={(e) => save(u, { isAdmin: e.target.checked })}
+                      />
+                      Admin
+                    </label>
+                  </div>
+                </div>
+                <div className="um-permissions">
+                  {permissions.map((p) => (
+                    <label key={p} className="um-permission" title={p}>
+                      <input
+                        type="checkbox"
+                        checked={u.permissions.includes(p)}
+                        disabled={busy || (p === "admin" && !me?.isAdmin)}
+                        onChange={() => togglePermission(u, p)}
+                      />
+                      {PERMISSION_LABELS[p] || p}
+                    </label>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
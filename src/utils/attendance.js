@@ -0,0 +1,43 @@
+/**
+ * attendance.js
+ *
+ * Helpers for the practice attendance sheet: status labels, the tap-to-mark
+ * cycle and a live tally of the sheet.
+ */
+
+export const ATTENDANCE_STATUSES = [
+  { value: "present", label: "Present", short: "P" },
+  { value: "late", label: "Late", short: "L" },
+  { value: "excused", label: "Excused", short: "E" },
+  { value: "absent", label: "Absent", short: "A" },
+];
+
+/** Label for a status value ("Not marked" for null) */
+export function statusLabel(status) {
+  return ATTENDANCE_STATUSES.find((s) => s.value === status)?.label || "Not marked";
+}
+
+/**
+ * Status after one tap: unmarked → present → late → excused → absent → unmarked
+ * @param {string|null} status
+ * @returns {string|null}
+ */
+export function nextStatus(status) {
+  const i = ATTENDANCE_STATUSES.findIndex((s) => s.value === status);
+  if (i === ATTENDANCE_STATUSES.length - 1) return null;
+  return ATTENDANCE_STATUSES[i + 1].value;
+}
+
+/**
+ * Count of swimmers per status, plus how many are still unmarked
+ * @param {Array<{ status: string|null }>} swimmers
+ * @returns {{ present, late, excused, absent, unmarked }}
+ */
+export function tallyAttendance(swimmers = []) {
+  const tally = { present: 0, late: 0, excused: 0, absent: 0, unmarked: 0 };
+  swimmers.forEach(({ status }) => {
+    if (status && status in tally) tally[status]++;
+    else tally.unmarked++;
+  });
+  return tally;
+}
@@ -0,0 +1,28 @@
+import { nextStatus, statusLabel, tallyAttendance } from "./attendance";
+
+// ─── nextStatus ───────────────────────────────────────────────────────────────
+describe("nextStatus", () => {
+  test("cycles through every status and back to unmarked", () => {
+    expect(nextStatus(null)).toBe("present");
+    expect(nextStatus("present")).toBe("late");
+    expect(nextStatus("late")).toBe("excused");
+    expect(nextStatus("excused")).toBe("absent");
+    expect(nextStatus("absent")).toBeNull();
+  });
+});
+
+// ─── statusLabel ──────────────────────────────────────────────────────────────
+describe("statusLabel", () => {
+  test("labels known statuses and unmarked swimmers", () => {
+    expect(statusLabel("excused")).toBe("Excused");
+    expect(statusLabel(null)).toBe("Not marked");
+  });
+});
+
+// ─── tallyAttendance ──────────────────────────────────────────────────────────
+describe("tallyAttendance", () => {
+  test("counts each status and the unmarked swimmers", () => {
+    const tally = tallyAttendance([{ status: "present" }, { status: "present" }, { status: "late" }, { status: null }]);
+    expect(tally).toEqual({ present: 2, late: 1, excused: 0, absent: 0, unmarked: 1 });
+  });
+});
@@ -1,4 +1,4 @@
-import { formatTimeSeconds, formatClockTime, parseClockTime } from './intervalParser';
+import { formatTimeSeconds, formatClockTime, parseClockTime, calculateSectionTime, calculateSectionYardage } from './intervalParser';
 
 /**
  * Calculate clock times and sync information for all sections in a practice
@@ -167,6 +167,37 @@ export function calculatePracticeClockTimes(sections, startTime = "6:00") {
   };
 }
 
+/**
+ * Re-measure every group of a group-split section from its text, resolving
+ * "@ base+5" / "@ T30 pace" intervals with each group's base pace
+ * @param {Object} section - Group-split section
+ * @param {Function} paceForGroup - (groupName) => base pace in seconds per 100, 0 if unknown
+ * @returns {Object} - Section with group totals, longestTimeSeconds and pacingGroup updated
+ */
+export function measureGroupSplit(section, paceForGroup = () => 0) {
+  const groups = (section.groups || []).map(group => {
+    const basePacePer100 = paceForGroup(group.name) || 0;
+    const sections = (group.sections || []).map(s => ({
+      ...s,
+      yardage: calculateSectionYardage(s.text),
+      timeSeconds: calculateSectionTime(s.text, basePacePer100)
+    }));
+
+    return {
+      ...group,
+      basePacePer100: basePacePer100 || undefined,
+      sections,
+      totalYardage: sections.reduce((sum, s) => sum + s.yardage, 0),
+      totalTimeSeconds: sections.reduce((sum, s) => sum + s.timeSeconds, 0)
+    };
+  });
+
+  const longestTimeSeconds = Math.max(...groups.map(g => g.totalTimeSeconds), 0);
+  const pacingGroup = groups.find(g => g.totalTimeSeconds === longestTimeSeconds)?.name || '';
+
+  return { ...section, groups, longestTimeSeconds, pacingGroup };
+}
+
 /**
  * Get groups from practice sections
  * @param {Array} sections - Practice sections
@@ -5,8 +5,20 @@
  * - "8x100 on 1:30" → 8 × 90 sec = 720 sec
  * - "200 Smooth @ 4:00" → 240 sec
  * - "2 x { 100 @ 2:00, 50 @ 1:00 }" → nested sets
+ * - "6x100 desc 1:30-1:15" → descending send-off, 6 × 1:22.5 = 495 sec
+ * - "4x100 @ 1:30" then "4x100 +10" → 4 × 1:40 = 400 sec
+ * - "8x50 :15 rest" / "8x50 RI :15" → swim estimate + 8 × 15 sec
+ * - ":30 rest" on its own line → 30 sec
+ * - "8x100 @ base+5" / "4x200 @ T30 pace" → resolved from the group's base pace per 100
+ *
+ * Parsing is delegated to the shared grammar in practiceParser.js.
  */
 
+import { analyzeSection, parseSection, setTimeSeconds, walkSets } from './practiceParser';
+
+// Rough estimate for sets written without an interval: 1:30 per 100
+export const DEFAULT_PACE_PER_100 = 90;
+
 /**
  * Convert time string to seconds
  * @param {string} timeStr - Time in format like ":50", "1:30", "4:00", etc.
@@ -35,215 +47,33 @@ export function parseTimeToSeconds(timeStr) {
 }
 
 /**
- * Extract first interval from a line
+ * Extract first interval from a line, as seconds per rep.
+ * Descending send-offs give their average; rest intervals give the
+ * estimated swim time plus the rest.
  * @param {string} line - Practice line text
  * @returns {number} - Interval time in seconds, or 0 if not found
  */
 export function extractInterval(line) {
   if (!line) return 0;
 
-  // Match patterns like "@ :50", "@ 1:30", "on 1:30", etc.
-  const intervalMatch = line.match(/(?:@|on)\s*(\d*:?\d+(?::\d+)?)/i);
-
-  if (intervalMatch && intervalMatch[1]) {
-    return parseTimeToSeconds(intervalMatch[1]);
-  }
-
-  return 0;
-}
-
-/**
- * Parse reps from a line
- * @param {string} line - Practice line text
- * @returns {number} - Number of reps
- */
-export function extractReps(line) {
-  if (!line) return 1;
-
-  // Match patterns like "4x25", "4 x 100", etc.
-  const repsMatch = line.match(/^(\d+)\s*[xX×]\s*/);
-
-  if (repsMatch && repsMatch[1]) {
-    return parseInt(repsMatch[1], 10);
-  }
-
-  return 1;
-}
-
-/**
- * Extract yardage from a line
- * @param {string} line - Practice line text
- * @returns {number} - Yardage value
- */
-export function extractYardage(line) {
-  if (!line) return 0;
-
-  // Match "4x100" or "4 x 100" or just "200"
-  const repsMatch = line.match(/^(\d+)\s*[xX×]\s*(\d+)/);
-  if (repsMatch) {
-    const reps = parseInt(repsMatch[1], 10);
-    const distance = parseInt(repsMatch[2], 10);
-    return reps * distance;
-  }
-
-  // Just a single distance
-  const distMatch = line.match(/^(\d+)\s+/);
-  if (distMatch) {
-    return parseInt(distMatch[1], 10);
-  }
-
-  return 0;
-}
-
-/**
- * Expand curly brace blocks like "2 x { 100 @ 2:00, 50 @ 1:00 }"
- * Also handles indentation-based blocks where indented lines follow a multiplier
- * @param {string} text - Text with potential nested blocks
- * @returns {string} - Expanded text
- */
-export function expandBlocks(text) {
-  if (!text) return '';
-
-  // First handle curly brace blocks
-  let out = text;
-  const bracePattern = /(\d+)\s*[xX×]\s*{([^{}]*)}/gs;
-
-  let iterations = 0;
-  const maxIterations = 10; // Prevent infinite loops
-
-  while (bracePattern.test(out) && iterations < maxIterations) {
-    out = out.replace(bracePattern, (_, n, inner) => {
-      const times = parseInt(n, 10);
-      if (!Number.isFinite(times) || times <= 0) return inner;
-      const block = inner.trim();
-      return Array(times).fill(block).join("\n");
-    });
-    bracePattern.lastIndex = 0; // Reset regex
-    iterations++;
-  }
-
-  // Now handle indentation-based blocks
-  const lines = out.split('\n');
-  const result = [];
-  let i = 0;
-
-  console.log('Processing indentation, lines:', lines);
-
-  while (i < lines.length) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    console.log(`Line ${i}: "${line}" (trimmed: "${trimmed}")`);
-
-    // Check if this line is a multiplier without opening brace (e.g., "2 x " or "2 x")
-    const multiplierMatch = trimmed.match(/^(\d+)\s*[xX×]\s*$/);
-
-    if (multiplierMatch) {
-      console.log(`Found multiplier at line ${i}:`, multiplierMatch[1]);
-      const times = parseInt(multiplierMatch[1], 10);
-      const indentedLines = [];
-
-      // Get the indentation level of the current line
-      const baseIndent = line.match(/^(\s*)/)[1].length;
-      console.log(`Base indent: ${baseIndent}`);
-
-      // Collect all following lines that are indented more than the multiplier line
-      let j = i + 1;
-      while (j < lines.length) {
-        const nextLine = lines[j];
-        const nextTrimmed = nextLine.trim();
-
-        // Skip empty lines
-        if (!nextTrimmed) {
-          console.log(`Skipping empty line at ${j}`);
-          j++;
-          continue;
-        }
-
-        // Get indentation of the next line
-        const nextIndent = nextLine.match(/^(\s*)/)[1].length;
-        console.log(`Line ${j} indent: ${nextIndent} (base: ${baseIndent})`);
-
-        // If this line is indented more than the multiplier line, it's part of the block
-        if (nextIndent > baseIndent) {
-          console.log(`Adding to block: "${nextTrimmed}"`);
-          indentedLines.push(nextTrimmed); // Use trimmed version for consistent parsing
-          j++;
-        } else {
-          // Stop when we hit a line with equal or less indentation
-          console.log(`Breaking at line ${j} - not indented enough`);
-          break;
-        }
-      }
-
-      // If we found indented lines, expand them
-      if (indentedLines.length > 0 && Number.isFinite(times) && times > 0) {
-        console.log(`Expanding ${indentedLines.length} lines ${times} times`);
-        for (let t = 0; t < times; t++) {
-          result.push(...indentedLines);
-        }
-        i = j; // Skip past the indented block
-      } else {
-        console.log(`No indented lines found for multiplier`);
-        // No indented lines found, just add the multiplier line as-is
-        result.push(line);
-        i++;
-      }
-    } else {
-      // Regular line, add as-is
-      result.push(line);
-      i++;
+  let seconds = 0;
+  walkSets(parseSection(line), (node) => {
+    if (!seconds && node.interval && node.reps > 0) {
+      seconds = Math.round(setTimeSeconds(node) / node.reps);
     }
-  }
-
-  console.log('Expanded result:', result);
-  const finalResult = result.join('\n');
-  console.log('Final expanded text:', JSON.stringify(finalResult));
-
-  return finalResult;
+  });
+  return seconds;
 }
 
 /**
- * Calculate total time for a section of text
+ * Calculate total time for a section of text.
+ * Sets without an interval are estimated at 1:30 per 100.
  * @param {string} text - Practice section content
+ * @param {number} basePacePer100 - Group base pace (seconds per 100) for "@ base+5" intervals, 0 if unknown
  * @returns {number} - Total time in seconds
  */
-export function calculateSectionTime(text) {
-  console.log('calculateSectionTime called with:', JSON.stringify(text));
-  if (!text || typeof text !== 'string') return 0;
-
-  // First expand any curly brace blocks
-  const expanded = expandBlocks(text);
-  console.log('Expanded text:', JSON.stringify(expanded));
-
-  let totalSeconds = 0;
-  const lines = expanded.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-
-    // Skip lines that start with "break" (handled separately)
-    if (/^break/i.test(trimmed)) continue;
-
-    const reps = extractReps(trimmed);
-    const interval = extractInterval(trimmed);
-    console.log(`Line "${trimmed}": reps=${reps}, interval=${interval}sec`);
-
-    if (interval > 0) {
-      totalSeconds += reps * interval;
-    } else {
-      // No interval specified, estimate based on yardage
-      const yardage = extractYardage(trimmed);
-      if (yardage > 0) {
-        // Rough estimate: 1:30 per 100 yards (90 sec / 100 yds)
-        totalSeconds += Math.ceil((yardage / 100) * 90);
-      }
-    }
-  }
-
-  console.log('Total seconds:', totalSeconds);
-  return totalSeconds;
+export function calculateSectionTime(text, basePacePer100 = 0) {
+  return analyzeSection(text, { defaultPacePer100: DEFAULT_PACE_PER_100, basePacePer100 }).timeSeconds;
 }
 
 /**
@@ -252,22 +82,7 @@ export function calculateSectionTime(text) {
  * @returns {number} - Total yardage
  */
 export function calculateSectionYardage(text) {
-  if (!text || typeof text !== 'string') return 0;
-
-  const expanded = expandBlocks(text);
-
-  let totalYardage = 0;
-  const lines = expanded.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-    if (/^break/i.test(trimmed)) continue;
-
-    totalYardage += extractYardage(trimmed);
-  }
-
-  return totalYardage;
+  return analyzeSection(text).yardage;
 }
 
 /**
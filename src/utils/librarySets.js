@@ -0,0 +1,79 @@
+/**
+ * Conversions between Practice Builder sections and Sets Library entries.
+ *
+ * Builder swim sections keep their text in `content`; library sets (like
+ * saved practices) keep it in `text`. Group splits carry their groups over
+ * with fresh ids so the same set can be dropped into a practice twice.
+ */
+
+/**
+ * Library payload for a builder section
+ * @param {Object} section - Builder section ({ name, type, content, groups })
+ * @param {Object} meta - { name, tags, pool, notes }
+ * @returns {Object} - { name, type, text, groups, tags, pool, notes }
+ */
+export function sectionToSet(section, meta = {}) {
+  const base = {
+    name: meta.name || section.name || "Untitled set",
+    type: section.type === "group-split" ? "group-split" : "swim",
+    tags: parseTags(meta.tags),
+    pool: meta.pool || "",
+    notes: meta.notes || "",
+  };
+
+  if (base.type === "group-split") {
+    return {
+      ...base,
+      text: "",
+      groups: (section.groups || []).map((g) => ({
+        name: g.name,
+        sections: (g.sections || []).map((gs) => ({ type: "swim", title: gs.title || "Section", text: gs.text || "" })),
+      })),
+    };
+  }
+  return { ...base, text: section.content || "", groups: [] };
+}
+
+/**
+ * Builder section for a library set
+ * @param {Object} set - Library set ({ name, type, text, groups })
+ * @param {string} id - Id for the new builder section
+ * @returns {Object} - Builder section
+ */
+export function setToSection(set, id = Date.now().toString()) {
+  if (set.type === "group-split") {
+    return {
+      id,
+      name: set.name,
+      title: set.name,
+      type: "group-split",
+      groups: (set.groups || []).map((g, gi) => ({
+        id: `group-${id}-${gi}`,
+        name: g.name,
+        sections: (g.sections || []).map((gs, si) => ({
+          id: `section-${id}-${gi}-${si}`,
+          type: "swim",
+          title: gs.title || "Section",
+          text: gs.text || "",
+          yardage: 0,
+          timeSeconds: 0,
+        })),
+        totalYardage: 0,
+        totalTimeSeconds: 0,
+      })),
+      longestTimeSeconds: 0,
+      divergenceSeconds: 0,
+    };
+  }
+  return { id, name: set.name, type: "swim", content: set.text || "" };
+}
+
+/**
+ * Normalize tags typed as "kick, aerobic" or given as an array
+ * @param {string|Array} tags - Tags
+ * @returns {Array} - Lowercase, trimmed, unique tags
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
@@ -0,0 +1,49 @@
+import { sectionToSet, setToSection, parseTags } from "./librarySets";
+
+// ─── parseTags ────────────────────────────────────────────────────────────────
+describe("parseTags", () => {
+  test("splits, trims, lowercases and de-duplicates", () => {
+    expect(parseTags(" Kick, aerobic ,kick,, ")).toEqual(["kick", "aerobic"]);
+    expect(parseTags(["IM", "im"])).toEqual(["im"]);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+});
+
+// ─── sectionToSet ─────────────────────────────────────────────────────────────
+describe("sectionToSet", () => {
+  test("swim sections store their content as text", () => {
+    const set = sectionToSet({ name: "Main Set", type: "swim", content: "8 x 100 @ 1:30" }, { tags: "threshold" });
+    expect(set).toMatchObject({ name: "Main Set", type: "swim", text: "8 x 100 @ 1:30", groups: [], tags: ["threshold"] });
+  });
+
+  test("group splits keep group names and section text only", () => {
+    const set = sectionToSet({
+      name: "Split",
+      type: "group-split",
+      groups: [{ id: "g1", name: "Gold", totalYardage: 800, sections: [{ id: "s1", title: "Main", text: "8 x 100", yardage: 800 }] }],
+    });
+    expect(set.groups).toEqual([{ name: "Gold", sections: [{ type: "swim", title: "Main", text: "8 x 100" }] }]);
+  });
+});
+
+// ─── setToSection ─────────────────────────────────────────────────────────────
+describe("setToSection", () => {
+  test("swim sets become editable swim sections", () => {
+    expect(setToSection({ name: "Kick", type: "swim", text: "4 x 50 Kick" }, "9")).toEqual({
+      id: "9",
+      name: "Kick",
+      type: "swim",
+      content: "4 x 50 Kick",
+    });
+  });
+
+  test("group splits get fresh group and section ids", () => {
+    const section = setToSection(
+      { name: "Split", type: "group-split", groups: [{ name: "A", sections: [{ text: "200" }] }, { name: "B", sections: [] }] },
+      "42"
+    );
+    expect(section.type).toBe("group-split");
+    expect(section.groups.map((g) => g.id)).toEqual(["group-42-0", "group-42-1"]);
+    expect(section.groups[0].sections[0]).toMatchObject({ id: "section-42-0-0", text: "200" });
+  });
+});
@@ -0,0 +1,404 @@
+/**
+ * meetImport.js
+ *
+ * Parses meet result files into plain result rows for the meet importer:
+ *   - SDIF v3 (.sd3 / .cl2) — fixed-width 160-column records (B1 meet,
+ *     C1 team, D0 individual event, D3 athlete info, G0 splits)
+ *   - Meet Manager / Team Manager CSV exports with a header row
+ *
+ * Each result carries an `athlete` identity ({ firstName, lastName,
+ * usaSwimmingId, dob, ... }) that the server matches against the roster.
+ * Relays, no-swims and rows that cannot be read are returned in `skipped`.
+ */
+import { parseSwimTime } from "./formatTime";
+
+const STROKES = [
+  { name: "Free", pattern: /^(free(style)?|fr)$/i },
+  { name: "Back", pattern: /^(back(stroke)?|bk)$/i },
+  { name: "Breast", pattern: /^(breast(stroke)?|br)$/i },
+  { name: "Fly", pattern: /^(fly|butterfly)$/i },
+  { name: "IM", pattern: /^(im|i\.m\.|individual medley|medley)$/i },
+];
+
+const SDIF_STROKES = { 1: "Free", 2: "Back", 3: "Breast", 4: "Fly", 5: "IM" };
+const SDIF_COURSES = { 1: "SCM", S: "SCM", 2: "SCY", Y: "SCY", 3: "LCM", L: "LCM" };
+const NO_SWIM = /^(NS|SCR|DNF|NT|DFS|DNS)$/i;
+
+/** Canonical stroke name ("Free", "Back", …) or null */
+export function normalizeStroke(text) {
+  const t = String(text || "").trim().replace(/\s+/g, " ");
+  return STROKES.find((s) => s.pattern.test(t))?.name || null;
+}
+
+/**
+ * Canonical course from a course code or label.
+ * @param {string} text - "SCY", "Y", "25Y", "LCM", "L", "2", "Long Course Meters", …
+ * @returns {string|null} - "SCY" | "SCM" | "LCM"
+ */
+export function normalizeCourse(text) {
+  const t = String(text || "").trim().toUpperCase();
+  if (!t) return null;
+  if (SDIF_COURSES[t]) return SDIF_COURSES[t];
+  if (/^(SCY|25Y|YARDS?|SHORT COURSE YARDS)$/.test(t)) return "SCY";
+  if (/^(SCM|25M|SHORT COURSE MET(ER|RE)S)$/.test(t)) return "SCM";
+  if (/^(LCM|50M|LONG COURSE MET(ER|RE)S|LC)$/.test(t)) return "LCM";
+  return null;
+}
+
+/**
+ * Canonical event from a description such as "Girls 11-12 100 Yard Freestyle".
+ * @param {string} text
+ * @returns {{event: string, course: string|null, relay: boolean}|null}
+ */
+export function parseEventName(text) {
+  const t = String(text || "");
+  const relay = /relay/i.test(t);
+  const m = t.match(/(\d{2,4})\s*(LC\s*|SC\s*|Long Course\s*|Short Course\s*)?(y(?:ar)?ds?|m(?:et(?:er|re)s?)?)?\s+(free(?:style)?|back(?:stroke)?|breast(?:stroke)?|fly|butterfly|i\.?m\.?|individual medley|medley)\b/i);
+  if (!m) return null;
+
+  const stroke = normalizeStroke(m[4]);
+  let course = null;
+  if (m[3]) {
+    if (/^y/i.test(m[3])) course = "SCY";
+    else course = /^(LC|Long)/i.test(m[2] || "") ? "LCM" : "SCM";
+  } else if (m[2]) {
+    course = /^(LC|Long)/i.test(m[2]) ? "LCM" : null;
+  }
+  return { event: `${parseInt(m[1], 10)} ${stroke}`, course, relay };
+}
+
+/**
+ * Read a result time cell.
+ * Strips Hy-Tek course suffixes ("1:03.45Y") and exhibition marks ("x59.10").
+ * @param {string} text
+ * @returns {{time: number|null, dq: boolean, noSwim: boolean}}
+ */
+export function parseResultTime(text) {
+  const t = String(text || "").trim();
+  if (!t || NO_SWIM.test(t)) return { time: null, dq: false, noSwim: true };
+  if (/^DQ$/i.test(t)) return { time: null, dq: true, noSwim: false };
+  const cleaned = t.replace(/^[xX*]/, "").replace(/[YSLyslJj]$/, "");
+  const time = parseSwimTime(cleaned);
+  if (time == null || time <= 0 || !/^\d{1,2}(:\d{2})?(\.\d+)?$/.test(cleaned)) {
+    return { time: null, dq: false, noSwim: true };
+  }
+  return { time: Math.round(time * 100) / 100, dq: false, noSwim: false };
+}
+
+/**
+ * Date from "MMDDYYYY", "MM/DD/YYYY", "M/D/YY" or "YYYY-MM-DD".
+ * @returns {string|null} - "YYYY-MM-DD"
+ */
+export function parseImportDate(text) {
+  const t = String(text || "").trim();
+  let y, m, d;
+  let match;
+  if ((match = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) [, y, m, d] = match;
+  else if ((match = t.match(/^(\d{2})(\d{2})(\d{4})$/))) [, m, d, y] = match;
+  else if ((match = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+    [, m, d, y] = match;
+    if (y.length === 2) y = Number(y) > 50 ? `19${y}` : `20${y}`;
+  } else return null;
+
+  const key = `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  return Number.isNaN(Date.parse(`${key}T00:00:00Z`)) ? null : key;
+}
+
+/** "Last, First M" or "First Last" → { firstName, lastName } */
+export function splitName(text) {
+  const t = String(text || "").trim().replace(/\s+/g, " ");
+  if (t.includes(",")) {
+    const [last, rest = ""] = t.split(",").map((s) => s.trim());
+    const parts = rest.split(" ").filter(Boolean);
+    if (parts.length > 1 && /^[A-Z]\.?$/i.test(parts[parts.length - 1])) parts.pop();   // middle initial
+    return { firstName: parts.join(" "), lastName: last };
+  }
+  const parts = t.split(" ");
+  return { firstName: parts.slice(0, -1).join(" "), lastName: parts[parts.length - 1] || "" };
+}
+
+/** Key that groups one athlete's results together */
+export function athleteKey(athlete) {
+  if (athlete.usaSwimmingId) return `id:${athlete.usaSwimmingId.toUpperCase()}`;
+  return `name:${athlete.lastName}|${athlete.firstName}|${athlete.dob || ""}`.toLowerCase();
+}
+
+// ─── SDIF ───────────────────────────────────────────────────────────────────
+
+/** Fixed-width field, 1-based start column as in the SDIF spec */
+const col = (line, start, length) => line.slice(start - 1, start - 1 + length).trim();
+
+function parseSdif(text) {
+  const meet = { name: "", startDate: null, endDate: null, course: null, location: "" };
+  const results = [];
+  const skipped = [];
+  let team = "";
+  let lastSwims = [];   // results produced by the latest D0, for D3/G0 follow-ups
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const code = line.slice(0, 2);
+    const lineNo = i + 1;
+
+    if (code === "B1") {
+      meet.name = col(line, 12, 30);
+      const city = col(line, 86, 20);
+      const state = col(line, 106, 2);
+      meet.location = [city, state].filter(Boolean).join(", ");
+      meet.startDate = parseImportDate(col(line, 122, 8));
+      meet.endDate = parseImportDate(col(line, 130, 8));
+      meet.course = SDIF_COURSES[col(line, 150, 1)] || null;
+    } else if (code === "C1") {
+      team = col(line, 12, 6);
+    } else if (code === "D0") {
+      lastSwims = [];
+      const stroke = SDIF_STROKES[col(line, 72, 1)];
+      const distance = parseInt(col(line, 68, 4), 10);
+      if (!stroke || !distance) {
+        skipped.push({ line: lineNo, reason: "Relay or unknown stroke" });
+        return;
+      }
+
+      const athlete = {
+        ...splitName(col(line, 12, 28)),
+        usaSwimmingId: col(line, 40, 12) || undefined,
+        dob: parseImportDate(col(line, 56, 8)),
+        age: parseInt(col(line, 64, 2), 10) || undefined,
+        gender: col(line, 66, 1) || undefined,
+        team: team || undefined,
+      };
+      const base = {
+        athlete,
+        event: `${distance} ${stroke}`,
+        date: parseImportDate(col(line, 81, 8)) || meet.startDate,
+        seedTime: parseResultTime(col(line, 89, 8)).time || undefined,
+      };
+
+      const swims = [
+        { round: "prelim", time: col(line, 98, 8), course: col(line, 106, 1), heat: col(line, 125, 2), lane: col(line, 127, 2), place: col(line, 133, 3) },
+        { round: "swim-off", time: col(line, 107, 8), course: col(line, 115, 1) },
+        { round: "final", time: col(line, 116, 8), course: col(line, 124, 1), heat: col(line, 129, 2), lane: col(line, 131, 2), place: col(line, 136, 3) },
+      ];
+      const hasPrelim = !parseResultTime(swims[0].time).noSwim || swims[0].course === "X";
+
+      swims.forEach((swim) => {
+        const parsed = parseResultTime(swim.time);
+        const dq = parsed.dq || swim.course === "X";
+        if (parsed.noSwim && !dq) return;
+        const result = {
+          ...base,
+          round: swim.round === "final" && !hasPrelim ? "timed-final" : swim.round,
+          course: SDIF_COURSES[swim.course] || meet.course,
+          time: dq ? null : parsed.time,
+          dq,
+          heat: parseInt(swim.heat, 10) || undefined,
+          lane: parseInt(swim.lane, 10) || undefined,
+          place: parseInt(swim.place, 10) || undefined,
+          splits: [],
+        };
+        results.push(result);
+        lastSwims.push(result);
+      });
+
+      if (lastSwims.length === 0) skipped.push({ line: lineNo, reason: `No swim for ${athlete.firstName} ${athlete.lastName} (${base.event})` });
+    } else if (code === "D3") {
+      // Newer 14-character member id and preferred first name for the preceding D0
+      const memberId = col(line, 3, 14);
+      const preferred = col(line, 17, 15);
+      lastSwims.forEach((r) => {
+        if (memberId) r.athlete.memberId = memberId;
+        if (preferred) r.athlete.preferredName = preferred;
+      });
+    } else if (code === "G0") {
+      const splitCode = col(line, 63, 1);
+      const roundCode = col(line, 144, 1);
+      const target =
+        lastSwims.find((r) => (roundCode === "P" ? r.round === "prelim" : r.round !== "prelim")) ||
+        lastSwims[lastSwims.length - 1];
+      if (!target) return;
+      for (let k = 0; k < 10; k++) {
+        const t = parseResultTime(col(line, 64 + k * 8, 8)).time;
+        if (!t) continue;
+        const prev = target.splits[target.splits.length - 1] || 0;
+        target.splits.push(splitCode === "I" ? Math.round((prev + t) * 100) / 100 : t);
+      }
+    }
+  });
+
+  return { format: "sdif", meet, results, skipped };
+}
+
+// ─── CSV ────────────────────────────────────────────────────────────────────
+
+/**
+ * Split CSV text into rows of cells (handles quoted cells, "" escapes,
+ * and comma / semicolon / tab delimiters).
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const delimiter = ["\t", ";", ","].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ",");
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim()); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim()); cell = "";
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+const CSV_COLUMNS = {
+  lastName: ["last", "lastname", "athletelast", "surname"],
+  firstName: ["first", "firstname", "athletefirst", "preferred", "preferredname"],
+  name: ["name", "athlete", "swimmer", "athletename", "swimmername"],
+  usaSwimmingId: ["id", "usaswimmingid", "ussid", "uss", "ussno", "usaid", "regno", "registrationid", "memberid"],
+  dob: ["dob", "birthdate", "birthday", "dateofbirth"],
+  age: ["age"],
+  gender: ["sex", "gender"],
+  team: ["team", "teamcode", "club", "teamabbr"],
+  event: ["event", "eventname", "eventdescription", "eventdesc"],
+  distance: ["distance", "dist"],
+  stroke: ["stroke"],
+  course: ["course"],
+  time: ["time", "finalstime", "finaltime", "finals", "result", "swimtime", "besttime"],
+  prelimTime: ["prelimtime", "prelimstime", "prelims"],
+  place: ["place", "pl", "rank", "finalsplace"],
+  heat: ["heat"],
+  lane: ["lane"],
+  date: ["date", "swimdate", "meetdate"],
+  meet: ["meet", "meetname"],
+};
+
+const headerKey = (h) => h.toLowerCase().replace(/[^a-z]/g, "");
+
+function mapHeader(header) {
+  const map = {};
+  header.forEach((h, idx) => {
+    const key = headerKey(h);
+    const field = Object.keys(CSV_COLUMNS).find((f) => CSV_COLUMNS[f].includes(key));
+    if (field && map[field] === undefined) map[field] = idx;
+  });
+  return map;
+}
+
+function parseCsvResults(text) {
+  const rows = parseCsv(text);
+  const headerIdx = rows.findIndex((r) => Object.keys(mapHeader(r)).length >= 3);
+  if (headerIdx === -1) {
+    return { format: "csv", meet: { name: "", startDate: null, endDate: null, course: null, location: "" }, results: [], skipped: [{ line: 1, reason: "No header row with name, event and time columns found" }] };
+  }
+
+  const map = mapHeader(rows[headerIdx]);
+  const results = [];
+  const skipped = [];
+  const meetNames = new Map();
+  const dates = [];
+
+  rows.slice(headerIdx + 1).forEach((row, i) => {
+    const lineNo = headerIdx + i + 2;
+    const get = (field) => (map[field] !== undefined ? row[map[field]] || "" : "");
+
+    const name = get("lastName") || get("firstName")
+      ? { firstName: get("firstName"), lastName: get("lastName") }
+      : splitName(get("name"));
+    if (!name.lastName) {
+      skipped.push({ line: lineNo, reason: "Missing athlete name" });
+      return;
+    }
+
+    let eventInfo = parseEventName(get("event"));
+    if (!eventInfo && get("distance") && normalizeStroke(get("stroke"))) {
+      eventInfo = { event: `${parseInt(get("distance"), 10)} ${normalizeStroke(get("stroke"))}`, course: null, relay: false };
+    }
+    if (!eventInfo || eventInfo.relay) {
+      skipped.push({ line: lineNo, reason: eventInfo?.relay ? "Relay" : `Unknown event "${get("event") || get("stroke")}"` });
+      return;
+    }
+
+    const timeCell = get("time");
+    const course =
+      normalizeCourse(get("course")) ||
+      eventInfo.course ||
+      (/[YSL]$/i.test(timeCell) ? normalizeCourse(timeCell.slice(-1)) : null);   // Hy-Tek "1:03.45Y"
+    const date = parseImportDate(get("date"));
+    if (date) dates.push(date);
+    if (get("meet")) meetNames.set(get("meet"), (meetNames.get(get("meet")) || 0) + 1);
+
+    const athlete = {
+      ...name,
+      usaSwimmingId: get("usaSwimmingId") || undefined,
+      dob: parseImportDate(get("dob")),
+      age: parseInt(get("age"), 10) || undefined,
+      gender: get("gender").charAt(0).toUpperCase() || undefined,
+      team: get("team") || undefined,
+    };
+
+    const swims = [];
+    if (get("prelimTime")) swims.push({ round: "prelim", cell: get("prelimTime") });
+    swims.push({ round: swims.length ? "final" : "timed-final", cell: timeCell });
+
+    let added = 0;
+    swims.forEach(({ round, cell }) => {
+      const parsed = parseResultTime(cell);
+      if (parsed.noSwim) return;
+      results.push({
+        athlete,
+        event: eventInfo.event,
+        course,
+        round,
+        time: parsed.time,
+        dq: parsed.dq,
+        place: round === "prelim" ? undefined : parseInt(get("place"), 10) || undefined,
+        heat: parseInt(get("heat"), 10) || undefined,
+        lane: parseInt(get("lane"), 10) || undefined,
+        date,
+        splits: [],
+      });
+      added++;
+    });
+    if (added === 0) skipped.push({ line: lineNo, reason: `No time for ${name.firstName} ${name.lastName} (${eventInfo.event})` });
+  });
+
+  dates.sort();
+  const courses = [...new Set(results.map((r) => r.course).filter(Boolean))];
+  const meet = {
+    name: [...meetNames.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || "",
+    startDate: dates[0] || null,
+    endDate: dates[dates.length - 1] || null,
+    course: courses.length === 1 ? courses[0] : null,
+    location: "",
+  };
+  return { format: "csv", meet, results, skipped };
+}
+
+/**
+ * Parse a meet results file. SDIF is detected from its record codes, so
+ * .cl2/.sd3 files that were renamed still parse; everything else is CSV.
+ * @param {string} text - file contents
+ * @param {string} [filename]
+ * @returns {{format: string, meet: Object, results: Object[], skipped: Object[]}}
+ */
+export function parseMeetFile(text, filename = "") {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  const isSdif = /\.(sd3|cl2)$/i.test(filename) || /^(A0|B1)/m.test(content.slice(0, 400));
+  return isSdif ? parseSdif(content) : parseCsvResults(content);
+}
@@ -0,0 +1,153 @@
+import {
+  normalizeCourse,
+  parseEventName,
+  parseResultTime,
+  parseImportDate,
+  splitName,
+  athleteKey,
+  parseCsv,
+  parseMeetFile,
+} from "./meetImport";
+
+/** Build a fixed-width SDIF record from { column: value } (1-based columns) */
+function record(code, fields) {
+  const line = Array(160).fill(" ");
+  line.splice(0, 2, ...code);
+  Object.entries(fields).forEach(([start, value]) => {
+    String(value).split("").forEach((ch, i) => { line[Number(start) - 1 + i] = ch; });
+  });
+  return line.join("");
+}
+
+const rightAlign = (value, width) => String(value).padStart(width, " ");
+
+// ─── field helpers ────────────────────────────────────────────────────────────
+describe("field helpers", () => {
+  test("normalizeCourse reads SDIF codes and labels", () => {
+    expect(normalizeCourse("Y")).toBe("SCY");
+    expect(normalizeCourse("3")).toBe("LCM");
+    expect(normalizeCourse("25M")).toBe("SCM");
+    expect(normalizeCourse("pool")).toBeNull();
+  });
+
+  test("parseEventName finds distance, stroke and course", () => {
+    expect(parseEventName("Girls 11-12 100 Yard Freestyle")).toEqual({ event: "100 Free", course: "SCY", relay: false });
+    expect(parseEventName("200 LC Meter IM")).toEqual({ event: "200 IM", course: "LCM", relay: false });
+    expect(parseEventName("Boys 200 Medley Relay").relay).toBe(true);
+    expect(parseEventName("Diving")).toBeNull();
+  });
+
+  test("parseResultTime handles suffixes, DQs and no-swims", () => {
+    expect(parseResultTime("1:03.45Y")).toEqual({ time: 63.45, dq: false, noSwim: false });
+    expect(parseResultTime("x29.10")).toEqual({ time: 29.1, dq: false, noSwim: false });
+    expect(parseResultTime("DQ")).toEqual({ time: null, dq: true, noSwim: false });
+    expect(parseResultTime("NS").noSwim).toBe(true);
+    expect(parseResultTime("").noSwim).toBe(true);
+  });
+
+  test("parseImportDate accepts SDIF, US and ISO dates", () => {
+    expect(parseImportDate("03152026")).toBe("2026-03-15");
+    expect(parseImportDate("3/5/26")).toBe("2026-03-05");
+    expect(parseImportDate("2026-03-15")).toBe("2026-03-15");
+    expect(parseImportDate("soon")).toBeNull();
+  });
+
+  test("splitName drops middle initials", () => {
+    expect(splitName("Smith, Jane A")).toEqual({ firstName: "Jane", lastName: "Smith" });
+    expect(splitName("Jane Smith")).toEqual({ firstName: "Jane", lastName: "Smith" });
+  });
+
+  test("athleteKey prefers the member id", () => {
+    expect(athleteKey({ usaSwimmingId: "abc123", firstName: "J", lastName: "S" })).toBe("id:ABC123");
+    expect(athleteKey({ firstName: "Jane", lastName: "Smith", dob: "2012-01-02" })).toBe("name:smith|jane|2012-01-02");
+  });
+});
+
+// ─── parseCsv ─────────────────────────────────────────────────────────────────
+describe("parseCsv", () => {
+  test("handles quotes, escaped quotes and blank lines", () => {
+    expect(parseCsv('a,"b, c","say ""hi"""\r\n\r\n1,2,3')).toEqual([["a", "b, c", 'say "hi"'], ["1", "2", "3"]]);
+  });
+
+  test("detects tab delimiters", () => {
+    expect(parseCsv("a\tb\n1\t2")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+});
+
+// ─── parseMeetFile: SDIF ──────────────────────────────────────────────────────
+describe("parseMeetFile (SDIF)", () => {
+  const sdif = [
+    record("A0", { 12: "3.0" }),
+    record("B1", { 12: "Spring Invitational", 86: "Austin", 106: "TX", 122: "03142026", 130: "03152026", 150: "Y" }),
+    record("C1", { 12: "STSA" }),
+    record("D0", {
+      12: "Smith, Jane A", 40: "012345JANSMI", 56: "01022012", 64: "14", 66: "F", 67: "F",
+      68: rightAlign(100, 4), 72: "1", 81: "03142026",
+      98: rightAlign("59.80", 8), 106: "Y", 116: rightAlign("58.91", 8), 124: "Y",
+      125: " 2", 127: " 4", 129: " 1", 131: " 5", 133: "  3", 136: "  1",
+    }),
+    record("G0", { 16: "Smith, Jane A", 56: "1", 57: " 2", 59: rightAlign(50, 4), 63: "C", 64: rightAlign("28.40", 8), 72: rightAlign("58.91", 8), 144: "F" }),
+    record("D0", { 12: "Lee, Sam", 56: "05062011", 66: "M", 68: rightAlign(50, 4), 72: "4", 116: rightAlign("DQ", 8), 124: "X" }),
+    record("D0", { 12: "Lee, Sam", 68: rightAlign(200, 4), 72: "6", 116: rightAlign("1:50.00", 8) }),
+    record("D0", { 12: "Lee, Sam", 68: rightAlign(100, 4), 72: "2", 116: rightAlign("NS", 8) }),
+  ].join("\n");
+
+  const parsed = parseMeetFile(sdif, "results.cl2");
+
+  test("reads the meet record", () => {
+    expect(parsed.format).toBe("sdif");
+    expect(parsed.meet).toEqual({
+      name: "Spring Invitational",
+      location: "Austin, TX",
+      startDate: "2026-03-14",
+      endDate: "2026-03-15",
+      course: "SCY",
+    });
+  });
+
+  test("splits prelim and final swims and attaches splits to the final", () => {
+    const jane = parsed.results.filter((r) => r.athlete.lastName === "Smith");
+    expect(jane.map((r) => [r.round, r.time, r.place])).toEqual([["prelim", 59.8, 3], ["final", 58.91, 1]]);
+    expect(jane[0].athlete).toMatchObject({ firstName: "Jane", usaSwimmingId: "012345JANSMI", dob: "2012-01-02", team: "STSA" });
+    expect(jane[1]).toMatchObject({ event: "100 Free", course: "SCY", heat: 1, lane: 5, date: "2026-03-14", splits: [28.4, 58.91] });
+  });
+
+  test("keeps DQs and skips relays and no-swims", () => {
+    const dq = parsed.results.find((r) => r.athlete.lastName === "Lee");
+    expect(dq).toMatchObject({ event: "50 Fly", dq: true, time: null, round: "timed-final", date: "2026-03-14" });
+    expect(parsed.results).toHaveLength(3);
+    expect(parsed.skipped).toHaveLength(2);
+  });
+});
+
+// ─── parseMeetFile: CSV ───────────────────────────────────────────────────────
+describe("parseMeetFile (CSV)", () => {
+  test("maps Meet Manager style columns", () => {
+    const csv = [
+      "Meet,Last Name,First Name,USS#,Birth Date,Sex,Event,Finals Time,Place,Date",
+      'Fall Classic,Smith,Jane,012345JANSMI,01/02/2012,F,"Girls 13-14 200 Yard IM",2:25.10Y,2,10/05/2026',
+      "Fall Classic,Lee,Sam,,,M,Boys 200 Free Relay,1:50.00,1,10/05/2026",
+      "Fall Classic,Lee,Sam,,,M,Boys 50 Yard Fly,NS,,10/05/2026",
+    ].join("\n");
+    const parsed = parseMeetFile(csv, "export.csv");
+
+    expect(parsed.format).toBe("csv");
+    expect(parsed.meet).toMatchObject({ name: "Fall Classic", startDate: "2026-10-05", course: "SCY" });
+    expect(parsed.results).toHaveLength(1);
+    expect(parsed.results[0]).toMatchObject({
+      athlete: { firstName: "Jane", lastName: "Smith", usaSwimmingId: "012345JANSMI", dob: "2012-01-02", gender: "F" },
+      event: "200 IM",
+      course: "SCY",
+      time: 145.1,
+      place: 2,
+      round: "timed-final",
+    });
+    expect(parsed.skipped.map((s) => s.reason)).toEqual(["Relay", "No time for Sam Lee (50 Fly)"]);
+  });
+
+  test("reports files without a usable header", () => {
+    const parsed = parseMeetFile("just,some\nrandom,text", "x.csv");
+    expect(parsed.results).toEqual([]);
+    expect(parsed.skipped).toHaveLength(1);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * meetResults.js
+ *
+ * Helpers for entering and displaying meet results: the standard individual
+ * events, split parsing, and grouping results by event.
+ */
+import { parseSwimTime } from "./formatTime";
+
+export const COURSES = ["SCY", "SCM", "LCM"];
+
+export const SWIM_EVENTS = [
+  "50 Free", "100 Free", "200 Free", "400 Free", "500 Free", "800 Free", "1000 Free", "1500 Free", "1650 Free",
+  "50 Back", "100 Back", "200 Back",
+  "50 Breast", "100 Breast", "200 Breast",
+  "50 Fly", "100 Fly", "200 Fly",
+  "100 IM", "200 IM", "400 IM",
+];
+
+export const ROUNDS = [
+  { value: "timed-final", label: "Timed final" },
+  { value: "prelim", label: "Prelim" },
+  { value: "swim-off", label: "Swim-off" },
+  { value: "final", label: "Final" },
+];
+
+/** Distance in yards/meters from an event name, e.g. "200 IM" → 200 */
+export function eventDistance(event) {
+  const m = String(event || "").match(/^(\d+)/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Parse a comma/space separated list of cumulative split times.
+ * Returns null when any split is unreadable or splits go backwards.
+ * @param {string} str - e.g. "28.1, 59.4" or "28.10 59.40"
+ * @returns {number[]|null} - seconds, cumulative
+ */
+export function parseSplits(str) {
+  const parts = String(str || "").split(/[\s,;]+/).filter(Boolean);
+  const splits = [];
+  for (const part of parts) {
+    const secs = parseSwimTime(part);
+    if (secs == null || secs <= 0) return null;
+    if (splits.length > 0 && secs <= splits[splits.length - 1]) return null;
+    splits.push(Math.round(secs * 100) / 100);
+  }
+  return splits;
+}
+
+/**
+ * Per-leg times from cumulative splits.
+ * @param {number[]} splits - cumulative seconds
+ * @returns {number[]} - seconds per leg
+ */
+export function splitDeltas(splits) {
+  return (splits || []).map((s, i) => Math.round((s - (i > 0 ? splits[i - 1] : 0)) * 100) / 100);
+}
+
+/**
+ * Group results by event (meet event order first, then alphabetical),
+ * legal swims ranked by place then time, DQs last.
+ * @param {Object[]} results
+ * @param {Object[]} meetEvents - meet.events, for ordering
+ * @returns {{event: string, results: Object[]}[]}
+ */
+export function groupResultsByEvent(results, meetEvents = []) {
+  const order = new Map(meetEvents.map((e, i) => [e.event, e.number ?? i + 1]));
+  const groups = new Map();
+  (results || []).forEach((r) => {
+    if (!groups.has(r.event)) groups.set(r.event, []);
+    groups.get(r.event).push(r);
+  });
+
+  const rank = (r) => [r.dq ? 1 : 0, r.place ?? Infinity, r.time ?? Infinity];
+  const compare = (a, b) => {
+    const ra = rank(a), rb = rank(b);
+    for (let i = 0; i < ra.length; i++) if (ra[i] !== rb[i]) return ra[i] - rb[i];
+    return 0;
+  };
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => {
+      const oa = order.get(a) ?? Infinity, ob = order.get(b) ?? Infinity;
+      return oa !== ob ? oa - ob : a.localeCompare(b);
+    })
+    .map(([event, list]) => ({ event, results: [...list].sort(compare) }));
+}
@@ -0,0 +1,43 @@
+import { eventDistance, parseSplits, splitDeltas, groupResultsByEvent } from "./meetResults";
+
+// ─── eventDistance ────────────────────────────────────────────────────────────
+describe("eventDistance", () => {
+  test("reads the leading distance", () => {
+    expect(eventDistance("200 IM")).toBe(200);
+    expect(eventDistance("Free")).toBeNull();
+  });
+});
+
+// ─── parseSplits / splitDeltas ────────────────────────────────────────────────
+describe("parseSplits", () => {
+  test("accepts comma or space separated cumulative splits", () => {
+    expect(parseSplits("28.1, 59.4 1:31.22")).toEqual([28.1, 59.4, 91.22]);
+    expect(parseSplits("")).toEqual([]);
+  });
+
+  test("rejects unreadable or non-increasing splits", () => {
+    expect(parseSplits("28.1, abc")).toBeNull();
+    expect(parseSplits("59.4, 28.1")).toBeNull();
+  });
+});
+
+describe("splitDeltas", () => {
+  test("turns cumulative splits into leg times", () => {
+    expect(splitDeltas([28.1, 59.4, 91.22])).toEqual([28.1, 31.3, 31.82]);
+  });
+});
+
+// ─── groupResultsByEvent ──────────────────────────────────────────────────────
+describe("groupResultsByEvent", () => {
+  test("orders events by the meet's event numbers and ranks swims", () => {
+    const results = [
+      { _id: "a", event: "100 Free", time: 55, place: 2 },
+      { _id: "b", event: "50 Back", time: 30 },
+      { _id: "c", event: "100 Free", time: 54, place: 1 },
+      { _id: "d", event: "100 Free", dq: true },
+    ];
+    const grouped = groupResultsByEvent(results, [{ event: "50 Back", number: 1 }, { event: "100 Free", number: 2 }]);
+    expect(grouped.map((g) => g.event)).toEqual(["50 Back", "100 Free"]);
+    expect(grouped[1].results.map((r) => r._id)).toEqual(["c", "a", "d"]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * practiceDiff.js
+ *
+ * Compares two saved versions of a practice for the revision history panel:
+ * the plain fields (title, date, roster…), and each section's text (line by
+ * line), yardage and time. Sections are matched by position.
+ */
+
+export const REVISION_FIELD_LABELS = {
+  title: "Title",
+  date: "Date",
+  roster: "Roster",
+  rosterGroup: "Roster",
+  season: "Season",
+  pool: "Pool",
+  startTime: "Start time",
+  sections: "Sections",
+  totals: "Totals",
+  notes: "Notes",
+};
+
+const PLAIN_FIELDS = ["title", "date", "roster", "season", "pool", "startTime", "notes"];
+
+/**
+ * One section as text, yardage and time. Group splits list each group's sets
+ * under a "[Group]" line and count the longest group, like the practice totals.
+ * @param {Object} section - Saved practice section
+ * @returns {{ title: string, text: string, yardage: number, timeSeconds: number }}
+ */
+export function summarizeSection(section = {}) {
+  if (section.type === "group-split") {
+    const groups = section.groups || [];
+    return {
+      title: section.title || "Group Split",
+      text: groups
+        .map((g) => [`[${g.name}]`, ...(g.sections || []).map((gs) => gs.text || "")].join("\n"))
+        .join("\n"),
+      yardage: Math.max(0, ...groups.map((g) => g.totalYardage || 0)),
+      timeSeconds: section.longestTimeSeconds || 0,
+    };
+  }
+  return {
+    title: section.title || "",
+    text: section.text || "",
+    yardage: section.yardage || 0,
+    timeSeconds: section.timeSeconds || 0,
+  };
+}
+
+/**
+ * Line diff (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: "same"|"added"|"removed", line: string }>}
+ */
+export function diffLines(before = "", after = "") {
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
+  // lcs[i][j] = common lines between a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: "same", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: "removed", line: a[i++] });
+    } else {
+      out.push({ type: "added", line: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ type: "removed", line: a[i++] });
+  while (j < b.length) out.push({ type: "added", line: b[j++] });
+  return out;
+}
+
+/**
+ * Differences between two versions of a practice
+ * @param {Object|null} before - Older version (null for the first revision)
+ * @param {Object} after - Newer version
+ * @returns {{ fields: Array<{ field, label, before, after }>,
+ *   sections: Array<{ index, title, status: "added"|"removed"|"changed"|"same",
+ *     lines, yardage: { before, after }, timeSeconds: { before, after } }>,
+ *   totals: { yardage: { before, after }, timeSeconds: { before, after } } }}
+ */
+export function diffPractices(before, after) {
+  const old = before || {};
+  const fields = PLAIN_FIELDS
+    .filter((field) => (old[field] || "") !== (after?.[field] || ""))
+    .map((field) => ({ field, label: REVISION_FIELD_LABELS[field], before: old[field] || "", after: after?.[field] || "" }));
+
+  const oldSections = old.sections || [];
+  const newSections = after?.sections || [];
+  const sections = Array.from({ length: Math.max(oldSections.length, newSections.length) }, (_, index) => {
+    const a = oldSections[index] ? summarizeSection(oldSections[index]) : null;
+    const b = newSections[index] ? summarizeSection(newSections[index]) : null;
+    const status = !a ? "added" : !b ? "removed"
+      : a.title === b.title && a.text === b.text && a.yardage === b.yardage && a.timeSeconds === b.timeSeconds
+        ? "same"
+        : "changed";
+    return {
+      index,
+      title: (b || a).title,
+      previousTitle: a && b && a.title !== b.title ? a.title : undefined,
+      status,
+      lines: diffLines(a?.text, b?.text),
+      yardage: { before: a?.yardage ?? null, after: b?.yardage ?? null },
+      timeSeconds: { before: a?.timeSeconds ?? null, after: b?.timeSeconds ?? null },
+    };
+  });
+
+  return {
+    fields,
+    sections,
+    totals: {
+      yardage: { before: old.totals?.yardage ?? null, after: after?.totals?.yardage ?? null },
+      timeSeconds: { before: old.totals?.timeSeconds ?? null, after: after?.totals?.timeSeconds ?? null },
+    },
+  };
+}
@@ -0,0 +1,68 @@
+import { diffLines, diffPractices, summarizeSection } from "./practiceDiff";
+
+// ─── diffLines ────────────────────────────────────────────────────────────────
+describe("diffLines", () => {
+  test("marks removed and added lines around the common ones", () => {
+    expect(diffLines("400 swim\n8 x 100 @ 1:30\n200 easy", "400 swim\n6 x 100 @ 1:25\n200 easy")).toEqual([
+      { type: "same", line: "400 swim" },
+      { type: "removed", line: "8 x 100 @ 1:30" },
+      { type: "added", line: "6 x 100 @ 1:25" },
+      { type: "same", line: "200 easy" },
+    ]);
+  });
+
+  test("handles empty text on either side", () => {
+    expect(diffLines("", "4 x 50 kick")).toEqual([{ type: "added", line: "4 x 50 kick" }]);
+    expect(diffLines("4 x 50 kick", "")).toEqual([{ type: "removed", line: "4 x 50 kick" }]);
+  });
+});
+
+// ─── summarizeSection ─────────────────────────────────────────────────────────
+describe("summarizeSection", () => {
+  test("group splits count the longest group", () => {
+    const summary = summarizeSection({
+      type: "group-split",
+      title: "Split",
+      longestTimeSeconds: 1800,
+      groups: [
+        { name: "Gold", totalYardage: 2000, sections: [{ text: "20 x 100" }] },
+        { name: "Silver", totalYardage: 1500, sections: [{ text: "15 x 100" }] },
+      ],
+    });
+    expect(summary).toEqual({ title: "Split", text: "[Gold]\n20 x 100\n[Silver]\n15 x 100", yardage: 2000, timeSeconds: 1800 });
+  });
+});
+
+// ─── diffPractices ────────────────────────────────────────────────────────────
+describe("diffPractices", () => {
+  const before = {
+    title: "Tuesday",
+    pool: "SCY",
+    sections: [
+      { type: "swim", title: "Warmup", text: "400 swim", yardage: 400, timeSeconds: 360 },
+      { type: "swim", title: "Main", text: "8 x 100 @ 1:30", yardage: 800, timeSeconds: 720 },
+    ],
+    totals: { yardage: 1200, timeSeconds: 1080 },
+  };
+
+  test("reports changed fields and each section's status", () => {
+    const after = {
+      ...before,
+      title: "Tuesday AM",
+      sections: [
+        before.sections[0],
+        { type: "swim", title: "Main", text: "6 x 100 @ 1:30", yardage: 600, timeSeconds: 540 },
+        { type: "swim", title: "Cooldown", text: "200 easy", yardage: 200, timeSeconds: 240 },
+      ],
+    };
+    const diff = diffPractices(before, after);
+    expect(diff.fields).toEqual([{ field: "title", label: "Title", before: "Tuesday", after: "Tuesday AM" }]);
+    expect(diff.sections.map((s) => s.status)).toEqual(["same", "changed", "added"]);
+    expect(diff.sections[1].yardage).toEqual({ before: 800, after: 600 });
+  });
+
+  test("everything is added when there is no earlier version", () => {
+    const diff = diffPractices(null, before);
+    expect(diff.sections.every((s) => s.status === "added")).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Practice Library filters: the UI keeps them in one object (times in
+ * minutes, as coaches think of them) and sends them to GET /api/practices
+ * as query params; each active filter shows up as a removable chip.
+ */
+
+export const EMPTY_PRACTICE_FILTERS = {
+  favorite: false,
+  pool: "",
+  from: "",
+  to: "",
+  minYardage: "",
+  maxYardage: "",
+  minMinutes: "",
+  maxMinutes: "",
+  stroke: "",
+  style: "",
+  tags: [],
+};
+
+// "relevance" only applies while searching; the server falls back to newest first
+export const PRACTICE_SORT_OPTIONS = [
+  { value: "relevance", label: "Best match" },
+  { value: "date:desc", label: "Newest first" },
+  { value: "date:asc", label: "Oldest first" },
+  { value: "yardage:desc", label: "Most yardage" },
+  { value: "yardage:asc", label: "Least yardage" },
+  { value: "title:asc", label: "Title A–Z" },
+];
+
+const filled = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+/**
+ * Query params for the active filters and sort
+ * @param {Object} filters - See EMPTY_PRACTICE_FILTERS
+ * @param {string} [sortOption] - A PRACTICE_SORT_OPTIONS value ("field:order")
+ * @returns {Object} - Only params with a value
+ */
+export function practiceFilterParams(filters = {}, sortOption = "") {
+  const params = {};
+  if (filters.favorite) params.favorite = "true";
+  for (const key of ["pool", "from", "to", "minYardage", "maxYardage", "stroke", "style"]) {
+    if (filled(filters[key])) params[key] = String(filters[key]).trim();
+  }
+  if (filled(filters.minMinutes)) params.minTimeSeconds = String(Math.round(Number(filters.minMinutes) * 60));
+  if (filled(filters.maxMinutes)) params.maxTimeSeconds = String(Math.round(Number(filters.maxMinutes) * 60));
+  if (filters.tags?.length) params.tag = filters.tags.join(",");
+  if (sortOption) {
+    const [sort, order] = sortOption.split(":");
+    params.sort = sort;
+    if (order) params.order = order;
+  }
+  return params;
+}
+
+function rangeLabel(min, max, unit) {
+  if (filled(min) && filled(max)) return `${min}–${max} ${unit}`;
+  if (filled(min)) return `≥ ${min} ${unit}`;
+  return `≤ ${max} ${unit}`;
+}
+
+/**
+ * One chip per active filter. Range filters share a chip, and removing it
+ * clears every key in `keys`; each tag gets its own chip.
+ * @param {Object} filters - See EMPTY_PRACTICE_FILTERS
+ * @returns {Array} - [{ id, label, keys, tag? }]
+ */
+export function activeFilterChips(filters = {}) {
+  const chips = [];
+  if (filters.favorite) chips.push({ id: "favorite", label: "★ Favorites", keys: ["favorite"] });
+  if (filled(filters.pool)) chips.push({ id: "pool", label: filters.pool, keys: ["pool"] });
+  if (filled(filters.from) || filled(filters.to)) {
+    const label = filled(filters.from) && filled(filters.to)
+      ? `${filters.from} → ${filters.to}`
+      : filled(filters.from) ? `From ${filters.from}` : `Until ${filters.to}`;
+    chips.push({ id: "dates", label, keys: ["from", "to"] });
+  }
+  if (filled(filters.minYardage) || filled(filters.maxYardage)) {
+    chips.push({ id: "yardage", label: rangeLabel(filters.minYardage, filters.maxYardage, "yds"), keys: ["minYardage", "maxYardage"] });
+  }
+  if (filled(filters.minMinutes) || filled(filters.maxMinutes)) {
+    chips.push({ id: "time", label: rangeLabel(filters.minMinutes, filters.maxMinutes, "min"), keys: ["minMinutes", "maxMinutes"] });
+  }
+  if (filled(filters.stroke)) chips.push({ id: "stroke", label: `Mostly ${filters.stroke}`, keys: ["stroke"] });
+  if (filled(filters.style)) chips.push({ id: "style", label: `Mostly ${filters.style}`, keys: ["style"] });
+  for (const tag of filters.tags || []) chips.push({ id: `tag:${tag}`, label: `#${tag}`, keys: [], tag });
+  return chips;
+}
+
+/**
+ * Filters with a tag added, or removed when it is already there
+ * @param {Object} filters
+ * @param {string} tag
+ * @returns {Object}
+ */
+export function toggleTagFilter(filters, tag) {
+  const tags = filters.tags || [];
+  return { ...filters, tags: tags.includes(tag) ? tags.filter((t) => t !== tag) : [...tags, tag] };
+}
+
+/**
+ * Filters with a chip's keys reset
+ * @param {Object} filters
+ * @param {Object} chip - From activeFilterChips
+ * @returns {Object}
+ */
+export function clearFilterChip(filters, chip) {
+  const next = { ...filters };
+  for (const key of chip.keys) next[key] = EMPTY_PRACTICE_FILTERS[key];
+  if (chip.tag) next.tags = (filters.tags || []).filter((t) => t !== chip.tag);
+  return next;
+}
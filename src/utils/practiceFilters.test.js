@@ -0,0 +1,57 @@
+import {
+  EMPTY_PRACTICE_FILTERS,
+  practiceFilterParams,
+  activeFilterChips,
+  clearFilterChip,
+  toggleTagFilter,
+} from "./practiceFilters";
+
+// ─── practiceFilterParams ─────────────────────────────────────────────────────
+describe("practiceFilterParams", () => {
+  test("sends nothing for empty filters", () => {
+    expect(practiceFilterParams(EMPTY_PRACTICE_FILTERS)).toEqual({});
+  });
+
+  test("converts minutes to seconds and splits the sort option", () => {
+    const filters = { ...EMPTY_PRACTICE_FILTERS, favorite: true, pool: "LCM", minYardage: "4000", maxMinutes: "90" };
+    expect(practiceFilterParams(filters, "yardage:desc")).toEqual({
+      favorite: "true",
+      pool: "LCM",
+      minYardage: "4000",
+      maxTimeSeconds: "5400",
+      sort: "yardage",
+      order: "desc",
+    });
+  });
+});
+
+// ─── activeFilterChips / clearFilterChip ──────────────────────────────────────
+describe("activeFilterChips", () => {
+  test("groups ranges into one chip", () => {
+    const filters = { ...EMPTY_PRACTICE_FILTERS, from: "2026-09-01", minYardage: "3000", maxYardage: "5000", stroke: "Back" };
+    expect(activeFilterChips(filters).map((c) => c.label)).toEqual([
+      "From 2026-09-01",
+      "3000–5000 yds",
+      "Mostly Back",
+    ]);
+  });
+
+  test("removing a range chip clears both ends", () => {
+    const filters = { ...EMPTY_PRACTICE_FILTERS, minMinutes: "60", maxMinutes: "120", pool: "SCY" };
+    const [, time] = activeFilterChips(filters);
+    expect(clearFilterChip(filters, time)).toEqual({ ...EMPTY_PRACTICE_FILTERS, pool: "SCY" });
+  });
+});
+
+// ─── tags ─────────────────────────────────────────────────────────────────────
+describe("tag filters", () => {
+  test("each tag is its own chip and all are sent together", () => {
+    const filters = toggleTagFilter(toggleTagFilter(EMPTY_PRACTICE_FILTERS, "taper"), "threshold");
+    expect(practiceFilterParams(filters)).toEqual({ tag: "taper,threshold" });
+
+    const chips = activeFilterChips(filters);
+    expect(chips.map((c) => c.label)).toEqual(["#taper", "#threshold"]);
+    expect(clearFilterChip(filters, chips[0]).tags).toEqual(["threshold"]);
+    expect(toggleTagFilter(filters, "taper").tags).toEqual(["threshold"]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Practice Library folders arrive flat ({ _id, name, parent }); these lay
+ * them out as an indented tree for the sidebar and folder pickers.
+ */
+
+/**
+ * Folders in tree order — each followed by its subfolders, siblings by
+ * name — with their depth and full path. Folders whose parent is missing
+ * are shown at the top level.
+ * @param {Array} folders - [{ _id, name, parent }]
+ * @returns {Array} - [{ ...folder, depth, path }]
+ */
+export function flattenFolderTree(folders = []) {
+  const ids = new Set(folders.map((f) => String(f._id)));
+  const children = new Map();
+  for (const folder of folders) {
+    const parent = folder.parent && ids.has(String(folder.parent)) ? String(folder.parent) : "";
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(folder);
+  }
+
+  const out = [];
+  const seen = new Set();
+  const walk = (parentId, depth, prefix) => {
+    const siblings = [...(children.get(parentId) || [])].sort((a, b) => a.name.localeCompare(b.name));
+    for (const folder of siblings) {
+      const id = String(folder._id);
+      if (seen.has(id)) continue;   // guards against a parent cycle
+      seen.add(id);
+      const path = prefix ? `${prefix} / ${folder.name}` : folder.name;
+      out.push({ ...folder, depth, path });
+      walk(id, depth + 1, path);
+    }
+  };
+  walk("", 0, "");
+  return out;
+}
+
+/**
+ * Ids of a folder and everything under it
+ * @param {Array} folders - [{ _id, parent }]
+ * @param {string} id
+ * @returns {Set<string>}
+ */
+export function folderSubtreeIds(folders = [], id) {
+  const subtree = new Set([String(id)]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const folder of folders) {
+      if (folder.parent && subtree.has(String(folder.parent)) && !subtree.has(String(folder._id))) {
+        subtree.add(String(folder._id));
+        grew = true;
+      }
+    }
+  }
+  return subtree;
+}
@@ -0,0 +1,30 @@
+import { flattenFolderTree, folderSubtreeIds } from "./practiceFolders";
+
+const FOLDERS = [
+  { _id: "b", name: "Taper", parent: null },
+  { _id: "a", name: "Aerobic", parent: null },
+  { _id: "c", name: "Week 2", parent: "b" },
+  { _id: "d", name: "Week 1", parent: "b" },
+  { _id: "e", name: "Lost", parent: "gone" },
+];
+
+// ─── flattenFolderTree ────────────────────────────────────────────────────────
+describe("flattenFolderTree", () => {
+  test("orders folders as a tree with depth and path", () => {
+    expect(flattenFolderTree(FOLDERS).map((f) => [f.path, f.depth])).toEqual([
+      ["Aerobic", 0],
+      ["Lost", 0],
+      ["Taper", 0],
+      ["Taper / Week 1", 1],
+      ["Taper / Week 2", 1],
+    ]);
+  });
+});
+
+// ─── folderSubtreeIds ─────────────────────────────────────────────────────────
+describe("folderSubtreeIds", () => {
+  test("collects a folder and its subfolders", () => {
+    expect([...folderSubtreeIds(FOLDERS, "b")].sort()).toEqual(["b", "c", "d"]);
+    expect([...folderSubtreeIds(FOLDERS, "a")]).toEqual(["a"]);
+  });
+});
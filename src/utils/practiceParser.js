@@ -0,0 +1,725 @@
+/**
+ * practiceParser.js
+ *
+ * One tokenizer + parser for practice section text. It turns text such as
+ *
+ *   400 Free @ 10:00
+ *   3 x {
+ *     100 Back @ 1:45
+ *     50 K/S @ 1:00, 50 Drill @ 1:05
+ *   }
+ *   2 x
+ *     4 x 50 Fly @ :55
+ *
+ * into a typed AST that yardage totals, time totals, stroke/style stats,
+ * the preview and the DOCX export all read from.
+ *
+ * Grammar (informal):
+ *   section   := statement*
+ *   statement := repeat | set | rest | note
+ *   repeat    := COUNT TIMES "{" statement* "}"          brace block (may span lines / nest)
+ *              | "{" statement* "}"                      bare brace block, swum once
+ *              | COUNT TIMES [label] NEWLINE <indented>  indentation block
+ *              | COUNT "rounds" [label] NEWLINE <indented>
+ *   set       := [COUNT TIMES] DISTANCE tail
+ *   tail      := descriptor* [interval] descriptor*
+ *   interval  := ("@" | "on") TIME ("/" TIME)*          fixed send-off
+ *              | ["@" | "on"] "desc" TIME "-" TIME       descending send-off ("@ 1:30-1:15" too, no spaces
+ *                                                        around "-"; a bare-number end is at least half the start)
+ *              | ["@" | "on"] ("+" | "-") TIME           relative to the last send-off
+ *              | ("@" | "on") PACE [("+" | "-") NUMBER]  base pace per 100 ("@ base+5", "@ T30 pace")
+ *              | TIME ("rest" | "r" | "RI")              rest after each rep (":15 rest"; "@ 1:30 RI" is a send-off)
+ *              | ["@"] ("rest" | "r" | "RI") TIME        ("RI :20")
+ *   rest      := TIME ("rest" | "RI") | ("rest" | "RI") TIME   a rest on its own line
+ *   PACE      := "base" | "pace" | "T" ["-"] NUMBER ["pace"]
+ *
+ * Statements are separated by newlines, or by a comma when the next item
+ * starts with a number ("100 Free @ 1:30, 50 Back @ 1:00").
+ *
+ * AST node shapes:
+ *   { type: "section", body: Node[], diagnostics: Diagnostic[] }
+ *   { type: "repeat", count, body: Node[], block: "brace" | "indent" | "inline" | "bare", line }
+ *   { type: "set", reps, distance, interval, descriptors, strokes, styles, energy, raw, line }
+ *   { type: "rest", seconds, raw, line }
+ *   { type: "note", raw, line }
+ *
+ * Set intervals:
+ *   { kind: "sendoff", seconds, alternates, raw }
+ *   { kind: "descending", from, to, seconds, raw }   seconds = average send-off
+ *   { kind: "relative", offset, seconds, raw }       seconds = resolved send-off
+ *   { kind: "pace", offset, seconds, estimated, raw } seconds = (base pace + offset) per 100,
+ *                                                    scaled to the distance
+ *   { kind: "rest", rest, raw }                      swim time is estimated
+ *
+ * A "+10" with no earlier send-off in the section is read as 10s rest.
+ * Pace intervals use the `basePacePer100` option (the roster group's base
+ * pace); without one they are estimated from 1:30 per 100 and flagged
+ * `estimated`.
+ *
+ * `line` is the 0-based line index in the section text.
+ *
+ * Text the grammar cannot make sense of still parses (it simply adds no
+ * yardage or time), but is reported as a diagnostic:
+ *   { line, message, severity: "error" | "warning" }
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Acronyms (strokes / styles / energy systems) used to classify set descriptors
+// ─────────────────────────────────────────────────────────────────────────────
+
+let acronymsConfig = null;
+
+/**
+ * Set the acronyms configuration used when no `acronyms` option is passed
+ * @param {object} config - Acronyms config with strokes and styles
+ */
+export function setAcronymsConfig(config) {
+  acronymsConfig = config;
+}
+
+const patternCache = new WeakMap();
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build (and cache) word regexes from an acronyms config
+ * @param {object|null} config - { strokes: { Free: ["FR", ...] }, styles: {...}, energy: {...} }
+ * @returns {object} - { strokes: { name: RegExp }, styles: { name: RegExp }, energy: { name: RegExp } }
+ */
+function buildPatterns(config) {
+  if (!config) return { strokes: {}, styles: {}, energy: {} };
+  if (patternCache.has(config)) return patternCache.get(config);
+
+  const build = (group) => {
+    const out = {};
+    for (const [name, acronyms] of Object.entries(group || {})) {
+      if (Array.isArray(acronyms) && acronyms.length > 0) {
+        out[name] = new RegExp(`\\b(${acronyms.map(escapeRegExp).join("|")})\\b`, "i");
+      }
+    }
+    return out;
+  };
+
+  const patterns = { strokes: build(config.strokes), styles: build(config.styles), energy: build(config.energy) };
+  patternCache.set(config, patterns);
+  return patterns;
+}
+
+/**
+ * Classify a set's descriptor text into strokes, styles and energy systems.
+ * No stroke designation means Choice, no style designation means Swim; a set
+ * with no energy-system designation is left unclassified.
+ * @param {string} text - Descriptor text, e.g. "K/S/D/S Back"
+ * @param {object|null} config - Acronyms config
+ * @returns {object} - { strokes: string[], styles: string[], energy: string[] }
+ */
+export function classifyDescriptors(text, config = acronymsConfig) {
+  const patterns = buildPatterns(config);
+  const strokes = [];
+  const styles = [];
+
+  // Combined styles like K/S/D/S or K-S-D-S (single letters with separators)
+  const combined = text.match(/\b([KSPDW])(\/|-|\s)([KSPDW])((\/|-|\s)[KSPDW])*/gi);
+  if (combined && combined.length > 0) {
+    const letters = combined[0].split(/\/|-|\s+/).filter((s) => s.length > 0);
+    for (const letter of letters) {
+      for (const [style, pattern] of Object.entries(patterns.styles)) {
+        if (pattern.test(letter)) {
+          styles.push(style);
+          break;
+        }
+      }
+    }
+  }
+
+  if (styles.length === 0) {
+    for (const [style, pattern] of Object.entries(patterns.styles)) {
+      if (pattern.test(text)) styles.push(style);
+    }
+  }
+
+  for (const [stroke, pattern] of Object.entries(patterns.strokes)) {
+    if (pattern.test(text)) strokes.push(stroke);
+  }
+
+  const energy = Object.entries(patterns.energy)
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([system]) => system);
+
+  if (strokes.length === 0) strokes.push("Choice");
+  if (styles.length === 0) styles.push("Swim");
+
+  return { strokes, styles, energy };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Tokenizer
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TAB_WIDTH = 4;
+
+const TOKEN_PATTERNS = [
+  ["TIME", /\d*:\d{1,2}(?::\d{2})?/y],   // ":50", "1:30", "1:05:30"
+  ["NUMBER", /\d+/y],
+  ["TIMES", /[xX×](?![A-Za-z])/y],       // "4x100", "4 x 100", "4 × 100"
+  ["AT", /@/y],
+  ["LBRACE", /\{/y],
+  ["RBRACE", /\}/y],
+  ["COMMA", /,/y],
+  ["SLASH", /\//y],
+  ["WORD", /[A-Za-z][A-Za-z'.]*/y],
+  ["SYMBOL", /\S/y],
+];
+
+function measureIndent(lineText) {
+  let width = 0;
+  for (const ch of lineText) {
+    if (ch === " ") width += 1;
+    else if (ch === "\t") width += TAB_WIDTH;
+    else break;
+  }
+  return width;
+}
+
+/**
+ * Split section text into tokens. Every line ends with a NEWLINE token.
+ * @param {string} text - Section text
+ * @returns {object} - { tokens: Token[], lines: [{ text, indent }] }
+ *   Token: { type, value, line, col, end, depth } — depth counts the open
+ *   parentheses before it on its line
+ */
+export function tokenize(text) {
+  const lines = String(text || "").split(/\r?\n/).map((t) => ({ text: t, indent: measureIndent(t) }));
+  const tokens = [];
+
+  lines.forEach((ln, lineIdx) => {
+    const src = ln.text;
+    let pos = 0;
+    let depth = 0;
+    while (pos < src.length) {
+      if (/\s/.test(src[pos])) {
+        pos++;
+        continue;
+      }
+      for (const [type, re] of TOKEN_PATTERNS) {
+        re.lastIndex = pos;
+        const m = re.exec(src);
+        if (m) {
+          if (m[0] === ")") depth = Math.max(0, depth - 1);
+          tokens.push({ type, value: m[0], line: lineIdx, col: pos, end: pos + m[0].length, depth });
+          if (m[0] === "(") depth++;
+          pos += m[0].length;
+          break;
+        }
+      }
+    }
+    tokens.push({ type: "NEWLINE", value: "\n", line: lineIdx, col: src.length, end: src.length, depth: 0 });
+  });
+
+  return { tokens, lines };
+}
+
+/**
+ * Convert a TIME or NUMBER token value to seconds
+ * @param {string} value - ":50", "1:30", "1:05:30" or "90"
+ * @returns {number} - Seconds
+ */
+function timeValueToSeconds(value) {
+  const parts = String(value).split(":").map((p) => parseInt(p, 10) || 0);
+  if (parts.length === 1) return parts[0];
+  if (parts.length === 2) return parts[0] * 60 + parts[1];
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parser
+// ─────────────────────────────────────────────────────────────────────────────
+
+function createCursor(tokens, lines) {
+  let i = 0;
+  return {
+    lines,
+    diagnostics: [],
+    lastSendoff: null, // { seconds, distance } of the last fixed or pace send-off, for "+10"
+    report(line, message, severity = "error") {
+      this.diagnostics.push({ line, message, severity });
+    },
+    peek: (offset = 0) => tokens[i + offset] || { type: "EOF", value: "", line: lines.length, col: 0, end: 0 },
+    next: () => tokens[i++] || { type: "EOF", value: "", line: lines.length, col: 0, end: 0 },
+    atEnd: () => i >= tokens.length,
+  };
+}
+
+/** Join tokens back into text, keeping single spaces where the source had whitespace */
+function joinTokens(tokens) {
+  let out = "";
+  let prev = null;
+  for (const t of tokens) {
+    if (prev && (t.line !== prev.line || t.col > prev.end)) out += " ";
+    out += t.value;
+    prev = t;
+  }
+  return out;
+}
+
+function isWord(tok, ...words) {
+  return tok.type === "WORD" && words.includes(tok.value.toLowerCase());
+}
+
+function isTimeValue(tok) {
+  return tok.type === "TIME" || tok.type === "NUMBER";
+}
+
+function isSymbol(tok, value) {
+  return tok.type === "SYMBOL" && tok.value === value;
+}
+
+// Swim pace assumed where the text gives none: the swim part of rest-interval
+// sets ("4 x 100 :15 rest") and pace intervals with no base pace to resolve against
+const ESTIMATED_PACE_PER_100 = 90;
+
+const REST_WORDS = ["rest", "r", "ri"];
+const PACE_WORDS = ["base", "pace"];
+const DESCENDING_WORDS = ["desc", "descend", "descending"];
+
+/**
+ * A statement ends at a newline, a closing brace, or a comma that starts a
+ * new numbered item — not one inside parentheses ("(1-3 @ 2:40, 4-5 @ 2:30)")
+ */
+function atStatementEnd(cur) {
+  const tok = cur.peek();
+  if (tok.type === "NEWLINE" || tok.type === "EOF" || tok.type === "RBRACE") return true;
+  return tok.type === "COMMA" && tok.depth === 0 && cur.peek(1).type === "NUMBER";
+}
+
+function skipSeparators(cur) {
+  while (cur.peek().type === "NEWLINE" || cur.peek().type === "COMMA") cur.next();
+}
+
+/** Consume the rest of the current line (used for repeat labels like "3 x through") */
+function consumeRestOfLine(cur) {
+  const consumed = [];
+  while (!["NEWLINE", "EOF", "LBRACE"].includes(cur.peek().type)) consumed.push(cur.next());
+  return consumed;
+}
+
+/**
+ * Parse statements until a closing brace (mode "brace"), a dedent back to
+ * `indent` or less (mode "indent"), or the end of input (mode "top").
+ */
+function parseStatements(cur, mode, indent = -1) {
+  const body = [];
+
+  for (;;) {
+    skipSeparators(cur);
+    const tok = cur.peek();
+    if (tok.type === "EOF") break;
+    if (tok.type === "RBRACE") {
+      if (mode !== "top") break;
+      cur.report(cur.next().line, "Unmatched '}' — there is no '{' for it to close");
+      continue;
+    }
+    if (mode === "indent" && cur.lines[tok.line].indent <= indent) break;
+
+    body.push(parseStatement(cur));
+  }
+
+  return body;
+}
+
+function parseRepeatBody(cur, count, headerTok) {
+  // "3 x {" or "3 x" followed by "{" on the next line
+  if (cur.peek().type === "NEWLINE" && cur.peek(1).type === "LBRACE") cur.next();
+
+  if (cur.peek().type === "LBRACE") {
+    const open = cur.next();
+    const body = parseStatements(cur, "brace");
+    if (cur.peek().type === "RBRACE") cur.next();
+    else cur.report(open.line, "Unclosed '{' — add a matching '}'");
+    return { type: "repeat", count, body, block: "brace", line: headerTok.line };
+  }
+
+  const headerIndent = cur.lines[headerTok.line].indent;
+  const body = parseStatements(cur, "indent", headerIndent);
+  if (body.length === 0) {
+    cur.report(headerTok.line, `'${count} x' has nothing to repeat — indent the lines under it or use { }`);
+  }
+  return { type: "repeat", count, body, block: "indent", line: headerTok.line };
+}
+
+function parseStatement(cur) {
+  const first = cur.peek();
+
+  // A bare "{ ... }" block is swum once
+  if (first.type === "LBRACE") return { ...parseRepeatBody(cur, 1, first), block: "bare" };
+
+  if (first.type === "NUMBER") {
+    const afterCount = cur.peek(1);
+
+    // "N x ..." — either a repeat block or reps x distance
+    if (afterCount.type === "TIMES") {
+      cur.next();
+      cur.next();
+      const count = parseInt(first.value, 10);
+
+      if (cur.peek().type === "NUMBER") {
+        // "2 x 4 x 50" — a repeat of a single set
+        if (cur.peek(1).type === "TIMES" && cur.peek(2).type === "NUMBER") {
+          const inner = parseStatement(cur);
+          return { type: "repeat", count, body: [inner], block: "inline", line: first.line };
+        }
+        return parseSetTail(cur, first, count, cur.next());
+      }
+
+      consumeRestOfLine(cur);
+      return parseRepeatBody(cur, count, first);
+    }
+
+    // "N rounds" header for an indented block
+    if (isWord(afterCount, "round", "rounds")) {
+      cur.next();
+      cur.next();
+      consumeRestOfLine(cur);
+      return parseRepeatBody(cur, parseInt(first.value, 10), first);
+    }
+
+    // Single distance: "200 Free"
+    return parseSetTail(cur, first, 1, cur.next());
+  }
+
+  // ":30 rest", "RI 1:00" on a line of its own
+  if (first.type === "TIME" || isWord(first, ...REST_WORDS)) {
+    const read = readInterval(cur, 0);
+    if (read && read.interval) {
+      const consumed = [...read.consumed];
+      while (!atStatementEnd(cur)) consumed.push(cur.next());
+      return { type: "rest", seconds: read.interval.rest, raw: joinTokens(consumed), line: first.line };
+    }
+  }
+
+  // Anything else is a note ("Break", "Kick with board", ...)
+  const consumed = [];
+  while (!atStatementEnd(cur)) consumed.push(cur.next());
+  if (consumed.some((t) => t.type === "AT")) {
+    cur.report(first.line, "Interval with no distance — start the line with a distance (e.g. 4 x 100)", "warning");
+  }
+  return { type: "note", raw: joinTokens(consumed), line: first.line };
+}
+
+/**
+ * Match a pace reference ("base", "pace", "T30", "T-30 pace") starting k
+ * tokens ahead; returns the offset just past it, or -1
+ */
+function matchPace(cur, k) {
+  let end = -1;
+  if (isWord(cur.peek(k), ...PACE_WORDS)) end = k + 1;
+  else if (isWord(cur.peek(k), "t")) {
+    const dash = isSymbol(cur.peek(k + 1), "-") ? 1 : 0;
+    if (cur.peek(k + 1 + dash).type === "NUMBER") end = k + 2 + dash;
+  }
+  if (end > 0 && isWord(cur.peek(end), "pace")) end++;
+  return end;
+}
+
+/**
+ * Try to read a set interval at the cursor (see the grammar above).
+ * Consumes nothing and returns null when the tokens there are not one.
+ * @param {object} cur - Parser cursor
+ * @param {number} distance - Distance of the set the interval belongs to
+ * @returns {object|null} - { interval, consumed } (interval is null for an unusable one)
+ */
+function readInterval(cur, distance) {
+  const marked = cur.peek().type === "AT" || isWord(cur.peek(), "on");
+  const k = marked ? 1 : 0;
+  const tok = cur.peek(k);
+  const take = (n) => Array.from({ length: n }, () => cur.next());
+
+  // "desc 1:30-1:15", "@ 1:30-1:15" — not "@ 1:00 -5", a send-off followed by a note
+  const desc = isWord(tok, ...DESCENDING_WORDS);
+  const d = desc ? k + 1 : k;
+  const [fromTok, dash, toTok] = [cur.peek(d), cur.peek(d + 1), cur.peek(d + 2)];
+  if ((desc || marked) && isTimeValue(fromTok) && isSymbol(dash, "-") && isTimeValue(toTok) && dash.col === fromTok.end && toTok.col === dash.end) {
+    const from = timeValueToSeconds(fromTok.value);
+    const to = timeValueToSeconds(toTok.value);
+    if (toTok.type === "TIME" || to * 2 >= from) {
+      const consumed = take(d + 3);
+      return { interval: { kind: "descending", from, to, seconds: (from + to) / 2, raw: joinTokens(consumed) }, consumed };
+    }
+  }
+
+  // "@ base+5", "@ T30 pace", "@ T-30 -5"
+  const paceEnd = marked ? matchPace(cur, k) : -1;
+  if (paceEnd > 0) {
+    let end = paceEnd;
+    let offset = 0;
+    const op = cur.peek(end);
+    if ((isSymbol(op, "+") || isSymbol(op, "-")) && cur.peek(end + 1).type === "NUMBER") {
+      offset = parseInt(cur.peek(end + 1).value, 10) * (op.value === "-" ? -1 : 1);
+      end += 2;
+    }
+    const consumed = take(end);
+    const base = cur.basePacePer100 || ESTIMATED_PACE_PER_100;
+    const seconds = Math.max(0, Math.round(((base + offset) * distance) / 100));
+    if (distance > 0) cur.lastSendoff = { seconds, distance };
+    return {
+      interval: { kind: "pace", offset, seconds, estimated: !cur.basePacePer100, raw: joinTokens(consumed) },
+      consumed,
+    };
+  }
+
+  // "+10", "@ -5" — relative to the last fixed send-off ("+ 50 Kick" is not one)
+  const sign = isSymbol(tok, "+") || (marked && isSymbol(tok, "-"));
+  if (sign && isTimeValue(cur.peek(k + 1)) && (marked || cur.peek(k + 1).col === tok.end)) {
+    const consumed = take(k + 2);
+    const offset = timeValueToSeconds(consumed[k + 1].value) * (tok.value === "-" ? -1 : 1);
+    const raw = joinTokens(consumed);
+    const base = cur.lastSendoff;
+    if (base) {
+      const seconds = Math.max(0, Math.round((base.seconds * distance) / base.distance + offset));
+      return { interval: { kind: "relative", offset, seconds, raw }, consumed };
+    }
+    if (offset > 0) return { interval: { kind: "rest", rest: offset, raw }, consumed };
+    cur.report(tok.line, `'${raw}' needs an earlier send-off to be relative to (e.g. @ 1:30)`);
+    return { interval: null, consumed };
+  }
+
+  // "RI :20", "rest 1:00"
+  if (isWord(tok, ...REST_WORDS) && isTimeValue(cur.peek(k + 1))) {
+    const consumed = take(k + 2);
+    return { interval: { kind: "rest", rest: timeValueToSeconds(consumed[k + 1].value), raw: joinTokens(consumed) }, consumed };
+  }
+
+  // ":15 rest" — a marked time ("@ 1:30 RI :20") is the send-off, read below
+  if (!marked && tok.type === "TIME" && isWord(cur.peek(1), ...REST_WORDS)) {
+    const consumed = take(2);
+    return { interval: { kind: "rest", rest: timeValueToSeconds(tok.value), raw: joinTokens(consumed) }, consumed };
+  }
+
+  // "@ 1:30", "on 1:30", "@ :40/:45"
+  if (marked && isTimeValue(tok)) {
+    const consumed = take(2);
+    const alternates = [];
+    while (cur.peek().type === "SLASH" && isTimeValue(cur.peek(1))) {
+      consumed.push(cur.next());
+      const alt = cur.next();
+      consumed.push(alt);
+      alternates.push(timeValueToSeconds(alt.value));
+    }
+    const seconds = timeValueToSeconds(tok.value);
+    if (distance > 0) cur.lastSendoff = { seconds, distance };
+    return { interval: { kind: "sendoff", seconds, alternates, raw: joinTokens(consumed) }, consumed };
+  }
+
+  return null;
+}
+
+function parseSetTail(cur, firstTok, reps, distanceTok) {
+  const distance = parseInt(distanceTok.value, 10);
+  const all = [firstTok];
+  const descriptorTokens = [];
+  let interval = null;
+  let depth = 0;
+
+  if (firstTok !== distanceTok) all.push(distanceTok);
+
+  while (depth > 0 || !atStatementEnd(cur)) {
+    const tok = cur.peek();
+    if (tok.type === "EOF" || (tok.type === "NEWLINE" && depth === 0)) break;
+
+    if (!interval) {
+      const read = readInterval(cur, distance);
+      if (read) {
+        interval = read.interval;
+        all.push(...read.consumed);
+        continue;
+      }
+    }
+
+    if (tok.type === "AT" && !interval) {
+      cur.report(tok.line, "'@' needs a send-off time (e.g. @ 1:30)");
+    }
+
+    if (tok.type === "LBRACE") depth++;
+    if (tok.type === "RBRACE") depth--;
+    if (tok.type === "NEWLINE") {
+      cur.next();
+      continue;
+    }
+    all.push(tok);
+    descriptorTokens.push(cur.next());
+  }
+
+  const descriptors = joinTokens(descriptorTokens.filter((t) => !(t.type === "WORD" && t.value === "s" && t.col === distanceTok.end)));
+  const { strokes, styles, energy } = classifyDescriptors(descriptors, cur.acronyms);
+
+  return {
+    type: "set",
+    reps,
+    distance,
+    interval,
+    descriptors,
+    strokes,
+    styles,
+    energy,
+    raw: joinTokens(all),
+    line: firstTok.line,
+  };
+}
+
+/**
+ * Parse section text into an AST
+ * @param {string} text - Section text
+ * @param {object} options - { acronyms (defaults to the config from setAcronymsConfig), basePacePer100 }
+ * @returns {object} - { type: "section", body: Node[] }
+ */
+export function parseSection(text, options = {}) {
+  const { tokens, lines } = tokenize(text);
+  const cur = createCursor(tokens, lines);
+  cur.acronyms = options.acronyms !== undefined ? options.acronyms : acronymsConfig;
+  cur.basePacePer100 = options.basePacePer100 || 0;
+  const body = parseStatements(cur, "top");
+  return { type: "section", body, diagnostics: cur.diagnostics };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Evaluation
+// ─────────────────────────────────────────────────────────────────────────────
+
+
+/**
+ * Seconds for one pass through a set node
+ * @param {object} node - Set node
+ * @param {object} options - { defaultPacePer100 } estimate used when no interval is written (0 = none)
+ * @returns {number} - Seconds
+ */
+export function setTimeSeconds(node, { defaultPacePer100 = 0 } = {}) {
+  const estimate = (pace) => Math.ceil(((node.reps * node.distance) / 100) * pace);
+  const { interval } = node;
+
+  if (interval && interval.kind === "rest") {
+    return estimate(defaultPacePer100 || ESTIMATED_PACE_PER_100) + node.reps * interval.rest;
+  }
+  if (interval) return Math.round(node.reps * interval.seconds);
+  if (defaultPacePer100 > 0) return estimate(defaultPacePer100);
+  return 0;
+}
+
+/** Visit every set and rest node with the number of times it is swum */
+function walkNodes(ast, visit, multiplier = 1) {
+  for (const node of ast.body || []) {
+    if (node.type === "repeat") {
+      walkNodes(node, visit, multiplier * Math.max(0, node.count));
+    } else if (node.type === "set" || node.type === "rest") {
+      visit(node, multiplier);
+    }
+  }
+}
+
+/**
+ * Visit every set node with the number of times it is swum
+ * @param {object} ast - Section AST (or any node with a body)
+ * @param {function} visit - (setNode, multiplier) => void
+ */
+export function walkSets(ast, visit, multiplier = 1) {
+  walkNodes(ast, (node, m) => {
+    if (node.type === "set") visit(node, m);
+  }, multiplier);
+}
+
+/**
+ * Total yardage, time and stroke/style/energy-system yardage for a parsed section
+ * @param {object} ast - Section AST from parseSection
+ * @param {object} options - { defaultPacePer100 }
+ * @returns {object} - { yardage, timeSeconds, strokes: {}, styles: {}, energy: {} }
+ */
+export function summarizeSection(ast, options = {}) {
+  const summary = { yardage: 0, timeSeconds: 0, strokes: {}, styles: {}, energy: {} };
+
+  walkNodes(ast, (node, multiplier) => {
+    if (node.type === "rest") {
+      summary.timeSeconds += node.seconds * multiplier;
+      return;
+    }
+
+    const yardage = node.reps * node.distance * multiplier;
+    summary.yardage += yardage;
+    summary.timeSeconds += setTimeSeconds(node, options) * multiplier;
+
+    if (yardage > 0) {
+      for (const stroke of node.strokes) {
+        summary.strokes[stroke] = (summary.strokes[stroke] || 0) + yardage / node.strokes.length;
+      }
+      for (const style of node.styles) {
+        summary.styles[style] = (summary.styles[style] || 0) + yardage / node.styles.length;
+      }
+      for (const system of node.energy) {
+        summary.energy[system] = (summary.energy[system] || 0) + yardage / node.energy.length;
+      }
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Per-line view of a section, used for editor hints.
+ * Each entry lists the sets written on that line (with how many times the
+ * enclosing repeats swim them), the repeat header or rest on that line if
+ * any, and any diagnostics for the line.
+ * @param {string} text - Section text
+ * @param {object} options - { acronyms, defaultPacePer100, basePacePer100 }
+ * @returns {Array} - [{ text, sets: [{ reps, distance, multiplier, interval, intervalSeconds, yardage, seconds }], repeat, rest, diagnostics }]
+ */
+export function describeLines(text, options = {}) {
+  const ast = parseSection(text, options);
+  const lines = String(text || "").split(/\r?\n/).map((t) => ({ text: t, sets: [], repeat: null, rest: null, diagnostics: [] }));
+
+  const markRepeats = (node) => {
+    for (const child of node.body || []) {
+      if (child.type !== "repeat") continue;
+      // A bare block repeats nothing, so its line shows its own sets
+      if (child.block !== "bare" && !lines[child.line].repeat) lines[child.line].repeat = { count: child.count };
+      markRepeats(child);
+    }
+  };
+  markRepeats(ast);
+
+  walkNodes(ast, (node, multiplier) => {
+    if (node.type === "rest") {
+      lines[node.line].rest = { seconds: node.seconds, multiplier };
+      return;
+    }
+
+    const seconds = setTimeSeconds(node, options);
+    lines[node.line].sets.push({
+      reps: node.reps,
+      distance: node.distance,
+      multiplier,
+      interval: node.interval,
+      intervalSeconds: node.interval && node.reps > 0 ? Math.round(seconds / node.reps) : 0,
+      yardage: node.reps * node.distance,
+      seconds,
+    });
+  });
+
+  for (const d of ast.diagnostics) {
+    if (lines[d.line]) lines[d.line].diagnostics.push(d);
+  }
+
+  return lines;
+}
+
+/**
+ * Parse and summarize section text in one call
+ * @param {string} text - Section text
+ * @param {object} options - { acronyms, defaultPacePer100, basePacePer100 }
+ * @returns {object} - { yardage, timeSeconds, strokes: {}, styles: {}, energy: {} }
+ */
+export function analyzeSection(text, options = {}) {
+  if (!text || typeof text !== "string") {
+    return { yardage: 0, timeSeconds: 0, strokes: {}, styles: {}, energy: {} };
+  }
+  return summarizeSection(parseSection(text, options), options);
+}
@@ -0,0 +1,184 @@
+import { parseSection, analyzeSection, classifyDescriptors, describeLines } from "./practiceParser";
+
+const ACRONYMS = {
+  strokes: { Free: ["FR", "Free"], Back: ["BK", "Back"], IM: ["IM"] },
+  styles: { Swim: ["Swim", "S"], Drill: ["Drill", "D"], Kick: ["Kick", "K"] },
+};
+
+// ─── parseSection ─────────────────────────────────────────────────────────────
+describe("parseSection", () => {
+  test("reps x distance with interval and descriptors", () => {
+    const [set] = parseSection("4 x 100 Free @ 1:30").body;
+    expect(set).toMatchObject({ type: "set", reps: 4, distance: 100, descriptors: "Free" });
+    expect(set.interval).toMatchObject({ kind: "sendoff", seconds: 90 });
+  });
+
+  test("single distance without reps", () => {
+    const [set] = parseSection("200 EZ").body;
+    expect(set).toMatchObject({ reps: 1, distance: 200, interval: null });
+  });
+
+  test("lines without a distance become notes", () => {
+    const [note] = parseSection("Kick with board").body;
+    expect(note).toMatchObject({ type: "note", raw: "Kick with board" });
+  });
+
+  test("brace blocks nest", () => {
+    const [outer] = parseSection("2 x { 3 x { 100 }, 50 }").body;
+    expect(outer).toMatchObject({ type: "repeat", count: 2, block: "brace" });
+    expect(outer.body[0]).toMatchObject({ type: "repeat", count: 3 });
+    expect(outer.body[1]).toMatchObject({ type: "set", distance: 50 });
+  });
+
+  test("indented blocks nest and end at the dedent", () => {
+    const ast = parseSection("2 x\n\t4 x 50\n\t3 x\n\t\t100\n200");
+    expect(ast.body).toHaveLength(2);
+    expect(ast.body[0].body[1]).toMatchObject({ type: "repeat", count: 3, block: "indent" });
+    expect(ast.body[1]).toMatchObject({ type: "set", distance: 200 });
+  });
+
+  test("'on' and alternate send-offs", () => {
+    const [a, b] = parseSection("8x100 on 1:30\n8x25 @ :40/:45").body;
+    expect(a.interval.seconds).toBe(90);
+    expect(b.interval.seconds).toBe(40);
+    expect(b.interval.alternates).toEqual([45]);
+  });
+});
+
+// ─── analyzeSection ───────────────────────────────────────────────────────────
+describe("analyzeSection — yardage", () => {
+  test("accepts ×, x and X", () => {
+    expect(analyzeSection("4 × 100\n4x50\n2 X 25").yardage).toBe(650);
+  });
+  test("comma-separated items inside braces", () => {
+    expect(analyzeSection("2 x { 100 @ 2:00, 50 @ 1:00 }").yardage).toBe(300);
+  });
+  test("commas inside parentheses do not split the set", () => {
+    const { yardage, timeSeconds } = analyzeSection("5 x 200 (1-3 @ 2:40, 4-5 @ 2:30)");
+    expect(yardage).toBe(1000);
+    expect(timeSeconds).toBe(800);
+  });
+  test("a bare braced block counts once", () => {
+    expect(analyzeSection("{ 100 }").yardage).toBe(100);
+    expect(analyzeSection("{ 100, 50 }\n200").yardage).toBe(350);
+    expect(describeLines("{ 100 }")[0]).toMatchObject({ repeat: null, sets: [{ distance: 100, multiplier: 1 }] });
+  });
+  test("indented rounds", () => {
+    expect(analyzeSection("3 rounds:\n  100\n  50\n200").yardage).toBe(650);
+  });
+  test("inline repeat of a set", () => {
+    expect(analyzeSection("2 x 4 x 50").yardage).toBe(400);
+  });
+  test("multiplier with no body contributes nothing", () => {
+    expect(analyzeSection("3 x\n200").yardage).toBe(200);
+  });
+  test("break times are not read as distance", () => {
+    expect(analyzeSection("5:00").yardage).toBe(0);
+  });
+});
+
+describe("analyzeSection — time", () => {
+  test("reps × interval, multiplied through repeats", () => {
+    expect(analyzeSection("2 x {\n  4 x 50 @ :50\n}").timeSeconds).toBe(400);
+  });
+  test("no interval counts 0 by default", () => {
+    expect(analyzeSection("200 EZ").timeSeconds).toBe(0);
+  });
+  test("no interval uses defaultPacePer100 when given", () => {
+    expect(analyzeSection("200 EZ", { defaultPacePer100: 90 }).timeSeconds).toBe(180);
+  });
+});
+
+describe("analyzeSection — rest, relative and descending intervals", () => {
+  test("descending send-off averages across the reps", () => {
+    expect(analyzeSection("6 x 100 desc 1:30-1:15").timeSeconds).toBe(495);
+    expect(analyzeSection("6 x 100 @ 1:30-1:15").timeSeconds).toBe(495);
+  });
+  test("'+10' adds to the last fixed send-off, scaled to the distance", () => {
+    expect(analyzeSection("4 x 100 @ 1:30\n4 x 100 +10").timeSeconds).toBe(360 + 400);
+    expect(analyzeSection("4 x 100 @ 1:30\n4 x 50 @ -5").timeSeconds).toBe(360 + 160);
+  });
+  test("'+10' with no earlier send-off is rest", () => {
+    expect(analyzeSection("4 x 50 +10").timeSeconds).toBe(180 + 40);
+  });
+  test("rest intervals add rest to an estimated swim", () => {
+    expect(analyzeSection("8 x 50 :15 rest").timeSeconds).toBe(360 + 120);
+    expect(analyzeSection("8 x 50 RI :20").timeSeconds).toBe(360 + 160);
+  });
+  test("a marked send-off followed by RI stays the send-off", () => {
+    expect(parseSection("4x100 @ 1:30 RI :20").body[0].interval).toMatchObject({ kind: "sendoff", seconds: 90 });
+    expect(analyzeSection("4x100 @ 1:30 RI :20").timeSeconds).toBe(360);
+  });
+  test("'@ 1:00 -5' is a send-off, not a descending one", () => {
+    expect(parseSection("4x50 @ 1:00 -5").body[0].interval).toMatchObject({ kind: "sendoff", seconds: 60 });
+    expect(parseSection("4x50 @ 1:00-5").body[0].interval).toMatchObject({ kind: "sendoff", seconds: 60 });
+    expect(parseSection("4x50 @ 60-55").body[0].interval).toMatchObject({ kind: "descending", from: 60, to: 55 });
+  });
+  test("a rest line counts its time, through repeats", () => {
+    expect(analyzeSection("2 x {\n  100 @ 1:30\n  1:00 rest\n}").timeSeconds).toBe(300);
+  });
+  test("'+ 50 Kick' is a descriptor, not a send-off", () => {
+    expect(parseSection("100 Free + 50 Kick").body[0].interval).toBeNull();
+  });
+});
+
+describe("analyzeSection — pace intervals", () => {
+  test("'base+5' adds seconds per 100 to the base pace", () => {
+    expect(analyzeSection("8 x 100 @ base+5", { basePacePer100: 80 }).timeSeconds).toBe(680);
+  });
+  test("'T30 pace' scales to the distance", () => {
+    expect(analyzeSection("4 x 200 @ T30 pace", { basePacePer100: 75 }).timeSeconds).toBe(600);
+  });
+  test("without a base pace the interval is estimated and flagged", () => {
+    const [set] = parseSection("4 x 100 @ base").body;
+    expect(set.interval).toMatchObject({ kind: "pace", seconds: 90, estimated: true });
+  });
+  test("'+5' after a pace send-off is relative to it", () => {
+    expect(analyzeSection("4 x 100 @ base\n4 x 100 +5", { basePacePer100: 80 }).timeSeconds).toBe(320 + 340);
+  });
+});
+
+describe("analyzeSection — strokes and styles", () => {
+  test("splits combined styles evenly", () => {
+    const { strokes, styles } = analyzeSection("4 x 100 K/S/D/S @ 2:00", { acronyms: ACRONYMS });
+    expect(strokes).toEqual({ Choice: 400 });
+    expect(styles).toEqual({ Kick: 100, Swim: 200, Drill: 100 });
+  });
+  test("stats follow repeats like yardage does", () => {
+    const { strokes } = analyzeSection("3 × { 100 Back }", { acronyms: ACRONYMS });
+    expect(strokes).toEqual({ Back: 300 });
+  });
+});
+
+describe("classifyDescriptors", () => {
+  test("defaults to Choice / Swim with no energy system", () => {
+    expect(classifyDescriptors("EZ", ACRONYMS)).toEqual({ strokes: ["Choice"], styles: ["Swim"], energy: [] });
+  });
+  test("energy systems come from the optional energy acronyms", () => {
+    const config = { ...ACRONYMS, energy: { Threshold: ["EN2"], Sprint: ["SP3"] } };
+    expect(classifyDescriptors("Free EN2", config).energy).toEqual(["Threshold"]);
+    expect(analyzeSection("4 x 50 Free SP3 @ 1:00", { acronyms: config }).energy).toEqual({ Sprint: 200 });
+  });
+});
+
+// ─── diagnostics ──────────────────────────────────────────────────────────────
+describe("diagnostics", () => {
+  const messages = (text) => parseSection(text).diagnostics.map((d) => [d.line, d.severity]);
+
+  test("unclosed brace", () => expect(messages("3 x {\n  100")).toEqual([[0, "error"]]));
+  test("unmatched closing brace", () => expect(messages("100\n}")).toEqual([[1, "error"]]));
+  test("'@' without a time", () => expect(messages("4 x 100 @ easy")).toEqual([[0, "error"]]));
+  test("multiplier with no indented body", () => expect(messages("3 x\n200")).toEqual([[0, "error"]]));
+  test("interval with no distance is a warning", () => expect(messages("@ 1:30")).toEqual([[0, "warning"]]));
+  test("'-5' with nothing to be relative to", () => expect(messages("4 x 100 @ -5")).toEqual([[0, "error"]]));
+  test("valid text has none", () => expect(messages("2 x\n  4 x 50 @ :50\n200")).toEqual([]));
+});
+
+describe("describeLines", () => {
+  test("attributes sets and repeats to their lines", () => {
+    const lines = describeLines("2 x\n  50 @ :50, 25");
+    expect(lines[0].repeat).toEqual({ count: 2 });
+    expect(lines[1].sets).toHaveLength(2);
+    expect(lines[1].sets[0]).toMatchObject({ yardage: 50, seconds: 50, multiplier: 2 });
+  });
+});
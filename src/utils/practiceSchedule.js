@@ -0,0 +1,132 @@
+/**
+ * Practice schedule helpers shared by the Practice Builder and the calendar.
+ *
+ * A roster's start time for a date comes from the active season's `schedule`
+ * (seasons.config.json) and falls back to the roster `practiceSchedule`
+ * (roster.config.json). Both are keyed by roster, then weekday
+ * ("Mon": "18:30" or "OFF").
+ */
+
+export const DOW = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Find the season whose date range contains a date
+ * @param {Array} seasons - Seasons from seasons config
+ * @param {string} yyyyMmDd - Date "YYYY-MM-DD"
+ * @returns {Object|null} - Season or null
+ */
+export function getActiveSeason(seasons, yyyyMmDd) {
+  if (!seasons || !Array.isArray(seasons) || !yyyyMmDd) return null;
+  const date = new Date(yyyyMmDd);
+  for (const season of seasons) {
+    if (!season.startDate || !season.endDate) continue;
+    if (date >= new Date(season.startDate) && date <= new Date(season.endDate)) {
+      return season;
+    }
+  }
+  return null;
+}
+
+/**
+ * Title of the season containing a date
+ * @param {Array} seasons - Seasons from seasons config
+ * @param {string} yyyyMmDd - Date "YYYY-MM-DD"
+ * @returns {string|null} - Season title or null
+ */
+export function findSeasonByDate(seasons, yyyyMmDd) {
+  return getActiveSeason(seasons, yyyyMmDd)?.title ?? null;
+}
+
+/**
+ * Scheduled start time for a roster on a date
+ * @param {Array} seasons - Seasons from seasons config
+ * @param {Object} config - Roster config (practiceSchedule)
+ * @param {string} roster - Roster name
+ * @param {string} yyyyMmDd - Date "YYYY-MM-DD"
+ * @returns {string|null} - "HH:MM", or null when the roster is off that day
+ */
+export function scheduledStartFor(seasons, config, roster, yyyyMmDd) {
+  if (!roster || !yyyyMmDd) return null;
+  const d = new Date(`${yyyyMmDd}T00:00:00`);
+  const key = DOW[d.getDay()];
+
+  // Season schedule takes priority
+  const activeSeason = getActiveSeason(seasons, yyyyMmDd);
+  const seasonDay = activeSeason?.schedule?.[roster]?.[key];
+  if (seasonDay && seasonDay !== "OFF") return seasonDay;
+
+  // Fall back to roster config schedule
+  const week = config?.practiceSchedule?.[roster];
+  if (!week) return null;
+  const v = week[key];
+  if (!v || v === "OFF") return null;
+  return v;
+}
+
+/**
+ * Pool for a roster on a date (season schedule, then config default)
+ * @param {Array} seasons - Seasons from seasons config
+ * @param {Object} config - Roster config (defaultPool)
+ * @param {string} roster - Roster name
+ * @param {string} yyyyMmDd - Date "YYYY-MM-DD"
+ * @returns {string} - "SCY" | "SCM" | "LCM"
+ */
+export function getPoolForRoster(seasons, config, roster, yyyyMmDd) {
+  const activeSeason = getActiveSeason(seasons, yyyyMmDd);
+  const seasonPool = activeSeason?.schedule?.[roster]?.pool;
+  if (seasonPool) return seasonPool;
+  return config?.defaultPool ?? "SCM";
+}
+
+/**
+ * Seasons with one roster's schedule moved to its new name, so a renamed
+ * roster keeps its season times (roster names match case-insensitively)
+ * @param {Array} seasons - Seasons from seasons config
+ * @param {string} oldName - Roster name before the rename
+ * @param {string} newName - Roster name after it
+ * @returns {Array} - New seasons array; seasons without that roster are unchanged
+ */
+export function renameScheduleRoster(seasons, oldName, newName) {
+  if (!Array.isArray(seasons)) return seasons;
+  const old = String(oldName || "").toLowerCase();
+  return seasons.map((season) => {
+    const key = Object.keys(season.schedule || {}).find((k) => k.toLowerCase() === old);
+    if (!key || key === newName) return season;
+    const { [key]: week, ...rest } = season.schedule;
+    return { ...season, schedule: { ...rest, [newName]: week } };
+  });
+}
+
+/**
+ * Local date as "YYYY-MM-DD" (no UTC shift)
+ * @param {Date} date - Date
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Dates shown by a month or week calendar around an anchor date.
+ * Months are padded to whole weeks starting on Sunday.
+ * @param {Date} anchor - Any date in the month/week to show
+ * @param {string} view - "month" | "week"
+ * @returns {Array} - Date[] (a multiple of 7)
+ */
+export function calendarDays(anchor, view = "month") {
+  const first = view === "week"
+    ? new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate())
+    : new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(first.getDate() - first.getDay());
+
+  let count = 7;
+  if (view !== "week") {
+    const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    const end = new Date(last);
+    end.setDate(last.getDate() + (6 - last.getDay()));
+    count = Math.round((end - start) / 86400000) + 1;
+  }
+
+  return Array.from({ length: count }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+}
@@ -0,0 +1,70 @@
+import { scheduledStartFor, getPoolForRoster, renameScheduleRoster, calendarDays, toDateKey } from "./practiceSchedule";
+
+const SEASONS = [
+  {
+    title: "26/27 Season",
+    startDate: "2026-08-31",
+    endDate: "2027-03-31",
+    schedule: { Senior: { pool: "LCM", Mon: "18:30", Tue: "OFF" } },
+  },
+];
+const CONFIG = {
+  defaultPool: "SCY",
+  practiceSchedule: { Senior: { Mon: "06:00", Tue: "17:00" }, Junior: { Mon: "OFF" } },
+};
+
+// ─── scheduledStartFor ────────────────────────────────────────────────────────
+describe("scheduledStartFor", () => {
+  test("season schedule wins over the roster schedule", () => {
+    expect(scheduledStartFor(SEASONS, CONFIG, "Senior", "2026-09-07")).toBe("18:30"); // Monday
+  });
+  test("falls back to the roster schedule when the season day is OFF", () => {
+    expect(scheduledStartFor(SEASONS, CONFIG, "Senior", "2026-09-08")).toBe("17:00"); // Tuesday
+  });
+  test("outside any season uses the roster schedule", () => {
+    expect(scheduledStartFor(SEASONS, CONFIG, "Senior", "2026-07-06")).toBe("06:00");
+  });
+  test("OFF days have no start", () => {
+    expect(scheduledStartFor(SEASONS, CONFIG, "Junior", "2026-07-06")).toBeNull();
+  });
+});
+
+describe("getPoolForRoster", () => {
+  test("season pool, then config default", () => {
+    expect(getPoolForRoster(SEASONS, CONFIG, "Senior", "2026-09-07")).toBe("LCM");
+    expect(getPoolForRoster(SEASONS, CONFIG, "Senior", "2026-07-06")).toBe("SCY");
+  });
+});
+
+// ─── renameScheduleRoster ─────────────────────────────────────────────────────
+describe("renameScheduleRoster", () => {
+  test("a renamed roster keeps its season start time and pool", () => {
+    const seasons = renameScheduleRoster(SEASONS, "Senior", "Senior Elite");
+    expect(scheduledStartFor(seasons, CONFIG, "Senior Elite", "2026-09-07")).toBe("18:30");
+    expect(getPoolForRoster(seasons, CONFIG, "Senior Elite", "2026-09-07")).toBe("LCM");
+    expect(seasons[0].schedule.Senior).toBeUndefined();
+    expect(SEASONS[0].schedule.Senior).toBeDefined();
+  });
+  test("matches the old name case-insensitively and leaves other seasons alone", () => {
+    const other = { title: "Summer", startDate: "2027-06-01", endDate: "2027-08-01", schedule: {} };
+    const seasons = renameScheduleRoster([...SEASONS, other], "senior", "Seniors");
+    expect(Object.keys(seasons[0].schedule)).toEqual(["Seniors"]);
+    expect(seasons[1]).toBe(other);
+  });
+});
+
+// ─── calendarDays ─────────────────────────────────────────────────────────────
+describe("calendarDays", () => {
+  test("month is padded to whole weeks starting Sunday", () => {
+    const days = calendarDays(new Date(2026, 9, 19), "month"); // October 2026
+    expect(toDateKey(days[0])).toBe("2026-09-27");
+    expect(toDateKey(days[days.length - 1])).toBe("2026-10-31");
+    expect(days).toHaveLength(35);
+  });
+  test("week runs Sunday to Saturday around the anchor", () => {
+    const days = calendarDays(new Date(2026, 9, 21), "week");
+    expect(days.map(toDateKey)).toEqual([
+      "2026-10-18", "2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23", "2026-10-24",
+    ]);
+  });
+});
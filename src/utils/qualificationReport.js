@@ -0,0 +1,63 @@
+/**
+ * qualificationReport.js
+ *
+ * Shapes the qualifiers returned by /api/time-standards/:id/qualifiers into
+ * table rows shared by the on-screen report, the PDF and the CSV export.
+ */
+import { formatTime } from "./formatTime";
+
+export const QUALIFIER_COLUMNS = [
+  "Last Name", "First Name", "Group", "Event", "Age Group", "Time", "Cut", "Source", "Date", "Meet",
+];
+
+function formatDay(date) {
+  return date ? String(date).slice(0, 10) : "";
+}
+
+/**
+ * One array of display strings per qualifying swim, in QUALIFIER_COLUMNS order.
+ * Converted swims show the original course and time in "Source".
+ */
+export function qualifierTableRows(rows) {
+  return rows.map(r => [
+    r.lastName,
+    r.firstName,
+    r.group || "",
+    r.event,
+    r.ageGroup || "",
+    formatTime(r.time),
+    formatTime(r.cut),
+    r.converted ? `${formatTime(r.sourceTime)} ${r.sourceCourse} (converted)` : r.course,
+    formatDay(r.date),
+    r.meetName || "",
+  ]);
+}
+
+/** Quote a CSV field when it contains a delimiter, quote or line break */
+export function csvField(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Header + rows → CSV text (CRLF line endings, as spreadsheets expect) */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(",")).join("\r\n");
+}
+
+/**
+ * Group qualifying swims by swimmer, keeping the server's roster order.
+ * @returns {{ swimmerId, name, group, swims: Object[] }[]}
+ */
+export function groupQualifiersBySwimmer(rows) {
+  const groups = [];
+  const byId = {};
+  rows.forEach(r => {
+    const id = String(r.swimmerId);
+    if (!byId[id]) {
+      byId[id] = { swimmerId: id, name: `${r.lastName}, ${r.firstName}`, group: r.group || "", swims: [] };
+      groups.push(byId[id]);
+    }
+    byId[id].swims.push(r);
+  });
+  return groups;
+}
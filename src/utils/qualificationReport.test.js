@@ -0,0 +1,55 @@
+import { qualifierTableRows, csvField, toCsv, groupQualifiersBySwimmer } from "./qualificationReport";
+
+const ROWS = [
+  {
+    swimmerId: "a", lastName: "Lee", firstName: "Ana", group: "Senior", event: "100 Free", ageGroup: "13-14",
+    time: 60.5, cut: 61, course: "SCY", sourceCourse: "SCY", sourceTime: 60.5, converted: false,
+    date: "2026-05-01T00:00:00.000Z", meetName: "Spring Open",
+  },
+  {
+    swimmerId: "a", lastName: "Lee", firstName: "Ana", group: "Senior", event: "200 Back", ageGroup: "13-14",
+    time: 133.33, cut: 140, course: "SCY", sourceCourse: "LCM", sourceTime: 150, converted: true,
+    date: "2026-06-01T00:00:00.000Z", meetName: "LC Champs",
+  },
+  {
+    swimmerId: "b", lastName: "Ortiz", firstName: "Ben", group: "", event: "50 Fly", ageGroup: "13-14",
+    time: 28.9, cut: 29.5, course: "SCY", sourceCourse: "SCY", sourceTime: 28.9, converted: false,
+    date: null, meetName: "",
+  },
+];
+
+// ─── qualifierTableRows ───────────────────────────────────────────────────────
+describe("qualifierTableRows", () => {
+  test("formats times and dates for display", () => {
+    expect(qualifierTableRows(ROWS)[0]).toEqual([
+      "Lee", "Ana", "Senior", "100 Free", "13-14", "1:00.50", "1:01.00", "SCY", "2026-05-01", "Spring Open",
+    ]);
+  });
+
+  test("shows the original course and time for converted swims", () => {
+    expect(qualifierTableRows(ROWS)[1][7]).toBe("2:30.00 LCM (converted)");
+    expect(qualifierTableRows(ROWS)[2][8]).toBe("");
+  });
+});
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+describe("toCsv", () => {
+  test("quotes fields with commas, quotes or line breaks", () => {
+    expect(csvField("Lee, Ana")).toBe('"Lee, Ana"');
+    expect(csvField('6" cut')).toBe('"6"" cut"');
+    expect(csvField(null)).toBe("");
+  });
+
+  test("joins header and rows with CRLF", () => {
+    expect(toCsv(["a", "b"], [["1", "x,y"]])).toBe('a,b\r\n1,"x,y"');
+  });
+});
+
+// ─── groupQualifiersBySwimmer ─────────────────────────────────────────────────
+describe("groupQualifiersBySwimmer", () => {
+  test("keeps roster order and collects each swimmer's swims", () => {
+    const groups = groupQualifiersBySwimmer(ROWS);
+    expect(groups.map(g => g.name)).toEqual(["Lee, Ana", "Ortiz, Ben"]);
+    expect(groups[0].swims).toHaveLength(2);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Rendering helpers for the matching lines the practice search returns
+ * (`snippets: [{ where, line, highlights: [[start, end], ...] }]`).
+ */
+
+/**
+ * Split a line into plain and highlighted parts
+ * @param {string} line
+ * @param {Array<[number, number]>} highlights - [start, end) ranges, in any order
+ * @returns {Array} - [{ text, match }]
+ */
+export function highlightParts(line = "", highlights = []) {
+  const parts = [];
+  let pos = 0;
+  const ranges = [...highlights].sort((a, b) => a[0] - b[0]);
+  for (const [start, end] of ranges) {
+    if (start < pos || end <= start) continue;   // overlapping or empty range
+    if (start > pos) parts.push({ text: line.slice(pos, start), match: false });
+    parts.push({ text: line.slice(start, end), match: true });
+    pos = end;
+  }
+  if (pos < line.length) parts.push({ text: line.slice(pos), match: false });
+  return parts;
+}
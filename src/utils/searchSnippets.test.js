@@ -0,0 +1,21 @@
+import { highlightParts } from "./searchSnippets";
+
+// ─── highlightParts ───────────────────────────────────────────────────────────
+describe("highlightParts", () => {
+  test("splits a line around its highlighted ranges", () => {
+    expect(highlightParts("10x100 IM @ 1:40", [[7, 9], [0, 6]])).toEqual([
+      { text: "10x100", match: true },
+      { text: " ", match: false },
+      { text: "IM", match: true },
+      { text: " @ 1:40", match: false },
+    ]);
+  });
+
+  test("ignores overlapping ranges and keeps plain lines whole", () => {
+    expect(highlightParts("200 Free", [[0, 3], [1, 2]])).toEqual([
+      { text: "200", match: true },
+      { text: " Free", match: false },
+    ]);
+    expect(highlightParts("200 Free")).toEqual([{ text: "200 Free", match: false }]);
+  });
+});
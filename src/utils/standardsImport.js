@@ -0,0 +1,217 @@
+/**
+ * standardsImport.js
+ *
+ * Reads time standards from a CSV file or a table pasted from a PDF, laid out
+ * the way USA Swimming motivational times (and our own PDF export) are:
+ * women's columns on the left, the event in the middle, men's columns
+ * mirrored on the right.
+ *
+ *   SCM     SCY     LCM    | Event  | LCM     SCY     SCM        (one level)
+ *   AAAA    AAA … B        | Event  | B … AAA   AAAA             (one course)
+ *
+ * A header row naming the courses or levels overrides the default column
+ * order. Cuts come back keyed like TimeStandardsSet entries ("F:SCY:AA") so
+ * they can be diffed against and merged into a set for one age group.
+ */
+import { formatTime, parseSwimTime } from "./formatTime";
+import { normalizeStroke, normalizeCourse } from "./meetImport";
+
+export const WOMEN_COURSES = ["SCM", "SCY", "LCM"];
+export const MEN_COURSES = ["LCM", "SCY", "SCM"];
+
+const NO_CUT = /^(-+|—|–|\*|n\/?a|none)$/i;
+const DISTANCE = /^\d+(?:\/\d+)*$/;
+const COMBINED_EVENT = /^(\d+(?:\/\d+)*)\s*([a-z][a-z .-]*)$/i;
+
+function splitCells(line) {
+  if (line.includes("\t")) return line.split("\t").map(c => c.trim());
+  if (line.includes(",")) return line.split(",").map(c => c.trim().replace(/^"(.*)"$/, "$1"));
+  return line.trim().split(/\s+/);
+}
+
+/**
+ * Canonical event label from a distance and stroke text.
+ * "500/400", "FR" → "500/400 Free"; "200", "MED-R" → "200 Medley Relay"
+ * @returns {string|null}
+ */
+export function eventLabel(distance, strokeText) {
+  const text = String(strokeText || "").trim();
+  if (/relay|-r$/i.test(text)) {
+    const base = text.replace(/relay|-r$/i, "").trim();
+    return `${distance} ${/^(med|medley|mr)/i.test(base) ? "Medley" : "Free"} Relay`;
+  }
+  const stroke = normalizeStroke(text);
+  return stroke ? `${distance} ${stroke}` : null;
+}
+
+/**
+ * The set's own name for an event, so "500 Free" or "500/400 FR" land on
+ * "500/400 Free" when the set uses paired distances.
+ */
+export function resolveEvent(label, events = []) {
+  const exact = events.find(e => e.toLowerCase() === label.toLowerCase());
+  if (exact) return exact;
+  const [dist, ...rest] = label.split(" ");
+  const stroke = rest.join(" ").toLowerCase();
+  const distances = dist.split("/");
+  return events.find(e => {
+    const [d, ...s] = e.split(" ");
+    return s.join(" ").toLowerCase() === stroke && d.split("/").some(x => distances.includes(x));
+  }) || label;
+}
+
+/** Find the event cell(s) in a row → { label, start, end } (end exclusive) */
+function findEvent(cells) {
+  for (let i = 0; i < cells.length; i++) {
+    const combined = cells[i].match(COMBINED_EVENT);
+    if (combined) {
+      const label = eventLabel(combined[1], combined[2]);
+      if (label) return { label, start: i, end: i + 1 };
+    }
+    if (!DISTANCE.test(cells[i])) continue;
+    // Distance followed by one or two stroke words ("FR", "Free Relay", "MED-R")
+    for (const width of [2, 1]) {
+      const label = eventLabel(cells[i], cells.slice(i + 1, i + 1 + width).join(" "));
+      if (label && i + 1 + width <= cells.length) return { label, start: i, end: i + 1 + width };
+    }
+  }
+  return null;
+}
+
+function headerValue(cell, levels) {
+  const text = cell.trim();
+  const level = levels.find(l => l.toLowerCase() === text.toLowerCase());
+  if (level) return { level };
+  if (/yard/i.test(text)) return { course: "SCY" };
+  if (/25\s*met/i.test(text)) return { course: "SCM" };
+  if (/50\s*met/i.test(text)) return { course: "LCM" };
+  const course = normalizeCourse(text);
+  return course ? { course } : null;
+}
+
+/**
+ * Column headings from a header row, or null when the row isn't one.
+ * @returns {{women: Object[], men: Object[]}|null}
+ */
+function parseHeader(cells, levels) {
+  const eventAt = cells.findIndex(c => /^event$/i.test(c) || c === "");
+  const named = cells.map((c, i) => (i === eventAt ? null : headerValue(c, levels)));
+  if (named.some((v, i) => i !== eventAt && !v)) return null;
+  const values = named.filter(Boolean);
+  if (values.length < 2) return null;
+  if (eventAt >= 0) {
+    return { women: named.slice(0, eventAt), men: named.slice(eventAt + 1) };
+  }
+  const half = Math.ceil(values.length / 2);
+  return { women: values.slice(0, half), men: values.slice(half) };
+}
+
+function readTime(cell) {
+  const text = cell.trim();
+  if (!text || NO_CUT.test(text)) return { empty: true };
+  if (!/^\d+(?::\d{1,2})?(?:\.\d{1,2})?$/.test(text)) return { error: true };
+  const seconds = parseSwimTime(text);
+  return seconds > 0 ? { time: formatTime(seconds) } : { error: true };
+}
+
+/**
+ * Parse a standards table for one age group.
+ * @param {string} text - CSV or pasted table
+ * @param {Object} options
+ * @param {string[]} options.levels - the set's levels, fastest first
+ * @param {string[]} [options.events] - the set's events, used to resolve names
+ * @param {"courses"|"levels"} options.columns - what the time columns are
+ * @param {string} [options.level] - the level, when columns are courses
+ * @param {string} [options.course] - the course, when columns are levels
+ * @returns {{ cuts: {event, key, time}[], events: string[], skipped: {line, reason}[] }}
+ */
+export function parseStandardsTable(text, { levels, events = [], columns, level, course }) {
+  const toColumn = value => value.course
+    ? { course: value.course, level: value.level || level }
+    : { course, level: value.level };
+  let layout = columns === "levels"
+    ? { women: levels.map(l => ({ level: l })), men: [...levels].reverse().map(l => ({ level: l })) }
+    : { women: WOMEN_COURSES.map(c => ({ course: c })), men: MEN_COURSES.map(c => ({ course: c })) };
+
+  const cuts = [];
+  const found = [];
+  const skipped = [];
+
+  String(text || "").replace(/\uFEFF/g, "").split(/\r?\n/).forEach((raw, idx) => {
+    const line = idx + 1;
+    const cells = splitCells(raw);
+    if (cells.every(c => c === "")) return;
+
+    const ev = findEvent(cells);
+    if (!ev) {
+      const header = parseHeader(cells, levels);
+      if (header) layout = header;
+      else if (cells.some(c => readTime(c).time)) skipped.push({ line, reason: "No event found" });
+      return;
+    }
+
+    const women = cells.slice(0, ev.start);
+    const men = cells.slice(ev.end);
+    if (women.length !== layout.women.length || men.length !== layout.men.length) {
+      skipped.push({
+        line,
+        reason: `Expected ${layout.women.length} + ${layout.men.length} times, found ${women.length} + ${men.length}`,
+      });
+      return;
+    }
+
+    const event = resolveEvent(ev.label, events);
+    const rowCuts = [];
+    let bad = null;
+    [["F", women, layout.women], ["M", men, layout.men]].forEach(([gender, values, cols]) => {
+      values.forEach((cell, i) => {
+        const { time, error } = readTime(cell);
+        const col = toColumn(cols[i]);
+        if (error) bad = bad || `Unreadable time "${cell}"`;
+        else if (time && col.course && col.level) {
+          rowCuts.push({ event, key: `${gender}:${col.course}:${col.level}`, time });
+        }
+      });
+    });
+    if (bad) {
+      skipped.push({ line, reason: bad });
+      return;
+    }
+    cuts.push(...rowCuts);
+    if (!found.includes(event)) found.push(event);
+  });
+
+  return { cuts, events: found, skipped };
+}
+
+/**
+ * Compare parsed cuts with what a set already has for an age group.
+ * @returns {{ event, key, before: string|null, after: string, status: "added"|"changed"|"same" }[]}
+ */
+export function diffStandards(entries, ageGroup, cuts) {
+  return cuts.map(({ event, key, time }) => {
+    const entry = (entries || []).find(e => e.event === event && e.ageGroup === ageGroup);
+    const before = entry?.cuts?.[key] || null;
+    let status = "added";
+    if (before) status = parseSwimTime(before) === parseSwimTime(time) ? "same" : "changed";
+    return { event, key, before, after: time, status };
+  });
+}
+
+/**
+ * Merge parsed cuts into a set's entries for an age group. Cuts the import
+ * doesn't mention are kept.
+ * @returns {Object[]} - new entries array
+ */
+export function applyStandards(entries, ageGroup, cuts) {
+  const next = (entries || []).map(e => ({ ...e, cuts: { ...e.cuts } }));
+  cuts.forEach(({ event, key, time }) => {
+    let entry = next.find(e => e.event === event && e.ageGroup === ageGroup);
+    if (!entry) {
+      entry = { event, ageGroup, cuts: {} };
+      next.push(entry);
+    }
+    entry.cuts[key] = time;
+  });
+  return next;
+}
@@ -0,0 +1,106 @@
+import {
+  eventLabel,
+  resolveEvent,
+  parseStandardsTable,
+  diffStandards,
+  applyStandards,
+} from "./standardsImport";
+
+const LEVELS = ["AAAA", "AAA", "AA", "A", "BB", "B"];
+const EVENTS = ["50 Free", "100 Free", "500/400 Free", "100 IM", "200 Free Relay"];
+
+// ─── eventLabel / resolveEvent ────────────────────────────────────────────────
+describe("eventLabel", () => {
+  test("reads stroke abbreviations and relays", () => {
+    expect(eventLabel("50", "FR")).toBe("50 Free");
+    expect(eventLabel("100", "BK")).toBe("100 Back");
+    expect(eventLabel("200", "FR-R")).toBe("200 Free Relay");
+    expect(eventLabel("200", "Medley Relay")).toBe("200 Medley Relay");
+    expect(eventLabel("50", "Kick")).toBeNull();
+  });
+});
+
+describe("resolveEvent", () => {
+  test("maps single or paired distances onto the set's event names", () => {
+    expect(resolveEvent("500 Free", EVENTS)).toBe("500/400 Free");
+    expect(resolveEvent("500/400 Free", EVENTS)).toBe("500/400 Free");
+    expect(resolveEvent("200 Back", EVENTS)).toBe("200 Back");
+  });
+});
+
+// ─── parseStandardsTable ──────────────────────────────────────────────────────
+describe("parseStandardsTable", () => {
+  test("reads a pasted one-level table with courses mirrored around the event", () => {
+    const text = [
+      "WOMEN MEN",
+      "34.69 30.89 35.29 50 FR 33.19 29.29 33.79",
+      "5:51.29 5:11.19 5:56.49 500/400 FR 5:43.89 5:06.09 5:48.19",
+    ].join("\n");
+    const { cuts, events, skipped } = parseStandardsTable(text, {
+      levels: LEVELS, events: EVENTS, columns: "courses", level: "A",
+    });
+    expect(skipped).toEqual([]);
+    expect(events).toEqual(["50 Free", "500/400 Free"]);
+    expect(cuts).toContainEqual({ event: "50 Free", key: "F:SCM:A", time: "34.69" });
+    expect(cuts).toContainEqual({ event: "50 Free", key: "M:SCM:A", time: "33.79" });
+    expect(cuts).toContainEqual({ event: "500/400 Free", key: "F:SCY:A", time: "5:11.19" });
+    expect(cuts).toHaveLength(12);
+  });
+
+  test("uses a CSV header row for the column order and leaves blanks alone", () => {
+    const text = [
+      "SCY,LCM,Event,LCM,SCY",
+      "1:05.19,,100 Free,1:10.00,1:02.00",
+    ].join("\r\n");
+    const { cuts } = parseStandardsTable(text, {
+      levels: LEVELS, events: EVENTS, columns: "courses", level: "AA",
+    });
+    expect(cuts).toEqual([
+      { event: "100 Free", key: "F:SCY:AA", time: "1:05.19" },
+      { event: "100 Free", key: "M:LCM:AA", time: "1:10.00" },
+      { event: "100 Free", key: "M:SCY:AA", time: "1:02.00" },
+    ]);
+  });
+
+  test("reads one course with levels as columns", () => {
+    const text = "B BB A Event A BB B\n40.00 37.00 35.00 50 Free 34.00 36.00 39.00";
+    const { cuts } = parseStandardsTable(text, {
+      levels: ["A", "BB", "B"], events: EVENTS, columns: "levels", course: "SCY",
+    });
+    expect(cuts[0]).toEqual({ event: "50 Free", key: "F:SCY:B", time: "40.00" });
+    expect(cuts[5]).toEqual({ event: "50 Free", key: "M:SCY:B", time: "39.00" });
+  });
+
+  test("skips rows with the wrong number of times or unreadable cells", () => {
+    const text = "34.69 30.89 50 FR 33.19 29.29 33.79\n34.69 abc 35.29 100 FR 1:00.00 55.00 1:01.00";
+    const { cuts, skipped } = parseStandardsTable(text, {
+      levels: LEVELS, events: EVENTS, columns: "courses", level: "A",
+    });
+    expect(cuts).toEqual([]);
+    expect(skipped.map(s => s.line)).toEqual([1, 2]);
+    expect(skipped[1].reason).toMatch(/abc/);
+  });
+});
+
+// ─── diffStandards / applyStandards ───────────────────────────────────────────
+describe("diffStandards", () => {
+  const entries = [{ event: "50 Free", ageGroup: "11-12", cuts: { "F:SCY:A": "30.89", "M:SCY:A": "29.50" } }];
+  const cuts = [
+    { event: "50 Free", key: "F:SCY:A", time: "30.89" },
+    { event: "50 Free", key: "M:SCY:A", time: "29.29" },
+    { event: "100 Free", key: "F:SCY:A", time: "1:07.00" },
+  ];
+
+  test("marks each cut as same, changed or added", () => {
+    expect(diffStandards(entries, "11-12", cuts).map(d => d.status)).toEqual(["same", "changed", "added"]);
+    expect(diffStandards(entries, "13-14", cuts).every(d => d.status === "added")).toBe(true);
+  });
+
+  test("merges into the age group without dropping other cuts", () => {
+    const next = applyStandards(entries, "11-12", cuts);
+    expect(next).toHaveLength(2);
+    expect(next[0].cuts).toEqual({ "F:SCY:A": "30.89", "M:SCY:A": "29.29" });
+    expect(next[1]).toEqual({ event: "100 Free", ageGroup: "11-12", cuts: { "F:SCY:A": "1:07.00" } });
+    expect(entries[0].cuts["M:SCY:A"]).toBe("29.50");
+  });
+});
@@ -1,228 +1,11 @@
 /**
- * Parse practice content and categorize by swim type using acronyms config
+ * Parse practice content and categorize by swim type using acronyms config.
+ * Strokes and styles come from the shared practice grammar (practiceParser.js).
  */
 
-let acronymsConfig = null;
+import { analyzeSection } from "./practiceParser";
 
-/**
- * Set the acronyms configuration
- * @param {object} config - Acronyms config with strokes and styles
- */
-export function setAcronymsConfig(config) {
-  acronymsConfig = config;
-}
-
-/**
- * Build regex patterns from acronyms config
- * @returns {object} - { strokes: {}, styles: {} }
- */
-function buildPatterns() {
-  if (!acronymsConfig) return { strokes: {}, styles: {} };
-
-  const strokes = {};
-  const styles = {};
-
-  // Build stroke patterns
-  for (const [stroke, acronyms] of Object.entries(acronymsConfig.strokes || {})) {
-    if (Array.isArray(acronyms) && acronyms.length > 0) {
-      const escaped = acronyms.map(a => a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-      strokes[stroke] = new RegExp(`\\b(${escaped.join('|')})\\b`, 'i');
-    }
-  }
-
-  // Build style patterns
-  for (const [style, acronyms] of Object.entries(acronymsConfig.styles || {})) {
-    if (Array.isArray(acronyms) && acronyms.length > 0) {
-      const escaped = acronyms.map(a => a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-      styles[style] = new RegExp(`\\b(${escaped.join('|')})\\b`, 'i');
-    }
-  }
-
-  return { strokes, styles };
-}
-
-/**
- * Parse a single line to extract yardage, strokes, and styles
- * @param {string} line - Single line from practice content
- * @returns {object} - { yardage: number, strokes: object, styles: object }
- */
-function parseLine(line) {
-  const trimmed = line.trim();
-  if (!trimmed) return { yardage: 0, strokes: {}, styles: {} };
-
-  let yardage = 0;
-  const strokes = {};
-  const styles = {};
-
-  // Match format like: 3 x 100 or 4x75 Free
-  const repMatch = trimmed.match(/^(\d+)\s*[xX]\s*(\d+)/);
-  if (repMatch) {
-    const reps = parseInt(repMatch[1], 10);
-    const dist = parseInt(repMatch[2], 10);
-    yardage = reps * dist;
-  } else {
-    // Don't count lines that are just multipliers (e.g., "2 x" without a value)
-    const justMultiplier = trimmed.match(/^(\d+)\s*[xX]\s*$/);
-    if (!justMultiplier) {
-      // Match format like: 100 Free or 200 IM
-      const singleMatch = trimmed.match(/^(\d+)\s*/);
-      if (singleMatch) {
-        yardage = parseInt(singleMatch[1], 10);
-      }
-    }
-  }
-
-  if (yardage === 0) return { yardage: 0, strokes: {}, styles: {} };
-
-  const patterns = buildPatterns();
-  const foundStrokes = [];
-  const foundStyles = [];
-
-  // Check for combined styles like K/S/D/S or K-S-D-S (single letters with separators)
-  const combinedStyleMatch = trimmed.match(/\b([KSPDW])(\/|-|\s)([KSPDW])((\/|-|\s)[KSPDW])*/gi);
-  if (combinedStyleMatch && combinedStyleMatch.length > 0) {
-    // Extract individual style letters from the combined pattern
-    const styleLetters = combinedStyleMatch[0].split(/\/|-|\s+/).filter(s => s.length > 0);
-    for (const letter of styleLetters) {
-      for (const [style, pattern] of Object.entries(patterns.styles)) {
-        if (pattern.test(letter)) {
-          foundStyles.push(style);
-          break;
-        }
-      }
-    }
-  }
-
-  // Always check for normal style words (like "Drill", "Build", etc.) even if we found combined patterns
-  if (foundStyles.length === 0) {
-    for (const [style, pattern] of Object.entries(patterns.styles)) {
-      if (pattern.test(trimmed)) {
-        foundStyles.push(style);
-      }
-    }
-  }
-
-  // Detect strokes
-  for (const [stroke, pattern] of Object.entries(patterns.strokes)) {
-    if (pattern.test(trimmed)) {
-      foundStrokes.push(stroke);
-    }
-  }
-
-  // Apply rules:
-  // - If no stroke designation, assume Choice
-  if (foundStrokes.length === 0) {
-    foundStrokes.push('Choice');
-  }
-
-  // - If no style designation, assume Swim
-  if (foundStyles.length === 0) {
-    foundStyles.push('Swim');
-  }
-
-  // If styles are put together (e.g., K/S/D/S), divide yardage amongst them
-  const styleCount = foundStyles.length || 1;
-  const strokeCount = foundStrokes.length || 1;
-  const yardagePerStyle = yardage / styleCount;
-  const yardagePerStroke = yardage / strokeCount;
-
-  // Build result objects
-  for (const style of foundStyles) {
-    styles[style] = (styles[style] || 0) + yardagePerStyle;
-  }
-
-  for (const stroke of foundStrokes) {
-    strokes[stroke] = (strokes[stroke] || 0) + yardagePerStroke;
-  }
-
-  return { yardage, strokes, styles };
-}
-
-/**
- * Expand blocks like "2 x { 100 Free, 100 Back }" and indentation-based blocks
- * @param {string} text - Text with potential nested blocks
- * @returns {string} - Expanded text
- */
-function expandBlocks(text) {
-  let out = text;
-  const bracePattern = /(\d+)\s*[xX]\s*{([^{}]*)}/s;
-
-  // Handle curly brace blocks first
-  while (bracePattern.test(out)) {
-    out = out.replace(bracePattern, (_, n, inner) => {
-      const times = parseInt(n, 10);
-      if (!Number.isFinite(times) || times <= 0) return inner;
-      const block = inner.trim();
-      return Array(times).fill(block).join("\n");
-    });
-  }
-
-  // Now handle indentation-based blocks (same as yardageParser)
-  const lines = out.split('\n');
-  const result = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Check if this line is a multiplier without opening brace
-    const multiplierMatch = trimmed.match(/^(\d+)\s*[xX×]\s*$/);
-
-    if (multiplierMatch) {
-      const times = parseInt(multiplierMatch[1], 10);
-      const indentedLines = [];
-
-      // Get the indentation level of the current line
-      const baseIndent = line.match(/^(\s*)/)[1].length;
-
-      // Collect all following lines that are indented more than the multiplier line
-      let j = i + 1;
-      while (j < lines.length) {
-        const nextLine = lines[j];
-        const nextTrimmed = nextLine.trim();
-
-        // Skip empty lines
-        if (!nextTrimmed) {
-          j++;
-          continue;
-        }
-
-        // Get indentation of the next line
-        const nextIndent = nextLine.match(/^(\s*)/)[1].length;
-
-        // If this line is indented more than the multiplier line, it's part of the block
-        if (nextIndent > baseIndent) {
-          indentedLines.push(nextTrimmed);
-          j++;
-        } else {
-          // Stop when we hit a line with equal or less indentation
-          break;
-        }
-      }
-
-      // If we found indented lines, expand them
-      if (indentedLines.length > 0 && Number.isFinite(times) && times > 0) {
-        for (let t = 0; t < times; t++) {
-          result.push(...indentedLines);
-        }
-        i = j; // Skip past the indented block
-      } else {
-        // No indented lines found, skip the multiplier line
-        i++;
-      }
-    } else if (trimmed) {
-      // Regular line with content, add trimmed version
-      result.push(trimmed);
-      i++;
-    } else {
-      // Empty line, skip
-      i++;
-    }
-  }
-
-  return result.join('\n');
-}
+export { setAcronymsConfig } from "./practiceParser";
 
 /**
  * Parse practice content and return stats by strokes and styles
@@ -230,33 +13,8 @@ function expandBlocks(text) {
  * @returns {object} - { strokes: {}, styles: {} }
  */
 export function parseSwimTypeStats(content) {
-  if (!content || typeof content !== 'string') {
-    return { strokes: {}, styles: {} };
-  }
-
-  const expanded = expandBlocks(content);
-  const lines = expanded.split('\n');
-
-  const aggregatedStrokes = {};
-  const aggregatedStyles = {};
-
-  for (const line of lines) {
-    const { yardage, strokes, styles } = parseLine(line);
-
-    if (yardage > 0) {
-      // Add stroke yardage
-      for (const [stroke, strokeYardage] of Object.entries(strokes)) {
-        aggregatedStrokes[stroke] = (aggregatedStrokes[stroke] || 0) + strokeYardage;
-      }
-
-      // Add style yardage
-      for (const [style, styleYardage] of Object.entries(styles)) {
-        aggregatedStyles[style] = (aggregatedStyles[style] || 0) + styleYardage;
-      }
-    }
-  }
-
-  return { strokes: aggregatedStrokes, styles: aggregatedStyles };
+  const { strokes, styles } = analyzeSection(content);
+  return { strokes, styles };
 }
 
 /**
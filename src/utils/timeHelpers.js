@@ -2,6 +2,8 @@
  * Shared time/formatting utilities for swim practice calculations
  */
 
+import { analyzeSection } from "./practiceParser";
+
 /**
  * Parse time string to seconds
  * Accepts: ":40", "1:30", "1:05:30", or plain "90"
@@ -50,110 +52,8 @@ export function parseTimeToSeconds(str) {
 }
 
 /**
- * Extract the first interval time from a line (e.g., "3x100 @ 1:30")
- * Handles multiple intervals like ":40/:45" by taking the first
- * @param {string} line - Line to parse
- * @returns {number|null} - Interval in seconds or null
- */
-export function extractFirstIntervalSeconds(line) {
-  const atIdx = line.indexOf("@");
-  if (atIdx === -1) return null;
-
-  let after = line.slice(atIdx + 1).trim();
-  after = after.split("/")[0].trim(); // if ":40/:45" -> take ":40"
-  const token = after.split(/\s+/)[0]; // stop at first whitespace
-
-  return parseTimeToSeconds(token);
-}
-
-/**
- * Expand innermost "N x { ... }" blocks by repetition
- * @param {string} text - Text with nested blocks
- * @returns {string} - Expanded text
- */
-export function expandBlocks(text) {
-  if (!text) return '';
-
-  // First handle curly brace blocks
-  let out = text;
-  const bracePattern = /(\d+)\s*[xX×]\s*{([^{}]*)}/s;
-
-  while (bracePattern.test(out)) {
-    out = out.replace(bracePattern, (_, n, inner) => {
-      const times = parseInt(n, 10);
-      if (!Number.isFinite(times) || times <= 0) return inner;
-      const block = inner.trim();
-      return Array(times).fill(block).join("\n");
-    });
-  }
-
-  // Now handle indentation-based blocks
-  const lines = out.split('\n');
-  const result = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Check if this line is a multiplier without opening brace (e.g., "2 x " or "2 x")
-    const multiplierMatch = trimmed.match(/^(\d+)\s*[xX×]\s*$/);
-
-    if (multiplierMatch) {
-      const times = parseInt(multiplierMatch[1], 10);
-      const indentedLines = [];
-
-      // Get the indentation level of the current line
-      const baseIndent = line.match(/^(\s*)/)[1].length;
-
-      // Collect all following lines that are indented more than the multiplier line
-      let j = i + 1;
-      while (j < lines.length) {
-        const nextLine = lines[j];
-        const nextTrimmed = nextLine.trim();
-
-        // Skip empty lines
-        if (!nextTrimmed) {
-          j++;
-          continue;
-        }
-
-        // Get indentation of the next line
-        const nextIndent = nextLine.match(/^(\s*)/)[1].length;
-
-        // If this line is indented more than the multiplier line, it's part of the block
-        if (nextIndent > baseIndent) {
-          indentedLines.push(nextTrimmed); // Use trimmed version for consistent parsing
-          j++;
-        } else {
-          // Stop when we hit a line with equal or less indentation
-          break;
-        }
-      }
-
-      // If we found indented lines, expand them
-      if (indentedLines.length > 0 && Number.isFinite(times) && times > 0) {
-        for (let t = 0; t < times; t++) {
-          result.push(...indentedLines);
-        }
-        i = j; // Skip past the indented block
-      } else {
-        // No indented lines found, just add the multiplier line as-is
-        result.push(line);
-        i++;
-      }
-    } else {
-      // Regular line, add as-is
-      result.push(line);
-      i++;
-    }
-  }
-
-  return result.join('\n');
-}
-
-/**
- * Compute total time in seconds for a section (swim or break)
+ * Compute total time in seconds for a section (swim or break).
+ * Swim sections only count sets with a written interval.
  * @param {object} section - Section object with type and content
  * @returns {number} - Total seconds
  */
@@ -162,26 +62,7 @@ export function computeSectionTimeSeconds(section) {
     return parseTimeToSeconds(section.content) || 0;
   }
 
-  if (!section.content) return 0;
-
-  const expanded = expandBlocks(section.content);
-  let total = 0;
-
-  for (let raw of expanded.split("\n")) {
-    const line = raw.trim();
-    if (!line) continue;
-
-    const perRep = extractFirstIntervalSeconds(line);
-    if (perRep == null) continue;
-
-    let reps = 1;
-    const repsMatch = line.match(/^(\d+)\s*[xX]\b/);
-    if (repsMatch) reps = parseInt(repsMatch[1], 10);
-
-    total += reps * perRep;
-  }
-
-  return total;
+  return analyzeSection(section.content).timeSeconds;
 }
 
 /**
@@ -0,0 +1,100 @@
+/**
+ * Training plan helpers for the season planner and the Practice Builder's
+ * "this week's plan" panel. Mixes are stored as percent of yardage
+ * ({ Free: 60, Back: 20 }); actuals come in yards per category and are
+ * converted with mixPercent before comparing.
+ */
+
+import { analyzeSection } from "./practiceParser";
+
+export const PHASE_TYPES = [
+  { value: "base", label: "Base", color: "#3b82f6" },
+  { value: "build", label: "Build", color: "#10b981" },
+  { value: "peak", label: "Peak", color: "#f59e0b" },
+  { value: "taper", label: "Taper", color: "#8b5cf6" },
+  { value: "meet", label: "Meet week", color: "#ef4444" },
+  { value: "recovery", label: "Recovery", color: "#64748b" },
+];
+
+/**
+ * Phase type metadata
+ * @param {string} type - Phase type value
+ * @returns {Object} - { value, label, color }
+ */
+export function phaseType(type) {
+  return PHASE_TYPES.find((t) => t.value === type) || PHASE_TYPES[0];
+}
+
+/**
+ * Mix as whole percentages of its total
+ * @param {Object} mix - { name: yardage }
+ * @returns {Object} - { name: percent }
+ */
+export function mixPercent(mix = {}) {
+  const total = Object.values(mix).reduce((sum, v) => sum + (v || 0), 0);
+  if (!total) return {};
+  return Object.fromEntries(Object.entries(mix).map(([k, v]) => [k, Math.round(((v || 0) / total) * 100)]));
+}
+
+/**
+ * Add yardage mixes together
+ * @param {...Object} mixes - { name: yardage }
+ * @returns {Object} - Summed mix
+ */
+export function addMixes(...mixes) {
+  const out = {};
+  for (const mix of mixes) {
+    for (const [k, v] of Object.entries(mix || {})) out[k] = (out[k] || 0) + (v || 0);
+  }
+  return out;
+}
+
+/**
+ * Yardage and stroke / energy-system yardage of a practice being built.
+ * Group splits count their biggest group, like the practice totals do.
+ * @param {Array} sections - Builder sections ({ type, content, groups })
+ * @returns {Object} - { yardage, strokes: {}, energy: {} }
+ */
+export function practiceMix(sections = []) {
+  const out = { yardage: 0, strokes: {}, energy: {} };
+  const add = ({ yardage, strokes, energy }) => {
+    out.yardage += yardage;
+    out.strokes = addMixes(out.strokes, strokes);
+    out.energy = addMixes(out.energy, energy);
+  };
+
+  for (const s of sections) {
+    if (s.type === "swim") {
+      add(analyzeSection(s.content));
+    } else if (s.type === "group-split") {
+      const groups = (s.groups || []).map((g) =>
+        (g.sections || []).reduce(
+          (acc, gs) => {
+            const r = analyzeSection(gs.text);
+            return { yardage: acc.yardage + r.yardage, strokes: addMixes(acc.strokes, r.strokes), energy: addMixes(acc.energy, r.energy) };
+          },
+          { yardage: 0, strokes: {}, energy: {} }
+        )
+      );
+      const biggest = groups.reduce((best, g) => (!best || g.yardage > best.yardage ? g : best), null);
+      if (biggest) add(biggest);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Compare target and actual mixes (both in percent)
+ * @param {Object} target - { name: percent }
+ * @param {Object} actual - { name: percent }
+ * @returns {Array} - [{ name, target, actual, diff }] for every category in either, targets first
+ */
+export function compareMix(target = {}, actual = {}) {
+  const names = [...Object.keys(target), ...Object.keys(actual).filter((k) => !(k in target))];
+  return names.map((name) => {
+    const t = target[name] || 0;
+    const a = actual[name] || 0;
+    return { name, target: t, actual: a, diff: a - t };
+  });
+}
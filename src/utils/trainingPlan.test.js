@@ -0,0 +1,78 @@
+import { setAcronymsConfig } from "./practiceParser";
+import { mixPercent, addMixes, practiceMix, compareMix, phaseType } from "./trainingPlan";
+
+beforeAll(() => {
+  setAcronymsConfig({
+    strokes: { Free: ["FR", "Free"], Back: ["BK", "Back"] },
+    styles: { Swim: ["Swim"], Kick: ["Kick", "K"] },
+    energy: { Aerobic: ["EN1", "Aerobic"], Sprint: ["SP3", "Sprint"] },
+  });
+});
+
+afterAll(() => setAcronymsConfig(null));
+
+// ─── mixPercent / addMixes ────────────────────────────────────────────────────
+describe("mixPercent", () => {
+  test("converts yardage to whole percentages", () => {
+    expect(mixPercent({ Free: 3000, Back: 1000 })).toEqual({ Free: 75, Back: 25 });
+  });
+  test("empty mix stays empty", () => {
+    expect(mixPercent({})).toEqual({});
+  });
+});
+
+describe("addMixes", () => {
+  test("sums categories across mixes", () => {
+    expect(addMixes({ Free: 100 }, { Free: 50, Back: 25 }, null)).toEqual({ Free: 150, Back: 25 });
+  });
+});
+
+// ─── practiceMix ──────────────────────────────────────────────────────────────
+describe("practiceMix", () => {
+  test("adds swim sections and classifies energy systems", () => {
+    const mix = practiceMix([
+      { type: "swim", content: "400 Free EN1 @ 6:00" },
+      { type: "break", content: "5:00" },
+      { type: "swim", content: "8 x 25 Back Sprint @ :40" },
+    ]);
+    expect(mix.yardage).toBe(600);
+    expect(mix.strokes).toEqual({ Free: 400, Back: 200 });
+    expect(mix.energy).toEqual({ Aerobic: 400, Sprint: 200 });
+  });
+
+  test("group splits count their biggest group", () => {
+    const mix = practiceMix([
+      {
+        type: "group-split",
+        groups: [
+          { name: "A", sections: [{ text: "10 x 100 Free" }] },
+          { name: "B", sections: [{ text: "6 x 100 Back" }] },
+        ],
+      },
+    ]);
+    expect(mix.yardage).toBe(1000);
+    expect(mix.strokes).toEqual({ Free: 1000 });
+  });
+
+  test("sets without an energy system are left out of the energy mix", () => {
+    expect(practiceMix([{ type: "swim", content: "200 Free" }]).energy).toEqual({});
+  });
+});
+
+// ─── compareMix ───────────────────────────────────────────────────────────────
+describe("compareMix", () => {
+  test("lists targets first, then unplanned categories", () => {
+    expect(compareMix({ Free: 60, Back: 40 }, { Free: 70, Fly: 30 })).toEqual([
+      { name: "Free", target: 60, actual: 70, diff: 10 },
+      { name: "Back", target: 40, actual: 0, diff: -40 },
+      { name: "Fly", target: 0, actual: 30, diff: 30 },
+    ]);
+  });
+});
+
+describe("phaseType", () => {
+  test("unknown types fall back to base", () => {
+    expect(phaseType("nope").value).toBe("base");
+    expect(phaseType("taper").label).toBe("Taper");
+  });
+});